@@ -0,0 +1,93 @@
+/**
+ * Apply Build Env (BrikByteOS Pipelines)
+ *
+ * Makes the build.yml `env:` / `stageEnv:` maps (already validated: no
+ * secret-like names, no `${{ }}` references) visible to the build steps:
+ *   - `env` goes to $GITHUB_ENV, so every later step (and custom stage) sees it
+ *   - `stageEnv.<stage>` goes to <env_dir>/<stage>.env, which the built-in
+ *     install/lint/test/build steps source; the file always exists, empty when
+ *     nothing is declared for that stage
+ *   - stage-run.sh (next to this file) is copied to <env_dir>/stage-run.sh; the
+ *     built-in steps run their command through it for build.yml `retries:`
+ *
+ * Output `resolved` is the effective env per stage (built-in and custom), for
+ * export-build-evidence to record.
+ */
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import process from "node:process";
+import { fileURLToPath } from "node:url";
+
+const ENV_STAGES = ["install", "lint", "test", "build"];
+const ENV_NAME_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function setOutput(name, value) {
+  if (process.env.GITHUB_OUTPUT) fs.appendFileSync(process.env.GITHUB_OUTPUT, `${name}=${String(value)}\n`);
+}
+
+function parseJson(raw, fallback) {
+  const text = (raw || "").trim();
+  if (!text || text === "null") return fallback;
+  return JSON.parse(text);
+}
+
+/** String map with checked names (they end up in $GITHUB_ENV and a sourced shell file). */
+function envMap(value, label) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return {};
+  return Object.fromEntries(
+    Object.entries(value).map(([k, v]) => {
+      if (!ENV_NAME_RE.test(k)) throw new Error(`${label}: invalid env name "${k}"`);
+      return [k, String(v)];
+    })
+  );
+}
+
+function shellQuote(value) {
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+function main() {
+  const env = envMap(parseJson(process.env.INPUT_ENV, {}), "env");
+  const stageEnv = parseJson(process.env.INPUT_STAGE_ENV, {});
+  const stages = parseJson(process.env.INPUT_STAGES, []);
+  const envDir = path.resolve(
+    process.cwd(),
+    process.env.INPUT_ENV_DIR || path.join(process.env.RUNNER_TEMP || ".", "brik-env")
+  );
+  fs.mkdirSync(envDir, { recursive: true });
+
+  // Multiline-safe $GITHUB_ENV entries (NAME<<delimiter)
+  if (process.env.GITHUB_ENV) {
+    for (const [k, v] of Object.entries(env)) {
+      const delimiter = `BRIK_EOF_${crypto.randomBytes(8).toString("hex")}`;
+      fs.appendFileSync(process.env.GITHUB_ENV, `${k}<<${delimiter}\n${v}\n${delimiter}\n`);
+    }
+  }
+
+  const resolved = { env, stages: {} };
+  for (const stage of ENV_STAGES) {
+    const own = envMap(stageEnv?.[stage], `stageEnv.${stage}`);
+    const lines = Object.entries(own).map(([k, v]) => `export ${k}=${shellQuote(v)}`);
+    fs.writeFileSync(path.join(envDir, `${stage}.env`), lines.length ? `${lines.join("\n")}\n` : "");
+    resolved.stages[stage] = { ...env, ...own };
+  }
+  for (const s of Array.isArray(stages) ? stages : []) {
+    if (!s?.name) continue;
+    resolved.stages[String(s.name)] = { ...env, ...envMap(s.env, `stages.${s.name}.env`) };
+  }
+
+  fs.copyFileSync(fileURLToPath(new URL("./stage-run.sh", import.meta.url)), path.join(envDir, "stage-run.sh"));
+
+  setOutput("env_dir", envDir);
+  setOutput("resolved", JSON.stringify(resolved));
+  console.log(`✅ build env applied (${Object.keys(env).length} global variable(s))`);
+}
+
+try {
+  main();
+} catch (err) {
+  console.log(`::error::apply-build-env: ${err.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,66 @@
+#!/usr/bin/env bash
+# -----------------------------------------------------------------------------
+# BrikByteOS stage runner (copied to $RUNNER_TEMP/brik-env/ by apply-build-env)
+#
+# Usage:
+#   stage-run.sh <stage> <retries> <log> <command...>
+#
+# Runs <command> up to 1 + <retries> times and stops at the first success.
+# Every attempt's output goes to the job log and is appended to <log>.
+# $BRIK_ATTEMPTS_DIR/<stage>.json (default: $RUNNER_TEMP/brik-attempts) records
+# each attempt's exit code, start/end time and duration for export-build-evidence.
+# Exits with the last attempt's exit code.
+#
+# The stage timeout is the step's timeout-minutes (it covers all attempts). An
+# attempt cut off by it stays in the record with "exitCode": null.
+# -----------------------------------------------------------------------------
+set -uo pipefail
+
+if [ "$#" -lt 4 ]; then
+  echo "usage: stage-run.sh <stage> <retries> <log> <command...>" >&2
+  exit 2
+fi
+
+stage="$1"
+retries="$2"
+log="$3"
+shift 3
+
+case "$retries" in
+  ''|*[!0-9]*) retries=0 ;;
+esac
+
+dir="${BRIK_ATTEMPTS_DIR:-${RUNNER_TEMP:-/tmp}/brik-attempts}"
+mkdir -p "$dir"
+: > "$log"
+
+# Epoch milliseconds -> ISO-8601 UTC (same format as JavaScript's toISOString()).
+iso() {
+  date -u -d "@$(($1 / 1000)).$(printf '%03d' $(($1 % 1000)))" +%Y-%m-%dT%H:%M:%S.%3NZ
+}
+
+write_record() {
+  printf '{"stage":"%s","retries":%s,"attempts":[%s]}\n' "$stage" "$retries" "$1" > "${dir}/${stage}.json"
+}
+
+records=""
+attempt=0
+while :; do
+  attempt=$((attempt + 1))
+  if [ "$attempt" -gt 1 ]; then
+    echo "↻ ${stage}: attempt ${attempt} of $((retries + 1))" | tee -a "$log"
+  fi
+
+  start="$(date +%s%3N)"
+  write_record "${records:+${records},}{\"attempt\":${attempt},\"exitCode\":null,\"startedAt\":\"$(iso "$start")\",\"endedAt\":null,\"durationMs\":null}"
+  "$@" 2>&1 | tee -a "$log"
+  code="${PIPESTATUS[0]}"
+  end="$(date +%s%3N)"
+
+  records="${records:+${records},}{\"attempt\":${attempt},\"exitCode\":${code},\"startedAt\":\"$(iso "$start")\",\"endedAt\":\"$(iso "$end")\",\"durationMs\":$((end - start))}"
+  write_record "$records"
+
+  if [ "$code" -eq 0 ] || [ "$attempt" -gt "$retries" ]; then
+    exit "$code"
+  fi
+done
@@ -0,0 +1,161 @@
+/**
+ * Artifact manifest for export-build-evidence.
+ *
+ * Expands the artifact globs relative to the working directory into the files
+ * the build actually produced. Glob syntax:
+ *   *    any characters except "/"
+ *   ?    one character except "/"
+ *   **   any number of directories (a whole segment only)
+ * A pattern that names a directory (e.g. "dist", "target/release") stands
+ * for every file below it. Symlinks are not followed.
+ *
+ * Every file is listed once with its size, permission bits and SHA-256. The
+ * aggregate digest is the SHA-256 of the `sha256sum`-style listing
+ * ("<sha256>  <path>\n" per file, paths sorted by UTF-16 code unit, i.e. JS
+ * Array#sort), so
+ *   (cd <working_directory> && sha256sum <paths in that order...>) | sha256sum
+ * reproduces it. `LC_ALL=C sort` gives the same order for ASCII paths; a
+ * locale-aware `sort` or shell glob generally does not.
+ */
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+/**
+ * @typedef {{ path: string, size: number, mode: string, sha256: string }} ManifestFile
+ * @typedef {{ files: ManifestFile[], unmatched: string[], totalBytes: number, digest: string | null }} ArtifactManifest
+ */
+
+/** @param {string} segment */
+function segmentRegExp(segment) {
+  const body = segment
+    .split("")
+    .map((c) => (c === "*" ? "[^/]*" : c === "?" ? "[^/]" : c.replace(/[.+^${}()|[\]\\]/g, "\\$&")))
+    .join("");
+  return new RegExp(`^${body}$`);
+}
+
+const hasWildcard = (segment) => /[*?]/.test(segment);
+
+/** Files under `abs` (itself when it is a file), as paths relative to `root`. */
+function filesBelow(root, abs) {
+  const st = fs.lstatSync(abs);
+  if (st.isFile()) return [path.relative(root, abs)];
+  if (!st.isDirectory()) return [];
+  return fs
+    .readdirSync(abs)
+    .sort()
+    .flatMap((name) => filesBelow(root, path.join(abs, name)));
+}
+
+/**
+ * Paths (files or directories) matching the remaining pattern segments below `dir`.
+ * @param {string} dir absolute
+ * @param {string[]} segments
+ * @returns {string[]} absolute paths
+ */
+function matchSegments(dir, segments) {
+  if (segments.length === 0) return [dir];
+  const [head, ...rest] = segments;
+
+  let st;
+  try {
+    st = fs.lstatSync(dir);
+  } catch {
+    return [];
+  }
+  if (!st.isDirectory()) return [];
+
+  if (head === "**") {
+    // A trailing "**" is the directory itself (filesBelow walks it).
+    if (rest.length === 0) return [dir];
+    const deeper = fs
+      .readdirSync(dir, { withFileTypes: true })
+      .filter((e) => e.isDirectory())
+      .map((e) => e.name)
+      .sort()
+      .flatMap((name) => matchSegments(path.join(dir, name), segments));
+    return [...matchSegments(dir, rest), ...deeper];
+  }
+  if (!hasWildcard(head)) return fs.existsSync(path.join(dir, head)) ? matchSegments(path.join(dir, head), rest) : [];
+
+  const re = segmentRegExp(head);
+  return fs
+    .readdirSync(dir)
+    .filter((name) => re.test(name))
+    .sort()
+    .flatMap((name) => matchSegments(path.join(dir, name), rest));
+}
+
+/**
+ * The same glob syntax as a whole-path test, for paths that are not on disk
+ * (e.g. files named in a coverage report). Like expandArtifactGlob, a pattern
+ * that names a directory also matches everything below it.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+export function globRegExp(pattern) {
+  const segments = pattern.replace(/\\/g, "/").split("/").filter((s) => s && s !== ".");
+  let body = "";
+  segments.forEach((segment, i) => {
+    if (segment === "**") body += i === segments.length - 1 ? ".*" : "(?:[^/]+/)*";
+    else body += segmentRegExp(segment).source.slice(1, -1) + (i === segments.length - 1 ? "" : "/");
+  });
+  return new RegExp(`^${body}(?:/.*)?$`);
+}
+
+/**
+ * Files one pattern matches, relative to `root` with "/" separators.
+ * @param {string} root absolute working directory
+ * @param {string} pattern
+ */
+export function expandArtifactGlob(root, pattern) {
+  const segments = pattern.replace(/\\/g, "/").split("/").filter((s) => s && s !== ".");
+  const start = pattern.startsWith("/") ? "/" : root;
+  return matchSegments(start, segments)
+    .flatMap((abs) => filesBelow(root, abs))
+    .map((rel) => rel.split(path.sep).join("/"));
+}
+
+function sha256File(abs) {
+  const hash = crypto.createHash("sha256");
+  const fd = fs.openSync(abs, "r");
+  try {
+    const buf = Buffer.alloc(1024 * 1024);
+    let n;
+    while ((n = fs.readSync(fd, buf, 0, buf.length, null)) > 0) hash.update(buf.subarray(0, n));
+  } finally {
+    fs.closeSync(fd);
+  }
+  return hash.digest("hex");
+}
+
+/**
+ * @param {string} root absolute working directory
+ * @param {string[]} patterns artifact globs
+ * @returns {ArtifactManifest}
+ */
+export function buildArtifactManifest(root, patterns) {
+  const seen = new Set();
+  const unmatched = [];
+  for (const pattern of patterns) {
+    const hits = expandArtifactGlob(root, pattern);
+    if (hits.length === 0) unmatched.push(pattern);
+    for (const rel of hits) seen.add(rel);
+  }
+
+  const files = [...seen].sort().map((rel) => {
+    const abs = path.resolve(root, rel);
+    const st = fs.statSync(abs);
+    return { path: rel, size: st.size, mode: (st.mode & 0o7777).toString(8).padStart(4, "0"), sha256: sha256File(abs) };
+  });
+
+  const listing = files.map((f) => `${f.sha256}  ${f.path}\n`).join("");
+  return {
+    files,
+    unmatched,
+    totalBytes: files.reduce((sum, f) => sum + f.size, 0),
+    digest: files.length ? `sha256:${crypto.createHash("sha256").update(listing).digest("hex")}` : null,
+  };
+}
@@ -0,0 +1,303 @@
+/**
+ * Coverage report ingestion for export-build-evidence.
+ *
+ * Reads the coverage reports the test stage wrote, merges them per source
+ * file and checks the build.yml `coverage:` thresholds. Four formats, told
+ * apart by content:
+ *   - lcov (SF:/end_of_record): c8/nyc/Jest/Vitest, cargo llvm-cov
+ *   - Cobertura XML (<coverage>): coverage.py, Jest cobertura, coverlet
+ *   - JaCoCo XML (<report>): Maven/Gradle jacoco
+ *   - Go coverprofile ("mode: ..."): go test -coverprofile
+ *
+ * Source paths end up relative to the working directory with "/" separators,
+ * which is what coverage.paths globs are matched against. Go has no branch
+ * data; its statements count as lines.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { expandArtifactGlob, globRegExp } from "./artifact-manifest.mjs";
+import { kids, local, parseXml } from "./xml.mjs";
+
+const METRICS = ["lines", "branches"];
+
+/**
+ * @typedef {{ covered: number, total: number }} Count
+ * @typedef {{ lines: Count, branches: Count }} FileCoverage
+ * @typedef {{ format: "lcov" | "cobertura" | "jacoco" | "go", files: Map<string, FileCoverage> }} CoverageReport
+ * @typedef {{ scope: string, metric: string, required: number, actual: number | null, gap?: number, reason?: string }} Shortfall
+ */
+
+const emptyFile = () => ({ lines: { covered: 0, total: 0 }, branches: { covered: 0, total: 0 } });
+const pct = (c) => (c.total > 0 ? Math.round((c.covered / c.total) * 10000) / 100 : null);
+
+/**
+ * A report path as a working-directory-relative "/" path. Relative paths are
+ * taken from `base` (the directory the report names its sources from).
+ */
+function relPath(root, base, file) {
+  const abs = path.resolve(base, file.replace(/\\/g, "/"));
+  const rel = path.relative(root, abs);
+  return (rel.startsWith("..") || path.isAbsolute(rel) ? abs : rel).split(path.sep).join("/");
+}
+
+/**
+ * lcov SF: paths. Jest, c8, nyc and Vitest write them relative to the project
+ * root, not to the report (coverage/lcov.info), so the working directory comes
+ * first; the report directory only when the file exists there and not there.
+ */
+function lcovPath(root, base, file) {
+  const name = file.replace(/\\/g, "/");
+  const fromReport = !fs.existsSync(path.resolve(root, name)) && fs.existsSync(path.resolve(base, name));
+  return relPath(root, fromReport ? base : root, name);
+}
+
+/** @param {Map<string, FileCoverage>} files */
+function fileEntry(files, key) {
+  if (!files.has(key)) files.set(key, emptyFile());
+  return files.get(key);
+}
+
+/** lcov: summary lines (LF/LH, BRF/BRH) when present, otherwise the DA/BRDA records. */
+function parseLcov(text, root, base) {
+  const files = new Map();
+  let current = null;
+  const reset = () => ({ file: null, lf: null, lh: null, brf: null, brh: null, da: new Map(), brda: new Map() });
+  const flush = () => {
+    if (!current?.file) return;
+    const f = fileEntry(files, lcovPath(root, base, current.file));
+    const daHit = [...current.da.values()].filter((n) => n > 0).length;
+    const brHit = [...current.brda.values()].filter((n) => n > 0).length;
+    f.lines.total += current.lf ?? current.da.size;
+    f.lines.covered += current.lh ?? daHit;
+    f.branches.total += current.brf ?? current.brda.size;
+    f.branches.covered += current.brh ?? brHit;
+  };
+  current = reset();
+  for (const line of text.split(/\r?\n/)) {
+    const i = line.indexOf(":");
+    const tag = i < 0 ? line.trim() : line.slice(0, i);
+    const value = i < 0 ? "" : line.slice(i + 1);
+    if (tag === "SF") current.file = value.trim();
+    else if (tag === "LF") current.lf = Number.parseInt(value, 10) || 0;
+    else if (tag === "LH") current.lh = Number.parseInt(value, 10) || 0;
+    else if (tag === "BRF") current.brf = Number.parseInt(value, 10) || 0;
+    else if (tag === "BRH") current.brh = Number.parseInt(value, 10) || 0;
+    else if (tag === "DA") {
+      const [ln, hits] = value.split(",");
+      current.da.set(ln, Math.max(current.da.get(ln) ?? 0, Number.parseInt(hits, 10) || 0));
+    } else if (tag === "BRDA") {
+      const [ln, block, branch, taken] = value.split(",");
+      const key = `${ln},${block},${branch}`;
+      current.brda.set(key, Math.max(current.brda.get(key) ?? 0, taken === "-" ? 0 : Number.parseInt(taken, 10) || 0));
+    } else if (tag === "end_of_record") {
+      flush();
+      current = reset();
+    }
+  }
+  flush();
+  return files;
+}
+
+/** Cobertura: per-line hits and "condition-coverage" (x/y), filenames relative to <sources>. */
+function parseCobertura(rootEl, root, base) {
+  const sources = kids(rootEl, "sources").flatMap((s) => kids(s, "source")).map((s) => s.text.trim()).filter(Boolean);
+  const resolveFile = (name) => {
+    for (const source of sources) {
+      const abs = path.resolve(base, source, name);
+      if (fs.existsSync(abs)) return relPath(root, base, abs);
+    }
+    return relPath(root, sources.length ? path.resolve(base, sources[0]) : base, name);
+  };
+
+  const perFile = new Map();
+  for (const pkg of kids(rootEl, "packages").flatMap((p) => kids(p, "package"))) {
+    for (const cls of kids(pkg, "classes").flatMap((c) => kids(c, "class"))) {
+      if (!cls.attrs.filename) continue;
+      const lines = perFile.get(cls.attrs.filename) ?? new Map();
+      perFile.set(cls.attrs.filename, lines);
+      // A line shows up once per class (and again under <methods>); keep its best hits.
+      for (const line of kids(cls, "lines").flatMap((l) => kids(l, "line"))) {
+        const m = /\((\d+)\/(\d+)\)/.exec(line.attrs["condition-coverage"] || "");
+        const prev = lines.get(line.attrs.number) ?? { hits: 0, cond: null };
+        const hits = Math.max(prev.hits, Number.parseInt(line.attrs.hits, 10) || 0);
+        const cond = m && (!prev.cond || +m[1] > prev.cond[0]) ? [+m[1], +m[2]] : prev.cond;
+        lines.set(line.attrs.number, { hits, cond });
+      }
+    }
+  }
+
+  const files = new Map();
+  for (const [name, lines] of perFile) {
+    const f = fileEntry(files, resolveFile(name));
+    for (const { hits, cond } of lines.values()) {
+      f.lines.total += 1;
+      if (hits > 0) f.lines.covered += 1;
+      if (cond) {
+        f.branches.covered += cond[0];
+        f.branches.total += cond[1];
+      }
+    }
+  }
+  return files;
+}
+
+/** JaCoCo: LINE/BRANCH counters per <sourcefile>, placed under the usual Maven/Gradle source roots when they exist. */
+function parseJacoco(rootEl, root) {
+  const files = new Map();
+  const visit = (node) => {
+    for (const pkg of kids(node, "package")) {
+      for (const src of kids(pkg, "sourcefile")) {
+        const rel = `${pkg.attrs.name ? `${pkg.attrs.name}/` : ""}${src.attrs.name}`;
+        const onDisk = ["src/main/java", "src/main/kotlin"].map((dir) => `${dir}/${rel}`).find((p) => fs.existsSync(path.join(root, p)));
+        const f = fileEntry(files, onDisk ?? rel);
+        for (const counter of kids(src, "counter")) {
+          const metric = counter.attrs.type === "LINE" ? "lines" : counter.attrs.type === "BRANCH" ? "branches" : null;
+          if (!metric) continue;
+          const covered = Number.parseInt(counter.attrs.covered, 10) || 0;
+          f[metric].covered += covered;
+          f[metric].total += covered + (Number.parseInt(counter.attrs.missed, 10) || 0);
+        }
+      }
+    }
+    for (const group of kids(node, "group")) visit(group);
+  };
+  visit(rootEl);
+  return files;
+}
+
+/** Go coverprofile: "file:a.b,c.d statements count" blocks; repeated blocks (atomic/-coverpkg runs) keep the highest count. */
+function parseGoProfile(text, root) {
+  const mod = /^module\s+(\S+)/m.exec(fs.existsSync(path.join(root, "go.mod")) ? fs.readFileSync(path.join(root, "go.mod"), "utf8") : "");
+  const blocks = new Map();
+  for (const line of text.split(/\r?\n/).slice(1)) {
+    const m = /^(.+):(\d+\.\d+,\d+\.\d+) (\d+) (\d+)$/.exec(line.trim());
+    if (!m) continue;
+    const key = `${m[1]}:${m[2]}`;
+    const prev = blocks.get(key);
+    blocks.set(key, { file: m[1], stmts: +m[3], count: Math.max(prev?.count ?? 0, +m[4]) });
+  }
+
+  const files = new Map();
+  for (const { file, stmts, count } of blocks.values()) {
+    const rel = mod && file.startsWith(`${mod[1]}/`) ? file.slice(mod[1].length + 1) : file;
+    const f = fileEntry(files, rel);
+    f.lines.total += stmts;
+    if (count > 0) f.lines.covered += stmts;
+  }
+  return files;
+}
+
+/**
+ * Coverage per source file in one report.
+ * @param {string} text report contents
+ * @param {string} root absolute working directory
+ * @param {string} reportDir absolute directory of the report file
+ * @returns {CoverageReport}
+ */
+export function parseCoverageReport(text, root, reportDir) {
+  const head = text.trimStart();
+  if (head.startsWith("mode:")) return { format: "go", files: parseGoProfile(head, root) };
+  if (!head.startsWith("<")) {
+    if (!/^(SF|TN):/m.test(head)) throw new Error("not lcov, Cobertura, JaCoCo or a Go coverprofile");
+    return { format: "lcov", files: parseLcov(head, root, reportDir) };
+  }
+  const rootEl = parseXml(head).children[0];
+  if (!rootEl) throw new Error("no root element");
+  switch (local(rootEl.name)) {
+    case "coverage":
+      return { format: "cobertura", files: parseCobertura(rootEl, root, reportDir) };
+    case "report":
+      return { format: "jacoco", files: parseJacoco(rootEl, root) };
+    default:
+      throw new Error(`unknown root element <${rootEl.name}>`);
+  }
+}
+
+/** @param {FileCoverage[]} list */
+function sum(list) {
+  const total = emptyFile();
+  for (const f of list) {
+    for (const m of METRICS) {
+      total[m].covered += f[m].covered;
+      total[m].total += f[m].total;
+    }
+  }
+  return Object.fromEntries(METRICS.map((m) => [m, { ...total[m], pct: pct(total[m]) }]));
+}
+
+/**
+ * Missed thresholds for one scope. A metric with no data at all is a
+ * shortfall too: a threshold nothing can be checked against is not met.
+ * @returns {Shortfall[]}
+ */
+function shortfallsFor(scope, threshold, totals) {
+  return METRICS.filter((m) => typeof threshold?.[m] === "number").flatMap((metric) => {
+    const required = threshold[metric];
+    const actual = totals?.[metric]?.pct ?? null;
+    if (actual === null) return [{ scope, metric, required, actual, reason: `no ${metric} data` }];
+    return actual < required ? [{ scope, metric, required, actual, gap: Math.round((required - actual) * 100) / 100 }] : [];
+  });
+}
+
+/**
+ * Find the coverage reports under `root`, merge them and check the thresholds.
+ * @param {string} root absolute working directory
+ * @param {string[]} patterns report globs (artifact-manifest.mjs syntax)
+ * @param {{ thresholds?: object, paths?: any[] } | null} coverage resolved build.yml coverage (matrix.project.coverage)
+ */
+export function summarizeCoverage(root, patterns, coverage) {
+  const found = [...new Set(patterns.flatMap((p) => expandArtifactGlob(root, p)))].sort();
+  const reports = [];
+  const unreadable = [];
+  /** @type {Map<string, FileCoverage[]>} */
+  const byFile = new Map();
+  for (const rel of found) {
+    const abs = path.resolve(root, rel);
+    try {
+      const { format, files } = parseCoverageReport(fs.readFileSync(abs, "utf8"), root, path.dirname(abs));
+      reports.push({ path: rel, format, files: files.size });
+      for (const [file, cov] of files) byFile.set(file, [...(byFile.get(file) ?? []), cov]);
+    } catch (err) {
+      unreadable.push({ path: rel, reason: err.message });
+    }
+  }
+
+  // The same file in two reports (e.g. lcov and Cobertura from one run) counts once: the better-covered copy.
+  const files = [...byFile.keys()].sort().map((file) => {
+    const best = emptyFile();
+    for (const m of METRICS) {
+      const pick = byFile.get(file).reduce((a, b) => ((pct(b[m]) ?? -1) > (pct(a[m]) ?? -1) ? b : a))[m];
+      best[m] = { ...pick };
+    }
+    return { path: file, ...sum([best]) };
+  });
+  const totals = sum(files);
+
+  /** @type {Shortfall[]} */
+  const shortfalls = [];
+  if (coverage) {
+    if (reports.length === 0) {
+      for (const scope of [{ path: "global", ...coverage.thresholds }, ...(coverage.paths ?? [])]) {
+        for (const metric of METRICS.filter((m) => typeof scope[m] === "number")) {
+          shortfalls.push({ scope: scope.path, metric, required: scope[metric], actual: null, reason: "no coverage report found" });
+        }
+      }
+    } else {
+      shortfalls.push(...shortfallsFor("global", coverage.thresholds, totals));
+      for (const { path: glob, ...threshold } of coverage.paths ?? []) {
+        const re = globRegExp(glob);
+        const matching = files.filter((f) => re.test(f.path));
+        if (matching.length === 0) {
+          for (const metric of METRICS.filter((m) => typeof threshold[m] === "number")) {
+            shortfalls.push({ scope: glob, metric, required: threshold[metric], actual: null, reason: "no covered file matches this path" });
+          }
+          continue;
+        }
+        shortfalls.push(...shortfallsFor(glob, threshold, sum(matching)));
+      }
+    }
+  }
+
+  return { patterns, reports, unreadable, totals, files, shortfalls };
+}
@@ -6,22 +6,50 @@
  *     metadata.json
  *     runtime.json
  *     commands.json
- *     results.json
- *     artifact-summary.json
+ *     results.json             (incl. execution: attempts per stage, timings: start/end/duration
+ *                               per built-in stage against the stack budget)
+ *     artifact-summary.json    (artifact globs expanded to a file manifest: path, size,
+ *                               mode, sha256 per file + aggregate digest; see artifact-manifest.mjs)
+ *     test-summary.json        (JUnit XML / TRX reports found by INPUT_TEST_REPORTS: totals,
+ *                               failing, skipped and slowest tests; see test-reports.mjs)
+ *     coverage.json            (lcov / Cobertura / JaCoCo / Go coverage reports merged per file,
+ *                               with totals and missed build.yml coverage thresholds; see coverage.mjs)
+ *     env.json                 (build.yml env: values per stage, when INPUT_BUILD_ENV is set)
  *     logs/(lint.log/test.log/build.log)
+ *     logs/stages/<name>.log   (custom build.yml stages, see run-stage-hooks)
+ *     redaction-report.json    (secrets redacted from the logs above and the test-summary.json
+ *                               failure messages: counts per file and rule, never the values;
+ *                               see redact.mjs)
+ *     manifest.json            (written last: sha256, producing action and schema of every
+ *                               file in the bundle; see src/evidence/bundle-manifest.mjs,
+ *                               `brik-pipe verify`. validation/ is a bundle of its own)
+ *
+ * Every JSON file declares its schemas/evidence/* schema in a top-level
+ * "schema" field (`brik-pipe verify` rejects one that does not).
+ *
+ * Monorepo projects (INPUT_PROJECT set) write the same layout under:
+ *   .audit/PIPE-BUILD/projects/<project>/
  *
  * Design goals:
  *  - Always runs (workflow uses if: always())
  *  - Works even when build/test/lint fail
- *  - No secrets; no network calls
+ *  - No secrets: logs are redacted before they are written; no network calls
  */
 
 import fs from "node:fs";
 import path from "node:path";
 import process from "node:process";
+import { buildArtifactManifest } from "./artifact-manifest.mjs";
+import { writeBundleManifest } from "../../../src/evidence/bundle-manifest.mjs";
+import { summarizeCoverage } from "./coverage.mjs";
+import { createRedactor } from "./redact.mjs";
+import { summarizeTestReports } from "./test-reports.mjs";
 
-const OUT_DIR = path.join(process.cwd(), ".audit", "PIPE-BUILD");
+const PROJECT = (process.env.INPUT_PROJECT || "").trim();
+const BUNDLE_PATH = PROJECT ? `.audit/PIPE-BUILD/projects/${PROJECT}` : ".audit/PIPE-BUILD";
+const OUT_DIR = path.join(process.cwd(), ...BUNDLE_PATH.split("/"));
 const LOG_DIR = path.join(OUT_DIR, "logs");
+const BUILTIN_STAGES = ["install", "lint", "test", "build"];
 
 function ensureDir(p) {
   fs.mkdirSync(p, { recursive: true });
@@ -46,7 +74,111 @@ function isoNow() {
   return new Date().toISOString();
 }
 
+/**
+ * Custom stages: the declared list (INPUT_STAGES, JSON) joined with the
+ * <name>.json results run-stage-hooks left in INPUT_STAGES_DIR. A declared
+ * stage without a result did not run (its slot was skipped or an earlier
+ * stage failed).
+ */
+function readStages() {
+  const raw = (process.env.INPUT_STAGES || "").trim();
+  const declared = raw && raw !== "null" ? JSON.parse(raw) : [];
+  const dir = (process.env.INPUT_STAGES_DIR || "").trim();
+
+  return (Array.isArray(declared) ? declared : [])
+    .filter((s) => /^[a-z0-9][a-z0-9._-]*$/.test(String(s?.name || "")))
+    .map((s) => {
+      const name = String(s.name);
+      const result = dir ? readIfExists(path.join(dir, `${name}.json`)) : null;
+      const parsed = result === null ? null : JSON.parse(result);
+      return {
+        name,
+        slot: String(s.slot || ""),
+        continueOnError: s.continueOnError === true,
+        ran: parsed !== null,
+        exitCode: parsed === null ? "" : String(parsed.exitCode),
+        attempts: Array.isArray(parsed?.attempts) ? parsed.attempts : [],
+        log: dir ? readIfExists(path.join(dir, `${name}.log`)) : null,
+      };
+    });
+}
+
+/**
+ * Attempt records for the built-in stages: the <stage>.json files stage-run.sh
+ * left in INPUT_ATTEMPTS_DIR (stages that did not run have none).
+ * @returns {[string, any[]][]}
+ */
+function readBuiltinAttempts() {
+  const dir = (process.env.INPUT_ATTEMPTS_DIR || "").trim();
+  const entries = [];
+  for (const stage of BUILTIN_STAGES) {
+    const raw = dir ? readIfExists(path.join(dir, `${stage}.json`)) : null;
+    if (raw === null) continue;
+    const attempts = JSON.parse(raw).attempts;
+    entries.push([stage, Array.isArray(attempts) ? attempts : []]);
+  }
+  return entries;
+}
+
+/**
+ * Attempt history per stage (build.yml timeouts:/retries:): built-in stages
+ * from stage-run.sh, custom stages from their run-stage-hooks results. An
+ * attempt cut off by the stage timeout has exitCode null (built-in) or
+ * timedOut true (custom). `rescuedByRetry` is true when the stage passed only
+ * after a failed attempt.
+ */
+function readExecution(builtin, stages) {
+  const entries = [...builtin, ...stages.filter((s) => s.ran).map((s) => [s.name, s.attempts])];
+
+  return Object.fromEntries(
+    entries.map(([stage, list]) => {
+      const last = list[list.length - 1];
+      return [
+        stage,
+        {
+          attempts: list.length,
+          exitCodes: list.map((a) => (Number.isInteger(a?.exitCode) ? a.exitCode : null)),
+          durationsMs: list.map((a) => (Number.isInteger(a?.durationMs) ? a.durationMs : null)),
+          timedOut: list.some((a) => a?.timedOut === true || a?.exitCode === null),
+          rescuedByRetry: list.length > 1 && last?.exitCode === 0,
+        },
+      ];
+    })
+  );
+}
+
+/**
+ * Wall-clock timing per built-in stage (first attempt start to last attempt
+ * end), checked against the stack's duration budget (INPUT_DURATION_BUDGET,
+ * resolve-runtime `duration_budget`). Over budget is a warning only; the
+ * hard limit is build.yml timeouts:. A stage killed by its timeout has no
+ * endedAt/durationMs.
+ */
+function readTimings(builtin) {
+  const raw = (process.env.INPUT_DURATION_BUDGET || "").trim();
+  const budget = raw && raw !== "null" ? JSON.parse(raw) : {};
+
+  return Object.fromEntries(
+    builtin
+      .filter(([, list]) => list.length > 0)
+      .map(([stage, list]) => {
+        const startedAt = list[0]?.startedAt ?? null;
+        const endedAt = list[list.length - 1]?.endedAt ?? null;
+        const durationMs = startedAt && endedAt ? Date.parse(endedAt) - Date.parse(startedAt) : null;
+        const budgetSeconds = Number.isInteger(budget?.[stage]) && budget[stage] > 0 ? budget[stage] : null;
+        const overBudget = budgetSeconds !== null && durationMs !== null && durationMs > budgetSeconds * 1000;
+        if (overBudget) {
+          console.log(`::warning::${stage} took ${Math.round(durationMs / 1000)}s; the ${process.env.INPUT_STACK} budget is ${budgetSeconds}s`);
+        }
+        return [stage, { startedAt, endedAt, durationMs, budgetSeconds, overBudget }];
+      })
+  );
+}
+
 function main() {
+  if (PROJECT && !/^[a-z0-9][a-z0-9._-]*$/.test(PROJECT)) {
+    throw new Error(`invalid project name "${PROJECT}" (expected ^[a-z0-9][a-z0-9._-]*$)`);
+  }
   ensureDir(LOG_DIR);
 
   const stack = process.env.INPUT_STACK;
@@ -62,13 +194,41 @@ function main() {
   const testExit = process.env.INPUT_TEST_EXIT_CODE || "";
   const buildExit = process.env.INPUT_BUILD_EXIT_CODE || "";
 
+  const stages = readStages();
+  const builtinAttempts = readBuiltinAttempts();
+
   const artifactPathsRaw = (process.env.INPUT_ARTIFACT_PATHS || "").trim();
   const artifactPaths = artifactPathsRaw
     ? artifactPathsRaw.split(",").map((s) => s.trim()).filter(Boolean)
     : [];
 
+  // Globs that match nothing: a warning, or a failed build under a policy pack with missingArtifacts: fail.
+  const missingArtifacts = (process.env.INPUT_MISSING_ARTIFACTS || "warn").trim() === "fail" ? "fail" : "warn";
+  const manifest = buildArtifactManifest(path.resolve(process.cwd(), wd), artifactPaths);
+  for (const pattern of manifest.unmatched) {
+    console.log(`::${missingArtifacts === "fail" ? "error" : "warning"}::artifact path "${pattern}" matched no file in ${wd}`);
+  }
+  const artifactsOk = missingArtifacts === "warn" || manifest.unmatched.length === 0;
+
+  // build.yml coverage: reports its own globs, otherwise the tool defaults (resolve-runtime coverage_report_paths).
+  const coverageRaw = (process.env.INPUT_COVERAGE || "").trim();
+  const coverageConfig = coverageRaw && coverageRaw !== "null" ? JSON.parse(coverageRaw) : null;
+  const coveragePatterns = coverageConfig?.reports?.length
+    ? coverageConfig.reports
+    : (process.env.INPUT_COVERAGE_REPORTS || "").split(/[\n,]/).map((p) => p.trim()).filter(Boolean);
+  const coverage = summarizeCoverage(path.resolve(process.cwd(), wd), coveragePatterns, coverageConfig);
+  for (const bad of coverage.unreadable) console.log(`::warning::coverage report ${bad.path} could not be read: ${bad.reason}`);
+  const coverageEnforcement = coverageConfig?.enforcement === "warn" ? "warn" : "fail";
+  for (const miss of coverage.shortfalls) {
+    const detail = miss.reason ?? `${miss.actual}% < ${miss.required}%`;
+    console.log(`::${coverageEnforcement === "fail" ? "error" : "warning"}::coverage ${miss.metric} (${miss.scope}): ${detail}`);
+  }
+  const coverageStatus = !coverageConfig ? "skipped" : coverage.shortfalls.length === 0 ? "pass" : coverageEnforcement;
+  const coverageOk = coverageStatus !== "fail";
+
   // GitHub context env vars
   const meta = {
+    schema: "brikbyte.audit.build-metadata.v1",
     repo: process.env.GITHUB_REPOSITORY || null,
     sha: process.env.GITHUB_SHA || null,
     ref: process.env.GITHUB_REF || null,
@@ -81,61 +241,133 @@ function main() {
     stack,
     toolchain,
     workingDirectory: wd,
+    project: PROJECT || null,
   };
 
   jsonWrite("metadata.json", meta);
 
   jsonWrite("runtime.json", {
+    schema: "brikbyte.audit.build-runtime.v1",
     stack,
     runtimeUsed,
     toolchain,
   });
 
   jsonWrite("commands.json", {
+    schema: "brikbyte.audit.build-commands.v1",
     lint: lintRan ? "ran" : "skipped",
     test: testRan ? "ran" : "skipped",
     build: buildRan ? "ran" : "skipped",
+    stages: Object.fromEntries(stages.map((s) => [s.name, { slot: s.slot, status: s.ran ? "ran" : "skipped" }])),
   });
 
   const verdict = {
     lint: lintRan ? (lintExit === "0" ? "pass" : "fail") : "skipped",
     test: testRan ? (testExit === "0" ? "pass" : "fail") : "skipped",
     build: buildRan ? (buildExit === "0" ? "pass" : "fail") : "skipped",
+    stages: Object.fromEntries(stages.map((s) => [s.name, s.ran ? (s.exitCode === "0" ? "pass" : "fail") : "skipped"])),
+    artifacts: manifest.unmatched.length === 0 ? "pass" : artifactsOk ? "warn" : "fail",
+    coverage: coverageStatus,
   };
 
   const overall =
     (buildRan && buildExit !== "0") ||
     (testRan && testExit !== "0") ||
-    (lintRan && lintExit !== "0")
+    (lintRan && lintExit !== "0") ||
+    stages.some((s) => s.ran && s.exitCode !== "0" && !s.continueOnError) ||
+    !artifactsOk ||
+    !coverageOk
       ? "fail"
       : "pass";
 
   jsonWrite("results.json", {
+    schema: "brikbyte.audit.build-results.v1",
     overall,
     exitCodes: {
       lint: lintExit || null,
       test: testExit || null,
       build: buildExit || null,
+      stages: Object.fromEntries(stages.map((s) => [s.name, s.exitCode || null])),
     },
     verdict,
+    execution: readExecution(builtinAttempts, stages),
+    timings: readTimings(builtinAttempts),
+    coverage: {
+      status: coverageStatus,
+      enforcement: coverageConfig ? coverageEnforcement : null,
+      totals: Object.fromEntries(Object.entries(coverage.totals).map(([m, t]) => [m, t.pct])),
+      shortfalls: coverage.shortfalls,
+    },
   });
 
-  // Copy logs into .audit even if empty
+  // Copy logs into .audit even if empty, redacted: the bundle is a downloadable artifact.
+  const redactor = createRedactor();
+  const writeLog = (rel, text) => fs.writeFileSync(path.join(OUT_DIR, ...rel.split("/")), redactor.redact(text, rel));
+
   const lintLog = readIfExists(process.env.INPUT_LINT_LOG);
   const testLog = readIfExists(process.env.INPUT_TEST_LOG);
   const buildLog = readIfExists(process.env.INPUT_BUILD_LOG);
 
-  if (lintLog !== null) fs.writeFileSync(path.join(LOG_DIR, "lint.log"), lintLog);
-  if (testLog !== null) fs.writeFileSync(path.join(LOG_DIR, "test.log"), testLog);
-  if (buildLog !== null) fs.writeFileSync(path.join(LOG_DIR, "build.log"), buildLog);
+  if (lintLog !== null) writeLog("logs/lint.log", lintLog);
+  if (testLog !== null) writeLog("logs/test.log", testLog);
+  if (buildLog !== null) writeLog("logs/build.log", buildLog);
+
+  for (const s of stages) {
+    if (s.log === null) continue;
+    ensureDir(path.join(LOG_DIR, "stages"));
+    writeLog(`logs/stages/${s.name}.log`, s.log);
+  }
+
+  // Report globs: newline- (resolve-runtime test_report_paths) or comma-separated.
+  const testReportPatterns = (process.env.INPUT_TEST_REPORTS || "").split(/[\n,]/).map((p) => p.trim()).filter(Boolean);
+  const testSummary = summarizeTestReports(path.resolve(process.cwd(), wd), testReportPatterns);
+  for (const bad of testSummary.unreadable) console.log(`::warning::test report ${bad.path} could not be read: ${bad.reason}`);
+  // Failure messages are copied from the reports and can echo secrets like the logs do.
+  for (const f of testSummary.failing) {
+    if (f.message !== null) f.message = redactor.redact(f.message, "test-summary.json");
+  }
+  jsonWrite("test-summary.json", { schema: "brikbyte.audit.test-summary.v1", testRan, ...testSummary });
+
+  const redaction = redactor.report();
+  if (redaction.redactions > 0) console.log(`::notice::redacted ${redaction.redactions} secret-like value(s) from the evidence logs and test summary (see redaction-report.json)`);
+  jsonWrite("redaction-report.json", redaction);
+
+  // build.yml env values are validated as non-secret, so they are recorded as-is.
+  const buildEnvRaw = (process.env.INPUT_BUILD_ENV || "").trim();
+  if (buildEnvRaw) jsonWrite("env.json", { schema: "brikbyte.audit.build-env.v1", ...JSON.parse(buildEnvRaw) });
+
+  jsonWrite("coverage.json", {
+    schema: "brikbyte.audit.coverage.v1",
+    thresholds: coverageConfig ? { global: coverageConfig.thresholds ?? {}, paths: coverageConfig.paths ?? [] } : null,
+    patterns: coverage.patterns,
+    reports: coverage.reports,
+    unreadable: coverage.unreadable,
+    totals: coverage.totals,
+    files: coverage.files,
+  });
 
   jsonWrite("artifact-summary.json", {
+    schema: "brikbyte.audit.artifact-summary.v1",
     artifactPaths,
     artifactCount: artifactPaths.length,
+    unmatched: manifest.unmatched,
+    missingArtifacts,
+    fileCount: manifest.files.length,
+    totalBytes: manifest.totalBytes,
+    digest: manifest.digest,
+    files: manifest.files,
   });
 
-  setOutput("audit_bundle_path", ".audit/PIPE-BUILD");
-  console.log("✅ build evidence exported to .audit/PIPE-BUILD");
+  // Last write. validation/ has its own manifest.json (validate-build-config) and is left out.
+  writeBundleManifest(OUT_DIR, { bundle: BUNDLE_PATH, producer: "export-build-evidence" });
+
+  setOutput("audit_bundle_path", BUNDLE_PATH);
+  setOutput("artifacts_ok", artifactsOk);
+  setOutput("coverage_ok", coverageOk);
+  console.log(`✅ build evidence exported to ${BUNDLE_PATH}`);
+
+  // Evidence is complete at this point; only now fail the step for missing artifacts or coverage.
+  if (!artifactsOk || !coverageOk) process.exitCode = 1;
 }
 
 main();
@@ -0,0 +1,117 @@
+/**
+ * Secret redaction for logs (and test failure messages) copied into .audit bundles.
+ *
+ * Evidence bundles are uploaded as workflow artifacts that anyone with read
+ * access to the repo can download, and GitHub masks secrets in the job log
+ * only. Every log goes through a redactor before it is written; matches are
+ * replaced by "[REDACTED:<rule>]". Rules, applied in this order:
+ *   private-key        PEM private key blocks (whole block)
+ *   github-token       ghp_/gho_/ghu_/ghs_/ghr_ tokens and github_pat_ tokens
+ *   aws-access-key-id  AKIA/ASIA key ids
+ *   aws-secret-key     the value after aws_secret_access_key / AWS_SECRET_ACCESS_KEY
+ *   jwt                three base64url segments starting with eyJ
+ *   env:<NAME>         the value of an environment variable with a secret-like
+ *                      name segment (TOKEN, SECRET, PASSWORD, ...), at least 6 characters
+ *                      and not just digits
+ *   high-entropy       32+ character runs of letters and digits (plus + = _ -)
+ *                      with at least 4 bits of entropy per character; pure hex
+ *                      (commit SHAs, sha256 digests) is left alone
+ *
+ * The report counts matches per file and rule; it never holds the values.
+ * Also used by export-container-build-evidence.
+ */
+
+/**
+ * Environment variable names whose values are treated as secrets. Matched on
+ * "_"-separated name segments, so NPM_AUTH_TOKEN and AUTH count but
+ * GIT_AUTHOR_NAME and TOKENIZER_MODEL do not.
+ */
+const SECRET_NAME_RE = /(^|_)(TOKEN|SECRET|PASSWORD|PASSWD|PASSPHRASE|PRIVATE_KEY|API_KEY|ACCESS_KEY|CREDENTIALS?|AUTH)(_|$)/i;
+/** Shorter values (e.g. "true", "none") would redact ordinary words. */
+const MIN_ENV_VALUE_LENGTH = 6;
+const ENTROPY_MIN_LENGTH = 32;
+const ENTROPY_MIN_BITS = 4;
+
+/** @type {{ rule: string, re: RegExp, group?: number }[]} */
+const PATTERNS = [
+  { rule: "private-key", re: /-----BEGIN ([A-Z0-9 ]*)PRIVATE KEY( BLOCK)?-----[\s\S]*?-----END \1PRIVATE KEY\2-----/g },
+  { rule: "github-token", re: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g },
+  { rule: "aws-access-key-id", re: /\b(?:AKIA|ASIA)[A-Z0-9]{16}\b/g },
+  // Only the value is replaced, so the log still shows which setting it was.
+  { rule: "aws-secret-key", re: /(aws_?secret_?access_?key["']?\s*[:=]\s*["']?)([A-Za-z0-9/+=]{40})/gi, group: 2 },
+  { rule: "jwt", re: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{10,}/g },
+];
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/** Shannon entropy of `s`, in bits per character. */
+function entropy(s) {
+  const freq = new Map();
+  for (const c of s) freq.set(c, (freq.get(c) ?? 0) + 1);
+  let bits = 0;
+  for (const n of freq.values()) bits -= (n / s.length) * Math.log2(n / s.length);
+  return bits;
+}
+
+function isHighEntropy(s) {
+  return /[0-9]/.test(s) && /[A-Za-z]/.test(s) && !/^[0-9a-fA-F]+$/.test(s) && entropy(s) >= ENTROPY_MIN_BITS;
+}
+
+/**
+ * Secret-like environment variables with a value worth redacting, longest
+ * value first so a value that contains another one is replaced whole.
+ * @param {Record<string, string | undefined>} env
+ */
+function secretEnvValues(env) {
+  return Object.entries(env)
+    .filter(([name, value]) => SECRET_NAME_RE.test(name) && typeof value === "string" && value.trim().length >= MIN_ENV_VALUE_LENGTH && !/^\d+$/.test(value.trim()))
+    .sort(([a, x], [b, y]) => y.length - x.length || a.localeCompare(b))
+    .map(([name, value]) => ({ rule: `env:${name}`, re: new RegExp(escapeRe(value), "g") }));
+}
+
+/**
+ * @param {{ env?: Record<string, string | undefined> }} [options] environment to take secret values from (default: process.env)
+ */
+export function createRedactor({ env = process.env } = {}) {
+  const rules = [...PATTERNS, ...secretEnvValues(env)];
+  /** @type {Record<string, Record<string, number>>} */
+  const files = {};
+
+  return {
+    /**
+     * Text with secrets replaced; matches are counted under `file` (added up
+     * over calls, e.g. one per test failure message).
+     * @param {string} text
+     * @param {string} file bundle-relative path, for the report
+     */
+    redact(text, file) {
+      const counts = (files[file] ??= {});
+      const hit = (rule) => {
+        counts[rule] = (counts[rule] ?? 0) + 1;
+        return `[REDACTED:${rule}]`;
+      };
+      let out = text;
+      for (const { rule, re, group } of rules) {
+        out = out.replace(re, (match, ...groups) => (group ? `${groups.slice(0, group - 1).join("")}${hit(rule)}` : hit(rule)));
+      }
+      out = out.replace(new RegExp(`[A-Za-z0-9+=_-]{${ENTROPY_MIN_LENGTH},}`, "g"), (s) => (isHighEntropy(s) ? hit("high-entropy") : s));
+      return out;
+    },
+
+    /** redaction-report.json: rule names and match counts, no values. */
+    report() {
+      const totals = {};
+      for (const counts of Object.values(files)) {
+        for (const [rule, n] of Object.entries(counts)) totals[rule] = (totals[rule] ?? 0) + n;
+      }
+      return {
+        schema: "brikbyte.audit.redaction-report.v1",
+        rules: [...PATTERNS.map((p) => p.rule), "env:<NAME>", "high-entropy"],
+        envVarsChecked: rules.filter((r) => r.rule.startsWith("env:")).map((r) => r.rule.slice(4)).sort(),
+        files,
+        totals,
+        redactions: Object.values(totals).reduce((sum, n) => sum + n, 0),
+      };
+    },
+  };
+}
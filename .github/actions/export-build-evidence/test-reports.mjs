@@ -0,0 +1,165 @@
+/**
+ * Test report ingestion for export-build-evidence.
+ *
+ * Reads the test result files the test stage wrote and summarizes them for
+ * test-summary.json. Two formats, told apart by the root element:
+ *   - JUnit XML (<testsuites>/<testsuite>): Jest/Vitest reporters, pytest
+ *     --junitxml, Maven Surefire, Gradle, gotestsum/go-junit-report, nextest
+ *   - .NET TRX (<TestRun>): dotnet test --logger trx
+ *
+ * Counts come from the individual test cases, not from the suite attributes
+ * (reporters disagree on whether `tests` includes skipped ones). A file that
+ * is neither format, or is not well-formed XML, is listed under `unreadable`.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { expandArtifactGlob } from "./artifact-manifest.mjs";
+import { kids, local, parseXml } from "./xml.mjs";
+
+/** How many entries `slowest` keeps. */
+const SLOWEST_COUNT = 10;
+/** Failure messages are cut to this many characters. */
+const MESSAGE_LIMIT = 500;
+
+/**
+ * @typedef {import("./xml.mjs").XmlNode} XmlNode
+ * @typedef {{ suite: string, name: string, status: "passed" | "failed" | "error" | "skipped", durationMs: number | null, message: string | null }} TestCase
+ */
+
+const firstText = (node) => (node ? node.text.trim() : "");
+const clip = (text) => (text.length > MESSAGE_LIMIT ? `${text.slice(0, MESSAGE_LIMIT)}…` : text);
+
+function secondsToMs(value) {
+  const n = Number.parseFloat(String(value ?? "").replace(/,/g, ""));
+  return Number.isFinite(n) ? Math.round(n * 1000) : null;
+}
+
+/** TRX durations are "hh:mm:ss.fffffff". */
+function trxDurationMs(value) {
+  const m = /^(\d+):(\d+):(\d+(?:\.\d+)?)$/.exec(String(value ?? ""));
+  return m ? Math.round(((+m[1] * 60 + +m[2]) * 60 + +m[3]) * 1000) : null;
+}
+
+/**
+ * @param {XmlNode} node <testsuites> or <testsuite>
+ * @param {string} suiteName enclosing suite
+ * @param {TestCase[]} out
+ */
+function collectJUnit(node, suiteName, out) {
+  for (const child of node.children) {
+    const kind = local(child.name);
+    if (kind === "testsuite" || kind === "testsuites") {
+      collectJUnit(child, child.attrs.name || suiteName, out);
+    } else if (kind === "testcase") {
+      const failure = kids(child, "failure")[0];
+      const error = kids(child, "error")[0];
+      const skipped = kids(child, "skipped")[0];
+      const problem = failure ?? error;
+      out.push({
+        suite: child.attrs.classname || suiteName,
+        name: child.attrs.name || "(unnamed)",
+        status: failure ? "failed" : error ? "error" : skipped ? "skipped" : "passed",
+        durationMs: secondsToMs(child.attrs.time),
+        message: problem ? clip(problem.attrs.message || firstText(problem) || kind) : null,
+      });
+    }
+  }
+}
+
+/**
+ * @param {XmlNode} run <TestRun>
+ * @param {TestCase[]} out
+ */
+function collectTrx(run, out) {
+  const classOf = new Map();
+  for (const defs of kids(run, "TestDefinitions")) {
+    for (const test of kids(defs, "UnitTest")) {
+      const method = kids(test, "TestMethod")[0];
+      if (test.attrs.id && method?.attrs.className) classOf.set(test.attrs.id, method.attrs.className);
+    }
+  }
+  for (const results of kids(run, "Results")) {
+    for (const r of kids(results, "UnitTestResult")) {
+      const outcome = String(r.attrs.outcome || "");
+      const errorInfo = kids(r, "Output").flatMap((o) => kids(o, "ErrorInfo"))[0];
+      const message = errorInfo ? firstText(kids(errorInfo, "Message")[0]) : "";
+      const status = outcome === "Passed" ? "passed" : outcome === "Failed" ? "failed" : outcome === "Error" || outcome === "Timeout" || outcome === "Aborted" ? "error" : "skipped";
+      out.push({
+        suite: classOf.get(r.attrs.testId) || "",
+        name: r.attrs.testName || "(unnamed)",
+        status,
+        durationMs: trxDurationMs(r.attrs.duration),
+        message: status === "failed" || status === "error" ? clip(message || outcome) : null,
+      });
+    }
+  }
+}
+
+/**
+ * Test cases in one report file.
+ * @param {string} xml
+ * @returns {{ format: "junit" | "trx", cases: TestCase[] }}
+ */
+export function parseTestReport(xml) {
+  const root = parseXml(xml).children[0];
+  if (!root) throw new Error("no root element");
+  /** @type {TestCase[]} */
+  const cases = [];
+  switch (local(root.name)) {
+    case "testsuites":
+    case "testsuite":
+      collectJUnit({ ...root, children: [root] }, "", cases);
+      return { format: "junit", cases };
+    case "TestRun":
+      collectTrx(root, cases);
+      return { format: "trx", cases };
+    default:
+      throw new Error(`unknown root element <${root.name}>`);
+  }
+}
+
+/**
+ * Find and summarize the test reports under `root`.
+ * @param {string} root absolute working directory
+ * @param {string[]} patterns report globs (artifact-manifest.mjs syntax)
+ */
+export function summarizeTestReports(root, patterns) {
+  const files = [...new Set(patterns.flatMap((p) => expandArtifactGlob(root, p)))].sort();
+  /** @type {TestCase[]} */
+  const cases = [];
+  const reports = [];
+  const unreadable = [];
+  for (const rel of files) {
+    try {
+      const { format, cases: found } = parseTestReport(fs.readFileSync(path.resolve(root, rel), "utf8"));
+      reports.push({ path: rel, format, tests: found.length });
+      cases.push(...found);
+    } catch (err) {
+      unreadable.push({ path: rel, reason: err.message });
+    }
+  }
+
+  const count = (status) => cases.filter((c) => c.status === status).length;
+  const id = (c) => (c.suite ? `${c.suite} > ${c.name}` : c.name);
+  return {
+    patterns,
+    reports,
+    unreadable,
+    totals: {
+      tests: cases.length,
+      passed: count("passed"),
+      failed: count("failed"),
+      errors: count("error"),
+      skipped: count("skipped"),
+      durationMs: cases.reduce((sum, c) => sum + (c.durationMs ?? 0), 0),
+    },
+    failing: cases.filter((c) => c.status === "failed" || c.status === "error").map((c) => ({ test: id(c), status: c.status, message: c.message })),
+    skipped: cases.filter((c) => c.status === "skipped").map(id),
+    slowest: cases
+      .filter((c) => c.durationMs !== null)
+      .sort((a, b) => b.durationMs - a.durationMs || id(a).localeCompare(id(b)))
+      .slice(0, SLOWEST_COUNT)
+      .map((c) => ({ test: id(c), durationMs: c.durationMs })),
+  };
+}
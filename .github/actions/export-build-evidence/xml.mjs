@@ -0,0 +1,60 @@
+/**
+ * Minimal XML reader for the report files export-build-evidence parses
+ * (JUnit, TRX, Cobertura, JaCoCo). No dependencies: the action runs without
+ * an install step.
+ */
+
+/**
+ * @typedef {{ name: string, attrs: Record<string, string>, children: XmlNode[], text: string }} XmlNode
+ */
+
+const ENTITIES = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" };
+
+function decode(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-z]+);/g, (m, e) => {
+    if (e[0] === "#") return String.fromCodePoint(e[1] === "x" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+    return ENTITIES[e] ?? m;
+  });
+}
+
+/**
+ * Minimal XML reader: elements, attributes, text and CDATA. Comments,
+ * processing instructions and DOCTYPE are skipped; namespaces are kept in
+ * the element name and stripped by `local()`.
+ * @param {string} xml
+ * @returns {XmlNode}
+ */
+export function parseXml(xml) {
+  /** @type {XmlNode} */
+  const doc = { name: "#document", attrs: {}, children: [], text: "" };
+  const stack = [doc];
+  const tagRe = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+  const attrRe = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let last = 0;
+  let m;
+  while ((m = tagRe.exec(xml)) !== null) {
+    const top = stack[stack.length - 1];
+    top.text += decode(xml.slice(last, m.index));
+    last = tagRe.lastIndex;
+    if (m[1] !== undefined) {
+      top.text += m[1];
+    } else if (m[2] !== undefined) {
+      if (stack.length < 2 || top.name !== m[2]) throw new Error(`unexpected </${m[2]}>`);
+      stack.pop();
+    } else if (m[3] !== undefined) {
+      const attrs = {};
+      for (const a of m[4].matchAll(attrRe)) attrs[a[1]] = decode(a[2] ?? a[3]);
+      const node = { name: m[3], attrs, children: [], text: "" };
+      top.children.push(node);
+      if (m[5] !== "/") stack.push(node);
+    }
+  }
+  if (stack.length !== 1) throw new Error(`unclosed <${stack[stack.length - 1].name}>`);
+  return doc;
+}
+
+/** Element name without its namespace prefix. */
+export const local = (name) => name.slice(name.indexOf(":") + 1);
+
+/** Child elements with the given (local) name. */
+export const kids = (node, name) => node.children.filter((c) => local(c.name) === name);
@@ -11,13 +11,22 @@
  *   ├─ inputs.json
  *   ├─ outputs.json
  *   ├─ results.json
+ *   ├─ redaction-report.json (secrets redacted from the logs: counts only, no values)
+ *   ├─ manifest.json         (written last: sha256, producing action and schema of every file,
+ *   │                         policy/ from enforce-image-tag-policy included; `brik-pipe verify`)
  *   └─ logs/
  *       ├─ kaniko.log (if provided)
  *       └─ buildx.log (if provided)
+ *
+ * Logs are redacted with export-build-evidence/redact.mjs before they are
+ * written; pass registry credentials as env (e.g. REGISTRY_PASSWORD) so their
+ * values are redacted too.
  */
 
 import fs from "node:fs";
 import path from "node:path";
+import { writeBundleManifest } from "../../../src/evidence/bundle-manifest.mjs";
+import { createRedactor } from "../export-build-evidence/redact.mjs";
 
 function env(name, fallback = "") {
   return process.env[name] ?? fallback;
@@ -29,11 +38,13 @@ function writeJson(p, obj) {
   ensureDir(path.dirname(p));
   fs.writeFileSync(p, JSON.stringify(obj, null, 2), "utf8");
 }
-function copyIfExists(src, dest) {
+const redactor = createRedactor();
+function copyRedactedIfExists(src, dest) {
   if (!src) return false;
   if (!fs.existsSync(src)) return false;
   ensureDir(path.dirname(dest));
-  fs.copyFileSync(src, dest);
+  const rel = path.relative(auditRoot, dest).split(path.sep).join("/");
+  fs.writeFileSync(dest, redactor.redact(fs.readFileSync(src, "utf8"), rel), "utf8");
   return true;
 }
 
@@ -126,12 +137,12 @@ const results = {
 
 // Persist evidence
 writeJson(path.join(auditRoot, "metadata.json"), metadata);
-writeJson(path.join(auditRoot, "inputs.json"), inputs);
-writeJson(path.join(auditRoot, "outputs.json"), outputs);
-writeJson(path.join(auditRoot, "results.json"), results);
+writeJson(path.join(auditRoot, "inputs.json"), { schema: "brikbyte.audit.container-build-inputs.v1", ...inputs });
+writeJson(path.join(auditRoot, "outputs.json"), { schema: "brikbyte.audit.container-build-outputs.v1", ...outputs });
+writeJson(path.join(auditRoot, "results.json"), { schema: "brikbyte.audit.container-build-results.v1", ...results });
 
 // Logs
-const kanikoCopied = copyIfExists(inputs.kaniko_log, path.join(logsDir, "kaniko.log"));
+const kanikoCopied = copyRedactedIfExists(inputs.kaniko_log, path.join(logsDir, "kaniko.log"));
 if (!kanikoCopied && inputs.kaniko_log) {
   fs.writeFileSync(
     path.join(logsDir, "kaniko.log.missing.txt"),
@@ -140,7 +151,7 @@ if (!kanikoCopied && inputs.kaniko_log) {
   );
 }
 
-const buildxCopied = copyIfExists(inputs.buildx_log, path.join(logsDir, "buildx.log"));
+const buildxCopied = copyRedactedIfExists(inputs.buildx_log, path.join(logsDir, "buildx.log"));
 if (!buildxCopied && inputs.buildx_log) {
   fs.writeFileSync(
     path.join(logsDir, "buildx.log.missing.txt"),
@@ -149,5 +160,13 @@ if (!buildxCopied && inputs.buildx_log) {
   );
 }
 
+writeJson(path.join(auditRoot, "redaction-report.json"), redactor.report());
+
+writeBundleManifest(auditRoot, {
+  bundle: ".audit/PIPE-CONTAINER-BUILD",
+  producer: "export-container-build-evidence",
+  producers: { policy: "enforce-image-tag-policy" },
+});
+
 // Provide output for workflow callers
 fs.appendFileSync(env("GITHUB_OUTPUT"), "audit_bundle_path=.audit/PIPE-CONTAINER-BUILD\n");
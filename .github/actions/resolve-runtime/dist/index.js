@@ -27590,12 +27590,11 @@ var __webpack_exports__ = {};
 
 // EXTERNAL MODULE: ./node_modules/@actions/core/lib/core.js
 var core = __nccwpck_require__(7484);
-;// CONCATENATED MODULE: external "node:fs"
-const external_node_fs_namespaceObject = require("node:fs");
-var external_node_fs_default = /*#__PURE__*/__nccwpck_require__.n(external_node_fs_namespaceObject);
 ;// CONCATENATED MODULE: external "node:path"
 const external_node_path_namespaceObject = require("node:path");
 var external_node_path_default = /*#__PURE__*/__nccwpck_require__.n(external_node_path_namespaceObject);
+;// CONCATENATED MODULE: external "node:fs"
+const external_node_fs_namespaceObject = require("node:fs");
 ;// CONCATENATED MODULE: ./node_modules/js-yaml/dist/js-yaml.mjs
 
 /*! js-yaml 4.1.1 https://github.com/nodeca/js-yaml @license MIT */
@@ -31454,11 +31453,608 @@ var jsYaml = {
 
 
 
+;// CONCATENATED MODULE: ./src/runtime-matrix/stack-plugins.mjs
+/**
+ * Stack plugins — stacks added as data under stacks/<name>/ instead of code.
+ *
+ * A plugin directory holds:
+ *   stack.yml      `pluginVersion: 1` plus `stack:`, a runtime-matrix.yml stacks[] entry
+ *                  (runtime, supportedVersions, defaultVersion, supportStatus,
+ *                  toolchain.buildTools + toolchain.tools with commands, artifacts,
+ *                  manifests and lockfiles) and an optional `detect:` block
+ *   Dockerfile     scaffold template for `brik-pipe init` (Dockerfile.<tool> for a tool-specific one)
+ *   .dockerignore  stack-specific ignores (merged with templates/dockerfiles/_common)
+ *
+ * loadRuntimeMatrix appends every plugin stack to `stacks`, tagged with
+ * `plugin: { name, dir }`, so the validator, resolve-runtime, detection and
+ * scaffolding see plugin stacks exactly like the built-in ones. A plugin cannot
+ * replace a stack the matrix already defines.
+ */
+
+
+
+
+
+/** Plugin root, relative to the brik-pipe-actions repo root. */
+const STACK_PLUGINS_DIR = "stacks";
+const STACK_PLUGIN_FILE = "stack.yml";
+const SUPPORTED_PLUGIN_VERSIONS = [1];
+
+const STACK_NAME_RE = /^[a-z][a-z0-9-]*$/;
+
+/**
+ * @typedef {object} StackPlugin
+ * @property {string} name  stack name (= directory name)
+ * @property {string} dir   plugin directory, relative to the repo root ("/"-separated)
+ * @property {any} stack    matrix stacks[] entry (with `detect`, if declared)
+ */
+
+/**
+ * @param {string} file
+ * @param {string} message
+ */
+function pluginError(file, message) {
+  return new Error(`stack plugin ${file}: ${message}`);
+}
+
+/**
+ * Shape checks that keep a broken plugin from surfacing later as a confusing
+ * validation issue in some unrelated repo.
+ * @param {string} name directory name
+ * @param {any} doc parsed stack.yml
+ * @param {string} file for messages
+ */
+function checkPlugin(name, doc, file) {
+  if (!SUPPORTED_PLUGIN_VERSIONS.includes(doc?.pluginVersion)) {
+    throw pluginError(file, `pluginVersion must be one of ${SUPPORTED_PLUGIN_VERSIONS.join(", ")}`);
+  }
+  const stack = doc.stack;
+  if (stack?.runtime?.name !== name) throw pluginError(file, `stack.runtime.name must be "${name}" (the directory name)`);
+  const tools = stack?.toolchain?.tools;
+  if (!tools || typeof tools !== "object" || Object.keys(tools).length === 0) {
+    throw pluginError(file, `stack.toolchain.tools must declare at least one tool`);
+  }
+  const defaultTool = stack?.toolchain?.buildTools?.default;
+  if (!(defaultTool in tools)) throw pluginError(file, `stack.toolchain.buildTools.default "${defaultTool}" has no toolchain.tools entry`);
+  for (const [kind, entry] of Object.entries(tools)) {
+    if (!entry?.commands?.build) throw pluginError(file, `toolchain.tools.${kind}.commands.build is required`);
+  }
+  if (!stack.defaultVersion) throw pluginError(file, `stack.defaultVersion is required`);
+}
+
+/**
+ * Every plugin under <repoRoot>/stacks, sorted by name. Throws on a malformed plugin.
+ * @param {string} repoRoot brik-pipe-actions repo root
+ * @returns {StackPlugin[]}
+ */
+function loadStackPlugins(repoRoot) {
+  const root = external_node_path_namespaceObject.join(repoRoot, STACK_PLUGINS_DIR);
+  if (!external_node_fs_namespaceObject.existsSync(root)) return [];
+
+  return external_node_fs_namespaceObject.readdirSync(root, { withFileTypes: true })
+    .filter((e) => e.isDirectory() && external_node_fs_namespaceObject.existsSync(external_node_path_namespaceObject.join(root, e.name, STACK_PLUGIN_FILE)))
+    .map((e) => e.name)
+    .sort()
+    .map((name) => {
+      const dir = `${STACK_PLUGINS_DIR}/${name}`;
+      const file = `${dir}/${STACK_PLUGIN_FILE}`;
+      if (!STACK_NAME_RE.test(name)) throw pluginError(file, `directory name must match ${STACK_NAME_RE}`);
+      const doc = jsYaml.load(external_node_fs_namespaceObject.readFileSync(external_node_path_namespaceObject.join(root, name, STACK_PLUGIN_FILE), "utf-8"));
+      checkPlugin(name, doc, file);
+      return { name, dir, stack: doc.detect ? { ...doc.stack, detect: doc.detect } : doc.stack };
+    });
+}
+
+/**
+ * Matrix document with plugin stacks appended (the input is not modified).
+ * @param {any} matrix parsed runtime-matrix.yml
+ * @param {StackPlugin[]} plugins
+ */
+function withStackPlugins(matrix, plugins) {
+  if (plugins.length === 0) return matrix;
+  const stacks = Array.isArray(matrix?.stacks) ? matrix.stacks : [];
+  for (const p of plugins) {
+    if (stacks.some((s) => s?.runtime?.name === p.name)) {
+      throw pluginError(`${p.dir}/${STACK_PLUGIN_FILE}`, `stack "${p.name}" is already defined in runtime-matrix.yml`);
+    }
+  }
+  return {
+    ...matrix,
+    stacks: [...stacks, ...plugins.map((p) => ({ ...p.stack, plugin: { name: p.name, dir: p.dir } }))],
+  };
+}
+
+;// CONCATENATED MODULE: ./src/runtime-matrix/load-runtime-matrix.mjs
+/**
+ * Load vendored runtime-matrix.yml
+ * Used by build config validation and workflow defaults.
+ *
+ * Stack plugins under stacks/<name>/ are appended to `stacks` (see stack-plugins.mjs).
+ *
+ * No network calls; deterministic input.
+ */
+
+
+
+
+
+
+/**
+ * Candidate locations, relative to the brik-pipe-actions repo root.
+ * docs/pipelines wins when present (canonical), internal/vendor is the vendored copy.
+ */
+const MATRIX_CANDIDATES = [
+  external_node_path_namespaceObject.join("docs", "pipelines", "runtime-matrix.yml"),
+  external_node_path_namespaceObject.join("internal", "vendor", "runtime-matrix.yml"),
+];
+
+/**
+ * @param {string} [repoRoot] brik-pipe-actions repo root (defaults to cwd)
+ * @returns {{ path: string, data: any }}
+ */
+function loadRuntimeMatrix(repoRoot = process.cwd()) {
+  const candidates = MATRIX_CANDIDATES.map((p) => external_node_path_namespaceObject.join(repoRoot, p));
+  const matrixPath = candidates.find((p) => external_node_fs_namespaceObject.existsSync(p));
+  if (!matrixPath) {
+    throw new Error(`runtime-matrix.yml not found. Tried:\n- ${candidates.join("\n- ")}`);
+  }
+  const data = jsYaml.load(external_node_fs_namespaceObject.readFileSync(matrixPath, "utf-8"));
+  return { path: matrixPath, data: withStackPlugins(data, loadStackPlugins(repoRoot)) };
+}
+
+/**
+ * Every stack name the matrix knows (built-in first, then plugins).
+ * @param {any} matrix parsed matrix document
+ * @returns {string[]}
+ */
+function matrixStackNames(matrix) {
+  return (matrix?.stacks ?? []).map((s) => String(s?.runtime?.name ?? "")).filter(Boolean);
+}
+
+/**
+ * Resolve matrix stack entry by runtime name (null when absent).
+ * @param {any} matrix parsed matrix document
+ * @param {string} runtimeName
+ */
+function findMatrixStack(matrix, runtimeName) {
+  return (matrix?.stacks ?? []).find((s) => s?.runtime?.name === runtimeName) ?? null;
+}
+
+;// CONCATENATED MODULE: ./src/runtime-matrix/version-match.mjs
+/**
+ * Runtime version constraints (shared by the build config validator, the
+ * exception registry, lifecycle lookups and resolve-runtime).
+ *
+ * Every version string is parsed into a half-open range [lo, hi) over
+ * major.minor.patch, and a requested version is allowed when its whole range
+ * fits inside one allowed matrix entry:
+ *
+ *   "20" / "20.x" / "20.*"   [20.0.0, 21.0.0)
+ *   "20.11.1"                 [20.11.1, 20.11.2)      exact patch
+ *   "^20.10"                  [20.10.0, 21.0.0)       caret (semver, ^0.y keeps the minor)
+ *   "~3.12.1"                 [3.12.1, 3.13.0)        tilde
+ *   "8.0.1xx"                 [8.0.100, 8.0.200)      .NET SDK feature band
+ *   "17.0.9+9"                [17.0.9, 17.0.10)       Java build metadata is ignored
+ *   "v20.11.1" / "go1.22.5"   prefixes are stripped
+ *
+ * So "2" never matches "20.x", and "20.11.1" or "^20.10" do.
+ * Pre-release tags ("-rc1", "-ea") are not accepted.
+ */
+
+/**
+ * @typedef {[number, number, number]} Triple
+ * @typedef {{ lo: Triple, hi: Triple | null }} VersionRange  hi === null means unbounded
+ */
+
+const PART_RE = /^(\d+|x|\*)$/;
+const FEATURE_BAND_RE = /^(\d+)\.(\d+)\.(\d)xx$/;
+
+/** @param {Triple} a @param {Triple} b */
+function cmp(a, b) {
+  for (let i = 0; i < 3; i++) if (a[i] !== b[i]) return a[i] - b[i];
+  return 0;
+}
+
+/** @param {number[]} nums */
+function pad(nums) {
+  return /** @type {Triple} */ ([nums[0] ?? 0, nums[1] ?? 0, nums[2] ?? 0]);
+}
+
+/** @param {number[]} nums @param {number} i */
+function bump(nums, i) {
+  const out = pad(nums.slice(0, i + 1));
+  out[i] += 1;
+  return out;
+}
+
+/**
+ * Split "^20.10" into operator + canonical body (prefixes stripped, wildcards as "x").
+ * @param {string} input
+ */
+function splitConstraint(input) {
+  let s = String(input ?? "").trim().toLowerCase();
+  let op = "";
+  if (s.startsWith("^") || s.startsWith("~")) {
+    op = s[0];
+    s = s.slice(1).trim();
+  }
+  s = s.replace(/^(v|go)(?=\d)/, "").replace(/\*/g, "x");
+  return { op, body: s };
+}
+
+/**
+ * @param {string} input
+ * @returns {VersionRange | null} null when the string is not a supported version/constraint
+ */
+function parseVersionConstraint(input) {
+  const { op, body } = splitConstraint(input);
+  const s = body.replace(/\+[0-9a-z.]+$/, "");
+  if (!s) return null;
+
+  const band = FEATURE_BAND_RE.exec(s);
+  if (band) {
+    if (op) return null;
+    const [major, minor, b] = band.slice(1).map(Number);
+    return { lo: [major, minor, b * 100], hi: [major, minor, (b + 1) * 100] };
+  }
+
+  const parts = s.split(".");
+  if (parts.length > 3 || !parts.every((p) => PART_RE.test(p))) return null;
+
+  const firstWildcard = parts.findIndex((p) => p === "x");
+  const numeric = firstWildcard === -1 ? parts : parts.slice(0, firstWildcard);
+  if (parts.slice(numeric.length).some((p) => p !== "x")) return null; // "20.x.1"
+  const nums = numeric.map(Number);
+
+  if (nums.length === 0) return op ? null : { lo: [0, 0, 0], hi: null };
+
+  const lo = pad(nums);
+  if (op === "^") {
+    const firstNonZero = nums.findIndex((n) => n !== 0);
+    return { lo, hi: bump(nums, firstNonZero === -1 ? nums.length - 1 : firstNonZero) };
+  }
+  if (op === "~") return { lo, hi: bump(nums, nums.length === 1 ? 0 : 1) };
+  return { lo, hi: bump(nums, nums.length - 1) };
+}
+
+/**
+ * @param {VersionRange} inner
+ * @param {VersionRange} outer
+ */
+function rangeWithin(inner, outer) {
+  if (cmp(inner.lo, outer.lo) < 0) return false;
+  if (outer.hi === null) return true;
+  return inner.hi !== null && cmp(inner.hi, outer.hi) <= 0;
+}
+
+/**
+ * True when every version the request can resolve to is inside one of the
+ * supported entries. Unparseable input is never compatible.
+ * @param {string} requested
+ * @param {string[]} supported matrix-style entries ("20.x", "3.12", "8.0.x")
+ */
+function versionCompatible(requested, supported) {
+  const req = parseVersionConstraint(requested);
+  if (!req) return false;
+  return supported.some((entry) => {
+    const allowed = parseVersionConstraint(entry);
+    return allowed !== null && rangeWithin(req, allowed);
+  });
+}
+
+/**
+ * Canonical version string for the stack's setup-* action (resolve-runtime `runtime_version`).
+ *
+ * - "v"/"go" prefixes dropped, "*" and "X" wildcards written as "x"
+ * - setup-node/python/java/go accept semver ranges, so "^"/"~" are kept
+ * - setup-dotnet has no range syntax: "^8.0.100" -> "8.x", "~8.0.100" -> "8.0.x"
+ *
+ * @param {string} stack runtime name (node|python|java|dotnet|go)
+ * @param {string} version
+ * @returns {string | null} null when the version is not a supported constraint
+ */
+function normalizeRuntimeVersion(stack, version) {
+  if (!parseVersionConstraint(version)) return null;
+
+  const { op, body } = splitConstraint(version);
+  if (stack === "dotnet" && op) {
+    const [major, minor] = body.split(".");
+    return op === "~" && minor !== undefined ? `${major}.${minor}.x` : `${major}.x`;
+  }
+  return `${op}${body}`;
+}
+
+;// CONCATENATED MODULE: ./src/runtime-matrix/lifecycle.mjs
+/**
+ * Runtime version lifecycle from runtime-matrix `stacks[].lifecycle`.
+ *
+ * Entry format:
+ *   lifecycle:
+ *     - version: "18.x"          # matrix-style version pattern
+ *       eol: "2025-04-30"        # vendor end-of-life
+ *       deprecated: "2025-01-31" # optional: start warning earlier (defaults to eol)
+ *       removal: "2026-03-31"    # optional: last day the version is accepted
+ *
+ * States for a requested version on a given day (dates inclusive):
+ *   supported   before the deprecation date (or no lifecycle entry)
+ *   deprecated  grace window: deprecated/eol reached, removal not passed -> warn
+ *   removed     after `removal` -> fail
+ *
+ * `removal` is set explicitly at the quarterly matrix review (per the stack's
+ * deprecationPolicy.removalRule); vendor EOL alone only ever warns.
+ */
+
+
+
+/**
+ * @typedef {"supported" | "deprecated" | "removed"} LifecycleState
+ *
+ * @typedef {object} VersionLifecycle
+ * @property {LifecycleState} state
+ * @property {string | null} matched   lifecycle entry pattern that matched (null when none did)
+ * @property {string | null} eol
+ * @property {string | null} deprecated
+ * @property {string | null} removal
+ */
+
+function dateOrNull(v) {
+  return typeof v === "string" && /^\d{4}-\d{2}-\d{2}$/.test(v) ? v : null;
+}
+
+/**
+ * @param {any} matrixStack runtime-matrix stack entry
+ * @param {string} version requested/resolved runtime version
+ * @param {string} today YYYY-MM-DD
+ * @returns {VersionLifecycle}
+ */
+function versionLifecycle(matrixStack, version, today) {
+  const entries = Array.isArray(matrixStack?.lifecycle) ? matrixStack.lifecycle : [];
+  const entry = entries.find((e) => e?.version && versionCompatible(version, [String(e.version)]));
+
+  if (!entry) return { state: "supported", matched: null, eol: null, deprecated: null, removal: null };
+
+  const eol = dateOrNull(entry.eol);
+  const deprecated = dateOrNull(entry.deprecated) ?? eol;
+  const removal = dateOrNull(entry.removal);
+
+  /** @type {LifecycleState} */
+  let state = "supported";
+  if (removal && today > removal) state = "removed";
+  else if (deprecated && today >= deprecated) state = "deprecated";
+
+  return { state, matched: String(entry.version), eol, deprecated, removal };
+}
+
+/**
+ * One-line human description, e.g. for warnings and step summaries.
+ * @param {string} stack
+ * @param {string} version
+ * @param {VersionLifecycle} lc
+ */
+function describeLifecycle(stack, version, lc) {
+  const parts = [];
+  if (lc.eol) parts.push(`vendor EOL ${lc.eol}`);
+  if (lc.removal) parts.push(`${lc.state === "removed" ? "removed after" : "removal after"} ${lc.removal}`);
+  const when = parts.length ? ` (${parts.join(", ")})` : "";
+  return `${stack} ${version} is ${lc.state}${when}`;
+}
+
+;// CONCATENATED MODULE: ./src/validators/exceptions.mjs
+/**
+ * Runtime-matrix exception registry (`stacks[].exceptions`).
+ *
+ * An exception lets one repo use a version or tool the matrix would otherwise
+ * block. It never widens the matrix for anyone else, and it stops applying the
+ * day after `expires`.
+ *
+ * Rule format (runtime-matrix.yml):
+ *   exceptions:
+ *     enabled: true
+ *     rules:
+ *       - id: "EXC-NODE-001"
+ *         scope:
+ *           repo: "BrikByte-Studios/legacy-api"   # required, owner/name
+ *           version: "16.x"                       # optional, matrix-style version pattern
+ *           tool: "bun"                           # optional, tool.kind
+ *         approvedBy: "@platform-lead"
+ *         issue: "https://github.com/BrikByte-Studios/platform/issues/42"
+ *         expires: "2026-06-30"                   # inclusive, YYYY-MM-DD
+ *         reason: "Migration to Node 20 tracked in the issue"   # optional
+ *
+ * Every scope field that is set must match the config. A rule only unblocks the
+ * dimension(s) it names: a `version`-only rule never allows a blocked tool.
+ * Malformed rules (missing approver/issue/expiry, bad date, no version/tool) grant nothing.
+ */
+
+
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @typedef {object} ExceptionRule
+ * @property {string} id
+ * @property {{ repo: string, version?: string, tool?: string }} scope
+ * @property {string} approvedBy
+ * @property {string} issue
+ * @property {string} expires
+ * @property {string} [reason]
+ *
+ * @typedef {object} AppliedException
+ * @property {string} id
+ * @property {string} stack
+ * @property {string | null} project  monorepo project name (null for single-project configs)
+ * @property {"version" | "tool"} allows
+ * @property {string} value            the otherwise-blocked version/tool
+ * @property {ExceptionRule["scope"]} scope
+ * @property {string} approvedBy
+ * @property {string} issue
+ * @property {string} expires
+ */
+
+function nonEmpty(v) {
+  return typeof v === "string" && v.trim().length > 0;
+}
+
+/**
+ * @param {any} rule
+ * @returns {rule is ExceptionRule}
+ */
+function isWellFormedRule(rule) {
+  const scope = rule?.scope;
+  return (
+    nonEmpty(rule?.id) &&
+    nonEmpty(scope?.repo) &&
+    (nonEmpty(scope?.version) || nonEmpty(scope?.tool)) &&
+    nonEmpty(rule?.approvedBy) &&
+    nonEmpty(rule?.issue) &&
+    typeof rule?.expires === "string" &&
+    DATE_RE.test(rule.expires) &&
+    !Number.isNaN(Date.parse(rule.expires))
+  );
+}
+
+/**
+ * @param {any} matrixStack runtime-matrix stack entry
+ * @returns {ExceptionRule[]} well-formed rules, or [] when the registry is disabled
+ */
+function exceptionRules(matrixStack) {
+  const reg = matrixStack?.exceptions;
+  if (reg?.enabled !== true || !Array.isArray(reg.rules)) return [];
+  return reg.rules.filter(isWellFormedRule);
+}
+
+/**
+ * Find the exception covering a blocked version or tool.
+ *
+ * Unexpired rules win; an expired match is still returned (expired: true) so the
+ * caller can point at it in the error instead of failing silently.
+ *
+ * @param {any} matrixStack
+ * @param {"version" | "tool"} blocked which dimension the matrix rejected
+ * @param {{ repo: string | null, version: string, tool: string, today: string }} ctx
+ * @returns {{ rule: ExceptionRule, expired: boolean } | null}
+ */
+function findException(matrixStack, blocked, { repo, version, tool, today }) {
+  if (!repo) return null;
+
+  const candidates = exceptionRules(matrixStack).filter((r) => {
+    if (!nonEmpty(r.scope[blocked])) return false;
+    if (r.scope.repo.toLowerCase() !== repo.toLowerCase()) return false;
+    if (nonEmpty(r.scope.version) && !versionCompatible(version, [r.scope.version])) return false;
+    if (nonEmpty(r.scope.tool) && r.scope.tool !== tool) return false;
+    return true;
+  });
+
+  const active = candidates.find((r) => r.expires >= today);
+  if (active) return { rule: active, expired: false };
+  return candidates.length ? { rule: candidates[0], expired: true } : null;
+}
+
+;// CONCATENATED MODULE: ./src/runtime-matrix/toolchain.mjs
+/**
+ * Tool kinds and their defaults, straight from runtime-matrix.yml.
+ *
+ * A stack's `toolchain.tools` map is the only list of tool.kind values build.yml
+ * may declare, and holds the install/lint/test/build commands and artifact paths
+ * injected when build.yml leaves them out, the test and coverage report files
+ * the build evidence parses, plus the manifests/lockfiles the TOOL_* file
+ * checks and plugin detection look for. `toolchain.buildTools.default` is the
+ * kind used when tool.kind is omitted.
+ */
+
+/**
+ * @typedef {{ install: string, lint: string, test: string, build: string, artifacts: string[], testReports: string[], coverageReports: string[] }} ToolDefaults
+ * @typedef {{ manifests: string[], lockfiles: string[] }} ToolFiles
+ */
+
+/**
+ * tool.kind values allowed for a matrix stack, in matrix order.
+ * @param {any} matrixStack
+ * @returns {string[]}
+ */
+function allowedToolKinds(matrixStack) {
+  const tools = matrixStack?.toolchain?.tools;
+  return tools && typeof tools === "object" ? Object.keys(tools) : [];
+}
+
+/**
+ * tool.kind used when build.yml does not declare one.
+ * @param {any} matrixStack
+ */
+function defaultToolKind(matrixStack) {
+  return String(matrixStack?.toolchain?.buildTools?.default || "");
+}
+
+/**
+ * Defaults for one tool kind; null when the matrix has no entry for it
+ * (e.g. a kind only allowed through an exception).
+ * @param {any} matrixStack
+ * @param {string} toolKind
+ * @returns {ToolDefaults | null}
+ */
+function toolDefaults(matrixStack, toolKind) {
+  const entry = matrixStack?.toolchain?.tools?.[toolKind];
+  if (!entry) return null;
+  const cmd = (key) => String(entry.commands?.[key] ?? "");
+  return {
+    install: cmd("install"),
+    lint: cmd("lint"),
+    test: cmd("test"),
+    build: cmd("build"),
+    artifacts: Array.isArray(entry.artifacts) ? entry.artifacts.map(String) : [],
+    testReports: Array.isArray(entry.testReports) ? entry.testReports.map(String) : [],
+    coverageReports: Array.isArray(entry.coverageReports) ? entry.coverageReports.map(String) : [],
+  };
+}
+
+/**
+ * Manifests and lockfiles per tool kind of a stack ("*.ext" entries match by extension).
+ * @param {any} matrixStack
+ * @returns {Record<string, ToolFiles>}
+ */
+function toolFiles(matrixStack) {
+  const list = (v) => (Array.isArray(v) ? v.map(String) : []);
+  return Object.fromEntries(
+    Object.entries(matrixStack?.toolchain?.tools ?? {}).map(([kind, entry]) => [
+      kind,
+      { manifests: list(entry?.manifests), lockfiles: list(entry?.lockfiles) },
+    ])
+  );
+}
+
+;// CONCATENATED MODULE: ./src/runtime-matrix/duration-budget.mjs
+/**
+ * Per-stack duration budgets, straight from runtime-matrix.yml.
+ *
+ * A stack's `durationBudgetSeconds` map says how long each built-in stage
+ * (install, lint, test, build) is expected to take. It is advisory: the build
+ * evidence flags a stage that ran longer as a warning, while build.yml
+ * `timeouts:` stays the hard limit.
+ */
+
+/** Stages a budget can name. */
+const BUDGET_STAGES = /** @type {const} */ (["install", "lint", "test", "build"]);
+
+/**
+ * Budget in seconds per built-in stage; stages without a positive integer are left out.
+ * @param {any} matrixStack
+ * @returns {Record<string, number>}
+ */
+function stageDurationBudget(matrixStack) {
+  const raw = matrixStack?.durationBudgetSeconds;
+  if (!raw || typeof raw !== "object") return {};
+  return Object.fromEntries(BUDGET_STAGES.filter((s) => Number.isInteger(raw[s]) && raw[s] > 0).map((s) => [s, raw[s]]));
+}
+
 ;// CONCATENATED MODULE: ./.github/actions/resolve-runtime/src/index.ts
 
 
 
 
+
+
+
+
 function resolveActionDir() {
     /**
      * Preferred (sometimes present):
@@ -31486,39 +32082,74 @@ function resolveActionRepoRoot() {
     return external_node_path_default().resolve(actionDir, "../../..");
 }
 function loadMatrix() {
-    const repoRoot = resolveActionRepoRoot();
-    // Try both canonical locations (pick ONE and standardize later).
-    const candidates = [
-        external_node_path_default().join(repoRoot, "docs", "pipelines", "runtime-matrix.yml"),
-        external_node_path_default().join(repoRoot, "internal", "vendor", "runtime-matrix.yml"),
-    ];
-    const matrixPath = candidates.find((p) => external_node_fs_default().existsSync(p));
-    if (!matrixPath) {
-        throw new Error(`runtime-matrix.yml not found.\nTried:\n- ${candidates.join("\n- ")}\n` +
-            `Fix: ensure the matrix is committed in brik-pipe-actions at one of those paths.`);
-    }
-    const raw = external_node_fs_default().readFileSync(matrixPath, "utf-8");
-    return jsYaml.load(raw);
+    // Same loader as validate-build-config: vendored matrix + stacks/<name> plugins.
+    return loadRuntimeMatrix(resolveActionRepoRoot()).data;
 }
 function findStack(matrix, runtimeName) {
-    const stacks = matrix?.stacks ?? [];
-    const stack = stacks.find((s) => s?.runtime?.name === runtimeName);
-    if (!stack)
-        throw new Error(`runtime "${runtimeName}" not found in matrix.stacks`);
+    const stack = findMatrixStack(matrix, runtimeName);
+    if (!stack) {
+        throw new Error(`runtime "${runtimeName}" not found in matrix.stacks (known: ${matrixStackNames(matrix).join(", ")})`);
+    }
     return stack;
 }
 function main() {
     const runtimeName = core.getInput("runtime_name", { required: true });
     const override = (core.getInput("runtime_version") || "").trim();
+    const toolOverride = (core.getInput("tool_kind") || "").trim();
     const matrix = loadMatrix();
     const stack = findStack(matrix, runtimeName);
-    const runtimeVersion = override.length > 0 ? override : String(stack.defaultVersion || "");
-    if (!runtimeVersion)
+    const requested = override.length > 0 ? override : String(stack.defaultVersion || "");
+    if (!requested)
         throw new Error(`[${runtimeName}] could not resolve runtime_version (missing defaultVersion?)`);
+    // Normalized for actions/setup-* ("v20.11.1" -> "20.11.1", "go1.22" -> "1.22", dotnet ranges -> wildcards).
+    const runtimeVersion = normalizeRuntimeVersion(runtimeName, requested);
+    if (!runtimeVersion) {
+        throw new Error(`[${runtimeName}] runtime_version "${requested}" is not a recognised version or range ` +
+            `(e.g. 20, 20.x, 20.11.1, ^20.10, ~3.12.1, 8.0.1xx, 17.0.9+9)`);
+    }
+    const today = new Date().toISOString().slice(0, 10);
+    const lifecycle = versionLifecycle(stack, runtimeVersion, today);
     core.setOutput("runtime_version", runtimeVersion);
     core.setOutput("support_status", String(stack.supportStatus || "supported"));
     core.setOutput("package_manager_default", String(stack?.toolchain?.packageManagers?.default || ""));
     core.setOutput("build_tool_default", String(stack?.toolchain?.buildTools?.default || ""));
+    core.setOutput("lifecycle_state", lifecycle.state);
+    core.setOutput("eol_date", lifecycle.eol ?? "");
+    core.setOutput("removal_date", lifecycle.removal ?? "");
+    // Per-tool defaults (runtime-matrix.yml toolchain.tools); empty when the kind has no entry.
+    const toolKind = toolOverride || defaultToolKind(stack);
+    const defaults = toolDefaults(stack, toolKind);
+    if (!defaults) {
+        core.warning(`[${runtimeName}] tool_kind "${toolKind}" has no defaults in runtime-matrix.yml ` +
+            `(known: ${allowedToolKinds(stack).join(", ")}); command outputs are empty.`);
+    }
+    core.setOutput("tool_kind", toolKind);
+    core.setOutput("install_command", defaults?.install ?? "");
+    core.setOutput("lint_command", defaults?.lint ?? "");
+    core.setOutput("test_command", defaults?.test ?? "");
+    core.setOutput("build_command", defaults?.build ?? "");
+    core.setOutput("artifact_paths", (defaults?.artifacts ?? []).join("\n"));
+    core.setOutput("test_report_paths", (defaults?.testReports ?? []).join("\n"));
+    core.setOutput("coverage_report_paths", (defaults?.coverageReports ?? []).join("\n"));
+    core.setOutput("duration_budget", JSON.stringify(stageDurationBudget(stack)));
+    const description = describeLifecycle(runtimeName, runtimeVersion, lifecycle);
+    if (lifecycle.state === "removed") {
+        // Same escape hatch as validate-build-config (version-scoped exceptions only; no tool known here).
+        const hit = findException(stack, "version", {
+            repo: process.env.GITHUB_REPOSITORY || null,
+            version: runtimeVersion,
+            tool: "",
+            today,
+        });
+        if (!hit || hit.expired) {
+            throw new Error(`[${runtimeName}] ${description}. Upgrade to a supported version (see runtime-matrix.yml lifecycle).`);
+        }
+        core.warning(`[${runtimeName}] ${description}; allowed by exception ${hit.rule.id} until ${hit.rule.expires}.`);
+    }
+    else if (lifecycle.state === "deprecated") {
+        const next = lifecycle.removal ? `Upgrade before ${lifecycle.removal}.` : "Plan the upgrade.";
+        core.warning(`[${runtimeName}] ${description}. ${next}`);
+    }
 }
 try {
     main();
@@ -1,9 +1,11 @@
 import * as core from "@actions/core";
-import fs from "node:fs";
 import path from "node:path";
-import yaml from "js-yaml";
-
-type RuntimeName = "node" | "python" | "java" | "dotnet" | "go";
+import { findMatrixStack, loadRuntimeMatrix, matrixStackNames } from "../../../../src/runtime-matrix/load-runtime-matrix.mjs";
+import { describeLifecycle, versionLifecycle } from "../../../../src/runtime-matrix/lifecycle.mjs";
+import { normalizeRuntimeVersion } from "../../../../src/runtime-matrix/version-match.mjs";
+import { findException } from "../../../../src/validators/exceptions.mjs";
+import { allowedToolKinds, defaultToolKind, toolDefaults } from "../../../../src/runtime-matrix/toolchain.mjs";
+import { stageDurationBudget } from "../../../../src/runtime-matrix/duration-budget.mjs";
 
 function resolveActionDir(): string {
   /**
@@ -34,47 +36,85 @@ function resolveActionRepoRoot(): string {
 }
 
 function loadMatrix(): any {
-  const repoRoot = resolveActionRepoRoot();
-
-  // Try both canonical locations (pick ONE and standardize later).
-  const candidates = [
-    path.join(repoRoot, "docs", "pipelines", "runtime-matrix.yml"),
-    path.join(repoRoot, "internal", "vendor", "runtime-matrix.yml"),
-  ];
-
-  const matrixPath = candidates.find((p) => fs.existsSync(p));
-  if (!matrixPath) {
-    throw new Error(
-      `runtime-matrix.yml not found.\nTried:\n- ${candidates.join("\n- ")}\n` +
-        `Fix: ensure the matrix is committed in brik-pipe-actions at one of those paths.`
-    );
-  }
-
-  const raw = fs.readFileSync(matrixPath, "utf-8");
-  return yaml.load(raw);
+  // Same loader as validate-build-config: vendored matrix + stacks/<name> plugins.
+  return loadRuntimeMatrix(resolveActionRepoRoot()).data;
 }
 
-function findStack(matrix: any, runtimeName: RuntimeName): any {
-  const stacks = matrix?.stacks ?? [];
-  const stack = stacks.find((s: any) => s?.runtime?.name === runtimeName);
-  if (!stack) throw new Error(`runtime "${runtimeName}" not found in matrix.stacks`);
+function findStack(matrix: any, runtimeName: string): any {
+  const stack = findMatrixStack(matrix, runtimeName);
+  if (!stack) {
+    throw new Error(`runtime "${runtimeName}" not found in matrix.stacks (known: ${matrixStackNames(matrix).join(", ")})`);
+  }
   return stack;
 }
 
 function main() {
-  const runtimeName = core.getInput("runtime_name", { required: true }) as RuntimeName;
+  const runtimeName = core.getInput("runtime_name", { required: true });
   const override = (core.getInput("runtime_version") || "").trim();
+  const toolOverride = (core.getInput("tool_kind") || "").trim();
 
   const matrix = loadMatrix();
   const stack = findStack(matrix, runtimeName);
 
-  const runtimeVersion = override.length > 0 ? override : String(stack.defaultVersion || "");
-  if (!runtimeVersion) throw new Error(`[${runtimeName}] could not resolve runtime_version (missing defaultVersion?)`);
+  const requested = override.length > 0 ? override : String(stack.defaultVersion || "");
+  if (!requested) throw new Error(`[${runtimeName}] could not resolve runtime_version (missing defaultVersion?)`);
+
+  // Normalized for actions/setup-* ("v20.11.1" -> "20.11.1", "go1.22" -> "1.22", dotnet ranges -> wildcards).
+  const runtimeVersion = normalizeRuntimeVersion(runtimeName, requested);
+  if (!runtimeVersion) {
+    throw new Error(
+      `[${runtimeName}] runtime_version "${requested}" is not a recognised version or range ` +
+        `(e.g. 20, 20.x, 20.11.1, ^20.10, ~3.12.1, 8.0.1xx, 17.0.9+9)`
+    );
+  }
+
+  const today = new Date().toISOString().slice(0, 10);
+  const lifecycle = versionLifecycle(stack, runtimeVersion, today);
 
   core.setOutput("runtime_version", runtimeVersion);
   core.setOutput("support_status", String(stack.supportStatus || "supported"));
   core.setOutput("package_manager_default", String(stack?.toolchain?.packageManagers?.default || ""));
   core.setOutput("build_tool_default", String(stack?.toolchain?.buildTools?.default || ""));
+  core.setOutput("lifecycle_state", lifecycle.state);
+  core.setOutput("eol_date", lifecycle.eol ?? "");
+  core.setOutput("removal_date", lifecycle.removal ?? "");
+
+  // Per-tool defaults (runtime-matrix.yml toolchain.tools); empty when the kind has no entry.
+  const toolKind = toolOverride || defaultToolKind(stack);
+  const defaults = toolDefaults(stack, toolKind);
+  if (!defaults) {
+    core.warning(
+      `[${runtimeName}] tool_kind "${toolKind}" has no defaults in runtime-matrix.yml ` +
+        `(known: ${allowedToolKinds(stack).join(", ")}); command outputs are empty.`
+    );
+  }
+  core.setOutput("tool_kind", toolKind);
+  core.setOutput("install_command", defaults?.install ?? "");
+  core.setOutput("lint_command", defaults?.lint ?? "");
+  core.setOutput("test_command", defaults?.test ?? "");
+  core.setOutput("build_command", defaults?.build ?? "");
+  core.setOutput("artifact_paths", (defaults?.artifacts ?? []).join("\n"));
+  core.setOutput("test_report_paths", (defaults?.testReports ?? []).join("\n"));
+  core.setOutput("coverage_report_paths", (defaults?.coverageReports ?? []).join("\n"));
+  core.setOutput("duration_budget", JSON.stringify(stageDurationBudget(stack)));
+
+  const description = describeLifecycle(runtimeName, runtimeVersion, lifecycle);
+  if (lifecycle.state === "removed") {
+    // Same escape hatch as validate-build-config (version-scoped exceptions only; no tool known here).
+    const hit = findException(stack, "version", {
+      repo: process.env.GITHUB_REPOSITORY || null,
+      version: runtimeVersion,
+      tool: "",
+      today,
+    });
+    if (!hit || hit.expired) {
+      throw new Error(`[${runtimeName}] ${description}. Upgrade to a supported version (see runtime-matrix.yml lifecycle).`);
+    }
+    core.warning(`[${runtimeName}] ${description}; allowed by exception ${hit.rule.id} until ${hit.rule.expires}.`);
+  } else if (lifecycle.state === "deprecated") {
+    const next = lifecycle.removal ? `Upgrade before ${lifecycle.removal}.` : "Plan the upgrade.";
+    core.warning(`[${runtimeName}] ${description}. ${next}`);
+  }
 }
 
 try {
@@ -0,0 +1,152 @@
+/**
+ * Run Stage Hooks (BrikByteOS Pipelines)
+ *
+ * Runs the custom `stages:` of one build.yml project that are bound to one slot
+ * (pre-install | post-test | pre-build | post-build), in declaration order, with
+ * `bash -lc` from the project working directory. A stage's own `env` is added
+ * on top of the job env (build.yml `env:` arrives through apply-build-env).
+ *
+ * A failing stage is retried up to `retries` times; `timeoutMinutes` covers
+ * all attempts together, like timeout-minutes on the built-in steps (both are
+ * resolved from build.yml timeouts:/retries: by the validator).
+ *
+ * For every stage that runs it writes, under INPUT_RESULTS_DIR:
+ *   <name>.log   combined stdout/stderr of all attempts
+ *   <name>.json  { name, slot, order, run, continueOnError, exitCode, attempts: [{ attempt, exitCode, durationMs, timedOut }] }
+ * which export-build-evidence copies into the evidence bundle.
+ *
+ * A failing stage stops the slot and fails this step, unless the stage sets
+ * continueOnError (then the failure is only recorded).
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import process from "node:process";
+import { spawn } from "node:child_process";
+
+const SLOTS = ["pre-install", "post-test", "pre-build", "post-build"];
+const STAGE_NAME_RE = /^[a-z0-9][a-z0-9._-]*$/;
+
+function setOutput(name, value) {
+  if (process.env.GITHUB_OUTPUT) fs.appendFileSync(process.env.GITHUB_OUTPUT, `${name}=${String(value)}\n`);
+}
+
+function parseStages(raw) {
+  const text = (raw || "").trim();
+  if (!text || text === "null") return [];
+  const stages = JSON.parse(text);
+  if (!Array.isArray(stages)) throw new Error("stages must be a JSON array");
+  return stages;
+}
+
+/**
+ * Run one command, streaming output to the job log and appending it to `log`.
+ * The whole process group is killed once `timeoutMs` passes (0 = no limit).
+ * @returns {Promise<{ exitCode: number, timedOut: boolean }>}
+ */
+function runCommand(cmd, cwd, log, env, timeoutMs) {
+  return new Promise((resolve) => {
+    const child = spawn("bash", ["-lc", cmd], { cwd, env: { ...process.env, ...env }, detached: true });
+    let timedOut = false;
+    const timer =
+      timeoutMs > 0
+        ? setTimeout(() => {
+            timedOut = true;
+            log.write(`\n⏱ stage timeout reached\n`);
+            try {
+              process.kill(-child.pid, "SIGKILL");
+            } catch {
+              child.kill("SIGKILL");
+            }
+          }, timeoutMs)
+        : null;
+    const forward = (chunk) => {
+      process.stdout.write(chunk);
+      log.write(chunk);
+    };
+    child.stdout.on("data", forward);
+    child.stderr.on("data", forward);
+    child.on("error", (err) => {
+      if (timer) clearTimeout(timer);
+      log.write(`${err.message}\n`);
+      resolve({ exitCode: 127, timedOut });
+    });
+    child.on("close", (code, signal) => {
+      if (timer) clearTimeout(timer);
+      resolve({ exitCode: code ?? (signal ? 128 : 1), timedOut });
+    });
+  });
+}
+
+async function main() {
+  const slot = (process.env.INPUT_SLOT || "").trim();
+  if (!SLOTS.includes(slot)) throw new Error(`unknown slot "${slot}" (expected ${SLOTS.join("|")})`);
+
+  const cwd = path.resolve(process.cwd(), process.env.INPUT_WORKING_DIRECTORY || ".");
+  const resultsDir = path.resolve(
+    process.cwd(),
+    process.env.INPUT_RESULTS_DIR || path.join(process.env.RUNNER_TEMP || ".", "brik-stages")
+  );
+  fs.mkdirSync(resultsDir, { recursive: true });
+
+  const stages = parseStages(process.env.INPUT_STAGES)
+    .map((s, order) => ({ ...s, order }))
+    .filter((s) => s?.slot === slot);
+
+  let failed = false;
+  for (const stage of stages) {
+    const name = String(stage.name || "");
+    // Names were validated against build.yml already; re-check since they become file names.
+    if (!STAGE_NAME_RE.test(name)) throw new Error(`invalid stage name "${name}"`);
+
+    console.log(`::group::stage ${name} (${slot})`);
+    const stageEnv = stage.env && typeof stage.env === "object" ? Object.fromEntries(Object.entries(stage.env).map(([k, v]) => [k, String(v)])) : {};
+    const retries = Number.isInteger(stage.retries) && stage.retries > 0 ? stage.retries : 0;
+    const timeoutMs = Number.isInteger(stage.timeoutMinutes) && stage.timeoutMinutes > 0 ? stage.timeoutMinutes * 60000 : 0;
+
+    const log = fs.createWriteStream(path.join(resultsDir, `${name}.log`));
+    const attempts = [];
+    const deadline = timeoutMs > 0 ? Date.now() + timeoutMs : 0;
+    let exitCode = 1;
+    for (let attempt = 1; attempt <= retries + 1; attempt++) {
+      if (attempt > 1) {
+        const note = `↻ ${name}: attempt ${attempt} of ${retries + 1}\n`;
+        process.stdout.write(note);
+        log.write(note);
+      }
+      const t0 = Date.now();
+      const res = await runCommand(String(stage.run || ""), cwd, log, stageEnv, deadline ? Math.max(1, deadline - t0) : 0);
+      exitCode = res.exitCode;
+      attempts.push({ attempt, exitCode, durationMs: Date.now() - t0, timedOut: res.timedOut });
+      if (exitCode === 0 || res.timedOut) break;
+    }
+    await new Promise((resolve) => log.end(resolve));
+    console.log("::endgroup::");
+
+    const continueOnError = stage.continueOnError === true;
+    fs.writeFileSync(
+      path.join(resultsDir, `${name}.json`),
+      JSON.stringify({ name, slot, order: stage.order, run: String(stage.run || ""), continueOnError, exitCode, attempts }, null, 2) + "\n"
+    );
+
+    if (exitCode !== 0) {
+      if (continueOnError) {
+        console.log(`::warning::stage "${name}" failed (exit ${exitCode}); continueOnError is set`);
+        continue;
+      }
+      console.log(`::error::stage "${name}" failed (exit ${exitCode})`);
+      failed = true;
+      break;
+    }
+  }
+
+  setOutput("stage_count", stages.length);
+  setOutput("results_dir", resultsDir);
+  if (failed) process.exitCode = 1;
+  else console.log(`✅ ${stages.length} ${slot} stage(s) done`);
+}
+
+main().catch((err) => {
+  console.log(`::error::run-stage-hooks: ${err.message}`);
+  process.exitCode = 1;
+});
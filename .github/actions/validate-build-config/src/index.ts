@@ -7,17 +7,47 @@
  *     2) Runtime matrix constraints (supported stack/tools/versions)
  *     3) Cross-field rules (tool allowed for stack, command/flag coherence, etc.)
  *
+ *   The rules live in the shared engine (src/validators/validate-build-config.mjs)
+ *   so CI, local tooling and regression scripts always agree. This file only maps
+ *   action inputs/outputs and writes evidence.
+ *
  * Guarantees
  *   - Fail-fast (<5s): local filesystem only, no network calls
  *   - Human-readable errors: exact path + expected vs actual + suggestion
+ *   - Every issue is also a workflow annotation (file/line/col in build.yml when known)
  *   - Evidence on pass AND fail (written before exiting)
  *
  * Evidence output (always):
  *   .audit/PIPE-BUILD/validation/
  *     build-config.raw.yml
+ *     build-config.inferred.yml                    (detection mode only)
  *     build-config.resolved.json
  *     validation-report.json
  *     validation-summary.md
+ *     projects/<name>/build-config.resolved.json   (monorepo mode only)
+ *     manifest.json                                (written last, see src/evidence/bundle-manifest.mjs)
+ *
+ *   validation/ is an evidence bundle of its own, so `brik-pipe verify` covers it
+ *   in monorepo runs too, where .audit/PIPE-BUILD itself has no manifest.json.
+ *
+ * Monorepo mode
+ *   When `projects:` is declared, every entry is validated and resolved on its
+ *   own (issue paths are prefixed with /projects/<i>). The `projects` output is
+ *   a JSON array the build-*.yml workflows fan out into a job matrix; with a
+ *   `stack` filter, a config that has nothing for that stack is a STACK_MISMATCH
+ *   error rather than an empty (silently passing) matrix.
+ *
+ * Policy packs
+ *   The pack for this run is picked from GITHUB_REF / GITHUB_EVENT_NAME
+ *   (runtime-matrix.yml `policy.packs`, src/validators/policy-packs.mjs). It can
+ *   force strict mode, ignore allow_unsafe_commands, block experimental stacks
+ *   and require flags (in build.yml and in the workflow's run_lint/run_tests
+ *   inputs); the pack used is recorded in validation-report.json.
+ *
+ * Detection mode (opt-in, `detect: true`)
+ *   When the config file is missing, stack/tool/runtime are inferred from
+ *   manifests and lockfiles (src/detect/detect-build-config.mjs). The inferred
+ *   starter config is validated like a real one and recorded with provenance.
  *
  * Implementation notes
  *   - This is bundled with ncc (dist/index.js) for zero-install CI usage.
@@ -29,67 +59,50 @@
 import * as core from "@actions/core";
 import fs from "fs";
 import path from "path";
-import yaml from "js-yaml";
-import Ajv from "ajv";
-import addFormats from "ajv-formats";
-
-type Stack = "node" | "python" | "java" | "dotnet" | "go";
-
-type ValidationIssue = {
-  level: "error" | "warning";
-  code: string;
-  path: string;
-  message: string;
-  suggestion?: string;
-};
-
-type ValidationReport = {
-  ok: boolean;
-  strict: boolean;
-  schemaVersion: number | null;
-  stack: Stack | null;
-  files: {
-    configPath: string;
-    schemaPath: string;
-    runtimeMatrixPath: string;
-    evidenceDir: string;
-  };
-  issues: ValidationIssue[];
-  timingsMs: {
-    total: number;
-    schema: number;
-    rules: number;
-    io: number;
-  };
-};
+import {
+  buildProjectMatrix,
+  checkStackFilter,
+  loadValidationInputs,
+  missingConfigResult,
+  validateBuildConfig,
+} from "../../../../src/validators/validate-build-config.mjs";
+import { makeValidationReport, writeValidationEvidence } from "../../../../src/validators/validation-evidence.mjs";
+import { writeBundleManifest } from "../../../../src/evidence/bundle-manifest.mjs";
+import { schemaFor } from "../../../../src/validators/schema-registry.mjs";
+import { selectPolicyPack } from "../../../../src/validators/policy-packs.mjs";
+import { readStageLimits } from "../../../../src/validators/stage-limits.mjs";
+import { configProjectDir, detectAndValidate } from "../../../../src/detect/detect-build-config.mjs";
 
 function nowMs() {
   return Date.now();
 }
 
-function ensureDir(p: string) {
-  fs.mkdirSync(p, { recursive: true });
+/** "true"/"false" input, or null when the caller left it empty. */
+function optionalBoolInput(name: string): boolean | null {
+  const value = core.getInput(name).trim().toLowerCase();
+  return value === "" ? null : value === "true";
 }
 
-function writeFile(p: string, content: string) {
-  ensureDir(path.dirname(p));
-  fs.writeFileSync(p, content, "utf8");
-}
+type Issue = ReturnType<typeof validateBuildConfig>["issues"][number];
 
-function readFile(p: string) {
-  return fs.readFileSync(p, "utf8");
-}
-
-function detectUnsafePattern(cmd: string): boolean {
-  const s = cmd.toLowerCase();
-  // v1: ban common failure-hiding patterns.
-  return (
-    s.includes("|| true") ||
-    s.includes("||:") ||
-    s.includes("; true") ||
-    s.includes("exit 0") ||
-    s.includes("set +e")
-  );
+/**
+ * One `::error`/`::warning` per issue so problems show inline on the PR diff.
+ * `file` is relative to the workspace (null when there is no file, e.g. detection mode).
+ */
+function annotateIssues(issues: Issue[], file: string | null) {
+  for (const issue of issues) {
+    const props: core.AnnotationProperties = { title: `${issue.code} (${issue.path})` };
+    if (file) {
+      props.file = file;
+      if (issue.line) {
+        props.startLine = issue.line;
+        props.startColumn = issue.column ?? 1;
+      }
+    }
+    const text = issue.suggestion ? `${issue.message}\nSuggestion: ${issue.suggestion}` : issue.message;
+    if (issue.level === "error") core.error(text, props);
+    else core.warning(text, props);
+  }
 }
 
 /**
@@ -103,450 +116,94 @@ function resolveActionRepoRoot(): string {
   return path.resolve(__dirname, "../../..", ".."); // careful: dist -> action -> actions -> .github -> root
 }
 
-/**
- * Loads runtime matrix from brik-pipe-actions repo.
- */
-function loadRuntimeMatrix(repoRoot: string): any {
-  const candidates = [
-    path.join(repoRoot, "docs", "pipelines", "runtime-matrix.yml"),
-    path.join(repoRoot, "internal", "vendor", "runtime-matrix.yml"),
-  ];
-
-  for (const p of candidates) {
-    if (fs.existsSync(p))return { path: p, data: yaml.load(readFile(p)) as any };
-  }
-
-  throw new Error(`runtime-matrix.yml not found. Tried:\n- ${candidates.join("\n- ")}`);
-}
-
-/**
- * Loads JSON schema from brik-pipe-actions repo.
- */
-function loadSchema(repoRoot: string): any {
-  const p = path.join(repoRoot, "schemas", "build.schema.json");
-  if (!fs.existsSync(p)) throw new Error(`build.schema.json not found at: ${p}`);
-  return { path: p, data: JSON.parse(readFile(p)) };
-}
-
-function stackToolAllowlist(): Record<Stack, Set<string>> {
-  return {
-    node: new Set(["npm", "pnpm", "yarn"]),
-    python: new Set(["pip", "poetry"]),
-    java: new Set(["maven", "gradle"]),
-    dotnet: new Set(["dotnet"]),
-    go: new Set(["go"]),
-  };
-}
-
-/**
- * v1 default commands (contract-aligned).
- * These are injected only when config omits them.
- */
-function defaultsByStack(stack: Stack, toolKind: string) {
-  switch (stack) {
-    case "node":
-      return {
-        install: toolKind === "pnpm" ? "pnpm install --frozen-lockfile" :
-                 toolKind === "yarn" ? "yarn install --frozen-lockfile" :
-                 "npm ci",
-        lint: "npm run lint",
-        test: "npm test",
-        build: "npm run build",
-        artifacts: ["dist/**"],
-      };
-    case "python":
-      return {
-        install: toolKind === "poetry" ? "poetry install --no-interaction --no-ansi" : "python -m pip install -r requirements.txt",
-        lint: "python -m ruff check .",
-        test: "python -m pytest -q",
-        build: "python -m compileall .",
-        artifacts: ["__pycache__/**"],
-      };
-    case "java":
-      return {
-        install: toolKind === "gradle" ? "./gradlew dependencies" : "mvn -q -DskipTests dependency:resolve",
-        lint: toolKind === "gradle" ? "./gradlew check" : "mvn -q -DskipTests verify",
-        test: toolKind === "gradle" ? "./gradlew test" : "mvn test",
-        build: toolKind === "gradle" ? "./gradlew build" : "mvn -DskipTests package",
-        artifacts: ["target/**", "build/**"],
-      };
-    case "dotnet":
-      return {
-        install: "dotnet restore",
-        lint: "",
-        test: "dotnet test",
-        build: "dotnet build -c Release",
-        artifacts: ["bin/**", "obj/**"],
-      };
-    case "go":
-      return {
-        install: "go mod download",
-        lint: "",
-        test: "go test ./...",
-        build: "go build ./...",
-        artifacts: ["bin/**"],
-      };
-  }
-}
-
-/**
- * Resolve matrix stack entry.
- */
-function findMatrixStack(matrix: any, stack: Stack): any {
-  const stacks = matrix?.stacks ?? [];
-  const entry = stacks.find((s: any) => s?.runtime?.name === stack);
-  if (!entry) throw new Error(`runtime "${stack}" not found in matrix.stacks`);
-  return entry;
-}
-
-/**
- * Version enforcement (v1 pragmatic):
- * - If matrix specifies supportedVersions, the config version MUST match one.
- * - Otherwise, accept the version (matrix still supplies defaults).
- */
-function isVersionAllowed(matrixStack: any, version: string): { ok: boolean; hint?: string } {
-  const allowed: string[] = matrixStack?.supportedVersions ?? matrixStack?.allowedVersions ?? [];
-  if (!Array.isArray(allowed) || allowed.length === 0) return { ok: true };
-
-  const ok = allowed.includes(version);
-  return {
-    ok,
-    hint: ok ? undefined : `Allowed versions: ${allowed.join(", ")}`,
-  };
-}
-
-/**
- * Build resolved config that workflows can rely on later.
- */
-function resolveConfig(raw: any, matrix: any): any {
-  const stack = raw.stack as Stack;
-  const matrixStack = findMatrixStack(matrix, stack);
-
-  const workingDirectory = raw.workingDirectory || ".";
-  const runtimeVersion = raw?.runtime?.version || String(matrixStack.defaultVersion || "");
-  const toolKind =
-    raw?.tool?.kind ||
-    String(matrixStack?.toolchain?.packageManagers?.default || matrixStack?.toolchain?.buildTools?.default || "");
-
-  const flags = {
-    runLint: Boolean(raw?.flags?.runLint ?? false),
-    runTests: Boolean(raw?.flags?.runTests ?? true),
-  };
-
-  const defaults = defaultsByStack(stack, toolKind);
-
-  const commands = {
-    install: (raw?.commands?.install || defaults.install || "").trim(),
-    lint: (raw?.commands?.lint || defaults.lint || "").trim(),
-    test: (raw?.commands?.test || defaults.test || "").trim(),
-    build: (raw?.commands?.build || defaults.build || "").trim(),
-  };
-
-  const artifacts = {
-    paths:
-      Array.isArray(raw?.artifacts?.paths) && raw.artifacts.paths.length > 0
-        ? raw.artifacts.paths
-        : defaults.artifacts,
-  };
-
-  return {
-    schemaVersion: raw.schemaVersion,
-    stack,
-    workingDirectory,
-    runtime: { version: runtimeVersion },
-    tool: { kind: toolKind },
-    flags,
-    commands,
-    artifacts,
-  };
-}
-
-function formatAjvErrors(errors: any[]): ValidationIssue[] {
-  return (errors || []).map((e) => {
-    const pathStr = e.instancePath || "(root)";
-    const expected = e.message || "invalid value";
-    const suggestion = e.keyword === "enum" ? "Choose one of the allowed values." : undefined;
-
-    return {
-      level: "error",
-      code: `SCHEMA_${String(e.keyword || "INVALID").toUpperCase()}`,
-      path: pathStr,
-      message: expected,
-      suggestion,
-    };
-  });
-}
-
-function makeSummaryMd(report: ValidationReport): string {
-  const lines: string[] = [];
-  lines.push(`# Build Config Validation`);
-  lines.push(`- Result: **${report.ok ? "PASS" : "FAIL"}**`);
-  lines.push(`- Strict: **${report.strict ? "true" : "false"}**`);
-  lines.push(`- Stack: **${report.stack ?? "unknown"}**`);
-  lines.push(`- SchemaVersion: **${report.schemaVersion ?? "unknown"}**`);
-  lines.push(``);
-  lines.push(`## Files`);
-  lines.push(`- Config: \`${report.files.configPath}\``);
-  lines.push(`- Schema: \`${report.files.schemaPath}\``);
-  lines.push(`- Runtime matrix: \`${report.files.runtimeMatrixPath}\``);
-  lines.push(`- Evidence dir: \`${report.files.evidenceDir}\``);
-  lines.push(``);
-  lines.push(`## Issues`);
-  if (report.issues.length === 0) {
-    lines.push(`- None ✅`);
-  } else {
-    for (const issue of report.issues) {
-      lines.push(`- **${issue.level.toUpperCase()}** \`${issue.code}\` at \`${issue.path}\`: ${issue.message}`);
-      if (issue.suggestion) lines.push(`  - Suggestion: ${issue.suggestion}`);
-    }
-  }
-  lines.push(``);
-  lines.push(`## Timing (ms)`);
-  lines.push(`- total: ${report.timingsMs.total}`);
-  lines.push(`- schema: ${report.timingsMs.schema}`);
-  lines.push(`- rules: ${report.timingsMs.rules}`);
-  lines.push(`- io: ${report.timingsMs.io}`);
-  lines.push(``);
-  return lines.join("\n");
-}
-
 async function main() {
   const t0 = nowMs();
 
   const configPath = core.getInput("config_path") || ".brik/build.yml";
   const strict = (core.getInput("strict") || "false").toLowerCase() === "true";
   const allowUnsafe = (core.getInput("allow_unsafe_commands") || "false").toLowerCase() === "true";
+  const stackFilter = (core.getInput("stack") || "").trim();
+  const detect = (core.getInput("detect") || "false").toLowerCase() === "true";
 
   const workspace = process.env.GITHUB_WORKSPACE || process.cwd();
   const absConfigPath = path.join(workspace, configPath);
 
   const evidenceDir = path.join(workspace, ".audit", "PIPE-BUILD", "validation");
-  ensureDir(evidenceDir);
 
   const ioStart = nowMs();
 
-  if (!fs.existsSync(absConfigPath)) {
-    // Write minimal evidence and fail.
-    const report: ValidationReport = {
-      ok: false,
-      strict,
-      schemaVersion: null,
-      stack: null,
-      files: {
-        configPath: absConfigPath,
-        schemaPath: "(unknown)",
-        runtimeMatrixPath: "(unknown)",
-        evidenceDir,
-      },
-      issues: [
-        {
-          level: "error",
-          code: "CONFIG_NOT_FOUND",
-          path: configPath,
-          message: `.brik/build.yml not found`,
-          suggestion: `Create ${configPath} using docs/pipelines/build-config.md templates.`,
-        },
-      ],
-      timingsMs: { total: nowMs() - t0, schema: 0, rules: 0, io: nowMs() - ioStart },
-    };
-
-    writeFile(path.join(evidenceDir, "validation-report.json"), JSON.stringify(report, null, 2));
-    writeFile(path.join(evidenceDir, "validation-summary.md"), makeSummaryMd(report));
-    core.setOutput("validation_ok", "false");
-    core.setOutput("validation_report_path", path.join(evidenceDir, "validation-report.json"));
-    throw new Error("Build config missing: .brik/build.yml");
-  }
-
-  const rawYaml = readFile(absConfigPath);
-  writeFile(path.join(evidenceDir, "build-config.raw.yml"), rawYaml);
-
-  const rawConfig = yaml.load(rawYaml) as any;
-
-  const repoRoot = resolveActionRepoRoot();
-  const runtimeMatrix = loadRuntimeMatrix(repoRoot);
-  const schema = loadSchema(repoRoot);
-
-  const ioMs = nowMs() - ioStart;
-
-  const schemaStart = nowMs();
-
-  // AJV schema validation
-  const ajv = new Ajv({ allErrors: true, strict: false, allowUnionTypes: true });
-  addFormats(ajv);
-
-  const validate = ajv.compile(schema.data);
-  const schemaOk = validate(rawConfig) as boolean;
-
-  const issues: ValidationIssue[] = [];
-  if (!schemaOk) issues.push(...formatAjvErrors(validate.errors || []));
-
-  const schemaMs = nowMs() - schemaStart;
-
-  const rulesStart = nowMs();
-
-  // If schema failed, we still attempt to produce a resolved config “best effort” for evidence.
-  const stack = rawConfig?.stack as Stack | undefined;
-
-  // Cross-field rules only if stack is known enough
-  if (stack && ["node", "python", "java", "dotnet", "go"].includes(stack)) {
-    const matrixStack = findMatrixStack(runtimeMatrix.data, stack);
-
-    // Tool allowlist by stack
-    const tool = String(rawConfig?.tool?.kind || matrixStack?.toolchain?.packageManagers?.default || "");
-    const allowedTools = stackToolAllowlist()[stack];
-
-    if (!tool || !allowedTools.has(tool)) {
-      issues.push({
-        level: "error",
-        code: "TOOL_NOT_ALLOWED",
-        path: "/tool/kind",
-        message: `Tool "${tool || "(missing)"}" is not allowed for stack "${stack}"`,
-        suggestion: `Choose one of: ${Array.from(allowedTools).join(", ")}`,
-      });
-    }
-
-    // Runtime version allowed by matrix (if matrix provides allowlist)
-    const runtimeVersion = String(rawConfig?.runtime?.version || matrixStack.defaultVersion || "");
-    if (!runtimeVersion) {
-      issues.push({
-        level: "error",
-        code: "RUNTIME_VERSION_MISSING",
-        path: "/runtime/version",
-        message: `Runtime version could not be resolved (missing in config and matrix defaultVersion)`,
-        suggestion: `Set runtime.version in .brik/build.yml OR fix docs/pipelines/runtime-matrix.yml defaultVersion.`,
-      });
-    } else {
-      const allowed = isVersionAllowed(matrixStack, runtimeVersion);
-      if (!allowed.ok) {
-        issues.push({
-          level: "error",
-          code: "RUNTIME_VERSION_NOT_ALLOWED",
-          path: "/runtime/version",
-          message: `Runtime version "${runtimeVersion}" is not allowed for stack "${stack}"`,
-          suggestion: allowed.hint,
-        });
-      }
-    }
-
-    // Flags + commands coherence
-    const runTests = Boolean(rawConfig?.flags?.runTests ?? true);
-    const runLint = Boolean(rawConfig?.flags?.runLint ?? false);
-
-    const cmdTest = String(rawConfig?.commands?.test || "").trim();
-    const cmdLint = String(rawConfig?.commands?.lint || "").trim();
-    const cmdBuild = String(rawConfig?.commands?.build || "").trim();
-
-    if (runTests === false && cmdTest) {
-      issues.push({
-        level: "warning",
-        code: "TEST_CMD_IGNORED",
-        path: "/commands/test",
-        message: `flags.runTests=false but commands.test is set (it will be ignored)`,
-        suggestion: `Remove commands.test or set flags.runTests=true.`,
-      });
-    }
-    if (runLint === false && cmdLint) {
-      issues.push({
-        level: "warning",
-        code: "LINT_CMD_IGNORED",
-        path: "/commands/lint",
-        message: `flags.runLint=false but commands.lint is set (it will be ignored)`,
-        suggestion: `Remove commands.lint or set flags.runLint=true.`,
-      });
-    }
-
-    // Build command must exist after resolution (v1: required)
-    // We enforce “build exists” at the resolved level to avoid false negatives.
-    // (Resolution occurs below and injects defaults.)
-    // Unsafe command patterns
-    const allCmds = [rawConfig?.commands?.install, rawConfig?.commands?.lint, rawConfig?.commands?.test, rawConfig?.commands?.build]
-      .filter(Boolean)
-      .map((x: any) => String(x));
-
-    if (!allowUnsafe) {
-      for (const cmd of allCmds) {
-        if (detectUnsafePattern(cmd)) {
-          issues.push({
-            level: "error",
-            code: "UNSAFE_COMMAND_PATTERN",
-            path: "/commands",
-            message: `Command contains a failure-hiding pattern (e.g. "|| true", "exit 0", "set +e")`,
-            suggestion: `Remove the pattern. BrikByte build contract forbids hiding failures in v1.`,
-          });
-          break;
-        }
-      }
-    }
-  }
-
-  const resolved = (() => {
-    try {
-      if (!stack) return { note: "could not resolve (stack missing)", raw: rawConfig };
-      return resolveConfig(rawConfig, runtimeMatrix.data);
-    } catch (e: any) {
-      return { note: "resolution failed", error: String(e?.message || e), raw: rawConfig };
-    }
-  })();
+  const { schemas, matrix, presetsDir } = loadValidationInputs(resolveActionRepoRoot());
+  const policy = selectPolicyPack(matrix.data, {
+    ref: process.env.GITHUB_REF || null,
+    event: process.env.GITHUB_EVENT_NAME || null,
+  });
+  const engine = {
+    schemas,
+    matrix,
+    presetsDir,
+    strict,
+    allowUnsafe,
+    repo: process.env.GITHUB_REPOSITORY || null,
+    projectDir: configProjectDir(absConfigPath),
+    configFile: absConfigPath,
+    policy,
+    workflowFlags: { runLint: optionalBoolInput("run_lint"), runTests: optionalBoolInput("run_tests") },
+  };
 
-  // Enforce "build command exists" after resolution (if stack present)
-  if (stack && (resolved as any)?.commands) {
-    const b = String((resolved as any).commands.build || "").trim();
-    if (!b) {
-      issues.push({
-        level: "error",
-        code: "BUILD_COMMAND_MISSING",
-        path: "/commands/build",
-        message: `Build command resolved to empty (build is mandatory in v1 contract)`,
-        suggestion: `Set commands.build OR ensure stack defaults provide build command.`,
-      });
-    }
+  let rawYaml: string | null = null;
+  let inferredYaml: string | null = null;
+  let origin: Parameters<typeof makeValidationReport>[3] = { configSource: "file" };
+  let result;
+
+  if (fs.existsSync(absConfigPath)) {
+    rawYaml = fs.readFileSync(absConfigPath, "utf8");
+    result = validateBuildConfig({ source: rawYaml, ...engine });
+  } else if (detect) {
+    const detected = detectAndValidate({ configPath, absConfigPath, stackHint: stackFilter, ...engine });
+    result = detected.result;
+    inferredYaml = detected.starterYaml;
+    origin = { configSource: inferredYaml ? "detected" : "missing", inferred: detected.inferred };
+  } else {
+    result = missingConfigResult(configPath, { strict, policy });
+    origin = { configSource: "missing" };
   }
 
-  const rulesMs = nowMs() - rulesStart;
+  checkStackFilter(result, stackFilter);
 
-  // Strict mode: warnings become errors
-  const finalIssues: ValidationIssue[] = strict
-    ? issues.map((i) =>
-        i.level === "warning"
-            ? { ...i, level: "error" as const, code: `STRICT_${i.code}` }
-            : i
-        )
-    : issues;
+  const ioMs = Math.max(0, nowMs() - ioStart - result.timingsMs.total);
 
+  const report = makeValidationReport(
+    result,
+    { configPath: absConfigPath, schemaPath: schemaFor(schemas, result.schemaVersion).path, runtimeMatrixPath: matrix.path, evidenceDir },
+    { ioMs, totalMs: nowMs() - t0 },
+    origin
+  );
 
-  const ok = finalIssues.every((i) => i.level !== "error");
+  // Evidence (always)
+  const written = writeValidationEvidence(evidenceDir, { report, result, rawYaml, inferredYaml });
+  writeBundleManifest(evidenceDir, { bundle: ".audit/PIPE-BUILD/validation", producer: "validate-build-config" });
 
-  const report: ValidationReport = {
-    ok,
-    strict,
-    schemaVersion: typeof rawConfig?.schemaVersion === "number" ? rawConfig.schemaVersion : null,
-    stack: (rawConfig?.stack as Stack) || null,
-    files: {
-      configPath: absConfigPath,
-      schemaPath: schema.path,
-      runtimeMatrixPath: runtimeMatrix.path,
-      evidenceDir,
-    },
-    issues: finalIssues,
-    timingsMs: {
-      total: nowMs() - t0,
-      schema: schemaMs,
-      rules: rulesMs,
-      io: ioMs,
-    },
-  };
+  annotateIssues(result.issues, rawYaml !== null ? path.relative(workspace, absConfigPath).split(path.sep).join("/") : null);
 
-  // Evidence (always)
-  writeFile(path.join(evidenceDir, "build-config.resolved.json"), JSON.stringify(resolved, null, 2));
-  writeFile(path.join(evidenceDir, "validation-report.json"), JSON.stringify(report, null, 2));
-  writeFile(path.join(evidenceDir, "validation-summary.md"), makeSummaryMd(report));
+  // A missing config or STACK_MISMATCH keeps a single matrix leg so the build workflow can still export the failure evidence.
+  const limits = readStageLimits(matrix.data);
+  let matrixEntries = buildProjectMatrix(result.config ?? { stack: stackFilter }, stackFilter, limits);
+  if (matrixEntries.length === 0) matrixEntries = buildProjectMatrix({ stack: stackFilter }, stackFilter, limits);
 
   // Outputs
-  core.setOutput("validation_ok", ok ? "true" : "false");
-  core.setOutput("resolved_config_path", path.join(evidenceDir, "build-config.resolved.json"));
-  core.setOutput("validation_report_path", path.join(evidenceDir, "validation-report.json"));
-
-  if (!ok) {
+  core.setOutput("validation_ok", result.ok ? "true" : "false");
+  core.setOutput("resolved_config_path", written.resolvedPath ?? "");
+  core.setOutput("validation_report_path", written.reportPath);
+  core.setOutput("projects", JSON.stringify(matrixEntries));
+  core.setOutput("project_count", String(matrixEntries.length));
+  core.setOutput("config_source", report.configSource);
+  core.setOutput("policy_pack", result.policy?.name ?? "");
+  core.setOutput("missing_artifacts", result.policy?.missingArtifacts ?? "warn");
+
+  if (report.configSource === "missing") {
+    throw new Error(`Build config missing: ${configPath}`);
+  }
+  if (!result.ok) {
     // Fail the step, but evidence is already written.
     throw new Error(`Invalid build config: see ${path.join(".audit", "PIPE-BUILD", "validation", "validation-summary.md")}`);
   }
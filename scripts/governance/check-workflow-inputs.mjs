@@ -44,13 +44,30 @@ const REQUIRED_INPUTS = new Set([
  * - Do NOT repeat required inputs here. It’s harmless, but noisy.
  */
 const ALLOWED_EXTRAS_BY_WORKFLOW = {
-  "build-java.yml": new Set(["build_tool"]),
-  "build-node.yml": new Set(["package_manager"]),
-  "build-python.yml": new Set(["package_manager"]),
-  "build-dotnet.yml": new Set([]),
-  "build-go.yml": new Set([]),
+  "build-java.yml": new Set(["build_tool", "detect_config"]),
+  "build-node.yml": new Set(["package_manager", "detect_config"]),
+  "build-python.yml": new Set(["package_manager", "detect_config"]),
+  "build-dotnet.yml": new Set(["detect_config"]),
+  "build-go.yml": new Set(["detect_config"]),
+  ...pluginWorkflowExtras(),
 };
 
+/**
+ * Stack plugins (stacks/<name>/stack.yml) get the same allowance as the
+ * built-in stacks without their own tool input: build-<name>.yml may add
+ * detect_config; every default comes from resolve-runtime.
+ */
+function pluginWorkflowExtras() {
+  const stacksDir = path.join(process.cwd(), "stacks");
+  if (!fs.existsSync(stacksDir)) return {};
+  return Object.fromEntries(
+    fs
+      .readdirSync(stacksDir, { withFileTypes: true })
+      .filter((e) => e.isDirectory() && fs.existsSync(path.join(stacksDir, e.name, "stack.yml")))
+      .map((e) => [`build-${e.name}.yml`, new Set(["detect_config"])])
+  );
+}
+
 /**
  * Reads file as UTF-8.
  */
@@ -1,12 +1,15 @@
 /**
  * BrikByteOS Governance Gate — Workflow Stage Order (v1)
  *
- * Enforces canonical stage sequence:
- *   Install → Lint? → Test? → Build → Evidence(always) → Verdict(always)
+ * Enforces canonical stage sequence, with the custom-stage hook slots:
+ *   pre-install → Install → Lint? → Test? → post-test → pre-build → Build → post-build
+ *     → Evidence(always) → Verdict(always)
  *
  * HARD LAW:
  *  - Evidence MUST exist and MUST run with if: always()
  *  - Verdict MUST exist and MUST run with if: always()
+ *  - Every hook slot MUST have its step (id: hooks-<slot>), so build.yml
+ *    `stages:` run in every stack's workflow
  *  - Stages may be skipped but MUST NOT be reordered
  */
 
@@ -15,9 +18,23 @@ import path from "node:path";
 
 const WORKFLOW_DIR = path.join(process.cwd(), ".github", "workflows");
 
-const EXPECTED_ORDER = ["install", "lint", "test", "buildstep", "evidence", "verdict"];
+const HOOK_SLOTS = ["pre-install", "post-test", "pre-build", "post-build"];
+
+const EXPECTED_ORDER = [
+  "hooks-pre-install",
+  "install",
+  "lint",
+  "test",
+  "hooks-post-test",
+  "hooks-pre-build",
+  "buildstep",
+  "hooks-post-build",
+  "evidence",
+  "verdict",
+];
 
 const STEP_ALIASES = {
+  ...Object.fromEntries(HOOK_SLOTS.map((slot) => [`hooks-${slot}`, new Set([`hooks-${slot}`])])),
   install: new Set(["install"]),
   lint: new Set(["lint"]),
   test: new Set(["test"]),
@@ -58,6 +75,12 @@ function extractStepBlocks(yamlText) {
 
     if (!inSteps) continue;
 
+    // Blank lines and comment lines never end a steps: block
+    if (t === "" || t.startsWith("#")) {
+      if (current) current.lines.push(line);
+      continue;
+    }
+
     // Leave steps: when indentation returns to <= stepsIndent (and not the steps: line itself)
     if (indentOf(line) <= stepsIndent && t !== "steps:") {
       // flush last block
@@ -144,6 +167,13 @@ for (const wf of fs
     wfFailed = true;
   }
 
+  for (const slot of HOOK_SLOTS) {
+    if (findIndex(ids, `hooks-${slot}`) === -1) {
+      console.error(`❌ ${wf}: missing ${slot} stage hook step (id: hooks-${slot})`);
+      wfFailed = true;
+    }
+  }
+
   // Stage order (relative order of stages that exist)
   let last = -1;
   for (const stage of EXPECTED_ORDER) {
@@ -8,7 +8,7 @@ import { spawnSync } from "node:child_process";
 
 const gates = [
   "scripts/governance/check-workflow-inputs.mjs",
-//   "scripts/governance/check-workflow-stage-order.mjs",
+  "scripts/governance/check-workflow-stage-order.mjs",
   "scripts/governance/check-workflow-outputs.mjs",
 ];
 
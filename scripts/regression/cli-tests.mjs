@@ -0,0 +1,301 @@
+/**
+ * brik-pipe CLI regression tests.
+ *
+ * Goals:
+ * - prove `brik-pipe validate` runs offline with a bare environment (no GITHUB_* vars)
+ * - pin exit codes (0 pass / 1 invalid / 2 usage) and the json + sarif output shapes
+ * - the policy pack follows --ref/--event and is recorded in the report
+ * - confirm the local evidence matches the CI layout
+ * - cover --detect (inferred config, ambiguity, --write-config, stack plugins)
+ * - `brik-pipe init` scaffolds a project that validates (also under the release pack), and refuses to overwrite
+ * - `brik-pipe migrate` upgrades a v1 build.yml in place (--check / --dry-run write nothing)
+ * - `brik-pipe verify` accepts a fresh export-build-evidence bundle (secrets redacted) and rejects a tampered one
+ * - every evidence JSON file is schema-checked, and a monorepo run's validation/ folder is a bundle of its own
+ */
+import fs from "node:fs";
+import path from "node:path";
+import { spawnSync } from "node:child_process";
+import { writeBundleManifest } from "../../src/evidence/bundle-manifest.mjs";
+
+const ROOT = process.cwd();
+const CLI = path.join(ROOT, "src", "cli", "brik-pipe.mjs");
+const TMP = path.join(ROOT, "scripts", "regression", ".tmp", "cli");
+
+function fail(msg) {
+  console.error(`❌ cli-tests: ${msg}`);
+  process.exit(1);
+}
+
+function setupRepo(name, buildYml, files = {}) {
+  const dir = path.join(TMP, name);
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(path.join(dir, ".brik"), { recursive: true });
+  fs.writeFileSync(path.join(dir, ".brik", "build.yml"), buildYml, "utf8");
+  for (const [f, content] of Object.entries(files)) fs.writeFileSync(path.join(dir, f), content, "utf8");
+  return dir;
+}
+
+function setupBareRepo(name, files) {
+  const dir = path.join(TMP, name);
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+  for (const [f, content] of Object.entries(files)) fs.writeFileSync(path.join(dir, f), content, "utf8");
+  return dir;
+}
+
+function cli(cwd, args) {
+  // Bare env on purpose: the CLI must not depend on GITHUB_* or INPUT_* variables.
+  const res = spawnSync(process.execPath, [CLI, ...args], { cwd, encoding: "utf8", env: { PATH: process.env.PATH } });
+  return { code: res.status, stdout: res.stdout, stderr: res.stderr };
+}
+
+function expectCode(name, res, code) {
+  if (res.code !== code) fail(`${name}: expected exit ${code}, got ${res.code}\n${res.stdout}${res.stderr}`);
+}
+
+const fixture = (f) => fs.readFileSync(path.join("scripts/regression/fixtures/valid", f), "utf8");
+const valid = setupRepo("valid", fixture("node.build.yml"), {
+  "package.json": fixture("package.json"),
+  "package-lock.json": fixture("package-lock.json"),
+});
+const invalid = setupRepo("invalid", `schemaVersion: 1\nstack: node\ntool:\n  kind: "bun"\n`);
+
+// 1) pass + evidence layout
+let res = cli(valid, ["validate"]);
+expectCode("valid", res, 0);
+for (const f of ["validation-report.json", "validation-summary.md", "build-config.resolved.json", "build-config.raw.yml"]) {
+  if (!fs.existsSync(path.join(valid, ".audit", "PIPE-BUILD", "validation", f))) fail(`valid: missing evidence ${f}`);
+}
+
+// 2) lockfile/tool consistency (cross-file rule)
+const pnpmOnNpm = setupRepo("pnpm-on-npm", `schemaVersion: 1\nstack: node\ntool:\n  kind: "pnpm"\n`, {
+  "package.json": "{}",
+  "package-lock.json": "{}",
+});
+res = cli(pnpmOnNpm, ["validate", "--format", "json", "--no-evidence"]);
+expectCode("pnpm on npm repo", res, 1);
+if (!JSON.parse(res.stdout).issues.some((i) => i.code === "TOOL_LOCKFILE_MISMATCH")) fail("pnpm on npm repo: expected TOOL_LOCKFILE_MISMATCH");
+
+// 3) fail + json report
+res = cli(invalid, ["validate", "--format", "json", "--no-evidence"]);
+expectCode("invalid json", res, 1);
+const report = JSON.parse(res.stdout);
+if (report.ok !== false || !report.issues.some((i) => i.code === "TOOL_NOT_ALLOWED")) {
+  fail("invalid json: expected TOOL_NOT_ALLOWED in report");
+}
+if (fs.existsSync(path.join(invalid, ".audit"))) fail("invalid json: --no-evidence still wrote evidence");
+
+// 3b) policy pack from --ref/--event (the CLI env is bare, so without them the catch-all pack applies)
+res = cli(valid, ["validate", "--format", "json", "--no-evidence", "--ref", "refs/tags/v1.0.0", "--event", "push"]);
+const released = JSON.parse(res.stdout);
+if (released.policy?.name !== "release" || released.strict !== true || released.policy.context.ref !== "refs/tags/v1.0.0") {
+  fail(`policy: expected the release pack (strict), got ${JSON.stringify(released.policy)}`);
+}
+if (JSON.parse(cli(valid, ["validate", "--format", "json", "--no-evidence"]).stdout).policy?.name !== "development") {
+  fail("policy: expected the catch-all pack without ref/event");
+}
+
+// 4) sarif
+res = cli(invalid, ["validate", "--format", "sarif", "--no-evidence"]);
+expectCode("invalid sarif", res, 1);
+const sarif = JSON.parse(res.stdout);
+const result = sarif.runs?.[0]?.results?.[0];
+if (sarif.version !== "2.1.0" || result?.ruleId !== "TOOL_NOT_ALLOWED") fail("sarif: unexpected document shape");
+if (result.locations[0].physicalLocation.artifactLocation.uri !== ".brik/build.yml") fail("sarif: unexpected artifact uri");
+if (result.locations[0].physicalLocation.region?.startLine !== 4) fail("sarif: expected region.startLine 4 (tool.kind)");
+
+// 5) usage errors
+expectCode("bad format", cli(valid, ["validate", "--format", "xml"]), 2);
+expectCode("unknown command", cli(valid, ["nope"]), 2);
+
+// 6) detection (no .brik/build.yml)
+const pnpmRepo = setupBareRepo("detect-pnpm", {
+  "package.json": JSON.stringify({ name: "demo", scripts: { test: "vitest" } }),
+  "pnpm-lock.yaml": "lockfileVersion: '9.0'\n",
+  ".nvmrc": "v20.11.1\n",
+});
+expectCode("missing config without --detect", cli(pnpmRepo, ["validate", "--no-evidence"]), 1);
+res = cli(pnpmRepo, ["validate", "--detect", "--format", "json", "--no-evidence"]);
+expectCode("detect pnpm", res, 0);
+const detected = JSON.parse(res.stdout);
+if (detected.configSource !== "detected") fail(`detect pnpm: expected configSource detected, got ${detected.configSource}`);
+const inferredTool = detected.inferred?.fields?.find((f) => f.field === "tool.kind");
+if (inferredTool?.value !== "pnpm") fail("detect pnpm: expected tool.kind=pnpm in inferred fields");
+
+const ambiguous = setupBareRepo("detect-ambiguous", { "package.json": "{}", "go.mod": "module demo\n\ngo 1.25\n" });
+res = cli(ambiguous, ["validate", "--detect", "--format", "json", "--no-evidence"]);
+expectCode("detect ambiguous", res, 1);
+if (!JSON.parse(res.stdout).issues.some((i) => i.code === "DETECT_AMBIGUOUS")) fail("detect ambiguous: expected DETECT_AMBIGUOUS");
+expectCode("detect ambiguous + --stack", cli(ambiguous, ["validate", "--detect", "--stack", "go", "--no-evidence"]), 0);
+
+// Stack plugin detection (stacks/rust/stack.yml `detect:`)
+const rustRepo = setupBareRepo("detect-rust", {
+  "Cargo.toml": '[package]\nname = "demo"\nrust-version = "1.80"\n',
+  "Cargo.lock": "version = 3\n",
+  "rust-toolchain.toml": '[toolchain]\nchannel = "1.82.0"\n',
+});
+res = cli(rustRepo, ["validate", "--detect", "--format", "json", "--no-evidence"]);
+expectCode("detect rust", res, 0);
+const rustFields = Object.fromEntries(JSON.parse(res.stdout).inferred.fields.map((f) => [f.field, `${f.value} <- ${f.source}`]));
+if (rustFields.stack !== "rust <- Cargo.toml" || rustFields["tool.kind"] !== "cargo <- Cargo.lock" || rustFields["runtime.version"] !== "1.82.0 <- rust-toolchain.toml#toolchain.channel") {
+  fail(`detect rust: unexpected inferred fields ${JSON.stringify(rustFields)}`);
+}
+
+res = cli(pnpmRepo, ["validate", "--detect", "--write-config", "--no-evidence"]);
+expectCode("detect --write-config", res, 0);
+if (!fs.existsSync(path.join(pnpmRepo, ".brik", "build.yml"))) fail("detect --write-config: .brik/build.yml not written");
+expectCode("written starter validates", cli(pnpmRepo, ["validate", "--no-evidence"]), 0);
+
+// 7) init (each repo has the stack's manifest, so the scaffold also passes the lockfile/manifest rules)
+const initManifests = {
+  node: { "package.json": "{}", "package-lock.json": "{}" },
+  python: { "requirements.txt": "" },
+  java: { "pom.xml": "<project />" },
+  dotnet: { "App.csproj": "<Project />" },
+  go: { "go.mod": "module demo\n" },
+  rust: { "Cargo.toml": '[package]\nname = "demo"\n', "Cargo.lock": "version = 3\n" },
+};
+for (const [stack, manifests] of Object.entries(initManifests)) {
+  const dir = setupBareRepo(`init-${stack}`, manifests);
+  expectCode(`init ${stack}`, cli(dir, ["init", "--stack", stack]), 0);
+  for (const f of [".brik/build.yml", "Dockerfile", ".dockerignore", ".github/workflows/build.yml"]) {
+    if (!fs.existsSync(path.join(dir, f))) fail(`init ${stack}: missing ${f}`);
+  }
+  if (fs.readFileSync(path.join(dir, "Dockerfile"), "utf8").includes("{{")) fail(`init ${stack}: Dockerfile placeholders left unfilled`);
+  const workflow = fs.readFileSync(path.join(dir, ".github", "workflows", "build.yml"), "utf8");
+  if (!workflow.includes(`/.github/workflows/build-${stack}.yml@v1`)) fail(`init ${stack}: caller workflow does not use build-${stack}.yml`);
+  expectCode(`init ${stack} validates`, cli(dir, ["validate", "--no-evidence"]), 0);
+  // Release builds run the strict release pack; rust is an experimental plugin, which that pack blocks.
+  if (stack !== "rust") expectCode(`init ${stack} validates for a release`, cli(dir, ["validate", "--no-evidence", "--ref", "refs/tags/v1.0.0", "--event", "push"]), 0);
+}
+// A detected version past its EOL (.nvmrc 18) is replaced by the matrix default.
+const eolRepo = setupBareRepo("init-eol", { ...initManifests.node, ".nvmrc": "18\n" });
+res = cli(eolRepo, ["init"]);
+expectCode("init with an EOL .nvmrc", res, 0);
+if (!res.stderr.includes('runtime.version "18"')) fail(`init: expected a warning about the EOL .nvmrc version, got ${res.stderr}`);
+expectCode("init EOL fallback validates for a release", cli(eolRepo, ["validate", "--no-evidence", "--ref", "refs/tags/v1.0.0", "--event", "push"]), 0);
+const initDir = path.join(TMP, "init-node");
+const ignore = fs.readFileSync(path.join(initDir, ".dockerignore"), "utf8").split("\n").filter((l) => l && !l.startsWith("#"));
+if (new Set(ignore).size !== ignore.length || !ignore.includes("coverage*")) fail("init: .dockerignore not merged/de-duplicated");
+
+fs.writeFileSync(path.join(initDir, "Dockerfile"), "FROM scratch\n", "utf8");
+expectCode("init refuses overwrite", cli(initDir, ["init", "--stack", "node"]), 1);
+if (fs.readFileSync(path.join(initDir, "Dockerfile"), "utf8") !== "FROM scratch\n") fail("init: existing Dockerfile overwritten");
+expectCode("init --force", cli(initDir, ["init", "--stack", "node", "--force"]), 0);
+
+expectCode("init detects stack", cli(pnpmRepo, ["init", "--dry-run"]), 0);
+expectCode("init ambiguous", cli(ambiguous, ["init"]), 2);
+expectCode("init unknown stack", cli(initDir, ["init", "--stack", "cobol"]), 2);
+if (!fs.readFileSync(path.join(TMP, "init-rust", "Dockerfile"), "utf8").includes("Rust Dockerfile")) fail("init rust: Dockerfile not taken from stacks/rust");
+// The Dockerfile follows the scaffolded runtime and tool: image tag, install/build commands, Dockerfile.<tool> variants.
+for (const [name, manifests, args, expected] of [
+  ["pnpm", { "package.json": "{}", "pnpm-lock.yaml": "" }, ["--stack", "node", "--tool", "pnpm", "--runtime-version", "22.x"], ["FROM node:22-bookworm-slim AS builder", "RUN pnpm install --frozen-lockfile", "RUN pnpm run build"]],
+  ["default", initManifests.python, ["--stack", "python"], ["FROM python:3.12-slim AS builder", "-r requirements.txt"]],
+  ["gradle", { "build.gradle": "" }, ["--stack", "java", "--tool", "gradle", "--runtime-version", "17"], ["Java Dockerfile Scaffold (Gradle)", "FROM eclipse-temurin:17-jre-jammy", "RUN ./gradlew --no-daemon dependencies"]],
+  ["poetry", { "pyproject.toml": "", "poetry.lock": "" }, ["--stack", "python", "--tool", "poetry"], ["Python Dockerfile Scaffold (Poetry)", "RUN poetry install --no-interaction --no-ansi"]],
+  ["dotnet", initManifests.dotnet, ["--stack", "dotnet"], ["FROM mcr.microsoft.com/dotnet/sdk:8.0 AS builder", "RUN dotnet restore"]],
+]) {
+  const dir = setupBareRepo(`init-docker-${name}`, manifests);
+  expectCode(`init Dockerfile ${name}`, cli(dir, ["init", ...args]), 0);
+  const dockerfile = fs.readFileSync(path.join(dir, "Dockerfile"), "utf8");
+  for (const line of expected) if (!dockerfile.includes(line)) fail(`init Dockerfile ${name}: expected "${line}"\n${dockerfile}`);
+  if (/npm ci|node:20|\{\{/.test(dockerfile)) fail(`init Dockerfile ${name}: stale template content\n${dockerfile}`);
+}
+
+// 8) migrate: the fixture is v1; --check and --dry-run leave it alone, a plain run rewrites it
+const v1 = fixture("node.build.yml");
+const migrateRepo = setupRepo("migrate", v1, { "package.json": fixture("package.json"), "package-lock.json": fixture("package-lock.json") });
+const migratedYml = () => fs.readFileSync(path.join(migrateRepo, ".brik", "build.yml"), "utf8");
+res = cli(migrateRepo, ["migrate", "--check"]);
+expectCode("migrate --check", res, 1);
+if (!res.stdout.includes("--- a/.brik/build.yml") || !res.stdout.includes("+schemaVersion: 2")) fail(`migrate --check: no diff printed\n${res.stdout}`);
+expectCode("migrate --dry-run", cli(migrateRepo, ["migrate", "--dry-run"]), 0);
+if (migratedYml() !== v1) fail("migrate --dry-run: file was modified");
+expectCode("migrate", cli(migrateRepo, ["migrate"]), 0);
+if (!/^schemaVersion: 2/m.test(migratedYml())) fail("migrate: file not rewritten to schemaVersion 2");
+expectCode("migrate validates", cli(migrateRepo, ["validate", "--no-evidence"]), 0);
+expectCode("migrate --check after migrate", cli(migrateRepo, ["migrate", "--check"]), 0);
+expectCode("migrate missing config", cli(migrateRepo, ["migrate", "--config", "nope.yml"]), 2);
+
+// 9) verify: a bundle straight from export-build-evidence passes; any edit after the manifest fails
+const verifyRepo = setupBareRepo("verify", {
+  "test.log": "ok by Jane Doe\n",
+  "junit.xml": '<testsuite name="api"><testcase name="login"><failure message="rejected s3cr3t-pass"/></testcase></testsuite>\n',
+});
+fs.writeFileSync(path.join(verifyRepo, "github-output"), "");
+const exported = spawnSync(process.execPath, [path.join(ROOT, ".github", "actions", "export-build-evidence", "index.mjs")], {
+  cwd: verifyRepo,
+  encoding: "utf8",
+  env: {
+    PATH: process.env.PATH,
+    GITHUB_OUTPUT: "github-output",
+    INPUT_STACK: "node",
+    INPUT_TEST_RAN: "true",
+    INPUT_TEST_EXIT_CODE: "1",
+    INPUT_TEST_LOG: "test.log",
+    INPUT_TEST_REPORTS: "junit.xml",
+    INPUT_BUILD_ENV: JSON.stringify({ env: { NODE_ENV: "test" }, stages: { test: { NODE_ENV: "test" } } }),
+    DEPLOY_PASSWORD: "s3cr3t-pass",
+    GIT_AUTHOR_NAME: "Jane Doe",
+  },
+});
+if (exported.status !== 0) fail(`verify: export-build-evidence failed\n${exported.stdout}${exported.stderr}`);
+// Redaction covers test failure messages; GIT_AUTHOR_NAME is not a secret name (AUTH only as a whole segment).
+const readBundle = (f) => fs.readFileSync(path.join(verifyRepo, ".audit", "PIPE-BUILD", f), "utf8");
+if (readBundle("test-summary.json").includes("s3cr3t-pass")) fail("verify: test-summary.json failure message not redacted");
+if (JSON.parse(readBundle("redaction-report.json")).files["test-summary.json"]?.["env:DEPLOY_PASSWORD"] !== 1) fail("verify: redaction-report.json does not count test-summary.json");
+if (!readBundle("logs/test.log").includes("Jane Doe")) fail("verify: GIT_AUTHOR_NAME value was redacted");
+// Every JSON file in a bundle (plus manifest.json itself) is checked against its evidence schema.
+const jsonCount = (bundleDir) => JSON.parse(fs.readFileSync(path.join(bundleDir, "manifest.json"), "utf8")).files.filter((f) => f.path.endsWith(".json")).length;
+const expectAllSchemaChecked = (name, repo, bundle) => {
+  if (bundle.schemaChecked !== jsonCount(path.join(repo, bundle.bundle)) + 1) fail(`${name}: ${bundle.schemaChecked} schema-checked file(s) for ${jsonCount(path.join(repo, bundle.bundle))} JSON file(s)`);
+};
+res = cli(verifyRepo, ["verify", "--format", "json"]);
+expectCode("verify fresh bundle", res, 0);
+expectAllSchemaChecked("verify fresh bundle", verifyRepo, JSON.parse(res.stdout).bundles[0]);
+fs.appendFileSync(path.join(verifyRepo, ".audit", "PIPE-BUILD", "logs", "test.log"), "edited\n");
+res = cli(verifyRepo, ["verify", "--format", "json"]);
+expectCode("verify tampered bundle", res, 1);
+if (!JSON.parse(res.stdout).bundles[0].issues.some((i) => i.code === "FILE_HASH_MISMATCH" && i.path === "logs/test.log")) fail("verify: expected FILE_HASH_MISMATCH for logs/test.log");
+expectCode("verify no bundle", cli(valid, ["verify", "--audit-dir", "nope"]), 1);
+// A JSON file that declares no schema is a problem even when the manifest lists it.
+const verifyBundle = path.join(verifyRepo, ".audit", "PIPE-BUILD");
+fs.writeFileSync(path.join(verifyBundle, "notes.json"), "{}\n");
+writeBundleManifest(verifyBundle, { bundle: ".audit/PIPE-BUILD", producer: "cli-tests" });
+res = cli(verifyRepo, ["verify", "--format", "json"]);
+expectCode("verify undeclared schema", res, 1);
+const undeclared = JSON.parse(res.stdout).bundles[0].issues;
+if (undeclared.length !== 1 || undeclared[0].code !== "SCHEMA_UNKNOWN" || undeclared[0].path !== "notes.json") fail(`verify: expected SCHEMA_UNKNOWN for notes.json only, got ${JSON.stringify(undeclared)}`);
+
+// Monorepo leg: validate-build-config (bundled action) writes validation/manifest.json, the exporter projects/<name>/.
+const monoRepo = setupRepo("verify-mono", `schemaVersion: 2
+projects:
+  - name: api
+    stack: node
+    workingDirectory: api
+    tool: { kind: npm }
+    commands: { install: "echo install", build: "echo build" }
+`);
+fs.mkdirSync(path.join(monoRepo, "api"));
+for (const f of ["package.json", "package-lock.json"]) fs.writeFileSync(path.join(monoRepo, "api", f), fixture(f));
+fs.writeFileSync(path.join(monoRepo, "github-output"), "");
+const runAction = (entry, env) =>
+  spawnSync(process.execPath, [entry], { cwd: monoRepo, encoding: "utf8", env: { PATH: process.env.PATH, GITHUB_OUTPUT: "github-output", ...env } });
+const validated = runAction(path.join(ROOT, ".github", "actions", "validate-build-config", "dist", "index.js"), { GITHUB_WORKSPACE: monoRepo, INPUT_STACK: "node" });
+if (validated.status !== 0) fail(`verify: validate-build-config failed on the monorepo\n${validated.stdout}${validated.stderr}`);
+const monoExported = runAction(path.join(ROOT, ".github", "actions", "export-build-evidence", "index.mjs"), {
+  INPUT_STACK: "node",
+  INPUT_PROJECT: "api",
+  INPUT_WORKING_DIRECTORY: "api",
+  INPUT_BUILD_RAN: "true",
+  INPUT_BUILD_EXIT_CODE: "0",
+});
+if (monoExported.status !== 0) fail(`verify: export-build-evidence failed on the monorepo\n${monoExported.stdout}${monoExported.stderr}`);
+res = cli(monoRepo, ["verify", "--format", "json"]);
+expectCode("verify monorepo bundles", res, 0);
+const monoBundles = Object.fromEntries(JSON.parse(res.stdout).bundles.map((b) => [b.bundle, b]));
+if (Object.keys(monoBundles).join(",") !== ".audit/PIPE-BUILD/projects/api,.audit/PIPE-BUILD/validation") fail(`verify: monorepo bundles ${Object.keys(monoBundles).join(", ")}`);
+for (const bundle of Object.values(monoBundles)) expectAllSchemaChecked("verify monorepo bundles", monoRepo, bundle);
+
+fs.rmSync(TMP, { recursive: true, force: true });
+console.log("✅ cli-tests: OK");
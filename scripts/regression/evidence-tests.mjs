@@ -0,0 +1,266 @@
+/**
+ * export-build-evidence regression tests (report parsers and the exporter).
+ *
+ * Goals:
+ * - exercise the modules under .github/actions/export-build-evidence directly,
+ *   against small fixture trees written to a temp dir
+ * - pin the coverage parsers (lcov, Cobertura, JaCoCo, Go coverprofile), the
+ *   path each one records and the threshold shortfalls
+ * - pin the artifact manifest: glob expansion, per-file entries, the digest
+ * - pin the test report readers (JUnit, TRX): statuses, durations, suites
+ * - run the exporter itself for what only it decides (coverage enforcement,
+ *   missing artifacts)
+ * - keep tests deterministic and fast (no network)
+ */
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { spawnSync } from "node:child_process";
+import { buildArtifactManifest, expandArtifactGlob } from "../../.github/actions/export-build-evidence/artifact-manifest.mjs";
+import { summarizeCoverage } from "../../.github/actions/export-build-evidence/coverage.mjs";
+import { summarizeTestReports } from "../../.github/actions/export-build-evidence/test-reports.mjs";
+
+const ROOT = process.cwd();
+const EXPORTER = path.join(ROOT, ".github", "actions", "export-build-evidence", "index.mjs");
+const TMP = path.join(ROOT, "scripts", "regression", ".tmp", "evidence");
+
+function fail(msg) {
+  console.error(`❌ evidence-tests: ${msg}`);
+  process.exit(1);
+}
+
+/** A fresh directory under TMP with `files` ("/" paths -> contents) written into it. */
+function setupTree(name, files) {
+  const dir = path.join(TMP, name);
+  fs.rmSync(dir, { recursive: true, force: true });
+  for (const [rel, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, rel)), { recursive: true });
+    fs.writeFileSync(path.join(dir, rel), content);
+  }
+  return dir;
+}
+
+const same = (name, actual, expected) => {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) fail(`${name}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+};
+
+// 1) Coverage: one fixture tree with a report of every format.
+const covTree = setupTree("coverage", {
+  "go.mod": "module example.com/m\n\ngo 1.25\n",
+  "src/core/a.js": "",
+  "src/util/b.js": "",
+  "lib/c.js": "",
+  "pkg/mod.py": "",
+  "src/main/java/com/acme/App.java": "",
+  // Jest/c8 layout: SF: relative to the project root, report in coverage/. ../lib/c.js only exists from the report dir.
+  "coverage/lcov.info": [
+    "TN:",
+    "SF:src/core/a.js", "DA:1,1", "DA:2,0", "LF:4", "LH:3", "BRF:2", "BRH:1", "end_of_record",
+    "SF:src/util/b.js", "DA:1,2", "DA:2,0", "DA:2,1", "BRDA:2,0,0,1", "BRDA:2,0,1,-", "end_of_record",
+    "SF:../lib/c.js", "DA:1,1", "end_of_record",
+    "",
+  ].join("\n"),
+  // coverage.py layout: filenames relative to <source>; also covers src/core/a.js better on lines.
+  "reports/cobertura.xml": `<?xml version="1.0" ?>
+<coverage line-rate="0.8"><sources><source>..</source></sources><packages><package name="p"><classes>
+  <class filename="pkg/mod.py"><lines>
+    <line number="1" hits="3"/><line number="2" hits="0" branch="true" condition-coverage="50% (1/2)"/><line number="3" hits="1"/>
+  </lines></class>
+  <class filename="src/core/a.js"><lines><line number="1" hits="1"/><line number="2" hits="1"/></lines></class>
+</classes></package></packages></coverage>
+`,
+  "reports/broken.xml": "<nope/>\n",
+  "build/jacoco.xml": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><!DOCTYPE report PUBLIC "-//JACOCO//DTD Report 1.1//EN" "report.dtd">
+<report name="demo"><group name="app"><package name="com/acme"><sourcefile name="App.java">
+  <counter type="INSTRUCTION" missed="1" covered="9"/><counter type="LINE" missed="1" covered="3"/><counter type="BRANCH" missed="2" covered="2"/>
+</sourcefile></package></group></report>
+`,
+  // A repeated block (atomic mode, -coverpkg) keeps its highest count.
+  "cover.out": [
+    "mode: atomic",
+    "example.com/m/pkg/x.go:1.1,3.2 2 1",
+    "example.com/m/pkg/x.go:4.1,6.2 3 0",
+    "example.com/m/pkg/x.go:4.1,6.2 3 4",
+    "example.com/m/pkg/x.go:7.1,8.2 1 0",
+    "",
+  ].join("\n"),
+});
+const covPatterns = ["coverage/lcov.info", "reports/*.xml", "build/jacoco.xml", "cover.out"];
+const thresholds = { thresholds: { lines: 80, branches: 60 }, paths: [{ path: "src/**", lines: 90 }, { path: "docs/**", lines: 10 }] };
+const cov = summarizeCoverage(covTree, covPatterns, thresholds);
+
+same("coverage reports", cov.reports, [
+  { path: "build/jacoco.xml", format: "jacoco", files: 1 },
+  { path: "cover.out", format: "go", files: 1 },
+  { path: "coverage/lcov.info", format: "lcov", files: 3 },
+  { path: "reports/cobertura.xml", format: "cobertura", files: 2 },
+]);
+same("coverage unreadable", cov.unreadable, [{ path: "reports/broken.xml", reason: "unknown root element <nope>" }]);
+const covFiles = Object.fromEntries(cov.files.map((f) => [f.path, `${f.lines.covered}/${f.lines.total} ${f.branches.covered}/${f.branches.total}`]));
+same("coverage files", covFiles, {
+  "lib/c.js": "1/1 0/0", // lcov SF: resolved from the report dir (only exists there)
+  "pkg/mod.py": "2/3 1/2", // Cobertura lines + condition-coverage
+  "pkg/x.go": "5/6 0/0", // Go: module prefix stripped, statements as lines
+  "src/core/a.js": "2/2 1/2", // lcov (LF/LH, BRF/BRH) merged with Cobertura: best copy per metric
+  "src/main/java/com/acme/App.java": "3/4 2/4", // JaCoCo placed under the Maven source root
+  "src/util/b.js": "2/2 1/2", // lcov DA/BRDA records without summary lines
+});
+same("coverage totals", cov.totals, { lines: { covered: 15, total: 18, pct: 83.33 }, branches: { covered: 5, total: 10, pct: 50 } });
+same("coverage shortfalls", cov.shortfalls, [
+  { scope: "global", metric: "branches", required: 60, actual: 50, gap: 10 },
+  { scope: "src/**", metric: "lines", required: 90, actual: 87.5, gap: 2.5 },
+  { scope: "docs/**", metric: "lines", required: 10, actual: null, reason: "no covered file matches this path" },
+]);
+same(
+  "coverage without reports",
+  summarizeCoverage(covTree, ["nothing/*.info"], { thresholds: { lines: 80 }, paths: [] }).shortfalls,
+  [{ scope: "global", metric: "lines", required: 80, actual: null, reason: "no coverage report found" }]
+);
+same("coverage without thresholds", summarizeCoverage(covTree, covPatterns, null).shortfalls, []);
+
+// 2) Coverage enforcement: "fail" fails the evidence step (after writing the bundle), "warn" only annotates.
+function exportBundle(dir, env) {
+  fs.writeFileSync(path.join(dir, "github-output"), "");
+  const res = spawnSync(process.execPath, [EXPORTER], {
+    cwd: dir,
+    encoding: "utf8",
+    env: { PATH: process.env.PATH, GITHUB_OUTPUT: "github-output", INPUT_STACK: "node", ...env },
+  });
+  const read = (f) => JSON.parse(fs.readFileSync(path.join(dir, ".audit", "PIPE-BUILD", f), "utf8"));
+  return { status: res.status, stdout: res.stdout, results: read("results.json"), output: fs.readFileSync(path.join(dir, "github-output"), "utf8") };
+}
+for (const [enforcement, status, verdict] of [["fail", 1, "fail"], ["warn", 0, "warn"]]) {
+  fs.rmSync(path.join(covTree, ".audit"), { recursive: true, force: true });
+  const run = exportBundle(covTree, { INPUT_COVERAGE: JSON.stringify({ ...thresholds, enforcement, reports: covPatterns }) });
+  if (run.status !== status) fail(`enforcement ${enforcement}: expected exit ${status}, got ${run.status}\n${run.stdout}`);
+  if (run.results.verdict.coverage !== verdict || run.results.overall !== (status ? "fail" : "pass")) {
+    fail(`enforcement ${enforcement}: verdict ${run.results.verdict.coverage}, overall ${run.results.overall}`);
+  }
+  if (!run.output.includes(`coverage_ok=${status === 0}`)) fail(`enforcement ${enforcement}: coverage_ok output missing`);
+  if (!run.stdout.includes(`::${enforcement === "fail" ? "error" : "warning"}::coverage branches (global): 50% < 60%`)) fail(`enforcement ${enforcement}: annotation missing`);
+}
+
+// 3) Artifact manifest: directories, globs (`*`, `?`, `**`), dedup, unmatched entries.
+const artTree = setupTree("artifacts", {
+  "dist/app.js": "console.log(1);\n",
+  "dist/sub/app.js.map": "{}\n",
+  "dist/sub/deep/c.js": "",
+  "bin/run.sh": "#!/bin/sh\n",
+  "bin/notes.txt": "x",
+  "B.txt": "upper",
+  "a.txt": "lower",
+  "ab.txt": "not one character",
+});
+fs.chmodSync(path.join(artTree, "bin", "run.sh"), 0o755);
+fs.chmodSync(path.join(artTree, "dist", "app.js"), 0o644);
+same("glob: directory", expandArtifactGlob(artTree, "dist"), ["dist/app.js", "dist/sub/app.js.map", "dist/sub/deep/c.js"]);
+same("glob: trailing slash and ./", expandArtifactGlob(artTree, "./dist/sub/"), ["dist/sub/app.js.map", "dist/sub/deep/c.js"]);
+same("glob: **", expandArtifactGlob(artTree, "**/*.js"), ["dist/app.js", "dist/sub/deep/c.js"]);
+same("glob: ** in the middle", expandArtifactGlob(artTree, "dist/**/c.js"), ["dist/sub/deep/c.js"]);
+same("glob: * stays in its segment", expandArtifactGlob(artTree, "*/*.js"), ["dist/app.js"]);
+same("glob: ?", expandArtifactGlob(artTree, "?.txt"), ["B.txt", "a.txt"]);
+same("glob: no match", expandArtifactGlob(artTree, "missing/*.zip"), []);
+
+const sha = (data) => crypto.createHash("sha256").update(data).digest("hex");
+const art = buildArtifactManifest(artTree, ["dist", "**/*.js", "bin/*.sh", "?.txt", "missing/*.zip"]);
+same("manifest paths", art.files.map((f) => f.path), ["B.txt", "a.txt", "bin/run.sh", "dist/app.js", "dist/sub/app.js.map", "dist/sub/deep/c.js"]);
+same("manifest unmatched", art.unmatched, ["missing/*.zip"]);
+same("manifest run.sh", art.files[2], { path: "bin/run.sh", size: 10, mode: "0755", sha256: sha("#!/bin/sh\n") });
+same("manifest app.js", art.files[3], { path: "dist/app.js", size: 16, mode: "0644", sha256: sha("console.log(1);\n") });
+same("manifest totalBytes", art.totalBytes, 5 + 5 + 10 + 16 + 3 + 0);
+// The digest is over the sha256sum listing in code-unit order ("B.txt" before "a.txt").
+same("manifest digest", art.digest, `sha256:${sha(art.files.map((f) => `${sha(fs.readFileSync(path.join(artTree, f.path)))}  ${f.path}\n`).join(""))}`);
+same("manifest without files", buildArtifactManifest(artTree, ["missing"]), { files: [], unmatched: ["missing"], totalBytes: 0, digest: null });
+
+// 4) Missing artifacts: "fail" fails the evidence step, "warn" (the default) only annotates.
+for (const [missing, status, verdict] of [["fail", 1, "fail"], ["warn", 0, "warn"], ["", 0, "warn"]]) {
+  fs.rmSync(path.join(artTree, ".audit"), { recursive: true, force: true });
+  const run = exportBundle(artTree, { INPUT_ARTIFACT_PATHS: "dist, missing/*.zip", INPUT_MISSING_ARTIFACTS: missing });
+  const label = `missing artifacts ${missing || "(default)"}`;
+  if (run.status !== status) fail(`${label}: expected exit ${status}, got ${run.status}\n${run.stdout}`);
+  if (run.results.verdict.artifacts !== verdict) fail(`${label}: verdict ${run.results.verdict.artifacts}`);
+  if (!run.output.includes(`artifacts_ok=${status === 0}`)) fail(`${label}: artifacts_ok output missing`);
+  if (!run.stdout.includes(`::${missing === "fail" ? "error" : "warning"}::artifact path "missing/*.zip" matched no file`)) fail(`${label}: annotation missing`);
+  const summary = JSON.parse(fs.readFileSync(path.join(artTree, ".audit", "PIPE-BUILD", "artifact-summary.json"), "utf8"));
+  if (summary.fileCount !== 3 || summary.digest !== buildArtifactManifest(artTree, ["dist"]).digest) fail(`${label}: artifact-summary.json ${JSON.stringify(summary)}`);
+}
+fs.rmSync(path.join(artTree, ".audit"), { recursive: true, force: true });
+const allFound = exportBundle(artTree, { INPUT_ARTIFACT_PATHS: "dist", INPUT_MISSING_ARTIFACTS: "fail" });
+if (allFound.status !== 0 || allFound.results.verdict.artifacts !== "pass") fail(`artifacts all found: exit ${allFound.status}, verdict ${allFound.results.verdict.artifacts}`);
+
+// 5) Test reports: JUnit (nested suites, a bare <testsuite> root) and TRX, plus files that are neither.
+const testTree = setupTree("tests", {
+  // Jest layout: classname per case, suites nested in <testsuites>.
+  "reports/junit.xml": `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="jest tests" tests="5">
+  <testsuite name="math" tests="4">
+    <testcase classname="math add" name="adds" time="0.012"/>
+    <testcase classname="math add" name="fails" time="1.5"><failure message="expected 3 &amp; got 4">at add.test.js:3</failure></testcase>
+    <testcase name="crashes" time="0.2"><error><![CDATA[TypeError: boom]]></error></testcase>
+    <testcase classname="math add" name="todo"><skipped/></testcase>
+  </testsuite>
+  <testsuite name="outer"><testsuite name="inner"><testcase name="deep" time="0.3"/></testsuite></testsuite>
+</testsuites>
+`,
+  // pytest --junitxml: a single <testsuite> root.
+  "reports/pytest.xml": `<testsuite name="pytest" tests="1"><testcase classname="tests.test_x" name="test_a" time="0.2"/></testsuite>\n`,
+  "reports/bad.xml": "<testsuite><testcase name=\"x\">\n",
+  "reports/not-a-report.xml": "<coverage/>\n",
+  // dotnet test --logger trx: results before definitions, as the logger writes them.
+  "TestResults/run.trx": `<?xml version="1.0" encoding="utf-8"?>
+<TestRun id="r1" xmlns="http://microsoft.com/schemas/VisualStudio/TeamTest/2010">
+  <Results>
+    <UnitTestResult testId="t1" testName="Adds" outcome="Passed" duration="00:00:01.2500000"/>
+    <UnitTestResult testId="t2" testName="Divides" outcome="Failed" duration="00:01:00.0000000">
+      <Output><ErrorInfo><Message>Assert.Equal() Failure</Message><StackTrace>at Calc.Tests</StackTrace></ErrorInfo></Output>
+    </UnitTestResult>
+    <UnitTestResult testId="t3" testName="Slow" outcome="Timeout" duration="01:00:00"/>
+    <UnitTestResult testId="t4" testName="Later" outcome="NotExecuted"/>
+    <UnitTestResult testId="t5" testName="Orphan" outcome="Passed" duration="bogus"/>
+  </Results>
+  <TestDefinitions>
+    <UnitTest id="t1"><TestMethod className="Calc.Tests" name="Adds"/></UnitTest>
+    <UnitTest id="t2"><TestMethod className="Calc.Tests" name="Divides"/></UnitTest>
+    <UnitTest id="t3"><TestMethod className="Calc.Tests" name="Slow"/></UnitTest>
+    <UnitTest id="t4"><TestMethod className="Calc.Tests" name="Later"/></UnitTest>
+  </TestDefinitions>
+</TestRun>
+`,
+});
+const tests = summarizeTestReports(testTree, ["reports/*.xml", "**/*.trx"]);
+same("test reports", tests.reports, [
+  { path: "TestResults/run.trx", format: "trx", tests: 5 },
+  { path: "reports/junit.xml", format: "junit", tests: 5 },
+  { path: "reports/pytest.xml", format: "junit", tests: 1 },
+]);
+same("test unreadable", tests.unreadable, [
+  { path: "reports/bad.xml", reason: "unclosed <testcase>" },
+  { path: "reports/not-a-report.xml", reason: "unknown root element <coverage>" },
+]);
+// TRX: Timeout counts as an error, NotExecuted as skipped, "hh:mm:ss.fffffff" durations; "bogus" has none.
+same("test totals", tests.totals, { tests: 11, passed: 5, failed: 2, errors: 2, skipped: 2, durationMs: 3600000 + 60000 + 1250 + 1500 + 200 + 300 + 200 + 12 });
+same("test failing", tests.failing, [
+  { test: "Calc.Tests > Divides", status: "failed", message: "Assert.Equal() Failure" },
+  { test: "Calc.Tests > Slow", status: "error", message: "Timeout" },
+  { test: "math add > fails", status: "failed", message: "expected 3 & got 4" },
+  { test: "math > crashes", status: "error", message: "TypeError: boom" },
+]);
+same("test skipped", tests.skipped, ["Calc.Tests > Later", "math add > todo"]);
+// Slowest first; equal durations by name; cases without a duration are left out. Nested suites name the innermost.
+same("test slowest", tests.slowest, [
+  { test: "Calc.Tests > Slow", durationMs: 3600000 },
+  { test: "Calc.Tests > Divides", durationMs: 60000 },
+  { test: "math add > fails", durationMs: 1500 },
+  { test: "Calc.Tests > Adds", durationMs: 1250 },
+  { test: "inner > deep", durationMs: 300 },
+  { test: "math > crashes", durationMs: 200 },
+  { test: "tests.test_x > test_a", durationMs: 200 },
+  { test: "math add > adds", durationMs: 12 },
+]);
+const many = setupTree("tests-many", {
+  "junit.xml": `<testsuite name="s">${Array.from({ length: 12 }, (_, i) => `<testcase name="t${String(i).padStart(2, "0")}" time="${i}"/>`).join("")}</testsuite>\n`,
+});
+same("test slowest keeps ten", summarizeTestReports(many, ["junit.xml"]).slowest.map((c) => c.test), Array.from({ length: 10 }, (_, i) => `s > t${String(11 - i).padStart(2, "0")}`));
+
+fs.rmSync(TMP, { recursive: true, force: true });
+console.log("✅ evidence-tests: OK");
@@ -86,6 +86,8 @@ const srcEvidence = path.join(process.cwd(), ".audit/PIPE-BUILD/validation");
 const dstEvidence = path.join(process.cwd(), `.audit/PIPE-BUILD/validation-fail/${stack}`);
 
 if (!fs.existsSync(srcEvidence)) fail(`Expected evidence folder missing: ${srcEvidence}`);
+// The validation folder is an evidence bundle of its own, on failure too.
+if (!fs.existsSync(path.join(srcEvidence, "manifest.json"))) fail(`Expected bundle manifest missing: ${srcEvidence}/manifest.json`);
 ensureDir(dstEvidence);
 
 // Shallow copy required evidence files
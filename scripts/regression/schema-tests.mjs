@@ -7,24 +7,28 @@
  * - keep tests deterministic and fast
  *
  * NOTE:
- * This tests the schema file itself (`schemas/build.schema.json`) as a product artifact.
+ * This tests the schema files themselves (`schemas/build.schema.json` for v1 and
+ * `schemas/build.v2.schema.json`) as product artifacts.
  * The validator action may have additional rule checks; those are covered by smoke-runner.
  */
 import fs from "node:fs";
 import Ajv from "ajv";
 
 const schemaPath = process.env.SCHEMA_PATH || "schemas/build.schema.json";
+const schemaV2Path = process.env.SCHEMA_V2_PATH || "schemas/build.v2.schema.json";
 
 function fail(msg) {
   console.error(`❌ schema-tests: ${msg}`);
   process.exit(1);
 }
 
-if (!fs.existsSync(schemaPath)) fail(`Schema not found: ${schemaPath}`);
-const schema = JSON.parse(fs.readFileSync(schemaPath, "utf8"));
+function loadSchema(p) {
+  if (!fs.existsSync(p)) fail(`Schema not found: ${p}`);
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
 
 const ajv = new Ajv({ allErrors: true, strict: false, allowUnionTypes: true });
-const validate = ajv.compile(schema);
+let validate = ajv.compile(loadSchema(schemaPath));
 
 function assertValid(name, obj) {
   const ok = validate(obj);
@@ -65,4 +69,79 @@ assertInvalid("install empty", { ...baseNode, commands: { ...baseNode.commands,
 assertInvalid("build empty", { ...baseNode, commands: { ...baseNode.commands, build: "" } });
 assertInvalid("commands wrong type", { ...baseNode, commands: "make ci" });
 
+// Monorepo mode: `projects` replaces root-level stack.
+const { schemaVersion, ...nodeProject } = baseNode;
+const baseMono = {
+  schemaVersion: 1,
+  projects: [
+    { ...nodeProject, name: "api", workingDirectory: "services/api" },
+    { name: "worker", stack: "python", workingDirectory: "services/worker" },
+  ],
+};
+
+assertValid("monorepo valid", baseMono);
+
+assertInvalid("no stack and no projects", { schemaVersion: 1 });
+assertInvalid("empty projects", { schemaVersion: 1, projects: [] });
+assertInvalid("project missing name", { schemaVersion: 1, projects: [{ stack: "node", workingDirectory: "." }] });
+assertInvalid("project bad name", { schemaVersion: 1, projects: [{ name: "Api Service", stack: "node", workingDirectory: "." }] });
+assertInvalid("project invalid stack", { schemaVersion: 1, projects: [{ name: "api", stack: "ruby", workingDirectory: "." }] });
+assertInvalid("project unknown field", { schemaVersion: 1, projects: [{ ...baseMono.projects[1], extra: true }] });
+
+// v2: flags{runLint,runTests} -> steps{lint,test}; everything else unchanged.
+validate = ajv.compile(loadSchema(schemaV2Path));
+const { flags, ...v1Rest } = baseNode;
+const baseV2 = { ...v1Rest, schemaVersion: 2, steps: { lint: false, test: true } };
+
+assertValid("v2 node valid", baseV2);
+assertValid("v2 monorepo valid", {
+  schemaVersion: 2,
+  projects: [{ name: "api", stack: "node", workingDirectory: "services/api", steps: { test: false } }],
+});
+
+assertInvalid("v2 rejects schemaVersion 1", { ...baseV2, schemaVersion: 1 });
+assertInvalid("v2 rejects v1 flags", { ...baseV2, flags });
+assertInvalid("v2 rejects v1 step names", { ...baseV2, steps: { runTests: true } });
+assertValid("v2 extends (string)", { ...baseV2, extends: "brik:node-npm" });
+assertValid("v2 extends (list)", { ...baseV2, extends: ["brik:node-npm", "./presets/team.yml"] });
+assertInvalid("v2 extends empty list", { ...baseV2, extends: [] });
+assertInvalid("v2 extends non-string", { ...baseV2, extends: [1] });
+assertInvalid("v2 project rejects flags", {
+  schemaVersion: 2,
+  projects: [{ name: "api", stack: "node", workingDirectory: ".", flags: { runTests: false } }],
+});
+
+// v2 custom stages: name/slot/run required, slot from the fixed list.
+const typecheck = { name: "typecheck", slot: "post-test", run: "npx tsc --noEmit" };
+assertValid("v2 stages", { ...baseV2, stages: [typecheck, { name: "e2e", slot: "post-build", run: "make e2e", continueOnError: true }] });
+assertValid("v2 project stages", {
+  schemaVersion: 2,
+  projects: [{ name: "api", stack: "node", workingDirectory: ".", stages: [typecheck] }],
+});
+assertInvalid("v2 stage unknown slot", { ...baseV2, stages: [{ ...typecheck, slot: "post-lint" }] });
+assertInvalid("v2 stage missing run", { ...baseV2, stages: [{ name: "typecheck", slot: "post-test" }] });
+assertInvalid("v2 stage empty run", { ...baseV2, stages: [{ ...typecheck, run: "" }] });
+assertInvalid("v2 stage bad name", { ...baseV2, stages: [{ ...typecheck, name: "Type Check" }] });
+assertInvalid("v2 stage unknown field", { ...baseV2, stages: [{ ...typecheck, timeout: 5 }] });
+
+// v2 env maps: shell-style names, scalar values.
+assertValid("v2 env", { ...baseV2, env: { NODE_ENV: "production", RETRIES: 3, CI: true }, stageEnv: { test: { TZ: "UTC" } } });
+assertValid("v2 stage env", { ...baseV2, stages: [{ ...typecheck, env: { TSC_COMPILE_ON_ERROR: "false" } }] });
+assertInvalid("v2 env bad name", { ...baseV2, env: { "NODE-ENV": "x" } });
+assertInvalid("v2 env nested value", { ...baseV2, env: { OPTS: { a: 1 } } });
+assertInvalid("v2 stageEnv unknown stage", { ...baseV2, stageEnv: { deploy: { X: "1" } } });
+
+// v2 timeouts/retries: integers keyed by stage name (limits are validator rules).
+assertValid("v2 timeouts/retries", { ...baseV2, timeouts: { test: 15, typecheck: 5 }, retries: { install: 2 } });
+assertInvalid("v2 timeout zero", { ...baseV2, timeouts: { test: 0 } });
+assertInvalid("v2 timeout not an integer", { ...baseV2, timeouts: { test: "15m" } });
+assertInvalid("v2 negative retries", { ...baseV2, retries: { install: -1 } });
+
+// v2 coverage: percentages 0-100, global and per glob.
+assertValid("v2 coverage", { ...baseV2, coverage: { thresholds: { lines: 80, branches: 62.5 }, paths: { "src/core/**": { lines: 90 } }, enforcement: "warn", reports: ["coverage/lcov.info"] } });
+assertInvalid("v2 coverage over 100", { ...baseV2, coverage: { thresholds: { lines: 101 } } });
+assertInvalid("v2 coverage unknown metric", { ...baseV2, coverage: { thresholds: { functions: 80 } } });
+assertInvalid("v2 coverage empty path threshold", { ...baseV2, coverage: { paths: { "src/**": {} } } });
+assertInvalid("v2 coverage unknown enforcement", { ...baseV2, coverage: { thresholds: { lines: 80 }, enforcement: "block" } });
+
 console.log("✅ schema-tests: OK");
@@ -3,8 +3,14 @@
  *
  * What this does:
  * - reads validator output (resolved config) from `.audit/PIPE-BUILD/validation/build-config.resolved.json`
- * - executes install/lint/test/build in the example repo working directory
+ * - executes install/lint/test/build in the example repo working directory, with
+ *   custom `stages:` in their hook slots (pre-install, post-test, pre-build, post-build)
+ *   and the build.yml `env:`/`stageEnv:`/`stages[].env` values each step would get in CI,
+ *   bounded by `timeouts:` and retried per `retries:`
+ * - writes timings.json per project and warns when a built-in stage runs over the
+ *   stack's runtime-matrix `durationBudgetSeconds` (like perf-budget.mjs, never fails on it)
  * - writes evidence logs to `.audit/PIPE-BUILD/smoke/<stack>/...`
+ *   (monorepo configs: one subfolder per project under `projects/<name>/`)
  *
  * Why:
  * - This is the integration test that prevents template drift.
@@ -17,6 +23,8 @@
 import fs from "node:fs";
 import path from "node:path";
 import { spawnSync } from "node:child_process";
+import { findMatrixStack, loadRuntimeMatrix } from "../../src/runtime-matrix/load-runtime-matrix.mjs";
+import { stageDurationBudget } from "../../src/runtime-matrix/duration-budget.mjs";
 
 const stack = process.env.STACK;
 const exampleDir = process.env.EXAMPLE_DIR;
@@ -36,36 +44,59 @@ function writeFile(p, content) {
   fs.writeFileSync(p, content, "utf8");
 }
 
-/** Execute a command with bash -lc so Makefile + shell scripts work consistently. */
-function runStep(stepName, cmd, cwd) {
-  const stepDir = path.join(evidenceRoot, stepName);
+/**
+ * Execute a command with bash -lc so Makefile + shell scripts work consistently.
+ * Failed attempts are retried up to `retries` times; `timeoutMinutes` bounds all
+ * attempts together (build.yml timeouts:/retries:, as the workflows enforce them).
+ */
+function runStep(stepName, cmd, cwd, root = evidenceRoot, { continueOnError = false, env = {}, retries = 0, timeoutMinutes = 0 } = {}) {
+  const stepDir = path.join(root, stepName);
   ensureDir(stepDir);
 
   const logPath = path.join(stepDir, "command.log");
   writeFile(path.join(stepDir, "command.txt"), cmd);
 
-  const res = spawnSync("bash", ["-lc", cmd], {
-    cwd,
-    env: { ...process.env },
-    encoding: "utf8",
-  });
-
-  const log = [
-    `# step: ${stepName}`,
-    `# cwd: ${cwd}`,
-    `# cmd: ${cmd}`,
-    `# exit: ${res.status}`,
-    "",
-    res.stdout || "",
-    res.stderr || "",
-  ].join("\n");
+  const deadline = timeoutMinutes > 0 ? Date.now() + timeoutMinutes * 60000 : 0;
+  const attempts = [];
+  const sections = [];
+  let status = 1;
+  for (let attempt = 1; attempt <= retries + 1; attempt++) {
+    const t0 = Date.now();
+    const res = spawnSync("bash", ["-lc", cmd], {
+      cwd,
+      env: { ...process.env, ...env },
+      encoding: "utf8",
+      ...(deadline ? { timeout: Math.max(1, deadline - t0), killSignal: "SIGKILL" } : {}),
+    });
+    const timedOut = res.error?.code === "ETIMEDOUT";
+    status = res.status ?? 1;
+    attempts.push({ attempt, exitCode: res.status, durationMs: Date.now() - t0, timedOut });
+
+    sections.push(
+      [
+        `# step: ${stepName}${attempt > 1 ? ` (attempt ${attempt} of ${retries + 1})` : ""}`,
+        `# cwd: ${cwd}`,
+        `# cmd: ${cmd}`,
+        `# exit: ${timedOut ? "timeout" : res.status}`,
+        "",
+        res.stdout || "",
+        res.stderr || "",
+      ].join("\n")
+    );
+    if (status === 0 || timedOut) break;
+  }
 
-  writeFile(logPath, log);
+  writeFile(logPath, sections.join("\n"));
+  writeFile(path.join(stepDir, "attempts.json"), JSON.stringify({ retries, timeoutMinutes, attempts }, null, 2) + "\n");
 
-  if (res.status !== 0) {
+  const durationMs = attempts.reduce((sum, a) => sum + a.durationMs, 0);
+  if (status !== 0 && continueOnError) {
+    console.warn(`⚠️ smoke-runner: step "${stepName}" failed (exit ${status}); continueOnError is set`);
+  } else if (status !== 0) {
     // Fail fast, but evidence already written.
-    fail(`Step "${stepName}" failed (exit ${res.status}). See ${logPath}`);
+    fail(`Step "${stepName}" failed (exit ${status}). See ${logPath}`);
   }
+  return durationMs;
 }
 
 if (!stack) fail("STACK env missing");
@@ -77,44 +108,89 @@ if (!fs.existsSync(resolvedPath)) {
 }
 
 const resolved = JSON.parse(fs.readFileSync(resolvedPath, "utf8"));
-const wd = resolved?.workingDirectory || ".";
-const cwd = path.resolve(exampleDir, wd);
-
-ensureDir(evidenceRoot);
-
-// Minimal metadata for governance/evidence checks
-writeFile(
-  path.join(evidenceRoot, "metadata.json"),
-  JSON.stringify(
-    {
-      repo: process.env.GITHUB_REPOSITORY || "local",
-      sha: process.env.GITHUB_SHA || "local",
-      run_id: process.env.GITHUB_RUN_ID || "local",
-      workflow: process.env.GITHUB_WORKFLOW || "local",
-      stack,
-      runtime_used: resolved?.runtime?.version ?? null,
-      tool_used: resolved?.tool?.kind ?? null,
-      timestamp: new Date().toISOString(),
-      exampleDir,
-      workingDirectory: wd,
-    },
-    null,
-    2
-  )
-);
-
-// Execute steps according to flags
-runStep("install", String(resolved?.commands?.install || ""), cwd);
-
-if (resolved?.flags?.runLint) {
-  runStep("lint", String(resolved?.commands?.lint || ""), cwd);
+const matrix = loadRuntimeMatrix(process.cwd()).data;
+
+/** Run the project's custom stages bound to one hook slot, in declaration order. */
+function runStages(project, slot, cwd, root) {
+  const stages = Array.isArray(project?.stages) ? project.stages : [];
+  for (const stage of stages.filter((st) => st?.slot === slot)) {
+    runStep(path.join("stages", String(stage.name)), String(stage.run || ""), cwd, root, {
+      continueOnError: stage.continueOnError === true,
+      env: { ...project?.env, ...stage.env },
+      retries: stage.retries ?? 0,
+      timeoutMinutes: stage.timeoutMinutes ?? 0,
+    });
+  }
 }
 
-if (resolved?.flags?.runTests) {
-  runStep("test", String(resolved?.commands?.test || ""), cwd);
+/** Run install/lint?/test?/build (plus custom stages) for one resolved project and write its evidence into `root`. */
+function runProject(project, root, extraMeta = {}) {
+  const wd = project?.workingDirectory || ".";
+  const cwd = path.resolve(exampleDir, wd);
+
+  ensureDir(root);
+
+  // Minimal metadata for governance/evidence checks
+  writeFile(
+    path.join(root, "metadata.json"),
+    JSON.stringify(
+      {
+        repo: process.env.GITHUB_REPOSITORY || "local",
+        sha: process.env.GITHUB_SHA || "local",
+        run_id: process.env.GITHUB_RUN_ID || "local",
+        workflow: process.env.GITHUB_WORKFLOW || "local",
+        stack: project?.stack ?? stack,
+        runtime_used: project?.runtime?.version ?? null,
+        tool_used: project?.tool?.kind ?? null,
+        timestamp: new Date().toISOString(),
+        exampleDir,
+        workingDirectory: wd,
+        ...extraMeta,
+      },
+      null,
+      2
+    )
+  );
+
+  // Execute steps according to flags
+  const envFor = (stage) => ({
+    env: { ...project?.env, ...project?.stageEnv?.[stage] },
+    retries: project?.retries?.[stage] ?? 0,
+    timeoutMinutes: project?.timeouts?.[stage] ?? 0,
+  });
+  const timings = {};
+  const builtin = (stage) => {
+    timings[stage] = runStep(stage, String(project?.commands?.[stage] || ""), cwd, root, envFor(stage));
+  };
+  runStages(project, "pre-install", cwd, root);
+  builtin("install");
+
+  if (project?.flags?.runLint) builtin("lint");
+  if (project?.flags?.runTests) builtin("test");
+
+  runStages(project, "post-test", cwd, root);
+  runStages(project, "pre-build", cwd, root);
+
+  // build is mandatory
+  builtin("build");
+  runStages(project, "post-build", cwd, root);
+
+  const budget = stageDurationBudget(findMatrixStack(matrix, String(project?.stack ?? stack)));
+  for (const [stage, ms] of Object.entries(timings)) {
+    if (budget[stage] && ms > budget[stage] * 1000) {
+      console.warn(`⚠️ smoke-runner: ${stage} took ${ms}ms, over the ${budget[stage]}s budget`);
+    }
+  }
+  writeFile(path.join(root, "timings.json"), JSON.stringify({ durationsMs: timings, budgetSeconds: budget }, null, 2) + "\n");
 }
 
-// build is mandatory
-runStep("build", String(resolved?.commands?.build || ""), cwd);
+if (Array.isArray(resolved?.projects)) {
+  for (const project of resolved.projects) {
+    if (!project?.name) fail("Resolved project without a name (did validation pass?)");
+    runProject(project, path.join(evidenceRoot, "projects", project.name), { project: project.name });
+  }
+} else {
+  runProject(resolved, evidenceRoot);
+}
 
 console.log(`✅ smoke-runner: OK (${stack}) evidence at ${evidenceRoot}`);
@@ -0,0 +1,568 @@
+/**
+ * Validator behaviour regression tests (shared engine).
+ *
+ * Goals:
+ * - exercise src/validators/validate-build-config.mjs directly, i.e. the same
+ *   engine the action bundles and local tooling imports
+ * - pin issue codes for the cross-field rules (schema shape is covered by schema-tests.mjs)
+ * - keep tests deterministic and fast (no network, no action bundle)
+ */
+import fs from "node:fs";
+import path from "node:path";
+import { buildProjectMatrix, checkStackFilter, loadValidationInputs, validateBuildConfig } from "../../src/validators/validate-build-config.mjs";
+import { normalizeRuntimeVersion, versionCompatible } from "../../src/runtime-matrix/version-match.mjs";
+import { migrateBuildConfigSource } from "../../src/migrate/build-config-migrations.mjs";
+import { selectPolicyPack } from "../../src/validators/policy-packs.mjs";
+import { allowedToolKinds, defaultToolKind, toolDefaults } from "../../src/runtime-matrix/toolchain.mjs";
+import { stageDurationBudget } from "../../src/runtime-matrix/duration-budget.mjs";
+import { withStackPlugins } from "../../src/runtime-matrix/stack-plugins.mjs";
+
+const exampleConfig = process.env.EXAMPLE_CONFIG || "scripts/regression/fixtures/valid/node.build.yml";
+
+function fail(msg) {
+  console.error(`❌ validator-tests: ${msg}`);
+  process.exit(1);
+}
+
+const inputs = loadValidationInputs(process.cwd());
+
+// Pinned date: lifecycle/exception outcomes must not drift with the calendar.
+const TODAY = "2026-01-15";
+
+function run(source, options = {}) {
+  return validateBuildConfig({ source, ...inputs, today: TODAY, ...options });
+}
+
+function codes(result) {
+  return result.issues.map((i) => i.code);
+}
+
+function assertOk(name, source, options) {
+  const r = run(source, options);
+  if (!r.ok) {
+    console.error(r.issues);
+    fail(`Expected PASS but got FAIL: ${name}`);
+  }
+}
+
+function assertCode(name, source, code, options) {
+  const r = run(source, options);
+  if (r.ok) fail(`Expected FAIL (${code}) but got PASS: ${name}`);
+  if (!codes(r).includes(code)) fail(`Expected ${code} for "${name}", got: ${codes(r).join(", ")}`);
+}
+
+const base = `schemaVersion: 1
+stack: node
+commands:
+  install: "npm ci"
+  build: "npm run build"
+`;
+
+assertOk("fixture", fs.readFileSync(exampleConfig, "utf8"));
+assertOk("node minimal", base);
+assertOk("patch within 20.x", `${base}runtime:\n  version: "20.11.1"\n`);
+
+// Version constraint engine: [requested, allowed entries, expected]
+const versionCases = [
+  ["20.11.1", ["18.x", "20.x"], true],
+  ["^20.10", ["20.x"], true],
+  ["^18.2", ["20.x"], false],
+  ["~3.12.1", ["3.11", "3.12"], true],
+  ["3.13", ["3.11", "3.12"], false],
+  ["17.0.9+9", ["17", "21"], true],
+  ["8.0.1xx", ["8.0.x"], true],
+  ["go1.22.5", ["1.22.x"], true],
+  ["^1.22.3", ["1.22.x"], false],
+  ["1.22rc1", ["1.22.x"], false],
+];
+for (const [requested, allowed, expected] of versionCases) {
+  if (versionCompatible(requested, allowed) !== expected) fail(`versionCompatible("${requested}", [${allowed}]) should be ${expected}`);
+}
+for (const [stack, input, expected] of [
+  ["node", "v20.11.1", "20.11.1"],
+  ["go", "go1.22.5", "1.22.5"],
+  ["dotnet", "~8.0.100", "8.0.x"],
+  ["python", "3.12.*", "3.12.x"],
+]) {
+  const got = normalizeRuntimeVersion(stack, input);
+  if (got !== expected) fail(`normalizeRuntimeVersion(${stack}, "${input}") = "${got}", expected "${expected}"`);
+}
+assertCode("unparseable version", `${base}runtime:\n  version: "20.x.1"\n`, "RUNTIME_VERSION_INVALID");
+assertOk("caret range within 20.x", `${base}runtime:\n  version: "^20.10"\n`);
+
+assertCode("version prefix must not match (2 vs 20.x)", `${base}runtime:\n  version: "2"\n`, "RUNTIME_VERSION_NOT_ALLOWED");
+assertCode("unsupported major", `${base}runtime:\n  version: "16"\n`, "RUNTIME_VERSION_NOT_ALLOWED");
+assertCode("tool not allowed", `${base}tool:\n  kind: "bun"\n`, "TOOL_NOT_ALLOWED");
+
+// Tool kinds and their defaults come from the matrix (toolchain.tools) only.
+for (const st of inputs.matrix.data.stacks) {
+  const name = st.runtime.name;
+  const kinds = allowedToolKinds(st);
+  if (!kinds.includes(defaultToolKind(st))) fail(`matrix: ${name} buildTools.default "${defaultToolKind(st)}" has no toolchain.tools entry`);
+  if (JSON.stringify([...kinds].sort()) !== JSON.stringify([...(st.toolchain.buildTools.allowed ?? [])].sort())) {
+    fail(`matrix: ${name} buildTools.allowed [${st.toolchain.buildTools.allowed}] differs from toolchain.tools [${kinds}]`);
+  }
+  for (const kind of kinds) {
+    const d = toolDefaults(st, kind);
+    if (!d?.install || !d.build || d.artifacts.length === 0) fail(`matrix: ${name}/${kind} needs install, build and artifacts defaults`);
+    if (d.testReports.length === 0 || d.coverageReports.length === 0) fail(`matrix: ${name}/${kind} needs testReports and coverageReports paths`);
+  }
+  const budget = stageDurationBudget(st);
+  if (Object.keys(budget).length !== 4) fail(`matrix: ${name} durationBudgetSeconds needs install, lint, test and build, got ${JSON.stringify(budget)}`);
+}
+if (JSON.stringify(stageDurationBudget({ durationBudgetSeconds: { install: 60, test: 0, build: "5", deploy: 9 } })) !== '{"install":60}') {
+  fail("duration budget: expected only positive integer built-in stage entries");
+}
+assertOk("go default tool", `schemaVersion: 1\nstack: go\n`);
+const pnpmResolved = run(`${base}tool:\n  kind: "pnpm"\n`.replace(`  build: "npm run build"\n`, "")).resolved;
+if (pnpmResolved?.commands?.build !== "pnpm run build" || pnpmResolved.commands.install !== "npm ci") {
+  fail(`pnpm defaults: expected matrix build command next to the explicit install, got ${JSON.stringify(pnpmResolved?.commands)}`);
+}
+const gradle = run(`schemaVersion: 1\nstack: java\ntool:\n  kind: "gradle"\n`).resolved;
+if (gradle?.commands?.test !== "./gradlew --no-daemon test" || JSON.stringify(gradle.artifacts.paths) !== '["build/**"]') {
+  fail(`gradle defaults: got ${JSON.stringify(gradle?.commands)} ${JSON.stringify(gradle?.artifacts)}`);
+}
+// The build workflows have no inline fallbacks: every stage command comes from the matrix
+// (resolve-runtime *_command outputs), so every built-in tool needs all four.
+for (const st of inputs.matrix.data.stacks) {
+  for (const kind of allowedToolKinds(st)) {
+    const empty = ["install", "lint", "test", "build"].filter((stage) => !toolDefaults(st, kind)?.[stage]);
+    if (empty.length) fail(`matrix: ${st.runtime.name}/${kind} has no default ${empty.join(", ")} command`);
+  }
+}
+if (toolDefaults(inputs.matrix.data.stacks.find((st) => st.runtime.name === "go"), "go")?.lint !== "golangci-lint run ./...") fail("go: lint default should be golangci-lint");
+for (const file of fs.readdirSync(".github/workflows").filter((f) => /^build-[a-z]+\.yml$/.test(f))) {
+  const text = fs.readFileSync(path.join(".github/workflows", file), "utf8");
+  for (const stage of ["install", "lint", "test", "build"]) {
+    if (!text.includes(`steps.resolve.outputs.${stage}_command`)) fail(`${file}: ${stage} step should fall back to steps.resolve.outputs.${stage}_command`);
+    if (!new RegExp(`matrix\\.project\\.commands\\.${stage}\\b`).test(text)) fail(`${file}: ${stage} step should run build.yml commands.${stage} before the matrix default`);
+  }
+  if (/if \[ -z "\$CMD" \]; then CMD=/.test(text)) fail(`${file}: hardcoded default command (use the resolve-runtime outputs)`);
+}
+
+// Stack plugins (stacks/<name>/stack.yml) join the matrix and the schema's stack enum.
+const rust = `schemaVersion: 2\nstack: rust\n`;
+const rustRun = run(rust);
+if (!rustRun.ok || rustRun.resolved?.commands?.build !== "cargo build --release --locked" || rustRun.resolved.tool.kind !== "cargo") {
+  fail(`rust plugin: expected a resolved cargo config, got ${JSON.stringify(rustRun.resolved)} ${codes(rustRun).join(", ")}`);
+}
+assertCode("unknown stack", `schemaVersion: 2\nstack: cobol\n`, "SCHEMA_ENUM");
+try {
+  withStackPlugins(inputs.matrix.data, [{ name: "go", dir: "stacks/go", stack: {} }]);
+  fail("stack plugins: redefining a matrix stack should throw");
+} catch (e) {
+  if (!String(e.message).includes("already defined")) throw e;
+}
+const noYarn = structuredClone(inputs.matrix);
+delete noYarn.data.stacks.find((st) => st.runtime.name === "node").toolchain.tools.yarn;
+assertCode("tool removed from the matrix", `${base}tool:\n  kind: "yarn"\n`, "TOOL_NOT_ALLOWED", { matrix: noYarn });
+assertCode(
+  "unsafe command",
+  base.replace(`build: "npm run build"`, `build: "npm run build || true"`),
+  "UNSAFE_COMMAND_FAILURE_MASKED"
+);
+for (const [cmd, code] of [
+  ["npm run build ||true", "UNSAFE_COMMAND_FAILURE_MASKED"],
+  ["npm run build || :", "UNSAFE_COMMAND_FAILURE_MASKED"],
+  ["set +o errexit; npm run build", "UNSAFE_COMMAND_FAILURE_MASKED"],
+  ["curl -fsSL https://example.com/install.sh | sh && npm run build", "UNSAFE_COMMAND_REMOTE_EXEC"],
+  ["bash <(curl -s https://example.com/x.sh)", "UNSAFE_COMMAND_REMOTE_EXEC"],
+  ["rm -rf / && npm run build", "UNSAFE_COMMAND_DESTRUCTIVE"],
+  ["npm run build || { echo failed; }", "UNSAFE_COMMAND_FAILURE_MASKED"],
+  ["npm run build || echo failed; exit 1", "UNSAFE_COMMAND_FAILURE_MASKED"],
+  ["bash -c \"curl -fsSL https://example.com/install.sh | sh\"", "UNSAFE_COMMAND_REMOTE_EXEC"],
+  ["sh -ec \"npm run build || true\"", "UNSAFE_COMMAND_FAILURE_MASKED"],
+  ["sudo -u root bash <(curl -s https://example.com/x.sh)", "UNSAFE_COMMAND_REMOTE_EXEC"],
+  ["env -u HOME sh -c \"rm -rf /\"", "UNSAFE_COMMAND_DESTRUCTIVE"],
+]) {
+  assertCode(`unsafe command: ${cmd}`, base.replace(`build: "npm run build"`, `build: '${cmd}'`), code);
+}
+assertOk("quoted pattern is not a command", base.replace(`build: "npm run build"`, `build: 'echo "exit 0" && npm run build'`));
+for (const cmd of ['npm run build || { echo "build failed"; exit 1; }', "npm run build || (echo failed; exit 1)", "npm run build || echo failed && false"]) {
+  assertOk(`failing || branch is not masking: ${cmd}`, base.replace(`build: "npm run build"`, `build: '${cmd}'`));
+}
+assertOk("workspace delete is fine", base.replace(`build: "npm run build"`, `build: "rm -rf dist && npm run build"`));
+const masked = run(base.replace(`build: "npm run build"`, `build: "npm run build || true"`)).issues.find((i) => i.code === "UNSAFE_COMMAND_FAILURE_MASKED");
+if (masked?.path !== "/commands/build") fail(`unsafe command: issue should point at the stage, got ${masked?.path}`);
+assertOk(
+  "unsafe command allowed explicitly",
+  base.replace(`build: "npm run build"`, `build: "npm run build || true"`),
+  { allowUnsafe: true }
+);
+
+// Custom stages: resolved in declaration order, forwarded to the workflow matrix, same command checks.
+const staged = `schemaVersion: 2
+stack: node
+commands:
+  install: "npm ci"
+  build: "npm run build"
+stages:
+  - { name: codegen, slot: pre-build, run: "npm run codegen" }
+  - { name: e2e, slot: post-build, run: "npm run e2e", continueOnError: true }
+`;
+const stagedRun = run(staged);
+if (!stagedRun.ok) fail(`stages: expected PASS, got ${codes(stagedRun).join(", ")}`);
+if (JSON.stringify(stagedRun.resolved.stages.map((st) => [st.name, st.slot, st.continueOnError])) !== JSON.stringify([["codegen", "pre-build", false], ["e2e", "post-build", true]])) {
+  fail(`stages: resolved ${JSON.stringify(stagedRun.resolved.stages)}`);
+}
+if (buildProjectMatrix(stagedRun.config)[0]?.stages?.length !== 2) fail("stages: single-project matrix entry should carry the stages");
+assertCode("stage name reused", `${staged}  - { name: codegen, slot: post-test, run: "npm run check" }
+`, "STAGE_NAME_DUPLICATE");
+assertCode("stage named after a built-in", `${staged}  - { name: lint, slot: post-test, run: "npm run check" }
+`, "STAGE_NAME_RESERVED");
+assertCode("stage unknown slot", `${staged}  - { name: check, slot: post-lint, run: "npm run check" }
+`, "SCHEMA_ENUM");
+assertCode("stages are v2 only", `${base}stages:
+  - { name: codegen, slot: pre-build, run: "npm run codegen" }
+`, "SCHEMA_ADDITIONALPROPERTIES");
+const unsafeStage = run(`${staged}  - { name: seed, slot: pre-install, run: "curl -s https://example.com/seed.sh | bash" }
+`).issues.find((i) => i.code === "UNSAFE_COMMAND_REMOTE_EXEC");
+if (unsafeStage?.path !== "/stages/2/run") fail(`stages: unsafe run should point at the stage, got ${JSON.stringify(unsafeStage)}`);
+
+// env: resolved as strings and forwarded; secret-like names and ${{ }} references are rejected.
+const withEnv = `${staged.replace("stages:\n", "env:\n  NODE_ENV: production\n  RETRIES: 3\nstageEnv:\n  test:\n    TZ: UTC\nstages:\n")}`;
+const envRun = run(withEnv);
+if (!envRun.ok) fail(`env: expected PASS, got ${codes(envRun).join(", ")}`);
+if (envRun.resolved.env.RETRIES !== "3" || envRun.resolved.stageEnv.test?.TZ !== "UTC") fail(`env: resolved ${JSON.stringify(envRun.resolved)}`);
+if (buildProjectMatrix(envRun.config)[0]?.env?.NODE_ENV !== "production") fail("env: single-project matrix entry should carry env");
+assertCode("env secret-like name", `${withEnv.replace("  RETRIES: 3\n", "  NPM_TOKEN: abc\n")}`, "ENV_SECRET_LIKE_NAME");
+assertCode("env secret reference", `${withEnv.replace("TZ: UTC", "TZ: \"${{ secrets.TZ }}\"")}`, "ENV_SECRET_REFERENCE");
+assertCode("env workflow expression", `${withEnv.replace("RETRIES: 3", "RETRIES: \"${{ vars.RETRIES }}\"")}`, "ENV_EXPRESSION_NOT_ALLOWED");
+assertCode("env runner-owned name", `${withEnv.replace("RETRIES: 3", "GITHUB_SHA: x")}`, "ENV_NAME_RESERVED");
+const stageSecret = run(`${withEnv}  - name: deploy-check\n    slot: post-build\n    run: make deploy-check\n    env:\n      DEPLOY_KEY: x\n`).issues.find((i) => i.code === "ENV_SECRET_LIKE_NAME");
+if (stageSecret?.path !== "/stages/2/env/DEPLOY_KEY") fail(`env: stage env issue path, got ${JSON.stringify(stageSecret)}`);
+
+// timeouts/retries: org defaults fill every stage, maximums come from runtime-matrix.yml policy.limits.
+const limited = `${staged}timeouts:\n  test: 15\n  e2e: 30\nretries:\n  install: 2\n`;
+const limitedRun = run(limited);
+if (!limitedRun.ok) fail(`limits: expected PASS, got ${codes(limitedRun).join(", ")}`);
+const { timeouts: t, retries: rt, stages: limitedStages } = limitedRun.resolved;
+if (t.test !== 15 || t.build !== 60 || rt.install !== 2 || rt.test !== 0 || limitedStages[1].timeoutMinutes !== 30) {
+  fail(`limits: resolved ${JSON.stringify({ t, rt, limitedStages })}`);
+}
+if (buildProjectMatrix(limitedRun.config)[0]?.timeouts?.test !== 15) fail("limits: matrix entry should carry the timeouts");
+assertCode("timeout over the org maximum", limited.replace("test: 15", "test: 500"), "STAGE_TIMEOUT_OVER_LIMIT");
+assertCode("retries over the org maximum", limited.replace("install: 2", "install: 9"), "STAGE_RETRIES_OVER_LIMIT");
+assertCode("timeout for an undeclared stage", limited.replace("e2e: 30", "deploy: 30"), "STAGE_LIMIT_UNKNOWN_STAGE");
+const tightMatrix = structuredClone(inputs.matrix);
+tightMatrix.data.policy.limits = { stageTimeoutMinutes: { default: 10, max: 20 } };
+assertCode("org maximum read from the matrix", limited, "STAGE_TIMEOUT_OVER_LIMIT", { matrix: tightMatrix });
+
+// Coverage thresholds: resolved for the matrix entry, enforced by export-build-evidence.
+const coverageBase = base.replace("schemaVersion: 1", "schemaVersion: 2");
+const covered = `${coverageBase}coverage:\n  thresholds:\n    lines: 80\n  paths:\n    "src/core/**":\n      branches: 70\n`;
+const coveredRun = run(covered);
+if (!coveredRun.ok || JSON.stringify(coveredRun.resolved.coverage) !== JSON.stringify({ thresholds: { lines: 80 }, paths: [{ path: "src/core/**", branches: 70 }], enforcement: "fail", reports: [] })) {
+  fail(`coverage: resolved ${JSON.stringify(coveredRun.resolved?.coverage)} ${codes(coveredRun).join(", ")}`);
+}
+if (buildProjectMatrix(coveredRun.config)[0]?.coverage?.thresholds?.lines !== 80) fail("coverage: matrix entry should carry the thresholds");
+assertCode("coverage path outside the project", covered.replace("src/core/**", "../shared/**"), "COVERAGE_PATH_OUTSIDE_PROJECT");
+for (const [name, source, code] of [
+  ["coverage with tests off", `${covered}steps:\n  test: false\n`, "COVERAGE_WITHOUT_TESTS"],
+  ["coverage without thresholds", `${coverageBase}coverage:\n  enforcement: warn\n`, "COVERAGE_NO_THRESHOLDS"],
+  ["go branch coverage", `schemaVersion: 2\nstack: go\ncoverage:\n  thresholds:\n    branches: 50\n`, "COVERAGE_BRANCHES_UNSUPPORTED"],
+]) {
+  const r = run(source);
+  if (!r.ok || !codes(r).includes(code)) fail(`${name}: expected a ${code} warning, got ${codes(r).join(", ")}`);
+}
+
+assertCode("strict promotes warnings", `${base}flags:\n  runTests: false\n`.replace(`build: "npm run build"`, `build: "npm run build"\n  test: "npm test"`), "STRICT_TEST_CMD_IGNORED", { strict: true });
+assertCode("invalid YAML", `schemaVersion: 1\nstack: [node\n`, "CONFIG_PARSE_ERROR");
+
+assertCode(
+  "duplicate project names",
+  `schemaVersion: 1
+projects:
+  - { name: api, stack: node, workingDirectory: a }
+  - { name: api, stack: python, workingDirectory: b }
+`,
+  "PROJECT_NAME_DUPLICATE"
+);
+
+// Stack filter (build-<stack>.yml): nothing for the workflow's stack is an error, not an empty matrix.
+const stackCodes = (source, stack) => codes(checkStackFilter(run(source), stack));
+if (!stackCodes(base, "python").includes("STACK_MISMATCH")) fail("stack filter: single-project node config under python should be STACK_MISMATCH");
+const mixedStacks = `schemaVersion: 2
+projects:
+  - { name: api, stack: node, workingDirectory: a, steps: { lint: true } }
+  - { name: worker, stack: python, workingDirectory: b, steps: { test: false } }
+`;
+if (!stackCodes(mixedStacks, "go").includes("STACK_MISMATCH")) fail("stack filter: monorepo without a go project should be STACK_MISMATCH");
+const mixedRun = checkStackFilter(run(mixedStacks), "node");
+if (!mixedRun.ok || codes(mixedRun).includes("STACK_MISMATCH")) fail(`stack filter: node project present, got ${codes(mixedRun).join(", ")}`);
+// Resolved steps travel with each matrix entry (v1 flags too), so the workflows honour them.
+const flagsOf = (config) => buildProjectMatrix(config).map((e) => `${e.flags.runLint}/${e.flags.runTests}`).join(",");
+if (flagsOf(mixedRun.config) !== "true/true,false/false") fail(`flags: projects matrix ${flagsOf(mixedRun.config)}`);
+if (flagsOf(run(`${base}flags:\n  runLint: true\n`).config) !== "true/true") fail("flags: v1 single-project flags not forwarded");
+// The workflow runs the commands validated here, install included, for single-project configs too.
+const [single] = buildProjectMatrix(run(`${base}runtime:\n  version: "22.x"\ntool:\n  kind: "pnpm"\n`).config);
+if (single.commands.install !== "npm ci" || single.commands.build !== "npm run build" || single.runtimeVersion !== "22.x" || single.tool !== "pnpm") {
+  fail(`matrix: single-project entry should carry commands, runtime and tool, got ${JSON.stringify(single)}`);
+}
+const monoInstall = buildProjectMatrix({ projects: [{ name: "api", stack: "node", commands: { install: "pnpm install", build: "pnpm build" } }] })[0];
+if (monoInstall.commands.install !== "pnpm install") fail("matrix: project commands.install not forwarded");
+
+// Exception registry: approved + unexpired + matching repo unblocks exactly what it names.
+const withExceptions = structuredClone(inputs.matrix);
+withExceptions.data.stacks.find((st) => st.runtime.name === "node").exceptions = {
+  enabled: true,
+  rules: [
+    {
+      id: "EXC-TEST-1",
+      scope: { repo: "acme/legacy", version: "16.x" },
+      approvedBy: "@platform",
+      issue: "https://example.invalid/issues/1",
+      expires: "2030-01-31",
+    },
+    {
+      id: "EXC-TEST-2",
+      scope: { repo: "acme/legacy", tool: "bun" },
+      approvedBy: "@platform",
+      issue: "https://example.invalid/issues/2",
+      expires: "2020-01-31",
+    },
+  ],
+};
+const legacy = `${base}runtime:\n  version: "16"\n`;
+const excepted = run(legacy, { matrix: withExceptions, repo: "acme/legacy", today: "2030-01-31" });
+if (!excepted.ok || excepted.exceptions[0]?.id !== "EXC-TEST-1") fail("exception should allow runtime 16 for acme/legacy");
+assertCode("exception is repo-scoped", legacy, "RUNTIME_VERSION_NOT_ALLOWED", { matrix: withExceptions, repo: "acme/other" });
+assertCode("exception expires", legacy, "RUNTIME_VERSION_NOT_ALLOWED", { matrix: withExceptions, repo: "acme/legacy", today: "2030-02-01" });
+assertCode("expired tool exception", `${base}tool:\n  kind: "bun"\n`, "TOOL_NOT_ALLOWED", { matrix: withExceptions, repo: "acme/legacy" });
+
+// Version lifecycle: grace window warns, removal fails, exceptions still apply.
+const node18 = `${base}runtime:\n  version: "18"\n`;
+const graced = run(node18, { today: "2026-03-31" });
+if (!graced.ok || !codes(graced).includes("RUNTIME_VERSION_DEPRECATED")) fail("18.x should warn inside the grace window");
+if (graced.lifecycle[0]?.state !== "deprecated") fail("lifecycle state should be recorded as deprecated");
+assertCode("removed version fails", node18, "RUNTIME_VERSION_REMOVED", { today: "2026-04-01" });
+assertCode("strict fails in grace window", node18, "STRICT_RUNTIME_VERSION_DEPRECATED", { strict: true, today: "2026-03-31" });
+if (run(`${base}runtime:\n  version: "20"\n`, { today: "2026-04-29" }).lifecycle[0]?.state !== "supported") {
+  fail("20.x should be supported before its EOL");
+}
+// Go: removal one quarter after vendor EOL (deprecationPolicy.removalRule).
+const go123 = `schemaVersion: 1\nstack: go\nruntime:\n  version: "1.23.x"\n`;
+if (run(go123, { today: "2025-11-12" }).lifecycle[0]?.state !== "deprecated") fail("go 1.23.x should be in its grace window until 2025-11-12");
+assertCode("go 1.23.x removed", go123, "RUNTIME_VERSION_REMOVED");
+assertCode("go 1.22.x removed", go123.replace("1.23.x", "1.22.x"), "RUNTIME_VERSION_REMOVED");
+const withRemovalException = structuredClone(inputs.matrix);
+withRemovalException.data.stacks.find((st) => st.runtime.name === "node").exceptions = {
+  enabled: true,
+  rules: [{ id: "EXC-TEST-3", scope: { repo: "acme/legacy", version: "18.x" }, approvedBy: "@platform", issue: "https://example.invalid/issues/3", expires: "2026-12-31" }],
+};
+assertOk("exception covers removed version", node18, { matrix: withRemovalException, repo: "acme/legacy", today: "2026-06-01" });
+
+// Source positions (1-based line/column in build.yml).
+const positioned = run(`schemaVersion: 1\nstack: node\ntool:\n  kind: "bun"\ncommands:\n  install: "npm ci"\n  build: ""\nextra: 1\n`);
+const at = (code) => positioned.issues.find((i) => i.code === code);
+for (const [code, line, column] of [
+  ["SCHEMA_MINLENGTH", 7, 3],
+  ["SCHEMA_ADDITIONALPROPERTIES", 8, 1],
+]) {
+  if (at(code)?.line !== line || at(code)?.column !== column) {
+    fail(`${code} should be at ${line}:${column}, got ${at(code)?.line}:${at(code)?.column}`);
+  }
+}
+const ruleIssue = run(`schemaVersion: 1\nstack: node\ntool:\n  kind: "bun"\ncommands:\n  install: "npm ci"\n  build: "npm run build"\n`).issues.find((i) => i.code === "TOOL_NOT_ALLOWED");
+if (ruleIssue?.line !== 4 || ruleIssue?.column !== 3) fail(`TOOL_NOT_ALLOWED should be at 4:3, got ${ruleIssue?.line}:${ruleIssue?.column}`);
+const parseIssue = run("schemaVersion: 1\nstack: [node\n").issues[0];
+if (parseIssue?.code !== "CONFIG_PARSE_ERROR" || !parseIssue.line) fail("CONFIG_PARSE_ERROR should carry a line");
+
+// Toolchain files: declared tool vs manifests/lockfiles in workingDirectory.
+const TMP = path.join(process.cwd(), "scripts", "regression", ".tmp", "toolchain");
+function project(name, files) {
+  const dir = path.join(TMP, name);
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+  for (const [f, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, f)), { recursive: true });
+    fs.writeFileSync(path.join(dir, f), content, "utf8");
+  }
+  return dir;
+}
+const pnpm = `${base}tool:\n  kind: "pnpm"\n`;
+const npmOnly = project("npm-only", { "package.json": "{}", "package-lock.json": "{}" });
+assertOk("no projectDir skips file rules", pnpm);
+assertOk("npm + package-lock.json", base, { projectDir: npmOnly });
+assertCode("pnpm with package-lock.json", pnpm, "TOOL_LOCKFILE_MISMATCH", { projectDir: npmOnly });
+assertCode("missing package.json", base, "TOOL_MANIFEST_MISSING", { projectDir: project("empty", {}) });
+assertCode(
+  "packageManager disagrees",
+  pnpm,
+  "TOOL_PACKAGE_MANAGER_MISMATCH",
+  { projectDir: project("pm-yarn", { "package.json": JSON.stringify({ packageManager: "yarn@4.1.0" }), "pnpm-lock.yaml": "" }) }
+);
+const noLock = run(base, { projectDir: project("no-lock", { "package.json": "{}" }) });
+if (!noLock.ok || !codes(noLock).includes("TOOL_LOCKFILE_MISSING")) fail("missing lockfile should only warn");
+const twoLocks = run(pnpm, { projectDir: project("two-locks", { "package.json": "{}", "pnpm-lock.yaml": "", "yarn.lock": "" }) });
+if (!twoLocks.ok || !codes(twoLocks).includes("TOOL_LOCKFILE_MULTIPLE")) fail("extra lockfile should only warn");
+
+const poetry = `schemaVersion: 1\nstack: python\ntool:\n  kind: "poetry"\ncommands:\n  install: "poetry install"\n  build: "poetry build"\n`;
+assertCode("poetry without pyproject.toml", poetry, "TOOL_MANIFEST_MISSING", { projectDir: project("poetry-req", { "requirements.txt": "" }) });
+assertOk("poetry project", poetry, { projectDir: project("poetry-ok", { "pyproject.toml": "", "poetry.lock": "" }) });
+// pip's default install covers every pip manifest: requirements.txt, else the project itself.
+const pipProject = run(`schemaVersion: 1\nstack: python\n`, { projectDir: project("pip-pyproject", { "pyproject.toml": "" }) });
+if (!pipProject.ok || !/else python -m pip install \.; fi$/.test(pipProject.resolved?.commands?.install)) {
+  fail(`pip pyproject.toml project: expected a default install that handles it, got ${JSON.stringify(pipProject.resolved?.commands?.install)} ${codes(pipProject).join(", ")}`);
+}
+assertOk("dotnet csproj", `schemaVersion: 1\nstack: dotnet\ncommands:\n  install: "dotnet restore"\n  build: "dotnet build"\n`, {
+  projectDir: project("dotnet-ok", { "App.csproj": "<Project />" }),
+});
+
+const mono = `schemaVersion: 1
+projects:
+  - name: web
+    stack: node
+    workingDirectory: apps/web
+    tool:
+      kind: "yarn"
+    commands: { install: "yarn install", build: "yarn build" }
+  - name: api
+    stack: go
+    workingDirectory: services/missing
+    tool:
+      kind: "go"
+    commands: { install: "go mod download", build: "go build ./..." }
+`;
+const monoDir = project("mono", { "apps/web/package.json": "{}", "apps/web/package-lock.json": "{}" });
+const monoResult = run(mono, { projectDir: monoDir });
+const monoPaths = monoResult.issues.map((i) => `${i.code}@${i.path}`);
+for (const expected of ["TOOL_LOCKFILE_MISMATCH@/projects/0/tool/kind", "WORKING_DIRECTORY_NOT_FOUND@/projects/1/workingDirectory"]) {
+  if (!monoPaths.includes(expected)) fail(`monorepo file rules: expected ${expected}, got ${monoPaths.join(", ")}`);
+}
+
+// extends: named + local presets, deep merge (lists replaced), provenance, cycles.
+const npmFiles = { "package.json": "{}", "package-lock.json": "{}" };
+const withPresets = (name, buildYml, files = {}) => {
+  const dir = project(name, { ...npmFiles, ".brik/build.yml": buildYml, ...files });
+  const configFile = path.join(dir, ".brik", "build.yml");
+  return run(fs.readFileSync(configFile, "utf8"), { projectDir: dir, configFile });
+};
+const named = withPresets("extends-named", "schemaVersion: 2\nextends: brik:node-npm\n");
+if (!named.ok || named.resolved?.commands?.lint !== "npm run lint" || named.resolved?.provenance?.fields?.["/stack"] !== "brik:node-npm") {
+  fail(`extends named preset: ${JSON.stringify(named.issues)} ${JSON.stringify(named.resolved?.provenance)}`);
+}
+const layered = withPresets("extends-local", "schemaVersion: 2\nextends: ./presets/team.yml\ncommands:\n  test: npm run test:ci\n", {
+  ".brik/presets/team.yml": "extends: brik:node-npm\nartifacts:\n  paths: [build/**]\n",
+});
+const trail = layered.resolved?.provenance;
+if (
+  JSON.stringify(layered.resolved?.artifacts?.paths) !== '["build/**"]' ||
+  layered.resolved?.commands?.test !== "npm run test:ci" ||
+  JSON.stringify(trail?.extends) !== '["brik:node-npm",".brik/presets/team.yml"]' ||
+  trail?.fields?.["/artifacts/paths"] !== ".brik/presets/team.yml" ||
+  trail?.fields?.["/commands/test"] !== ".brik/build.yml" ||
+  trail?.fields?.["/commands/install"] !== "brik:node-npm"
+) {
+  fail(`extends local chain: ${JSON.stringify(layered.resolved)}`);
+}
+const cycle = withPresets("extends-cycle", "schemaVersion: 2\nextends: ./a.yml\n", { ".brik/a.yml": "extends: ./b.yml\n", ".brik/b.yml": "extends: ./a.yml\n" });
+if (!codes(cycle).includes("EXTENDS_CYCLE")) fail(`extends cycle: got ${codes(cycle).join(", ")}`);
+if (!codes(withPresets("extends-missing", "schemaVersion: 2\nextends: brik:nope\n")).includes("EXTENDS_NOT_FOUND")) fail("extends: unknown preset not reported");
+const fromPreset = withPresets("extends-blame", "schemaVersion: 2\nstack: node\nextends: ./bad.yml\n", {
+  ".brik/bad.yml": "tool:\n  kind: bun\ncommands: { install: npm ci, build: npm run build }\n",
+}).issues.find((i) => i.code === "TOOL_NOT_ALLOWED");
+if (fromPreset?.line !== 3 || !fromPreset.message.includes("set by preset .brik/bad.yml")) fail(`extends: preset issue not blamed: ${JSON.stringify(fromPreset)}`);
+const monoExtends = withPresets("extends-mono", "schemaVersion: 2\nprojects:\n  - name: api\n    workingDirectory: .\n    extends: brik:go\n", { "go.mod": "module x\n" });
+const api = monoExtends.resolved?.projects?.[0];
+if (api?.stack !== "go" || api?.provenance?.fields?.["/stack"] !== "brik:go" || JSON.stringify(api?.provenance?.extends) !== '["brik:go"]') {
+  fail(`extends per project: ${JSON.stringify(monoExtends.issues)} ${JSON.stringify(api)}`);
+}
+assertCode("v1 has no extends", `${base}extends: brik:node-npm\n`, "SCHEMA_ADDITIONALPROPERTIES");
+
+fs.rmSync(TMP, { recursive: true, force: true });
+
+// Schema versions: v1 stays valid input, both shapes resolve to the same flags.
+const v2 = base.replace("schemaVersion: 1", "schemaVersion: 2");
+assertOk("v2 steps", `${v2}steps:\n  lint: false\n  test: false\n`);
+assertCode("v2 rejects flags", `${v2}flags:\n  runTests: false\n`, "SCHEMA_ADDITIONALPROPERTIES");
+assertCode("v1 rejects steps", `${base}steps:\n  test: false\n`, "SCHEMA_ADDITIONALPROPERTIES");
+const v1Flags = run(`${base}flags:\n  runLint: true\n  runTests: false\n`).resolved?.flags;
+const v2Steps = run(`${v2}steps:\n  lint: true\n  test: false\n`).resolved?.flags;
+if (JSON.stringify(v1Flags) !== JSON.stringify(v2Steps) || v2Steps?.runTests !== false) {
+  fail(`v1 flags and v2 steps should resolve alike: ${JSON.stringify(v1Flags)} vs ${JSON.stringify(v2Steps)}`);
+}
+assertCode("v1 ignored test command", `${base}  test: "npm test"\nflags:\n  runTests: false\n`, "STRICT_TEST_CMD_IGNORED", { strict: true });
+
+// Migrator: textual edits only, comments and quoting kept, result validates as v2.
+const v1Source = `# build config\nschemaVersion: 1 # pinned\n${base.split("\n").slice(1).join("\n")}flags:\n  runLint: false # no linter yet\n  "runTests": true\n`;
+const migrated = migrateBuildConfigSource(v1Source);
+if (!migrated.changed || migrated.from !== 1 || migrated.to !== 2) fail(`migrate: unexpected result ${JSON.stringify(migrated)}`);
+for (const expected of ["# build config\n", "schemaVersion: 2 # pinned\n", "steps:\n  lint: false # no linter yet\n  \"test\": true\n"]) {
+  if (!migrated.output.includes(expected)) fail(`migrate: output lacks ${JSON.stringify(expected)}:\n${migrated.output}`);
+}
+assertOk("migrated v1", migrated.output);
+if (migrateBuildConfigSource(migrated.output).changed) fail("migrate: second run should be a no-op");
+const monoMigrated = migrateBuildConfigSource(`${mono}    flags: { runTests: false }\n`).output;
+if (!monoMigrated.includes("steps: { test: false }")) fail(`migrate: monorepo project flags not renamed:\n${monoMigrated}`);
+for (const [name, src] of [
+  ["unknown version", "schemaVersion: 9\nstack: node\n"],
+  ["steps and flags both set", `${base}flags: {}\nsteps: {}\n`],
+]) {
+  let threw = false;
+  try {
+    migrateBuildConfigSource(src);
+  } catch {
+    threw = true;
+  }
+  if (!threw) fail(`migrate: expected ${name} to be refused`);
+}
+
+// Policy packs: picked by ref/event, first match wins; they only tighten.
+const packFor = (ref, event, matrix = inputs.matrix) => selectPolicyPack(matrix.data, { ref, event });
+for (const [ref, event, expected] of [
+  ["refs/heads/release/2026.10", "push", "release"],
+  ["refs/tags/v1.2.0", "release", "release"],
+  ["refs/heads/main", "push", "main"],
+  ["refs/heads/main", "pull_request", "pull-request"],
+  ["refs/pull/7/merge", "pull_request", "pull-request"],
+  ["refs/heads/feature/x", "push", "development"],
+  [null, null, "development"],
+]) {
+  if (packFor(ref, event).name !== expected) fail(`policy pack for ${ref}/${event}: expected ${expected}, got ${packFor(ref, event).name}`);
+}
+if (selectPolicyPack({}, { ref: "refs/heads/main" }).name !== "default") fail("policy: no packs should give the default pack");
+if (packFor("refs/tags/v1.2.0", "push").missingArtifacts !== "fail" || packFor("refs/heads/main", "push").missingArtifacts !== "warn") {
+  fail("policy: only the release pack should fail on artifact paths that match no file");
+}
+if (selectPolicyPack({ policy: { packs: [{ name: "x", missingArtifacts: "ignore" }] } }).missingArtifacts !== "warn") {
+  fail("policy: an unknown missingArtifacts value should fall back to warn");
+}
+
+const mainPack = packFor("refs/heads/main", "push");
+assertCode("main requires tests (v2)", `${v2}steps:\n  test: false\n`, "POLICY_FLAG_REQUIRED", { policy: mainPack });
+const v1NoTests = run(`${base}flags:\n  runTests: false\n`, { policy: mainPack }).issues.find((i) => i.code === "POLICY_FLAG_REQUIRED");
+if (v1NoTests?.path !== "/flags/runTests") fail(`policy: v1 flag path, got ${JSON.stringify(v1NoTests)}`);
+assertOk("development allows tests off", `${v2}steps:\n  test: false\n`, { policy: packFor(null, null) });
+// The workflow's run_tests input gates the test step too, so it cannot switch tests off under the pack.
+assertCode("main rejects run_tests: false", v2, "POLICY_FLAG_REQUIRED", { policy: mainPack, workflowFlags: { runLint: false, runTests: false } });
+assertOk("main allows run_tests: true", v2, { policy: mainPack, workflowFlags: { runLint: false, runTests: true } });
+assertOk("development allows run_tests: false", v2, { policy: packFor(null, null), workflowFlags: { runTests: false } });
+const lintPack = { ...mainPack, requiredFlags: ["runLint"] };
+assertCode("required lint off everywhere", v2, "POLICY_FLAG_REQUIRED", { policy: lintPack, workflowFlags: { runLint: false } });
+assertOk("required lint turned on by run_lint", v2, { policy: lintPack, workflowFlags: { runLint: true } });
+
+// Every releasable stack's defaultVersion must pass the (strict) release pack. The date is not
+// pinned: a default past its EOL has to fail here before it fails every default release build.
+const releasePack = packFor("refs/tags/v1.0.0", "push");
+for (const st of inputs.matrix.data.stacks.filter((x) => x.supportStatus !== "experimental")) {
+  const r = run(`schemaVersion: 2\nstack: ${st.runtime.name}\n`, { policy: releasePack, today: new Date().toISOString().slice(0, 10) });
+  if (!r.ok) fail(`release pack: default ${st.runtime.name} ${st.defaultVersion} fails: ${codes(r).join(", ")}`);
+}
+
+const releaseRun = run(`${base}runtime:\n  version: "18"\n`, { policy: packFor("refs/tags/v1.0.0", "push"), today: "2026-03-31" });
+if (!releaseRun.strict || !codes(releaseRun).some((c) => c.startsWith("STRICT_"))) fail(`policy: release pack should force strict, got ${codes(releaseRun).join(", ")}`);
+
+const unsafe = `schemaVersion: 1\nstack: node\ncommands:\n  install: "npm ci"\n  build: "npm run build || true"\n`;
+const prUnsafe = run(unsafe, { allowUnsafe: true, policy: packFor("refs/pull/7/merge", "pull_request") });
+if (!codes(prUnsafe).includes("UNSAFE_COMMAND_FAILURE_MASKED") || prUnsafe.policy?.ignoredInputs[0] !== "allowUnsafeCommands") {
+  fail(`policy: pull-request pack should ignore allowUnsafe, got ${codes(prUnsafe).join(", ")}`);
+}
+assertOk("development honours allowUnsafe", unsafe, { allowUnsafe: true, policy: packFor(null, null) });
+
+const experimental = structuredClone(inputs.matrix);
+experimental.data.stacks.find((st) => st.runtime.name === "node").supportStatus = "experimental";
+assertCode("main blocks experimental stacks", base, "POLICY_EXPERIMENTAL_STACK", { matrix: experimental, policy: packFor("refs/heads/main", "push", experimental) });
+assertOk("development allows experimental stacks", base, { matrix: experimental, policy: packFor(null, null, experimental) });
+
+console.log("✅ validator-tests: OK");
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/**
+ * brik-pipe — local CLI for BrikByteOS pipeline configs
+ *
+ * Usage:
+ *   brik-pipe validate [--config .brik/build.yml] [--strict] [--allow-unsafe-commands]
+ *                      [--format text|json|sarif] [--dir <repo>] [--evidence-dir <dir>] [--no-evidence]
+ *                      [--repo <owner/name>] [--detect [--stack <name>] [--write-config]]
+ *   brik-pipe init     [--stack <name>] [--tool <kind>] [--runtime-version <ver>] [--dir <path>]
+ *                      [--ref <ref>] [--force] [--dry-run]
+ *   brik-pipe migrate  [--config .brik/build.yml] [--dir <repo>] [--dry-run] [--check]
+ *   brik-pipe verify   [--dir <repo>] [--audit-dir .audit] [--format text|json] [<bundle-dir>...]
+ *
+ * Runs the same engine as the validate-build-config action, fully offline:
+ * no @actions/core, no GITHUB_* env vars, no network.
+ *
+ * Exit codes:
+ *   0  success
+ *   1  command ran and found problems (e.g. invalid config)
+ *   2  usage error (or the command could not run)
+ */
+
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { runInit } from "./commands/init.mjs";
+import { runMigrate } from "./commands/migrate.mjs";
+import { runValidate } from "./commands/validate.mjs";
+import { runVerify } from "./commands/verify.mjs";
+
+/** brik-pipe-actions repo root (schemas + runtime matrix live here). */
+const ACTIONS_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "..");
+
+const COMMANDS = {
+  validate: { run: runValidate, summary: "Validate .brik/build.yml exactly like CI does" },
+  init: { run: runInit, summary: "Scaffold .brik/build.yml, Dockerfile, .dockerignore and a build workflow" },
+  migrate: { run: runMigrate, summary: "Upgrade .brik/build.yml to the latest schemaVersion, keeping comments" },
+  verify: { run: runVerify, summary: "Check .audit evidence bundles against their manifest.json and evidence schemas" },
+};
+
+function usage() {
+  const lines = ["Usage: brik-pipe <command> [options]", "", "Commands:"];
+  for (const [name, cmd] of Object.entries(COMMANDS)) lines.push(`  ${name.padEnd(12)}${cmd.summary}`);
+  lines.push("", "Run `brik-pipe <command> --help` for command options.");
+  return lines.join("\n");
+}
+
+async function main(argv) {
+  const [name, ...rest] = argv;
+  if (!name || name === "--help" || name === "-h") {
+    console.log(usage());
+    return name ? 0 : 2;
+  }
+  const cmd = COMMANDS[name];
+  if (!cmd) {
+    console.error(`Unknown command: ${name}\n\n${usage()}`);
+    return 2;
+  }
+  return cmd.run(rest, { actionsRoot: ACTIONS_ROOT, cwd: process.cwd() });
+}
+
+main(process.argv.slice(2)).then(
+  (code) => process.exit(code),
+  (err) => {
+    console.error(`❌ brik-pipe: ${err?.message ?? String(err)}`);
+    process.exit(2);
+  }
+);
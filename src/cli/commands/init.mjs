@@ -0,0 +1,131 @@
+/**
+ * `brik-pipe init` — scaffold .brik/build.yml, Dockerfile, .dockerignore and a
+ * caller workflow for a new project.
+ *
+ * The stack comes from --stack or, when omitted, from the same detection used by
+ * `validate --detect`. The generated build.yml is run through the validation
+ * engine before anything is written, and existing files are never overwritten
+ * without --force. A detected runtime version past its EOL is replaced by the
+ * matrix default, so the scaffold also passes the release policy pack.
+ */
+
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { detectBuildConfig } from "../../detect/detect-build-config.mjs";
+import { DEFAULT_WORKFLOW_REF, planScaffold, SCAFFOLD_PATHS, writeScaffold } from "../../scaffold/init-project.mjs";
+import { matrixStackNames } from "../../runtime-matrix/load-runtime-matrix.mjs";
+import { loadValidationInputs, validateBuildConfig } from "../../validators/validate-build-config.mjs";
+
+const HELP = `Usage: brik-pipe init [options]
+
+Options:
+  --stack <name>             A runtime-matrix stack, e.g. node or rust (default: detected from manifests/lockfiles)
+  --tool <kind>              tool.kind (default: detected, else the runtime matrix default)
+  --runtime-version <ver>    runtime.version (default: detected, else the runtime matrix default)
+  --dir <path>               Project directory (default: current directory)
+  --ref <ref>                brik-pipe-actions ref for the caller workflow (default: ${DEFAULT_WORKFLOW_REF})
+  --force                    Overwrite existing files
+  --dry-run                  Print the files instead of writing them
+  -h, --help                 Show this help`;
+
+/**
+ * @param {string[]} argv
+ * @param {{ actionsRoot: string, cwd: string }} ctx
+ * @returns {Promise<number>} exit code
+ */
+export async function runInit(argv, ctx) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: {
+        stack: { type: "string" },
+        tool: { type: "string" },
+        "runtime-version": { type: "string" },
+        dir: { type: "string" },
+        ref: { type: "string", default: DEFAULT_WORKFLOW_REF },
+        force: { type: "boolean", default: false },
+        "dry-run": { type: "boolean", default: false },
+        help: { type: "boolean", short: "h", default: false },
+      },
+      strict: true,
+    }));
+  } catch (err) {
+    console.error(`${err.message}\n\n${HELP}`);
+    return 2;
+  }
+
+  if (values.help) {
+    console.log(HELP);
+    return 0;
+  }
+  const { schemas, matrix } = loadValidationInputs(ctx.actionsRoot);
+  const stacks = matrixStackNames(matrix.data);
+  if (values.stack && !stacks.includes(values.stack)) {
+    console.error(`Unknown --stack "${values.stack}". Expected one of: ${stacks.join(", ")}`);
+    return 2;
+  }
+
+  const projectDir = path.resolve(ctx.cwd, values.dir ?? ".");
+  const detection = detectBuildConfig(projectDir, { stackHint: values.stack ?? "", matrix: matrix.data });
+  const stack = values.stack ?? detection.selected?.stack;
+  if (!stack) {
+    const found = detection.candidates.map((c) => `${c.stack} (${c.markers.join(", ")})`).join("; ");
+    console.error(
+      found
+        ? `More than one stack detected: ${found}. Pass --stack.`
+        : `No stack detected in ${projectDir}. Pass --stack <${stacks.join("|")}>.`
+    );
+    return 2;
+  }
+
+  // Detected values fill whatever was not given explicitly; provenance ends up as comments.
+  /** @type {Record<string, string>} */
+  const sources = {};
+  const tool = values.tool ?? detection.selected?.tool?.value;
+  if (!values.tool && detection.selected?.tool) sources["tool.kind"] = detection.selected.tool.source;
+  const runtimeVersion = values["runtime-version"] ?? detection.selected?.runtimeVersion?.value;
+  if (!values["runtime-version"] && detection.selected?.runtimeVersion) {
+    sources["runtime.version"] = detection.selected.runtimeVersion.source;
+  }
+
+  const scaffold = (version) => {
+    const planned = planScaffold(
+      { stack, tool, runtimeVersion: version, workflowRef: values.ref, sources },
+      { actionsRoot: ctx.actionsRoot, matrix: matrix.data }
+    );
+    const buildConfig = planned.find((f) => f.path === SCAFFOLD_PATHS.buildConfig);
+    return { files: planned, result: validateBuildConfig({ source: buildConfig?.content ?? "", schemas, matrix }) };
+  };
+
+  let { files, result } = scaffold(runtimeVersion);
+  // A detected version past its EOL only warns here but fails strict (release) builds: use the matrix default.
+  const stale = result.lifecycle.find((l) => l.state !== "supported");
+  if (stale && sources["runtime.version"]) {
+    console.error(
+      `⚠️ Detected runtime.version "${runtimeVersion}" (${sources["runtime.version"]}) is ${stale.state}` +
+        `${stale.eol ? ` (EOL ${stale.eol})` : ""}; scaffolding the runtime matrix default instead. Pass --runtime-version to keep it.`
+    );
+    delete sources["runtime.version"];
+    ({ files, result } = scaffold(undefined));
+  }
+  if (!result.ok) {
+    for (const issue of result.issues) console.error(`${issue.level.toUpperCase()} ${issue.code} at ${issue.path}: ${issue.message}`);
+    console.error(`❌ Generated ${SCAFFOLD_PATHS.buildConfig} does not validate; nothing written.`);
+    return 1;
+  }
+
+  if (values["dry-run"]) {
+    for (const f of files) console.log(`--- ${f.path}\n${f.content}`);
+    return 0;
+  }
+
+  const { written, conflicts } = writeScaffold(projectDir, files, { force: values.force });
+  if (written.length === 0) {
+    console.error(`❌ Refusing to overwrite existing file(s): ${conflicts.join(", ")} (use --force)`);
+    return 1;
+  }
+  for (const f of written) console.log(`${conflicts.includes(f) ? "overwrote" : "created"} ${f}`);
+  console.log(`✅ ${stack} project scaffolded in ${path.relative(ctx.cwd, projectDir) || "."}`);
+  return 0;
+}
@@ -0,0 +1,102 @@
+/**
+ * `brik-pipe migrate` — rewrite .brik/build.yml to the latest schemaVersion in place.
+ *
+ * Only the renamed keys and the schemaVersion value are edited, so comments and
+ * formatting stay as they were. The diff is always printed; the migrated text
+ * must pass the latest schema before the file is written.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { migrateBuildConfigSource } from "../../migrate/build-config-migrations.mjs";
+import { unifiedDiff } from "../../migrate/line-diff.mjs";
+import { loadValidationInputs, validateBuildConfig } from "../../validators/validate-build-config.mjs";
+
+const HELP = `Usage: brik-pipe migrate [options]
+
+Options:
+  --config <path>   Build config, relative to --dir (default: .brik/build.yml)
+  --dir <path>      Repository root (default: current directory)
+  --dry-run         Print the diff without writing the file
+  --check           Exit 1 if the file is not on the latest schemaVersion (writes nothing)
+  -h, --help        Show this help`;
+
+/**
+ * @param {string[]} argv
+ * @param {{ actionsRoot: string, cwd: string }} ctx
+ * @returns {Promise<number>} exit code
+ */
+export async function runMigrate(argv, ctx) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: {
+        config: { type: "string", default: ".brik/build.yml" },
+        dir: { type: "string" },
+        "dry-run": { type: "boolean", default: false },
+        check: { type: "boolean", default: false },
+        help: { type: "boolean", short: "h", default: false },
+      },
+      strict: true,
+    }));
+  } catch (err) {
+    console.error(`${err.message}\n\n${HELP}`);
+    return 2;
+  }
+
+  if (values.help) {
+    console.log(HELP);
+    return 0;
+  }
+
+  const repoDir = path.resolve(ctx.cwd, values.dir ?? ".");
+  const absConfigPath = path.resolve(repoDir, values.config);
+  const displayPath = path.relative(repoDir, absConfigPath).split(path.sep).join("/");
+  if (!fs.existsSync(absConfigPath)) {
+    console.error(`❌ ${displayPath} not found`);
+    return 2;
+  }
+
+  const source = fs.readFileSync(absConfigPath, "utf8");
+  let migration;
+  try {
+    migration = migrateBuildConfigSource(source);
+  } catch (err) {
+    console.error(`❌ Cannot migrate ${displayPath}: ${err.message}`);
+    return 2;
+  }
+
+  if (!migration.changed) {
+    console.log(`✅ ${displayPath} is already on schemaVersion ${migration.to}`);
+    return 0;
+  }
+
+  process.stdout.write(unifiedDiff(source, migration.output, { fromFile: `a/${displayPath}`, toFile: `b/${displayPath}` }));
+  for (const step of migration.applied) console.log(`  ${step}`);
+
+  if (values.check) {
+    console.error(`❌ ${displayPath} is on schemaVersion ${migration.from}; run \`brik-pipe migrate\` to upgrade to ${migration.to}`);
+    return 1;
+  }
+
+  const { schemas, matrix } = loadValidationInputs(ctx.actionsRoot);
+  const schemaIssues = validateBuildConfig({ source: migration.output, schemas, matrix }).issues.filter((i) =>
+    i.code.startsWith("SCHEMA_")
+  );
+  if (schemaIssues.length > 0) {
+    for (const i of schemaIssues) console.error(`ERROR ${i.code} at ${i.path} (line ${i.line ?? "?"}): ${i.message}`);
+    console.error(`❌ Migrated ${displayPath} does not match schemaVersion ${migration.to}; fix the errors above first. Nothing written.`);
+    return 1;
+  }
+
+  if (values["dry-run"]) {
+    console.log(`(dry run) ${displayPath}: schemaVersion ${migration.from} → ${migration.to}, not written`);
+    return 0;
+  }
+
+  fs.writeFileSync(absConfigPath, migration.output, "utf8");
+  console.log(`✅ Migrated ${displayPath}: schemaVersion ${migration.from} → ${migration.to}`);
+  return 0;
+}
@@ -0,0 +1,158 @@
+/**
+ * `brik-pipe validate` — reproduce the validate-build-config CI step locally.
+ *
+ * Same engine, same evidence layout: by default the validation evidence is written
+ * to <dir>/.audit/PIPE-BUILD/validation/ (validation-summary.md included), so the
+ * files a developer inspects locally match the CI artifact.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import {
+  loadValidationInputs,
+  missingConfigResult,
+  validateBuildConfig,
+} from "../../validators/validate-build-config.mjs";
+import { makeValidationReport, writeValidationEvidence } from "../../validators/validation-evidence.mjs";
+import { schemaFor } from "../../validators/schema-registry.mjs";
+import { selectPolicyPack } from "../../validators/policy-packs.mjs";
+import { configProjectDir, detectAndValidate } from "../../detect/detect-build-config.mjs";
+import { FORMATS, formatJson, formatSarif, formatText } from "../format.mjs";
+
+const HELP = `Usage: brik-pipe validate [options]
+
+Options:
+  --config <path>            Build config, relative to --dir (default: .brik/build.yml)
+  --dir <path>               Repository root (default: current directory)
+  --strict                   Treat warnings as errors
+  --allow-unsafe-commands    Skip unsafe command pattern checks (not recommended)
+  --repo <owner/name>        Repo identity for runtime-matrix exceptions (default: $GITHUB_REPOSITORY if set)
+  --ref <ref>                Git ref that picks the policy pack, e.g. refs/heads/main (default: $GITHUB_REF if set)
+  --event <name>             Event that picks the policy pack, e.g. push (default: $GITHUB_EVENT_NAME if set)
+  --detect                   If the config is missing, infer stack/tool/runtime from manifests and lockfiles
+  --stack <name>             Narrow detection to one runtime-matrix stack (e.g. node, rust)
+  --write-config             With --detect: write the inferred starter config to --config (never overwrites)
+  --format <text|json|sarif> Output format (default: text)
+  --evidence-dir <path>      Evidence output dir (default: <dir>/.audit/PIPE-BUILD/validation)
+  --no-evidence              Do not write evidence files
+  -h, --help                 Show this help`;
+
+/**
+ * @param {string[]} argv
+ * @param {{ actionsRoot: string, cwd: string }} ctx
+ * @returns {Promise<number>} exit code
+ */
+export async function runValidate(argv, ctx) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: {
+        config: { type: "string", default: ".brik/build.yml" },
+        dir: { type: "string" },
+        strict: { type: "boolean", default: false },
+        "allow-unsafe-commands": { type: "boolean", default: false },
+        repo: { type: "string" },
+        ref: { type: "string" },
+        event: { type: "string" },
+        detect: { type: "boolean", default: false },
+        stack: { type: "string" },
+        "write-config": { type: "boolean", default: false },
+        format: { type: "string", default: "text" },
+        "evidence-dir": { type: "string" },
+        "no-evidence": { type: "boolean", default: false },
+        help: { type: "boolean", short: "h", default: false },
+      },
+      strict: true,
+    }));
+  } catch (err) {
+    console.error(`${err.message}\n\n${HELP}`);
+    return 2;
+  }
+
+  if (values.help) {
+    console.log(HELP);
+    return 0;
+  }
+  if (!FORMATS.includes(values.format)) {
+    console.error(`Unknown --format "${values.format}". Expected one of: ${FORMATS.join(", ")}`);
+    return 2;
+  }
+
+  const t0 = Date.now();
+  const repoDir = path.resolve(ctx.cwd, values.dir ?? ".");
+  const configPath = values.config;
+  const absConfigPath = path.resolve(repoDir, configPath);
+  const evidenceDir = path.resolve(
+    repoDir,
+    values["evidence-dir"] ?? path.join(".audit", "PIPE-BUILD", "validation")
+  );
+
+  const ioStart = Date.now();
+  const { schemas, matrix, presetsDir } = loadValidationInputs(ctx.actionsRoot);
+  const policy = selectPolicyPack(matrix.data, {
+    ref: values.ref ?? process.env.GITHUB_REF ?? null,
+    event: values.event ?? process.env.GITHUB_EVENT_NAME ?? null,
+  });
+  const engine = {
+    schemas,
+    matrix,
+    presetsDir,
+    strict: values.strict,
+    allowUnsafe: values["allow-unsafe-commands"],
+    repo: values.repo ?? process.env.GITHUB_REPOSITORY ?? null,
+    projectDir: configProjectDir(absConfigPath),
+    configFile: absConfigPath,
+    policy,
+  };
+
+  let result;
+  let rawYaml = null;
+  let inferredYaml = null;
+  /** @type {Parameters<typeof makeValidationReport>[3]} */
+  let origin = { configSource: "file" };
+
+  if (fs.existsSync(absConfigPath)) {
+    rawYaml = fs.readFileSync(absConfigPath, "utf8");
+    result = validateBuildConfig({ source: rawYaml, ...engine });
+  } else if (values.detect) {
+    const detected = detectAndValidate({ configPath, absConfigPath, stackHint: values.stack ?? "", ...engine });
+    result = detected.result;
+    inferredYaml = detected.starterYaml;
+    origin = { configSource: inferredYaml ? "detected" : "missing", inferred: detected.inferred };
+  } else {
+    result = missingConfigResult(configPath, { strict: values.strict, policy });
+    origin = { configSource: "missing" };
+  }
+  const ioMs = Date.now() - ioStart - result.timingsMs.total;
+
+  const files = { configPath: absConfigPath, schemaPath: schemaFor(schemas, result.schemaVersion).path, runtimeMatrixPath: matrix.path, evidenceDir };
+  const report = makeValidationReport(result, files, { ioMs: Math.max(0, ioMs), totalMs: Date.now() - t0 }, origin);
+
+  if (!values["no-evidence"]) writeValidationEvidence(evidenceDir, { report, result, rawYaml, inferredYaml });
+
+  // Only ever creates the file; an existing config is never touched.
+  let wroteConfig = false;
+  if (values["write-config"] && inferredYaml !== null && !fs.existsSync(absConfigPath)) {
+    fs.mkdirSync(path.dirname(absConfigPath), { recursive: true });
+    fs.writeFileSync(absConfigPath, inferredYaml, "utf8");
+    wroteConfig = true;
+  }
+
+  if (values.format === "json") {
+    console.log(formatJson(report));
+  } else if (values.format === "sarif") {
+    const artifactUri = path.relative(repoDir, absConfigPath).split(path.sep).join("/");
+    console.log(formatSarif(report, { artifactUri }));
+  } else {
+    console.log(formatText(report));
+    if (!values["no-evidence"]) {
+      console.log(`Evidence: ${path.relative(ctx.cwd, path.join(evidenceDir, "validation-summary.md")) || "."}`);
+    }
+    if (wroteConfig) console.log(`Wrote starter config: ${path.relative(ctx.cwd, absConfigPath)}`);
+    else if (inferredYaml !== null) console.log(`Starter config (not written, use --write-config):\n\n${inferredYaml}`);
+  }
+
+  return report.ok ? 0 : 1;
+}
@@ -0,0 +1,92 @@
+/**
+ * `brik-pipe verify` — check downloaded .audit evidence bundles offline.
+ *
+ * Every bundle (a directory with a manifest.json, found under --audit-dir or
+ * given as arguments) has its file hashes recomputed and its JSON files checked
+ * against schemas/evidence/*. Any mismatch exits 1.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { findEvidenceBundles, loadEvidenceSchemas, verifyEvidenceBundle } from "../../evidence/verify-bundle.mjs";
+
+const HELP = `Usage: brik-pipe verify [options] [<bundle-dir>...]
+
+Verifies evidence bundles (.audit/PIPE-BUILD, .audit/PIPE-CONTAINER-BUILD, ...)
+against their manifest.json. Without bundle dirs, every manifest.json under
+--audit-dir is verified.
+
+Options:
+  --dir <path>         Repository root (default: current directory)
+  --audit-dir <path>   Where to look for bundles, relative to --dir (default: .audit)
+  --format <text|json> Output format (default: text)
+  -h, --help           Show this help`;
+
+/**
+ * @param {string[]} argv
+ * @param {{ actionsRoot: string, cwd: string }} ctx
+ * @returns {Promise<number>} exit code
+ */
+export async function runVerify(argv, ctx) {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      args: argv,
+      options: {
+        dir: { type: "string" },
+        "audit-dir": { type: "string", default: ".audit" },
+        format: { type: "string", default: "text" },
+        help: { type: "boolean", short: "h", default: false },
+      },
+      allowPositionals: true,
+      strict: true,
+    }));
+  } catch (err) {
+    console.error(`${err.message}\n\n${HELP}`);
+    return 2;
+  }
+
+  if (values.help) {
+    console.log(HELP);
+    return 0;
+  }
+  if (!["text", "json"].includes(values.format)) {
+    console.error(`Unknown --format "${values.format}". Expected one of: text, json`);
+    return 2;
+  }
+
+  const repoDir = path.resolve(ctx.cwd, values.dir ?? ".");
+  const display = (abs) => path.relative(repoDir, abs).split(path.sep).join("/") || ".";
+  const bundles = positionals.length
+    ? positionals.map((p) => path.resolve(repoDir, p))
+    : findEvidenceBundles(path.resolve(repoDir, values["audit-dir"]));
+  if (bundles.length === 0) {
+    console.error(`❌ No evidence bundle (manifest.json) found under ${values["audit-dir"]}`);
+    return 1;
+  }
+  const notDirs = bundles.filter((b) => !fs.existsSync(b) || !fs.statSync(b).isDirectory());
+  if (notDirs.length) {
+    console.error(`❌ Not a directory: ${notDirs.map(display).join(", ")}`);
+    return 2;
+  }
+
+  const schemas = loadEvidenceSchemas(path.join(ctx.actionsRoot, "schemas", "evidence"));
+  const results = bundles.map((b) => ({ ...verifyEvidenceBundle(b, schemas), bundle: display(b) }));
+  const ok = results.every((r) => r.ok);
+
+  if (values.format === "json") {
+    console.log(JSON.stringify({ ok, bundles: results }, null, 2));
+  } else {
+    for (const r of results) {
+      if (r.ok) {
+        console.log(`✅ ${r.bundle}: ${r.fileCount} file(s) match manifest.json, ${r.schemaChecked} JSON file(s) match their schema`);
+        continue;
+      }
+      console.log(`❌ ${r.bundle}: ${r.issues.length} problem(s)`);
+      for (const i of r.issues) console.log(`  ${i.code} ${i.path}: ${i.message}`);
+    }
+  }
+  return ok ? 0 : 1;
+}
@@ -0,0 +1,84 @@
+/**
+ * Output formatters for `brik-pipe validate`.
+ *
+ *   text  — human-readable, mirrors validation-summary.md issue lines
+ *   json  — the validation-report.json document
+ *   sarif — SARIF 2.1.0 (GitHub code scanning / IDE problem matchers)
+ */
+
+const SARIF_SCHEMA = "https://json.schemastore.org/sarif-2.1.0.json";
+
+export const FORMATS = ["text", "json", "sarif"];
+
+/**
+ * @param {import("../validators/validation-evidence.mjs").ValidationReport} report
+ */
+export function formatText(report) {
+  const lines = [];
+  const errors = report.issues.filter((i) => i.level === "error").length;
+  const warnings = report.issues.length - errors;
+
+  for (const issue of report.issues) {
+    const where = issue.line ? ` (line ${issue.line}, col ${issue.column ?? 1})` : "";
+    lines.push(`${issue.level.toUpperCase()} ${issue.code} at ${issue.path}${where}: ${issue.message}`);
+    if (issue.suggestion) lines.push(`  suggestion: ${issue.suggestion}`);
+  }
+  for (const e of report.exceptionsApplied) {
+    lines.push(`EXCEPTION ${e.id} allows ${e.allows} "${e.value}" (approved by ${e.approvedBy}, expires ${e.expires})`);
+  }
+  if (report.issues.length || report.exceptionsApplied.length) lines.push("");
+
+  const target = report.projects ? `${report.projects.length} project(s)` : `stack ${report.stack ?? "unknown"}`;
+  lines.push(
+    `${report.ok ? "✅ PASS" : "❌ FAIL"} ${report.files.configPath} (${target}, strict=${report.strict}, policy=${report.policy?.name ?? "none"}) — ` +
+      `${errors} error(s), ${warnings} warning(s) in ${report.timingsMs.total}ms`
+  );
+  return lines.join("\n");
+}
+
+/**
+ * @param {import("../validators/validation-evidence.mjs").ValidationReport} report
+ */
+export function formatJson(report) {
+  return JSON.stringify(report, null, 2);
+}
+
+/**
+ * @param {import("../validators/validation-evidence.mjs").ValidationReport} report
+ * @param {{ artifactUri: string }} options config path relative to the repo root (SARIF wants a URI)
+ */
+export function formatSarif(report, { artifactUri }) {
+  const ruleIds = [...new Set(report.issues.map((i) => i.code))].sort();
+  const sarif = {
+    $schema: SARIF_SCHEMA,
+    version: "2.1.0",
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: "brik-pipe validate",
+            informationUri: "https://github.com/BrikByte-Studios/brik-pipe-actions/blob/main/docs/pipelines/build-config.md",
+            rules: ruleIds.map((id) => ({ id, shortDescription: { text: id } })),
+          },
+        },
+        results: report.issues.map((issue) => ({
+          ruleId: issue.code,
+          level: issue.level === "error" ? "error" : "warning",
+          message: {
+            text: issue.suggestion ? `${issue.message} (at ${issue.path}) — ${issue.suggestion}` : `${issue.message} (at ${issue.path})`,
+          },
+          locations: [
+            {
+              physicalLocation: {
+                artifactLocation: { uri: artifactUri },
+                ...(issue.line ? { region: { startLine: issue.line, startColumn: issue.column ?? 1 } } : {}),
+              },
+            },
+          ],
+          properties: { path: issue.path },
+        })),
+      },
+    ],
+  };
+  return JSON.stringify(sarif, null, 2);
+}
@@ -0,0 +1,351 @@
+/**
+ * Stack/toolchain detection for repos without `.brik/build.yml` (opt-in).
+ *
+ * Looks only at well-known manifests, lockfiles and version files in the
+ * project directory (no recursion, no network) and infers:
+ *   - stack            package.json, pyproject.toml/requirements.txt, pom.xml/build.gradle, *.csproj/*.sln, go.mod
+ *   - tool.kind        packageManager field, pnpm-lock.yaml, yarn.lock, package-lock.json, poetry.lock, gradlew, ...
+ *   - runtime.version  .nvmrc/.node-version, .python-version, .java-version/.sdkmanrc, global.json, go.mod
+ *
+ * Stack plugins describe the same three things as data (`detect:` plus the
+ * tools' manifests/lockfiles in stacks/<name>/stack.yml) and get a generic detector.
+ *
+ * Every inferred value carries the file it came from (provenance), and the
+ * result renders as a commented starter build.yml that goes through the normal
+ * validation engine, so detection can never produce a config CI would reject
+ * without saying so.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { toolFiles } from "../runtime-matrix/toolchain.mjs";
+import { normalizeRuntimeVersion } from "../runtime-matrix/version-match.mjs";
+import { LATEST_SCHEMA_VERSION } from "../validators/schema-registry.mjs";
+import { missingConfigResult, validateBuildConfig } from "../validators/validate-build-config.mjs";
+
+/**
+ * @typedef {object} InferredField
+ * @property {"stack" | "tool.kind" | "runtime.version"} field
+ * @property {string} value
+ * @property {string} source  file (and key) the value was read from
+ *
+ * @typedef {object} StackCandidate
+ * @property {import("../validators/validate-build-config.mjs").Stack} stack
+ * @property {string[]} markers  files that identified the stack
+ * @property {InferredField | null} tool
+ * @property {InferredField | null} runtimeVersion
+ *
+ * @typedef {object} Detection
+ * @property {StackCandidate | null} selected   null when nothing (or nothing unambiguous) was found
+ * @property {StackCandidate[]} candidates
+ * @property {InferredField[]} inferred         provenance for `selected`
+ *
+ * @typedef {object} InferredReport  `inferred` section of validation-report.json
+ * @property {InferredField[]} fields
+ * @property {{ stack: string, markers: string[] }[]} candidates
+ */
+
+/** @param {string} dir */
+function reader(dir) {
+  const exists = (f) => fs.existsSync(path.join(dir, f));
+  const read = (f) => {
+    try {
+      return fs.readFileSync(path.join(dir, f), "utf8");
+    } catch {
+      return null;
+    }
+  };
+  const list = () => {
+    try {
+      return fs.readdirSync(dir);
+    } catch {
+      return [];
+    }
+  };
+  return { exists, read, list };
+}
+
+/** First non-comment line of a version file ("v20.11.1\n" -> "v20.11.1"). */
+function firstLine(text) {
+  return (text ?? "")
+    .split(/\r?\n/)
+    .map((l) => l.trim())
+    .find((l) => l && !l.startsWith("#")) ?? "";
+}
+
+/**
+ * @param {InferredField["field"]} field
+ * @param {string | null | undefined} value
+ * @param {string} source
+ * @returns {InferredField | null}
+ */
+function inferred(field, value, source) {
+  const v = String(value ?? "").trim();
+  return v ? { field, value: v, source } : null;
+}
+
+/**
+ * Runtime version in the form resolve-runtime would pass to setup-* ("v20.11.1" -> "20.11.1").
+ * Values the validator cannot parse ("lts/*", ">=18") are skipped rather than guessed.
+ * @param {string} stack
+ * @param {string | null | undefined} value
+ * @param {string} source
+ */
+function inferredVersion(stack, value, source) {
+  const v = normalizeRuntimeVersion(stack, String(value ?? "").trim());
+  return v ? inferred("runtime.version", v, source) : null;
+}
+
+function firstOf(...fields) {
+  return fields.find(Boolean) ?? null;
+}
+
+/** @param {ReturnType<typeof reader>} fsr @returns {StackCandidate | null} */
+function detectNode({ exists, read }) {
+  if (!exists("package.json")) return null;
+  let pkg = {};
+  try {
+    pkg = JSON.parse(read("package.json") ?? "{}");
+  } catch {
+    // Unparseable package.json still marks a Node project.
+  }
+  const pmField = typeof pkg?.packageManager === "string" ? pkg.packageManager.split("@")[0] : "";
+
+  const tool = firstOf(
+    ["npm", "pnpm", "yarn"].includes(pmField) ? inferred("tool.kind", pmField, "package.json#packageManager") : null,
+    exists("pnpm-lock.yaml") ? inferred("tool.kind", "pnpm", "pnpm-lock.yaml") : null,
+    exists("yarn.lock") ? inferred("tool.kind", "yarn", "yarn.lock") : null,
+    exists("package-lock.json") ? inferred("tool.kind", "npm", "package-lock.json") : null,
+    exists("npm-shrinkwrap.json") ? inferred("tool.kind", "npm", "npm-shrinkwrap.json") : null
+  );
+  const runtimeVersion = firstOf(
+    inferredVersion("node", firstLine(read(".nvmrc")), ".nvmrc"),
+    inferredVersion("node", firstLine(read(".node-version")), ".node-version"),
+    inferredVersion("node", pkg?.engines?.node, "package.json#engines.node")
+  );
+  return { stack: "node", markers: ["package.json"], tool, runtimeVersion };
+}
+
+/** @param {ReturnType<typeof reader>} fsr @returns {StackCandidate | null} */
+function detectPython({ exists, read }) {
+  const markers = ["pyproject.toml", "requirements.txt", "setup.py", "poetry.lock"].filter(exists);
+  if (markers.length === 0) return null;
+
+  const pyproject = read("pyproject.toml") ?? "";
+  const tool = firstOf(
+    exists("poetry.lock") ? inferred("tool.kind", "poetry", "poetry.lock") : null,
+    /^\[tool\.poetry\]/m.test(pyproject) ? inferred("tool.kind", "poetry", "pyproject.toml#tool.poetry") : null,
+    exists("requirements.txt") ? inferred("tool.kind", "pip", "requirements.txt") : null
+  );
+  const runtimeVersion = firstOf(
+    inferredVersion("python", firstLine(read(".python-version")), ".python-version"),
+    inferredVersion("python", firstLine(read("runtime.txt")).replace(/^python-/, ""), "runtime.txt")
+  );
+  return { stack: "python", markers, tool, runtimeVersion };
+}
+
+/** @param {ReturnType<typeof reader>} fsr @returns {StackCandidate | null} */
+function detectJava({ exists, read }) {
+  const gradleFiles = ["build.gradle", "build.gradle.kts", "gradlew"].filter(exists);
+  const markers = [...(exists("pom.xml") ? ["pom.xml"] : []), ...gradleFiles];
+  if (markers.length === 0) return null;
+
+  const tool = exists("pom.xml")
+    ? inferred("tool.kind", "maven", "pom.xml")
+    : inferred("tool.kind", "gradle", gradleFiles[0]);
+
+  const pom = read("pom.xml") ?? "";
+  const gradle = read("build.gradle") ?? read("build.gradle.kts") ?? "";
+  const sdkman = /^java=([0-9][0-9.+]*)/m.exec(read(".sdkmanrc") ?? "");
+  const runtimeVersion = firstOf(
+    inferredVersion("java", firstLine(read(".java-version")), ".java-version"),
+    inferredVersion("java", sdkman?.[1], ".sdkmanrc"),
+    inferredVersion("java", /<maven\.compiler\.release>\s*(\d+)\s*</.exec(pom)?.[1], "pom.xml#maven.compiler.release"),
+    inferredVersion("java", /<java\.version>\s*(\d+)\s*</.exec(pom)?.[1], "pom.xml#java.version"),
+    inferredVersion("java", /JavaLanguageVersion\.of\(\s*(\d+)\s*\)/.exec(gradle)?.[1], "build.gradle#toolchain")
+  );
+  return { stack: "java", markers, tool, runtimeVersion };
+}
+
+/** @param {ReturnType<typeof reader>} fsr @returns {StackCandidate | null} */
+function detectDotnet({ exists, read, list }) {
+  const projects = list().filter((f) => /\.(csproj|fsproj|sln)$/.test(f)).sort();
+  const markers = [...projects, ...(exists("global.json") ? ["global.json"] : [])];
+  if (markers.length === 0) return null;
+
+  let sdkVersion = "";
+  try {
+    sdkVersion = JSON.parse(read("global.json") ?? "{}")?.sdk?.version ?? "";
+  } catch {
+    // Ignore malformed global.json; the target framework may still tell us.
+  }
+  const proj = projects.find((f) => !f.endsWith(".sln"));
+  const tfm = proj ? /<TargetFramework>\s*net(\d+)\.(\d+)\s*</.exec(read(proj) ?? "") : null;
+
+  return {
+    stack: "dotnet",
+    markers,
+    tool: inferred("tool.kind", "dotnet", markers[0]),
+    runtimeVersion: firstOf(
+      inferredVersion("dotnet", sdkVersion, "global.json#sdk.version"),
+      tfm ? inferredVersion("dotnet", `${tfm[1]}.${tfm[2]}.x`, `${proj}#TargetFramework`) : null
+    ),
+  };
+}
+
+/** @param {ReturnType<typeof reader>} fsr @returns {StackCandidate | null} */
+function detectGo({ exists, read }) {
+  if (!exists("go.mod")) return null;
+  const gomod = read("go.mod") ?? "";
+  return {
+    stack: "go",
+    markers: ["go.mod"],
+    tool: inferred("tool.kind", "go", "go.mod"),
+    runtimeVersion: firstOf(
+      inferredVersion("go", /^toolchain\s+go(\S+)/m.exec(gomod)?.[1], "go.mod#toolchain"),
+      inferredVersion("go", /^go\s+(\S+)/m.exec(gomod)?.[1], "go.mod#go")
+    ),
+  };
+}
+
+const DETECTORS = [detectNode, detectPython, detectJava, detectDotnet, detectGo];
+
+/**
+ * Detector for a matrix stack that declares a `detect:` block (stack plugins):
+ *   markers         files that identify the stack
+ *   runtimeVersion  [{ file, key?, pattern? }], first recognised version wins
+ *                   (`pattern` group 1, else the file's first line)
+ * tool.kind is the first tool whose lockfile, then manifest, is present.
+ * @param {any} matrixStack
+ * @param {ReturnType<typeof reader>} fsr
+ * @returns {StackCandidate | null}
+ */
+function detectFromMatrix(matrixStack, { exists, read }) {
+  const stack = String(matrixStack.runtime.name);
+  const markers = (matrixStack.detect.markers ?? []).map(String).filter(exists);
+  if (markers.length === 0) return null;
+
+  const files = Object.entries(toolFiles(matrixStack));
+  const byLockfile = files.flatMap(([kind, f]) => f.lockfiles.filter(exists).map((file) => inferred("tool.kind", kind, file)));
+  const byManifest = files.flatMap(([kind, f]) => f.manifests.filter(exists).map((file) => inferred("tool.kind", kind, file)));
+
+  const versionSources = Array.isArray(matrixStack.detect.runtimeVersion) ? matrixStack.detect.runtimeVersion : [];
+  const runtimeVersion = firstOf(
+    ...versionSources.map(({ file, key, pattern }) => {
+      const text = read(String(file));
+      if (text === null) return null;
+      const value = pattern ? new RegExp(pattern, "m").exec(text)?.[1] : firstLine(text);
+      return inferredVersion(stack, value, key ? `${file}#${key}` : String(file));
+    })
+  );
+  return { stack, markers, tool: firstOf(...byLockfile, ...byManifest), runtimeVersion };
+}
+
+/**
+ * @param {string} dir project directory (the one that would contain .brik/)
+ * @param {{ stackHint?: string, matrix?: any }} [options] `stackHint` narrows ambiguous repos (e.g. the
+ *   build-<stack>.yml stack); `matrix` (parsed runtime matrix) adds detectors for stacks with a `detect:` block
+ * @returns {Detection}
+ */
+export function detectBuildConfig(dir, { stackHint = "", matrix = null } = {}) {
+  const fsr = reader(dir);
+  const fromMatrix = (matrix?.stacks ?? []).filter((s) => s?.detect && s?.runtime?.name).map((s) => detectFromMatrix(s, fsr));
+  const candidates = /** @type {StackCandidate[]} */ ([...DETECTORS.map((d) => d(fsr)), ...fromMatrix].filter(Boolean));
+
+  const pool = stackHint ? candidates.filter((c) => c.stack === stackHint) : candidates;
+  const selected = pool.length === 1 ? pool[0] : null;
+
+  const inferredFields = selected
+    ? /** @type {InferredField[]} */ ([
+        { field: "stack", value: selected.stack, source: selected.markers.join(", ") },
+        selected.tool,
+        selected.runtimeVersion,
+      ].filter(Boolean))
+    : [];
+
+  return { selected, candidates, inferred: inferredFields };
+}
+
+/**
+ * Starter build.yml for a detection (commands are left to the stack defaults).
+ * @param {StackCandidate} c
+ */
+export function renderStarterConfig(c) {
+  const lines = [
+    `# Starter build config inferred by brik-pipe detection. Review before committing.`,
+    `# Reference: docs/pipelines/build-config.md`,
+    `schemaVersion: ${LATEST_SCHEMA_VERSION}`,
+    `stack: ${c.stack}  # ${c.markers.join(", ")}`,
+  ];
+  if (c.tool) lines.push(`tool:`, `  kind: ${c.tool.value}  # ${c.tool.source}`);
+  if (c.runtimeVersion) lines.push(`runtime:`, `  version: "${c.runtimeVersion.value}"  # ${c.runtimeVersion.source}`);
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Project directory for a config path: the parent of `.brik/` when the config
+ * lives there (the usual case), otherwise the config's own directory.
+ * @param {string} absConfigPath
+ */
+export function configProjectDir(absConfigPath) {
+  const dir = path.dirname(absConfigPath);
+  return path.basename(dir) === ".brik" ? path.dirname(dir) : dir;
+}
+
+/**
+ * Detection mode for a missing config: infer, render the starter, and run it
+ * through the regular engine. When nothing (or more than one stack) is found
+ * the result is CONFIG_NOT_FOUND plus a DETECT_* issue explaining why.
+ *
+ * @param {object} input
+ * @param {string} input.configPath        as given by the caller (for messages)
+ * @param {string} input.absConfigPath
+ * @param {string} [input.stackHint]
+ * @param {import("../validators/schema-registry.mjs").SchemaRegistry} input.schemas
+ * @param {{ data: any }} input.matrix
+ * @param {boolean} [input.strict]
+ * @param {boolean} [input.allowUnsafe]
+ * @param {string | null} [input.repo]
+ * @param {string | null} [input.projectDir]
+ * @param {import("../validators/policy-packs.mjs").SelectedPolicy | null} [input.policy]
+ * @param {{ runLint?: boolean | null, runTests?: boolean | null } | null} [input.workflowFlags]
+ * @returns {{ result: import("../validators/validate-build-config.mjs").ValidationResult, inferred: InferredReport, starterYaml: string | null }}
+ */
+export function detectAndValidate({ configPath, absConfigPath, stackHint = "", ...engine }) {
+  const detection = detectBuildConfig(configProjectDir(absConfigPath), { stackHint, matrix: engine.matrix.data });
+
+  /** @type {InferredReport} */
+  const inferredReport = {
+    fields: detection.inferred,
+    candidates: detection.candidates.map((c) => ({ stack: c.stack, markers: c.markers })),
+  };
+
+  if (!detection.selected) {
+    const result = missingConfigResult(configPath, { strict: engine.strict, policy: engine.policy });
+    const found = inferredReport.candidates.map((c) => `${c.stack} (${c.markers.join(", ")})`).join("; ");
+    result.issues.push(
+      detection.candidates.length > 1 && !stackHint
+        ? {
+            level: "error",
+            code: "DETECT_AMBIGUOUS",
+            path: "/stack",
+            message: `Detection found more than one stack: ${found}`,
+            suggestion: `Pass the stack explicitly (action input "stack" / --stack) or create ${configPath}.`,
+          }
+        : {
+            level: "error",
+            code: "DETECT_NO_STACK",
+            path: "/stack",
+            message: stackHint
+              ? `Detection found no ${stackHint} project${found ? ` (found: ${found})` : ""}`
+              : `Detection found no known manifest or lockfile`,
+            suggestion: `Create ${configPath} using docs/pipelines/build-config.md templates.`,
+          }
+    );
+    return { result, inferred: inferredReport, starterYaml: null };
+  }
+
+  const starterYaml = renderStarterConfig(detection.selected);
+  const result = validateBuildConfig({ source: starterYaml, ...engine });
+  return { result, inferred: inferredReport, starterYaml };
+}
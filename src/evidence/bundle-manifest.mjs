@@ -0,0 +1,80 @@
+/**
+ * Evidence bundle manifest (manifest.json), the integrity index of an .audit bundle.
+ *
+ * Written last by the action that fills the bundle, it lists every file with
+ * its size, SHA-256, the action that produced it and, for JSON files, the
+ * evidence schema it follows (the file's own top-level "schema" field, e.g.
+ * "brikbyte.audit.container-build.v1"; null when it has none). `digest` is the
+ * SHA-256 of the `sha256sum`-style listing ("<sha256>  <path>\n" per file,
+ * sorted by path), like the artifact manifest.
+ *
+ * `brik-pipe verify` (verify-bundle.mjs) recomputes the hashes and checks the
+ * JSON files against schemas/evidence/*. Used by export-build-evidence,
+ * export-container-build-evidence and validate-build-config (validation/).
+ */
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+const MANIFEST_FILE = "manifest.json";
+const MANIFEST_SCHEMA = "brikbyte.audit.evidence-manifest.v1";
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+
+/**
+ * Files below `dir` as "/" paths relative to it, without manifest.json itself.
+ * A subdirectory with its own manifest.json is a separate bundle and left out.
+ */
+function listFiles(dir, prefix = "") {
+  return fs
+    .readdirSync(path.join(dir, prefix), { withFileTypes: true })
+    .flatMap((e) => {
+      const rel = prefix ? `${prefix}/${e.name}` : e.name;
+      if (e.isDirectory()) return fs.existsSync(path.join(dir, rel, MANIFEST_FILE)) ? [] : listFiles(dir, rel);
+      return e.isFile() && rel !== MANIFEST_FILE ? [rel] : [];
+    });
+}
+
+function declaredSchema(rel, content) {
+  if (!rel.endsWith(".json")) return null;
+  try {
+    const schema = JSON.parse(content.toString("utf8"))?.schema;
+    return typeof schema === "string" ? schema : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write <bundleDir>/manifest.json.
+ * @param {string} bundleDir absolute bundle directory
+ * @param {{ bundle: string, producer: string, producers?: Record<string, string> }} options
+ *   bundle     bundle path as recorded (e.g. ".audit/PIPE-BUILD")
+ *   producer   the exporter; owns every file not claimed in `producers`
+ *   producers  top-level directory -> action that wrote it (e.g. { validation: "validate-build-config" })
+ */
+export function writeBundleManifest(bundleDir, { bundle, producer, producers = {} }) {
+  const files = listFiles(bundleDir).sort().map((rel) => {
+    const content = fs.readFileSync(path.join(bundleDir, ...rel.split("/")));
+    return {
+      path: rel,
+      size: content.length,
+      sha256: sha256(content),
+      producer: producers[rel.split("/")[0]] ?? producer,
+      schema: declaredSchema(rel, content),
+    };
+  });
+
+  const manifest = {
+    schema: MANIFEST_SCHEMA,
+    bundle,
+    producer,
+    generatedAt: new Date().toISOString(),
+    fileCount: files.length,
+    digest: `sha256:${sha256(files.map((f) => `${f.sha256}  ${f.path}\n`).join(""))}`,
+    files,
+  };
+  fs.writeFileSync(path.join(bundleDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + "\n");
+  return manifest;
+}
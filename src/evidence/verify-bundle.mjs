@@ -0,0 +1,164 @@
+/**
+ * Offline verification of .audit evidence bundles against their manifest.json
+ * (written by export-build-evidence / export-container-build-evidence /
+ * validate-build-config, see bundle-manifest.mjs).
+ *
+ * A bundle passes when:
+ *   - manifest.json follows the bundle-manifest evidence schema
+ *   - every listed file exists with the recorded size and sha256, and the
+ *     manifest digest matches the listing
+ *   - no file in the bundle is missing from the manifest (subdirectories with
+ *     their own manifest.json are separate bundles)
+ *   - every JSON file parses, declares a top-level "schema" and follows the
+ *     schemas/evidence/* schema with that `schema` const (and declares the
+ *     same schema as its manifest entry)
+ */
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import Ajv from "ajv";
+import addFormats from "ajv-formats";
+
+export const MANIFEST_FILE = "manifest.json";
+const MANIFEST_SCHEMA = "brikbyte.audit.evidence-manifest.v1";
+
+/**
+ * @typedef {{ code: string, path: string, message: string }} VerifyIssue
+ * @typedef {{ bundle: string, ok: boolean, fileCount: number, schemaChecked: number, issues: VerifyIssue[] }} BundleVerification
+ */
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+const toPosix = (p) => p.split(path.sep).join("/");
+
+/**
+ * Compiled evidence schemas keyed by their `schema` const (e.g. "brikbyte.audit.container-build.v1").
+ * Schemas without one (e.g. pipe-image) are not addressable and left out.
+ * @param {string} schemasDir schemas/evidence
+ * @returns {Map<string, import("ajv").ValidateFunction>}
+ */
+export function loadEvidenceSchemas(schemasDir) {
+  const ajv = new Ajv({ allErrors: true, strict: false, allowUnionTypes: true });
+  addFormats(ajv);
+  const index = new Map();
+  for (const name of fs.readdirSync(schemasDir).filter((n) => n.endsWith(".json")).sort()) {
+    const schema = JSON.parse(fs.readFileSync(path.join(schemasDir, name), "utf8"));
+    const id = schema?.properties?.schema?.const;
+    if (typeof id === "string") index.set(id, ajv.compile(schema));
+  }
+  return index;
+}
+
+/**
+ * Bundle directories (those holding a manifest.json) at or below `root`.
+ * @param {string} root absolute
+ * @returns {string[]} absolute, sorted
+ */
+export function findEvidenceBundles(root) {
+  if (!fs.existsSync(root)) return [];
+  const found = [];
+  const walk = (dir) => {
+    const entries = fs.readdirSync(dir, { withFileTypes: true });
+    if (entries.some((e) => e.isFile() && e.name === MANIFEST_FILE)) found.push(dir);
+    for (const e of entries) if (e.isDirectory()) walk(path.join(dir, e.name));
+  };
+  walk(root);
+  return found.sort();
+}
+
+/** Files in the bundle, skipping manifest.json itself and nested bundles. */
+function bundleFiles(bundleDir, prefix = "") {
+  return fs
+    .readdirSync(path.join(bundleDir, prefix), { withFileTypes: true })
+    .flatMap((e) => {
+      const rel = prefix ? `${prefix}/${e.name}` : e.name;
+      if (e.isDirectory()) return fs.existsSync(path.join(bundleDir, rel, MANIFEST_FILE)) ? [] : bundleFiles(bundleDir, rel);
+      return e.isFile() && rel !== MANIFEST_FILE ? [rel] : [];
+    });
+}
+
+const ajvMessage = (errors) => (errors ?? []).map((e) => `${e.instancePath || "/"} ${e.message}`).join("; ");
+
+/**
+ * @param {string} bundleDir absolute bundle directory (holds manifest.json)
+ * @param {Map<string, import("ajv").ValidateFunction>} schemas from loadEvidenceSchemas
+ * @returns {BundleVerification}
+ */
+export function verifyEvidenceBundle(bundleDir, schemas) {
+  /** @type {VerifyIssue[]} */
+  const issues = [];
+  const result = (manifest, schemaChecked) => ({
+    bundle: toPosix(bundleDir),
+    ok: issues.length === 0,
+    fileCount: Array.isArray(manifest?.files) ? manifest.files.length : 0,
+    schemaChecked,
+    issues,
+  });
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(path.join(bundleDir, MANIFEST_FILE), "utf8"));
+  } catch (err) {
+    issues.push({ code: "MANIFEST_UNREADABLE", path: MANIFEST_FILE, message: err.message });
+    return result(null, 0);
+  }
+  const manifestSchema = schemas.get(MANIFEST_SCHEMA);
+  if (!manifestSchema) {
+    issues.push({ code: "SCHEMA_UNKNOWN", path: MANIFEST_FILE, message: `no evidence schema for "${MANIFEST_SCHEMA}"` });
+    return result(manifest, 0);
+  }
+  if (!manifestSchema(manifest)) {
+    issues.push({ code: "MANIFEST_INVALID", path: MANIFEST_FILE, message: ajvMessage(manifestSchema.errors) });
+    return result(manifest, 1);
+  }
+
+  const listing = manifest.files.map((f) => `${f.sha256}  ${f.path}\n`).join("");
+  if (manifest.digest !== `sha256:${sha256(listing)}` || manifest.fileCount !== manifest.files.length) {
+    issues.push({ code: "MANIFEST_DIGEST_MISMATCH", path: MANIFEST_FILE, message: "digest or fileCount does not match the file list" });
+  }
+
+  let schemaChecked = 1;
+  const listed = new Set();
+  for (const entry of manifest.files) {
+    listed.add(entry.path);
+    const abs = path.join(bundleDir, ...entry.path.split("/"));
+    if (!fs.existsSync(abs) || !fs.statSync(abs).isFile()) {
+      issues.push({ code: "FILE_MISSING", path: entry.path, message: "listed in manifest.json but not in the bundle" });
+      continue;
+    }
+    const content = fs.readFileSync(abs);
+    if (content.length !== entry.size || sha256(content) !== entry.sha256) {
+      issues.push({ code: "FILE_HASH_MISMATCH", path: entry.path, message: `sha256 ${sha256(content)} (${content.length} bytes) does not match manifest.json` });
+    }
+    if (!entry.path.endsWith(".json")) continue;
+
+    let data;
+    try {
+      data = JSON.parse(content.toString("utf8"));
+    } catch (err) {
+      issues.push({ code: "JSON_INVALID", path: entry.path, message: err.message });
+      continue;
+    }
+    const declared = typeof data?.schema === "string" ? data.schema : null;
+    if (declared !== entry.schema) {
+      issues.push({ code: "SCHEMA_MISMATCH", path: entry.path, message: `file declares schema ${JSON.stringify(declared)}, manifest.json records ${JSON.stringify(entry.schema)}` });
+    }
+    if (!declared) {
+      issues.push({ code: "SCHEMA_UNKNOWN", path: entry.path, message: "declares no evidence schema (top-level \"schema\" field)" });
+      continue;
+    }
+    const validate = schemas.get(declared);
+    if (!validate) {
+      issues.push({ code: "SCHEMA_UNKNOWN", path: entry.path, message: `no evidence schema for "${declared}"` });
+      continue;
+    }
+    schemaChecked += 1;
+    if (!validate(data)) issues.push({ code: "SCHEMA_VIOLATION", path: entry.path, message: ajvMessage(validate.errors) });
+  }
+
+  for (const rel of bundleFiles(bundleDir).sort()) {
+    if (!listed.has(rel)) issues.push({ code: "FILE_UNLISTED", path: rel, message: "in the bundle but not in manifest.json" });
+  }
+
+  return result(manifest, schemaChecked);
+}
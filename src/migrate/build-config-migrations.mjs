@@ -0,0 +1,149 @@
+/**
+ * build.yml migrations between schema versions.
+ *
+ * Each step is a list of key renames applied to every project node (the root
+ * config, or each entry under `projects:`). The same list drives both:
+ *   - upgradeConfig(): the engine's in-memory upgrade of a parsed config
+ *   - migrateBuildConfigSource(): `brik-pipe migrate`, which edits only the
+ *     renamed keys and the schemaVersion value in the original text, so
+ *     comments, quoting, ordering and blank lines survive untouched
+ */
+
+import { isMap, isScalar, isSeq, parseDocument } from "yaml";
+import { LATEST_SCHEMA_VERSION } from "../validators/schema-registry.mjs";
+
+/**
+ * @typedef {{ at: string[], to: string }} KeyRename  rename the key at `at` (relative to a project node) to `to`
+ * @typedef {{ from: number, to: number, summary: string, renames: KeyRename[] }} Migration
+ */
+
+/** @type {Migration[]} */
+export const MIGRATIONS = [
+  {
+    from: 1,
+    to: 2,
+    summary: "flags.runLint/flags.runTests -> steps.lint/steps.test",
+    renames: [
+      { at: ["flags"], to: "steps" },
+      { at: ["steps", "runLint"], to: "lint" },
+      { at: ["steps", "runTests"], to: "test" },
+    ],
+  },
+];
+
+/**
+ * Steps from `version` up to the latest schema, in order.
+ * @param {number} version
+ * @returns {Migration[]}
+ */
+export function migrationPath(version) {
+  const steps = [];
+  let v = version;
+  while (v < LATEST_SCHEMA_VERSION) {
+    const step = MIGRATIONS.find((m) => m.from === v);
+    if (!step) throw new Error(`no migration from schemaVersion ${v}`);
+    steps.push(step);
+    v = step.to;
+  }
+  return steps;
+}
+
+/** @param {unknown} v */
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+/**
+ * Parsed config upgraded to the latest schema shape (a copy; the input is not
+ * touched). Configs that are already latest, or whose version is unknown, are
+ * returned as-is.
+ * @param {any} config
+ */
+export function upgradeConfig(config) {
+  const version = config?.schemaVersion;
+  if (!isPlainObject(config) || typeof version !== "number" || version >= LATEST_SCHEMA_VERSION) return config;
+  if (!MIGRATIONS.some((m) => m.from === version)) return config;
+
+  const out = structuredClone(config);
+  const nodes = Array.isArray(out.projects) ? out.projects.filter(isPlainObject) : [out];
+  for (const step of migrationPath(version)) {
+    for (const node of nodes) {
+      for (const { at, to } of step.renames) {
+        const parent = at.slice(0, -1).reduce((acc, k) => (isPlainObject(acc) ? acc[k] : undefined), node);
+        const key = at[at.length - 1];
+        if (isPlainObject(parent) && key in parent && !(to in parent)) {
+          parent[to] = parent[key];
+          delete parent[key];
+        }
+      }
+    }
+    out.schemaVersion = step.to;
+  }
+  return out;
+}
+
+/**
+ * @param {any} map YAMLMap
+ * @param {string} key
+ */
+function findPair(map, key) {
+  return isMap(map) ? map.items.find((p) => isScalar(p.key) && String(p.key.value) === key) : undefined;
+}
+
+/**
+ * Rewrite build.yml source text to the latest schema.
+ *
+ * @param {string} source
+ * @returns {{ from: number, to: number, output: string, changed: boolean, applied: string[] }}
+ * @throws when the text is not YAML, has no known schemaVersion, or a rename would clobber an existing key
+ */
+export function migrateBuildConfigSource(source) {
+  const doc = parseDocument(source);
+  if (doc.errors.length > 0) throw new Error(`build.yml is not valid YAML: ${doc.errors[0].message.split("\n")[0]}`);
+  if (!isMap(doc.contents)) throw new Error(`build.yml must be a mapping`);
+
+  const versionPair = findPair(doc.contents, "schemaVersion");
+  const version = isScalar(versionPair?.value) ? versionPair.value.value : undefined;
+  if (typeof version !== "number" || !(version === LATEST_SCHEMA_VERSION || MIGRATIONS.some((m) => m.from === version))) {
+    throw new Error(`unsupported schemaVersion: ${version === undefined ? "(missing)" : JSON.stringify(version)}`);
+  }
+  if (version === LATEST_SCHEMA_VERSION) {
+    return { from: version, to: version, output: source, changed: false, applied: [] };
+  }
+
+  /** Replacement text by original start offset (a key renamed twice keeps the last name). */
+  /** @type {Map<number, { end: number, text: string }>} */
+  const edits = new Map();
+  const projects = findPair(doc.contents, "projects")?.value;
+  const nodes = isSeq(projects)
+    ? projects.items.map((node, i) => ({ node, where: `/projects/${i}` })).filter((n) => isMap(n.node))
+    : [{ node: doc.contents, where: "" }];
+  const steps = migrationPath(version);
+
+  for (const step of steps) {
+    for (const { node, where } of nodes) {
+      for (const { at, to } of step.renames) {
+        const parent = at.slice(0, -1).reduce((acc, k) => findPair(acc, k)?.value, node);
+        const pair = findPair(parent, at[at.length - 1]);
+        if (!pair) continue;
+        if (findPair(parent, to)) {
+          throw new Error(`cannot rename ${where}/${at.join("/")} to "${to}": the key already exists`);
+        }
+        const key = /** @type {any} */ (pair.key);
+        const [start, end] = key.range;
+        const quote = source[start] === '"' || source[start] === "'" ? source[start] : "";
+        edits.set(start, { end, text: `${quote}${to}${quote}` });
+        key.value = to;
+      }
+    }
+  }
+
+  const [vStart, vEnd] = /** @type {any} */ (versionPair.value).range;
+  edits.set(vStart, { end: vEnd, text: String(LATEST_SCHEMA_VERSION) });
+
+  let output = source;
+  for (const [start, { end, text }] of [...edits.entries()].sort((a, b) => b[0] - a[0])) {
+    output = output.slice(0, start) + text + output.slice(end);
+  }
+  return { from: version, to: LATEST_SCHEMA_VERSION, output, changed: true, applied: steps.map((s) => `v${s.from}→v${s.to}: ${s.summary}`) };
+}
@@ -0,0 +1,76 @@
+/**
+ * Minimal unified diff (line based, LCS) for `brik-pipe migrate` output.
+ * Build configs are small, so the O(n·m) table is fine; no diff dependency.
+ */
+
+/**
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {{ op: " " | "-" | "+", line: string, ai: number, bi: number }[]}
+ */
+function diffLines(a, b) {
+  const n = a.length;
+  const m = b.length;
+  /** lcs[i][j] = LCS length of a[i..] and b[j..] */
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && a[i] === b[j]) {
+      out.push({ op: /** @type {const} */ (" "), line: a[i], ai: i++, bi: j++ });
+    } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      out.push({ op: /** @type {const} */ ("-"), line: a[i], ai: i++, bi: j });
+    } else {
+      out.push({ op: /** @type {const} */ ("+"), line: b[j], ai: i, bi: j++ });
+    }
+  }
+  return out;
+}
+
+/**
+ * @param {string} before
+ * @param {string} after
+ * @param {{ fromFile: string, toFile: string, context?: number }} options
+ * @returns {string} "" when the texts are equal
+ */
+export function unifiedDiff(before, after, { fromFile, toFile, context = 3 }) {
+  if (before === after) return "";
+  const ops = diffLines(before.split("\n"), after.split("\n"));
+
+  const lines = [`--- ${fromFile}`, `+++ ${toFile}`];
+  let k = 0;
+  while (k < ops.length) {
+    if (ops[k].op === " ") {
+      k++;
+      continue;
+    }
+    // Grow the hunk while changes are within 2*context lines of each other.
+    const start = Math.max(0, k - context);
+    let end = k;
+    let quiet = 0;
+    for (let x = k; x < ops.length; x++) {
+      if (ops[x].op === " ") {
+        if (++quiet > context * 2) break;
+      } else {
+        quiet = 0;
+        end = x;
+      }
+    }
+    end = Math.min(ops.length - 1, end + context);
+
+    const hunk = ops.slice(start, end + 1);
+    const aLen = hunk.filter((o) => o.op !== "+").length;
+    const bLen = hunk.filter((o) => o.op !== "-").length;
+    lines.push(`@@ -${hunk[0].ai + 1},${aLen} +${hunk[0].bi + 1},${bLen} @@`);
+    for (const o of hunk) lines.push(`${o.op}${o.line}`);
+    k = end + 1;
+  }
+  return `${lines.join("\n")}\n`;
+}
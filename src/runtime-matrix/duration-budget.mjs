@@ -0,0 +1,22 @@
+/**
+ * Per-stack duration budgets, straight from runtime-matrix.yml.
+ *
+ * A stack's `durationBudgetSeconds` map says how long each built-in stage
+ * (install, lint, test, build) is expected to take. It is advisory: the build
+ * evidence flags a stage that ran longer as a warning, while build.yml
+ * `timeouts:` stays the hard limit.
+ */
+
+/** Stages a budget can name. */
+export const BUDGET_STAGES = /** @type {const} */ (["install", "lint", "test", "build"]);
+
+/**
+ * Budget in seconds per built-in stage; stages without a positive integer are left out.
+ * @param {any} matrixStack
+ * @returns {Record<string, number>}
+ */
+export function stageDurationBudget(matrixStack) {
+  const raw = matrixStack?.durationBudgetSeconds;
+  if (!raw || typeof raw !== "object") return {};
+  return Object.fromEntries(BUDGET_STAGES.filter((s) => Number.isInteger(raw[s]) && raw[s] > 0).map((s) => [s, raw[s]]));
+}
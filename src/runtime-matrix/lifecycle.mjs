@@ -0,0 +1,73 @@
+/**
+ * Runtime version lifecycle from runtime-matrix `stacks[].lifecycle`.
+ *
+ * Entry format:
+ *   lifecycle:
+ *     - version: "18.x"          # matrix-style version pattern
+ *       eol: "2025-04-30"        # vendor end-of-life
+ *       deprecated: "2025-01-31" # optional: start warning earlier (defaults to eol)
+ *       removal: "2026-03-31"    # optional: last day the version is accepted
+ *
+ * States for a requested version on a given day (dates inclusive):
+ *   supported   before the deprecation date (or no lifecycle entry)
+ *   deprecated  grace window: deprecated/eol reached, removal not passed -> warn
+ *   removed     after `removal` -> fail
+ *
+ * `removal` is set explicitly at the quarterly matrix review (per the stack's
+ * deprecationPolicy.removalRule); vendor EOL alone only ever warns.
+ */
+
+import { versionCompatible } from "./version-match.mjs";
+
+/**
+ * @typedef {"supported" | "deprecated" | "removed"} LifecycleState
+ *
+ * @typedef {object} VersionLifecycle
+ * @property {LifecycleState} state
+ * @property {string | null} matched   lifecycle entry pattern that matched (null when none did)
+ * @property {string | null} eol
+ * @property {string | null} deprecated
+ * @property {string | null} removal
+ */
+
+function dateOrNull(v) {
+  return typeof v === "string" && /^\d{4}-\d{2}-\d{2}$/.test(v) ? v : null;
+}
+
+/**
+ * @param {any} matrixStack runtime-matrix stack entry
+ * @param {string} version requested/resolved runtime version
+ * @param {string} today YYYY-MM-DD
+ * @returns {VersionLifecycle}
+ */
+export function versionLifecycle(matrixStack, version, today) {
+  const entries = Array.isArray(matrixStack?.lifecycle) ? matrixStack.lifecycle : [];
+  const entry = entries.find((e) => e?.version && versionCompatible(version, [String(e.version)]));
+
+  if (!entry) return { state: "supported", matched: null, eol: null, deprecated: null, removal: null };
+
+  const eol = dateOrNull(entry.eol);
+  const deprecated = dateOrNull(entry.deprecated) ?? eol;
+  const removal = dateOrNull(entry.removal);
+
+  /** @type {LifecycleState} */
+  let state = "supported";
+  if (removal && today > removal) state = "removed";
+  else if (deprecated && today >= deprecated) state = "deprecated";
+
+  return { state, matched: String(entry.version), eol, deprecated, removal };
+}
+
+/**
+ * One-line human description, e.g. for warnings and step summaries.
+ * @param {string} stack
+ * @param {string} version
+ * @param {VersionLifecycle} lc
+ */
+export function describeLifecycle(stack, version, lc) {
+  const parts = [];
+  if (lc.eol) parts.push(`vendor EOL ${lc.eol}`);
+  if (lc.removal) parts.push(`${lc.state === "removed" ? "removed after" : "removal after"} ${lc.removal}`);
+  const when = parts.length ? ` (${parts.join(", ")})` : "";
+  return `${stack} ${version} is ${lc.state}${when}`;
+}
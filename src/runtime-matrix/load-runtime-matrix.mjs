@@ -2,20 +2,53 @@
  * Load vendored runtime-matrix.yml
  * Used by build config validation and workflow defaults.
  *
+ * Stack plugins under stacks/<name>/ are appended to `stacks` (see stack-plugins.mjs).
+ *
  * No network calls; deterministic input.
  */
 
 import fs from "node:fs";
 import path from "node:path";
 import yaml from "js-yaml";
+import { loadStackPlugins, withStackPlugins } from "./stack-plugins.mjs";
 
-const ROOT = process.cwd();
-const MATRIX_PATH = path.join(ROOT, "internal", "vendor", "runtime-matrix.yml");
+/**
+ * Candidate locations, relative to the brik-pipe-actions repo root.
+ * docs/pipelines wins when present (canonical), internal/vendor is the vendored copy.
+ */
+export const MATRIX_CANDIDATES = [
+  path.join("docs", "pipelines", "runtime-matrix.yml"),
+  path.join("internal", "vendor", "runtime-matrix.yml"),
+];
 
-export function loadRuntimeMatrix() {
-  if (!fs.existsSync(MATRIX_PATH)) {
-    throw new Error(`runtime matrix not found: ${MATRIX_PATH}`);
+/**
+ * @param {string} [repoRoot] brik-pipe-actions repo root (defaults to cwd)
+ * @returns {{ path: string, data: any }}
+ */
+export function loadRuntimeMatrix(repoRoot = process.cwd()) {
+  const candidates = MATRIX_CANDIDATES.map((p) => path.join(repoRoot, p));
+  const matrixPath = candidates.find((p) => fs.existsSync(p));
+  if (!matrixPath) {
+    throw new Error(`runtime-matrix.yml not found. Tried:\n- ${candidates.join("\n- ")}`);
   }
-  const parsed = yaml.load(fs.readFileSync(MATRIX_PATH, "utf-8"));
-  return parsed;
+  const data = yaml.load(fs.readFileSync(matrixPath, "utf-8"));
+  return { path: matrixPath, data: withStackPlugins(data, loadStackPlugins(repoRoot)) };
+}
+
+/**
+ * Every stack name the matrix knows (built-in first, then plugins).
+ * @param {any} matrix parsed matrix document
+ * @returns {string[]}
+ */
+export function matrixStackNames(matrix) {
+  return (matrix?.stacks ?? []).map((s) => String(s?.runtime?.name ?? "")).filter(Boolean);
+}
+
+/**
+ * Resolve matrix stack entry by runtime name (null when absent).
+ * @param {any} matrix parsed matrix document
+ * @param {string} runtimeName
+ */
+export function findMatrixStack(matrix, runtimeName) {
+  return (matrix?.stacks ?? []).find((s) => s?.runtime?.name === runtimeName) ?? null;
 }
@@ -0,0 +1,110 @@
+/**
+ * Stack plugins — stacks added as data under stacks/<name>/ instead of code.
+ *
+ * A plugin directory holds:
+ *   stack.yml      `pluginVersion: 1` plus `stack:`, a runtime-matrix.yml stacks[] entry
+ *                  (runtime, supportedVersions, defaultVersion, supportStatus,
+ *                  toolchain.buildTools + toolchain.tools with commands, artifacts,
+ *                  manifests and lockfiles) and an optional `detect:` block
+ *   Dockerfile     scaffold template for `brik-pipe init` (Dockerfile.<tool> for a tool-specific one)
+ *   .dockerignore  stack-specific ignores (merged with templates/dockerfiles/_common)
+ *
+ * loadRuntimeMatrix appends every plugin stack to `stacks`, tagged with
+ * `plugin: { name, dir }`, so the validator, resolve-runtime, detection and
+ * scaffolding see plugin stacks exactly like the built-in ones. A plugin cannot
+ * replace a stack the matrix already defines.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import yaml from "js-yaml";
+
+/** Plugin root, relative to the brik-pipe-actions repo root. */
+export const STACK_PLUGINS_DIR = "stacks";
+export const STACK_PLUGIN_FILE = "stack.yml";
+export const SUPPORTED_PLUGIN_VERSIONS = [1];
+
+const STACK_NAME_RE = /^[a-z][a-z0-9-]*$/;
+
+/**
+ * @typedef {object} StackPlugin
+ * @property {string} name  stack name (= directory name)
+ * @property {string} dir   plugin directory, relative to the repo root ("/"-separated)
+ * @property {any} stack    matrix stacks[] entry (with `detect`, if declared)
+ */
+
+/**
+ * @param {string} file
+ * @param {string} message
+ */
+function pluginError(file, message) {
+  return new Error(`stack plugin ${file}: ${message}`);
+}
+
+/**
+ * Shape checks that keep a broken plugin from surfacing later as a confusing
+ * validation issue in some unrelated repo.
+ * @param {string} name directory name
+ * @param {any} doc parsed stack.yml
+ * @param {string} file for messages
+ */
+function checkPlugin(name, doc, file) {
+  if (!SUPPORTED_PLUGIN_VERSIONS.includes(doc?.pluginVersion)) {
+    throw pluginError(file, `pluginVersion must be one of ${SUPPORTED_PLUGIN_VERSIONS.join(", ")}`);
+  }
+  const stack = doc.stack;
+  if (stack?.runtime?.name !== name) throw pluginError(file, `stack.runtime.name must be "${name}" (the directory name)`);
+  const tools = stack?.toolchain?.tools;
+  if (!tools || typeof tools !== "object" || Object.keys(tools).length === 0) {
+    throw pluginError(file, `stack.toolchain.tools must declare at least one tool`);
+  }
+  const defaultTool = stack?.toolchain?.buildTools?.default;
+  if (!(defaultTool in tools)) throw pluginError(file, `stack.toolchain.buildTools.default "${defaultTool}" has no toolchain.tools entry`);
+  for (const [kind, entry] of Object.entries(tools)) {
+    if (!entry?.commands?.build) throw pluginError(file, `toolchain.tools.${kind}.commands.build is required`);
+  }
+  if (!stack.defaultVersion) throw pluginError(file, `stack.defaultVersion is required`);
+}
+
+/**
+ * Every plugin under <repoRoot>/stacks, sorted by name. Throws on a malformed plugin.
+ * @param {string} repoRoot brik-pipe-actions repo root
+ * @returns {StackPlugin[]}
+ */
+export function loadStackPlugins(repoRoot) {
+  const root = path.join(repoRoot, STACK_PLUGINS_DIR);
+  if (!fs.existsSync(root)) return [];
+
+  return fs
+    .readdirSync(root, { withFileTypes: true })
+    .filter((e) => e.isDirectory() && fs.existsSync(path.join(root, e.name, STACK_PLUGIN_FILE)))
+    .map((e) => e.name)
+    .sort()
+    .map((name) => {
+      const dir = `${STACK_PLUGINS_DIR}/${name}`;
+      const file = `${dir}/${STACK_PLUGIN_FILE}`;
+      if (!STACK_NAME_RE.test(name)) throw pluginError(file, `directory name must match ${STACK_NAME_RE}`);
+      const doc = yaml.load(fs.readFileSync(path.join(root, name, STACK_PLUGIN_FILE), "utf-8"));
+      checkPlugin(name, doc, file);
+      return { name, dir, stack: doc.detect ? { ...doc.stack, detect: doc.detect } : doc.stack };
+    });
+}
+
+/**
+ * Matrix document with plugin stacks appended (the input is not modified).
+ * @param {any} matrix parsed runtime-matrix.yml
+ * @param {StackPlugin[]} plugins
+ */
+export function withStackPlugins(matrix, plugins) {
+  if (plugins.length === 0) return matrix;
+  const stacks = Array.isArray(matrix?.stacks) ? matrix.stacks : [];
+  for (const p of plugins) {
+    if (stacks.some((s) => s?.runtime?.name === p.name)) {
+      throw pluginError(`${p.dir}/${STACK_PLUGIN_FILE}`, `stack "${p.name}" is already defined in runtime-matrix.yml`);
+    }
+  }
+  return {
+    ...matrix,
+    stacks: [...stacks, ...plugins.map((p) => ({ ...p.stack, plugin: { name: p.name, dir: p.dir } }))],
+  };
+}
@@ -0,0 +1,70 @@
+/**
+ * Tool kinds and their defaults, straight from runtime-matrix.yml.
+ *
+ * A stack's `toolchain.tools` map is the only list of tool.kind values build.yml
+ * may declare, and holds the install/lint/test/build commands and artifact paths
+ * injected when build.yml leaves them out, the test and coverage report files
+ * the build evidence parses, plus the manifests/lockfiles the TOOL_* file
+ * checks and plugin detection look for. `toolchain.buildTools.default` is the
+ * kind used when tool.kind is omitted.
+ */
+
+/**
+ * @typedef {{ install: string, lint: string, test: string, build: string, artifacts: string[], testReports: string[], coverageReports: string[] }} ToolDefaults
+ * @typedef {{ manifests: string[], lockfiles: string[] }} ToolFiles
+ */
+
+/**
+ * tool.kind values allowed for a matrix stack, in matrix order.
+ * @param {any} matrixStack
+ * @returns {string[]}
+ */
+export function allowedToolKinds(matrixStack) {
+  const tools = matrixStack?.toolchain?.tools;
+  return tools && typeof tools === "object" ? Object.keys(tools) : [];
+}
+
+/**
+ * tool.kind used when build.yml does not declare one.
+ * @param {any} matrixStack
+ */
+export function defaultToolKind(matrixStack) {
+  return String(matrixStack?.toolchain?.buildTools?.default || "");
+}
+
+/**
+ * Defaults for one tool kind; null when the matrix has no entry for it
+ * (e.g. a kind only allowed through an exception).
+ * @param {any} matrixStack
+ * @param {string} toolKind
+ * @returns {ToolDefaults | null}
+ */
+export function toolDefaults(matrixStack, toolKind) {
+  const entry = matrixStack?.toolchain?.tools?.[toolKind];
+  if (!entry) return null;
+  const cmd = (key) => String(entry.commands?.[key] ?? "");
+  return {
+    install: cmd("install"),
+    lint: cmd("lint"),
+    test: cmd("test"),
+    build: cmd("build"),
+    artifacts: Array.isArray(entry.artifacts) ? entry.artifacts.map(String) : [],
+    testReports: Array.isArray(entry.testReports) ? entry.testReports.map(String) : [],
+    coverageReports: Array.isArray(entry.coverageReports) ? entry.coverageReports.map(String) : [],
+  };
+}
+
+/**
+ * Manifests and lockfiles per tool kind of a stack ("*.ext" entries match by extension).
+ * @param {any} matrixStack
+ * @returns {Record<string, ToolFiles>}
+ */
+export function toolFiles(matrixStack) {
+  const list = (v) => (Array.isArray(v) ? v.map(String) : []);
+  return Object.fromEntries(
+    Object.entries(matrixStack?.toolchain?.tools ?? {}).map(([kind, entry]) => [
+      kind,
+      { manifests: list(entry?.manifests), lockfiles: list(entry?.lockfiles) },
+    ])
+  );
+}
@@ -0,0 +1,142 @@
+/**
+ * Runtime version constraints (shared by the build config validator, the
+ * exception registry, lifecycle lookups and resolve-runtime).
+ *
+ * Every version string is parsed into a half-open range [lo, hi) over
+ * major.minor.patch, and a requested version is allowed when its whole range
+ * fits inside one allowed matrix entry:
+ *
+ *   "20" / "20.x" / "20.*"   [20.0.0, 21.0.0)
+ *   "20.11.1"                 [20.11.1, 20.11.2)      exact patch
+ *   "^20.10"                  [20.10.0, 21.0.0)       caret (semver, ^0.y keeps the minor)
+ *   "~3.12.1"                 [3.12.1, 3.13.0)        tilde
+ *   "8.0.1xx"                 [8.0.100, 8.0.200)      .NET SDK feature band
+ *   "17.0.9+9"                [17.0.9, 17.0.10)       Java build metadata is ignored
+ *   "v20.11.1" / "go1.22.5"   prefixes are stripped
+ *
+ * So "2" never matches "20.x", and "20.11.1" or "^20.10" do.
+ * Pre-release tags ("-rc1", "-ea") are not accepted.
+ */
+
+/**
+ * @typedef {[number, number, number]} Triple
+ * @typedef {{ lo: Triple, hi: Triple | null }} VersionRange  hi === null means unbounded
+ */
+
+const PART_RE = /^(\d+|x|\*)$/;
+const FEATURE_BAND_RE = /^(\d+)\.(\d+)\.(\d)xx$/;
+
+/** @param {Triple} a @param {Triple} b */
+function cmp(a, b) {
+  for (let i = 0; i < 3; i++) if (a[i] !== b[i]) return a[i] - b[i];
+  return 0;
+}
+
+/** @param {number[]} nums */
+function pad(nums) {
+  return /** @type {Triple} */ ([nums[0] ?? 0, nums[1] ?? 0, nums[2] ?? 0]);
+}
+
+/** @param {number[]} nums @param {number} i */
+function bump(nums, i) {
+  const out = pad(nums.slice(0, i + 1));
+  out[i] += 1;
+  return out;
+}
+
+/**
+ * Split "^20.10" into operator + canonical body (prefixes stripped, wildcards as "x").
+ * @param {string} input
+ */
+function splitConstraint(input) {
+  let s = String(input ?? "").trim().toLowerCase();
+  let op = "";
+  if (s.startsWith("^") || s.startsWith("~")) {
+    op = s[0];
+    s = s.slice(1).trim();
+  }
+  s = s.replace(/^(v|go)(?=\d)/, "").replace(/\*/g, "x");
+  return { op, body: s };
+}
+
+/**
+ * @param {string} input
+ * @returns {VersionRange | null} null when the string is not a supported version/constraint
+ */
+export function parseVersionConstraint(input) {
+  const { op, body } = splitConstraint(input);
+  const s = body.replace(/\+[0-9a-z.]+$/, "");
+  if (!s) return null;
+
+  const band = FEATURE_BAND_RE.exec(s);
+  if (band) {
+    if (op) return null;
+    const [major, minor, b] = band.slice(1).map(Number);
+    return { lo: [major, minor, b * 100], hi: [major, minor, (b + 1) * 100] };
+  }
+
+  const parts = s.split(".");
+  if (parts.length > 3 || !parts.every((p) => PART_RE.test(p))) return null;
+
+  const firstWildcard = parts.findIndex((p) => p === "x");
+  const numeric = firstWildcard === -1 ? parts : parts.slice(0, firstWildcard);
+  if (parts.slice(numeric.length).some((p) => p !== "x")) return null; // "20.x.1"
+  const nums = numeric.map(Number);
+
+  if (nums.length === 0) return op ? null : { lo: [0, 0, 0], hi: null };
+
+  const lo = pad(nums);
+  if (op === "^") {
+    const firstNonZero = nums.findIndex((n) => n !== 0);
+    return { lo, hi: bump(nums, firstNonZero === -1 ? nums.length - 1 : firstNonZero) };
+  }
+  if (op === "~") return { lo, hi: bump(nums, nums.length === 1 ? 0 : 1) };
+  return { lo, hi: bump(nums, nums.length - 1) };
+}
+
+/**
+ * @param {VersionRange} inner
+ * @param {VersionRange} outer
+ */
+function rangeWithin(inner, outer) {
+  if (cmp(inner.lo, outer.lo) < 0) return false;
+  if (outer.hi === null) return true;
+  return inner.hi !== null && cmp(inner.hi, outer.hi) <= 0;
+}
+
+/**
+ * True when every version the request can resolve to is inside one of the
+ * supported entries. Unparseable input is never compatible.
+ * @param {string} requested
+ * @param {string[]} supported matrix-style entries ("20.x", "3.12", "8.0.x")
+ */
+export function versionCompatible(requested, supported) {
+  const req = parseVersionConstraint(requested);
+  if (!req) return false;
+  return supported.some((entry) => {
+    const allowed = parseVersionConstraint(entry);
+    return allowed !== null && rangeWithin(req, allowed);
+  });
+}
+
+/**
+ * Canonical version string for the stack's setup-* action (resolve-runtime `runtime_version`).
+ *
+ * - "v"/"go" prefixes dropped, "*" and "X" wildcards written as "x"
+ * - setup-node/python/java/go accept semver ranges, so "^"/"~" are kept
+ * - setup-dotnet has no range syntax: "^8.0.100" -> "8.x", "~8.0.100" -> "8.0.x"
+ *
+ * @param {string} stack runtime name (node|python|java|dotnet|go)
+ * @param {string} version
+ * @returns {string | null} null when the version is not a supported constraint
+ */
+export function normalizeRuntimeVersion(stack, version) {
+  if (!parseVersionConstraint(version)) return null;
+
+  const { op, body } = splitConstraint(version);
+  if (stack === "dotnet" && op) {
+    const [major, minor] = body.split(".");
+    return op === "~" && minor !== undefined ? `${major}.${minor}.x` : `${major}.x`;
+  }
+  return `${op}${body}`;
+}
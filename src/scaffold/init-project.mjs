@@ -0,0 +1,245 @@
+/**
+ * Project scaffolding for `brik-pipe init`.
+ *
+ * Turns a stack choice into the files a new repo needs to join BrikByteOS
+ * pipelines:
+ *   - .brik/build.yml                 stack defaults written out (schema-valid, checked by the engine)
+ *   - Dockerfile                      templates/dockerfiles/<stack>/Dockerfile.<tool> or Dockerfile (stack plugins:
+ *                                     stacks/<stack>/), with the runtime image tag and tool commands filled in
+ *   - .dockerignore                   templates/dockerfiles/_common + the stack's own ignores, de-duplicated
+ *   - .github/workflows/build.yml     caller workflow for build-<stack>.yml
+ *
+ * Rendering is pure (no writes); `writeScaffold` is the only function that
+ * touches the target directory and it never overwrites unless forced.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { findMatrixStack } from "../runtime-matrix/load-runtime-matrix.mjs";
+import { defaultToolKind, toolDefaults } from "../runtime-matrix/toolchain.mjs";
+import { LATEST_SCHEMA_VERSION } from "../validators/schema-registry.mjs";
+
+/**
+ * @typedef {import("../validators/validate-build-config.mjs").Stack} Stack
+ *
+ * @typedef {object} ScaffoldOptions
+ * @property {Stack} stack
+ * @property {string} [tool]            tool.kind (default: matrix default for the stack)
+ * @property {string} [runtimeVersion]  runtime.version (default: matrix defaultVersion)
+ * @property {string} [workflowRef]     ref of brik-pipe-actions used by the caller workflow (default: v1)
+ * @property {Record<string, string>} [sources]  provenance comments for tool/runtime (e.g. detection)
+ *
+ * @typedef {object} ScaffoldFile
+ * @property {string} path     relative to the project directory, "/"-separated
+ * @property {string} content
+ */
+
+export const DEFAULT_WORKFLOW_REF = "v1";
+
+/** Where each file lands in the project (also the order they are reported in). */
+export const SCAFFOLD_PATHS = {
+  buildConfig: ".brik/build.yml",
+  dockerfile: "Dockerfile",
+  dockerignore: ".dockerignore",
+  workflow: ".github/workflows/build.yml",
+};
+
+/** @param {string} s */
+function yamlString(s) {
+  return JSON.stringify(s);
+}
+
+/**
+ * Tool, runtime version and tool defaults the scaffold is rendered from.
+ * @param {ScaffoldOptions} opts
+ * @param {any} matrix parsed runtime matrix
+ */
+function scaffoldSettings(opts, matrix) {
+  const matrixStack = findMatrixStack(matrix, opts.stack);
+  if (!matrixStack) throw new Error(`runtime "${opts.stack}" not found in matrix.stacks`);
+
+  const tool = opts.tool || defaultToolKind(matrixStack);
+  const version = opts.runtimeVersion || String(matrixStack.defaultVersion || "");
+  const defaults = toolDefaults(matrixStack, tool);
+  if (!defaults) throw new Error(`tool "${tool}" has no defaults for ${opts.stack} in runtime-matrix.yml toolchain.tools`);
+  return { matrixStack, tool, version, defaults };
+}
+
+/**
+ * @param {ScaffoldOptions} opts
+ * @param {any} matrix parsed runtime matrix
+ */
+export function renderBuildConfig(opts, matrix) {
+  const { tool, version, defaults } = scaffoldSettings(opts, matrix);
+  const note = (key) => (opts.sources?.[key] ? `  # ${opts.sources[key]}` : "");
+
+  const lines = [
+    `# BrikByteOS build config (generated by brik-pipe init). Reference: docs/pipelines/build-config.md`,
+    `schemaVersion: ${LATEST_SCHEMA_VERSION}`,
+    `stack: ${opts.stack}`,
+    ``,
+    `runtime:`,
+    `  version: ${yamlString(version)}${note("runtime.version")}`,
+    ``,
+    `tool:`,
+    `  kind: ${tool}${note("tool.kind")}`,
+    ``,
+    `commands:`,
+    `  install: ${yamlString(defaults.install)}`,
+  ];
+  // Lint is off by default; a set-but-ignored command would only produce LINT_CMD_IGNORED.
+  if (defaults.lint) lines.push(`  # lint: ${yamlString(defaults.lint)}  # uncomment with steps.lint: true`);
+  if (defaults.test) lines.push(`  test: ${yamlString(defaults.test)}`);
+  lines.push(
+    `  build: ${yamlString(defaults.build)}`,
+    ``,
+    `steps:`,
+    `  lint: false`,
+    `  test: ${defaults.test ? "true" : "false"}`,
+    ``,
+    `artifacts:`,
+    `  paths:`,
+    ...defaults.artifacts.map((p) => `    - ${yamlString(p)}`)
+  );
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Container image tag for a build.yml runtime version: its leading numeric
+ * segments, without wildcards or range operators ("22.x" -> "22",
+ * "8.0.1xx" -> "8.0", "^3.12" -> "3.12", "go1.25.1" -> "1.25.1").
+ * @param {string} version
+ */
+export function runtimeImageTag(version) {
+  const segments = String(version).trim().replace(/^[\^~=<>v ]+|^go/g, "").split(".");
+  const end = segments.findIndex((s) => !/^\d+$/.test(s));
+  const numeric = end === -1 ? segments : segments.slice(0, end);
+  if (numeric.length === 0) throw new Error(`cannot derive a container image tag from runtime version "${version}"`);
+  return numeric.join(".");
+}
+
+/**
+ * Fill a Dockerfile template's `{{runtime.imageTag}}`, `{{commands.install}}`
+ * and `{{commands.build}}` placeholders. An unknown placeholder is an error,
+ * so a template typo never reaches a generated Dockerfile.
+ * @param {string} template
+ * @param {Record<string, string>} values placeholder -> value
+ */
+export function renderDockerfile(template, values) {
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, key) => {
+    if (!(key in values)) throw new Error(`Dockerfile template: unknown placeholder {{${key}}}`);
+    return values[key];
+  });
+}
+
+/**
+ * Common ignores first, then the stack's extras; duplicate entries and the
+ * templates' own header comments are dropped.
+ * @param {string} common
+ * @param {string} stackSpecific
+ * @param {Stack} stack
+ */
+export function mergeDockerignore(common, stackSpecific, stack) {
+  const entries = (text) =>
+    text
+      .split(/\r?\n/)
+      .map((l) => l.trim())
+      .filter((l) => l && !l.startsWith("#"));
+
+  const seen = new Set();
+  const section = (list) => list.filter((e) => !seen.has(e) && seen.add(e));
+  const commonEntries = section(entries(common));
+  const stackEntries = section(entries(stackSpecific));
+
+  const lines = [`# Generated by brik-pipe init (common + ${stack})`, ...commonEntries];
+  if (stackEntries.length > 0) lines.push(``, `# ${stack}`, ...stackEntries);
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * @param {Stack} stack
+ * @param {string} [ref]
+ */
+export function renderCallerWorkflow(stack, ref = DEFAULT_WORKFLOW_REF) {
+  return [
+    `# Generated by brik-pipe init. Build settings live in .brik/build.yml.`,
+    `name: build`,
+    ``,
+    `on:`,
+    `  push:`,
+    `    branches: [main]`,
+    `  pull_request:`,
+    `  workflow_dispatch:`,
+    ``,
+    `permissions:`,
+    `  contents: read`,
+    ``,
+    `jobs:`,
+    `  build:`,
+    `    uses: BrikByte-Studios/brik-pipe-actions/.github/workflows/build-${stack}.yml@${ref}`,
+    `    with:`,
+    `      working_directory: "."`,
+    ``,
+  ].join("\n");
+}
+
+/**
+ * Every file `brik-pipe init` would write, rendered in memory.
+ * @param {ScaffoldOptions} opts
+ * @param {{ actionsRoot: string, matrix: any }} ctx
+ * @returns {ScaffoldFile[]}
+ */
+export function planScaffold(opts, { actionsRoot, matrix }) {
+  const templates = path.join(actionsRoot, "templates", "dockerfiles");
+  // Stack plugins carry their Dockerfile/.dockerignore in their own directory.
+  const plugin = findMatrixStack(matrix, opts.stack)?.plugin;
+  const stackTemplates = plugin ? path.join(actionsRoot, ...plugin.dir.split("/")) : path.join(templates, opts.stack);
+  const readTemplate = (dir, name) => {
+    const p = path.join(dir, name);
+    if (!fs.existsSync(p)) throw new Error(`scaffold template not found: ${p}`);
+    return fs.readFileSync(p, "utf8");
+  };
+
+  // A tool whose project layout differs (gradle, poetry) has its own Dockerfile.<tool>.
+  const { tool, version, defaults } = scaffoldSettings(opts, matrix);
+  const dockerfile = fs.existsSync(path.join(stackTemplates, `Dockerfile.${tool}`)) ? `Dockerfile.${tool}` : "Dockerfile";
+  const dockerValues = {
+    "runtime.imageTag": runtimeImageTag(version),
+    "commands.install": defaults.install,
+    "commands.build": defaults.build,
+  };
+
+  return [
+    { path: SCAFFOLD_PATHS.buildConfig, content: renderBuildConfig(opts, matrix) },
+    { path: SCAFFOLD_PATHS.dockerfile, content: renderDockerfile(readTemplate(stackTemplates, dockerfile), dockerValues) },
+    {
+      path: SCAFFOLD_PATHS.dockerignore,
+      content: mergeDockerignore(
+        readTemplate(path.join(templates, "_common"), "dockerignore.common"),
+        readTemplate(stackTemplates, ".dockerignore"),
+        opts.stack
+      ),
+    },
+    { path: SCAFFOLD_PATHS.workflow, content: renderCallerWorkflow(opts.stack, opts.workflowRef) },
+  ];
+}
+
+/**
+ * Write a planned scaffold. Without `force` nothing is written when any target
+ * already exists, so a partial scaffold never lands on top of a real project.
+ * @param {string} dir project directory
+ * @param {ScaffoldFile[]} files
+ * @param {{ force?: boolean }} [options]
+ * @returns {{ written: string[], conflicts: string[] }}
+ */
+export function writeScaffold(dir, files, { force = false } = {}) {
+  const conflicts = files.filter((f) => fs.existsSync(path.join(dir, f.path))).map((f) => f.path);
+  if (conflicts.length > 0 && !force) return { written: [], conflicts };
+
+  for (const f of files) {
+    const target = path.join(dir, f.path);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, f.content, "utf8");
+  }
+  return { written: files.map((f) => f.path), conflicts };
+}
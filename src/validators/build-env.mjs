@@ -0,0 +1,123 @@
+/**
+ * Non-secret environment variables (`env:`, `stageEnv:` and `stages[].env` in build.yml, schema v2).
+ *
+ *   env        every stage of the project (built-in and custom)
+ *   stageEnv   one built-in stage (install|lint|test|build), on top of `env`
+ *   stages[].env  one custom stage, on top of `env`
+ *
+ * Values are plain strings that end up in the evidence bundle, so anything that
+ * looks like a secret is rejected: names matching the build_args heuristic
+ * (scripts/container/validate-container-inputs.ts) and `${{ … }}` expressions,
+ * which build.yml never evaluates and which would only ever carry a secret
+ * reference. Secrets belong in the calling workflow's `secrets:`/`env:`.
+ */
+
+/** Built-in stages `stageEnv` may target. */
+export const ENV_STAGES = /** @type {const} */ (["install", "lint", "test", "build"]);
+
+/** Same list as the build_args check: a name containing any of these is treated as a secret. */
+export const SECRET_LIKE_NAME_PARTS = ["TOKEN", "PASSWORD", "SECRET", "KEY", "CREDENTIAL"];
+
+/** Prefixes the runner owns; GitHub ignores or rejects overrides of these. */
+const RESERVED_ENV_PREFIXES = ["GITHUB_", "RUNNER_"];
+
+const EXPRESSION_RE = /\$\{\{([\s\S]*?)\}\}/;
+
+/**
+ * @typedef {Record<string, string>} EnvMap
+ * @typedef {import("./validate-build-config.mjs").ValidationIssue} ValidationIssue
+ */
+
+/**
+ * @param {string} name
+ */
+export function isSecretLikeEnvName(name) {
+  const upper = name.toUpperCase();
+  return SECRET_LIKE_NAME_PARTS.some((part) => upper.includes(part));
+}
+
+/**
+ * String values for one env map (YAML numbers/booleans are stringified); {} when absent.
+ * @param {any} rawEnv
+ * @returns {EnvMap}
+ */
+export function resolveEnv(rawEnv) {
+  if (!rawEnv || typeof rawEnv !== "object" || Array.isArray(rawEnv)) return {};
+  return Object.fromEntries(Object.entries(rawEnv).map(([k, v]) => [k, String(v)]));
+}
+
+/**
+ * Per built-in stage overrides, only for the stages build.yml names.
+ * @param {any} rawStageEnv
+ * @returns {Partial<Record<typeof ENV_STAGES[number], EnvMap>>}
+ */
+export function resolveStageEnv(rawStageEnv) {
+  return Object.fromEntries(
+    ENV_STAGES.filter((stage) => rawStageEnv?.[stage] !== undefined).map((stage) => [stage, resolveEnv(rawStageEnv[stage])])
+  );
+}
+
+/**
+ * Secret and naming rules for one env map.
+ * @param {any} rawEnv
+ * @param {string} at issue path of the map, e.g. "/env" or "/stages/0/env"
+ * @returns {ValidationIssue[]}
+ */
+function checkEnvMap(rawEnv, at) {
+  /** @type {ValidationIssue[]} */
+  const issues = [];
+  if (!rawEnv || typeof rawEnv !== "object" || Array.isArray(rawEnv)) return issues;
+
+  for (const [name, value] of Object.entries(rawEnv)) {
+    if (isSecretLikeEnvName(name)) {
+      issues.push({
+        level: "error",
+        code: "ENV_SECRET_LIKE_NAME",
+        path: `${at}/${name}`,
+        message: `env name "${name}" looks like a secret (contains ${SECRET_LIKE_NAME_PARTS.find((p) => name.toUpperCase().includes(p))})`,
+        suggestion: `Pass secrets from the calling workflow (secrets:/env:), not build.yml; rename the variable if it is not a secret.`,
+      });
+    }
+    if (RESERVED_ENV_PREFIXES.some((prefix) => name.toUpperCase().startsWith(prefix))) {
+      issues.push({
+        level: "error",
+        code: "ENV_NAME_RESERVED",
+        path: `${at}/${name}`,
+        message: `env name "${name}" uses a prefix the runner owns (${RESERVED_ENV_PREFIXES.join(", ")})`,
+        suggestion: `Pick another name; the runner sets these itself.`,
+      });
+    }
+    const expr = EXPRESSION_RE.exec(String(value));
+    if (expr) {
+      const key = `${at.slice(1).replaceAll("/", ".")}.${name}`;
+      const secretRef = /\bsecrets\s*[.[]/.test(expr[1]);
+      issues.push({
+        level: "error",
+        code: secretRef ? "ENV_SECRET_REFERENCE" : "ENV_EXPRESSION_NOT_ALLOWED",
+        path: `${at}/${name}`,
+        message: secretRef
+          ? `${key} references a secret (${expr[0]}); build.yml env values are recorded in evidence`
+          : `${key} contains a workflow expression (${expr[0]}); build.yml values are never evaluated`,
+        suggestion: `Set it in the calling workflow (env:) instead; build.yml env takes literal, non-secret values only.`,
+      });
+    }
+  }
+  return issues;
+}
+
+/**
+ * Env rules for one project: `env`, every `stageEnv.<stage>` and every `stages[i].env`.
+ * @param {any} raw project config
+ * @param {string} basePath "" or "/projects/<i>"
+ * @returns {ValidationIssue[]}
+ */
+export function checkBuildEnv(raw, basePath) {
+  const issues = [...checkEnvMap(raw?.env, `${basePath}/env`)];
+  for (const stage of ENV_STAGES) {
+    issues.push(...checkEnvMap(raw?.stageEnv?.[stage], `${basePath}/stageEnv/${stage}`));
+  }
+  if (Array.isArray(raw?.stages)) {
+    raw.stages.forEach((s, i) => issues.push(...checkEnvMap(s?.env, `${basePath}/stages/${i}/env`)));
+  }
+  return issues;
+}
@@ -0,0 +1,327 @@
+/**
+ * `extends:` — build.yml presets.
+ *
+ * A config, or a single entry under `projects:`, can extend one or more presets:
+ *   - local YAML files, by path relative to the file that names them
+ *   - presets shipped with brik-pipe-actions under presets/build-config/, as `brik:<name>`
+ *
+ * Merge order (later wins): each preset in `extends` order, with that preset's
+ * own `extends` applied first, then the extending file itself.
+ *   - mappings merge key by key, recursively
+ *   - scalars and lists replace the earlier value whole (lists are never concatenated)
+ *
+ * A preset's `schemaVersion` must match the extending file's and is otherwise
+ * ignored. Only the file's own `extends` declaration is kept in the merged
+ * config, so the schema still checks its shape.
+ *
+ * Every leaf of the merged config is traced to the file that set it; the
+ * engine exports that as the provenance trail of the resolved config.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import yaml from "js-yaml";
+
+export const NAMED_PRESET_PREFIX = "brik:";
+const NAMED_PRESET_RE = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * @typedef {import("./validate-build-config.mjs").ValidationIssue} ValidationIssue
+ * @typedef {{ source: string, via: string }} FieldOrigin  file that set the value; `via` is the pointer of the `extends` key that pulled it in ("" when the file itself set it)
+ * @typedef {{ label: string, abs: string | null }} PresetFile
+ *
+ * @typedef {object} ExtendsResult
+ * @property {any} config                       merged config
+ * @property {string[]} chain                   preset labels in the order they were applied
+ * @property {Map<string, FieldOrigin>} origins JSON pointer (merged config) -> origin, leaves only
+ * @property {ValidationIssue | null} issue     set when a preset could not be applied (config is then the input, unmerged)
+ */
+
+/**
+ * Named presets shipped with brik-pipe-actions.
+ * @param {string} repoRoot brik-pipe-actions repo root
+ */
+export function presetsDirFor(repoRoot) {
+  return path.join(repoRoot, "presets", "build-config");
+}
+
+class ExtendsError extends Error {
+  /**
+   * @param {string} code
+   * @param {string} message
+   * @param {string} suggestion
+   */
+  constructor(code, message, suggestion) {
+    super(message);
+    this.code = code;
+    this.suggestion = suggestion;
+  }
+}
+
+/** @param {unknown} v */
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+/** @param {string} key */
+function escapePointer(key) {
+  return key.replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+/**
+ * Leaf pointers of a value. Lists are leaves unless they hold mappings (e.g.
+ * `projects:`), so each project keeps per-field origins.
+ * @param {any} value
+ * @param {string} prefix
+ * @param {(pointer: string) => FieldOrigin} originOf
+ * @param {Map<string, FieldOrigin>} [out]
+ */
+function leafOrigins(value, prefix, originOf, out = new Map()) {
+  const walk = (v, p) => {
+    if (isPlainObject(v) && Object.keys(v).length > 0) {
+      for (const [k, child] of Object.entries(v)) walk(child, `${p}/${escapePointer(k)}`);
+    } else if (Array.isArray(v) && v.some(isPlainObject)) {
+      v.forEach((child, i) => walk(child, `${p}/${i}`));
+    } else {
+      out.set(p, originOf(p));
+    }
+  };
+  walk(value, prefix);
+  return out;
+}
+
+/**
+ * Deep-merge `value` over `acc` in place, keeping `origins` (pointers under
+ * `prefix`) in step: a replaced subtree loses all of its old origins.
+ * @param {Record<string, any>} acc
+ * @param {Map<string, FieldOrigin>} origins
+ * @param {Record<string, any>} value
+ * @param {Map<string, FieldOrigin>} valueOrigins pointers relative to `value`
+ * @param {string} [prefix]
+ */
+function mergeInto(acc, origins, value, valueOrigins, prefix = "") {
+  for (const [key, next] of Object.entries(value)) {
+    const p = `${prefix}/${escapePointer(key)}`;
+    if (isPlainObject(acc[key]) && isPlainObject(next) && Object.keys(next).length > 0) {
+      origins.delete(p); // `acc[key]` may have been an empty (leaf) mapping
+      mergeInto(acc[key], origins, next, valueOrigins, p);
+      continue;
+    }
+    acc[key] = structuredClone(next);
+    for (const k of [...origins.keys()]) if (k === p || k.startsWith(`${p}/`)) origins.delete(k);
+    for (const [k, o] of valueOrigins) if (k === p || k.startsWith(`${p}/`)) origins.set(k, o);
+  }
+}
+
+/**
+ * @param {unknown} declared
+ * @returns {string[]} refs, or [] when `extends` is absent or malformed (the schema reports the latter)
+ */
+function extendsRefs(declared) {
+  if (typeof declared === "string") return declared ? [declared] : [];
+  if (Array.isArray(declared) && declared.every((r) => typeof r === "string" && r)) return declared;
+  return [];
+}
+
+/**
+ * @param {string} ref
+ * @param {PresetFile} from file that names the ref
+ * @param {{ repoDir: string | null, presetsDir: string | null }} ctx
+ * @returns {{ label: string, abs: string }}
+ */
+function locatePreset(ref, from, ctx) {
+  if (ref.startsWith(NAMED_PRESET_PREFIX)) {
+    const name = ref.slice(NAMED_PRESET_PREFIX.length);
+    const abs = ctx.presetsDir && NAMED_PRESET_RE.test(name) ? path.join(ctx.presetsDir, `${name}.yml`) : null;
+    if (!abs || !fs.existsSync(abs)) {
+      const available = ctx.presetsDir && fs.existsSync(ctx.presetsDir)
+        ? fs.readdirSync(ctx.presetsDir).filter((f) => f.endsWith(".yml")).map((f) => `${NAMED_PRESET_PREFIX}${f.slice(0, -4)}`).sort()
+        : [];
+      throw new ExtendsError(
+        "EXTENDS_NOT_FOUND",
+        `Preset "${ref}" does not exist`,
+        available.length > 0 ? `Use one of: ${available.join(", ")}` : `Check the preset name.`
+      );
+    }
+    return { label: ref, abs };
+  }
+
+  if (!from.abs) {
+    throw new ExtendsError(
+      "EXTENDS_NOT_FOUND",
+      `Cannot resolve local preset "${ref}": the config was not read from a file`,
+      `Validate the file on disk, or use a ${NAMED_PRESET_PREFIX}<name> preset.`
+    );
+  }
+  const abs = path.resolve(path.dirname(from.abs), ref);
+  const rel = ctx.repoDir ? path.relative(ctx.repoDir, abs) : null;
+  if (rel !== null && (rel.startsWith("..") || path.isAbsolute(rel))) {
+    throw new ExtendsError(
+      "EXTENDS_INVALID",
+      `Preset "${ref}" (in ${from.label}) is outside the repository`,
+      `Keep local presets inside the repository, e.g. under .brik/presets/.`
+    );
+  }
+  if (!fs.existsSync(abs) || !fs.statSync(abs).isFile()) {
+    throw new ExtendsError(
+      "EXTENDS_NOT_FOUND",
+      `Preset "${ref}" (in ${from.label}) not found`,
+      `Paths are relative to the file that declares extends.`
+    );
+  }
+  return { label: rel !== null ? rel.split(path.sep).join("/") : abs, abs };
+}
+
+/**
+ * @param {{ label: string, abs: string }} preset
+ * @param {unknown} schemaVersion the extending file's schemaVersion
+ * @param {boolean} inProject preset is applied to a `projects:` entry
+ */
+function readPreset(preset, schemaVersion, inProject) {
+  let data;
+  try {
+    data = yaml.load(fs.readFileSync(preset.abs, "utf8"));
+  } catch (e) {
+    throw new ExtendsError(
+      "EXTENDS_INVALID",
+      `Preset ${preset.label} is not valid YAML: ${String(e?.message || e).split("\n")[0]}`,
+      `Fix the preset's YAML syntax.`
+    );
+  }
+  if (!isPlainObject(data)) {
+    throw new ExtendsError("EXTENDS_INVALID", `Preset ${preset.label} must be a mapping`, `A preset holds build.yml fields.`);
+  }
+  if (data.schemaVersion !== undefined && data.schemaVersion !== schemaVersion) {
+    throw new ExtendsError(
+      "EXTENDS_INVALID",
+      `Preset ${preset.label} is schemaVersion ${JSON.stringify(data.schemaVersion)}, the config is ${JSON.stringify(schemaVersion)}`,
+      `Presets must use the same schemaVersion as the file that extends them.`
+    );
+  }
+  if (inProject && data.projects !== undefined) {
+    throw new ExtendsError(
+      "EXTENDS_INVALID",
+      `Preset ${preset.label} declares projects but is extended by a project`,
+      `Project-level presets hold single-project fields only.`
+    );
+  }
+  const { schemaVersion: _ignored, ...fields } = data;
+  return fields;
+}
+
+/**
+ * Expand one node's `extends` (presets first, node last).
+ * @param {Record<string, any>} node
+ * @param {PresetFile} self file the node lives in
+ * @param {(pointer: string) => FieldOrigin} ownOrigin origin of the node's own leaves (node-relative pointers)
+ * @param {{ repoDir: string | null, presetsDir: string | null, schemaVersion: unknown, inProject: boolean, via: string }} ctx
+ * @param {PresetFile[]} stack files on the current `extends` path, for cycle detection
+ * @returns {{ value: Record<string, any>, origins: Map<string, FieldOrigin>, chain: string[] }}
+ */
+function expandNode(node, self, ownOrigin, ctx, stack) {
+  const value = {};
+  const origins = new Map();
+  const chain = [];
+
+  for (const ref of extendsRefs(node.extends)) {
+    const preset = locatePreset(ref, self, ctx);
+    if (stack.some((f) => f.abs === preset.abs)) {
+      throw new ExtendsError(
+        "EXTENDS_CYCLE",
+        `extends cycle: ${[...stack, preset].map((f) => f.label).join(" -> ")}`,
+        `Remove one of the extends entries so presets form a tree.`
+      );
+    }
+    const fields = readPreset(preset, ctx.schemaVersion, ctx.inProject);
+    const sub = expandNode(fields, preset, () => ({ source: preset.label, via: ctx.via }), ctx, [...stack, preset]);
+    // Only the extending file's own declaration is kept.
+    const { extends: _nested, ...presetValue } = sub.value;
+    mergeInto(value, origins, presetValue, sub.origins);
+    chain.push(...sub.chain, preset.label);
+  }
+
+  mergeInto(value, origins, node, leafOrigins(node, "", ownOrigin));
+  return { value, origins, chain };
+}
+
+/**
+ * Apply root-level and per-project `extends`.
+ *
+ * @param {any} config parsed build.yml
+ * @param {object} options
+ * @param {string | null} options.configFile absolute path of build.yml (resolves local presets)
+ * @param {string} options.configLabel how build.yml is named in provenance and messages
+ * @param {string | null} options.repoDir local presets must stay inside this directory
+ * @param {string | null} options.presetsDir named presets (see presetsDirFor)
+ * @returns {ExtendsResult}
+ */
+export function resolveExtends(config, { configFile, configLabel, repoDir, presetsDir }) {
+  const self = { label: configLabel, abs: configFile };
+  const fileOrigin = () => ({ source: configLabel, via: "" });
+  if (!isPlainObject(config)) return { config, chain: [], origins: new Map(), issue: null };
+
+  const ctx = { repoDir, presetsDir, schemaVersion: config.schemaVersion, inProject: false, via: "/extends" };
+  let via = "/extends";
+  try {
+    // Root first (it may supply `projects:`), then each project on top of it.
+    const root = expandNode(config, self, fileOrigin, ctx, [self]);
+    const merged = root.value;
+    const origins = root.origins;
+    const chain = [...root.chain];
+
+    if (Array.isArray(merged.projects)) {
+      merged.projects.forEach((project, i) => {
+        if (!isPlainObject(project) || extendsRefs(project.extends).length === 0) return;
+        const prefix = `/projects/${i}`;
+        via = `${prefix}/extends`;
+        const known = (p) => origins.get(`${prefix}${p}`) ?? fileOrigin();
+        const sub = expandNode(project, self, known, { ...ctx, inProject: true, via }, [self]);
+        merged.projects[i] = sub.value;
+        for (const k of [...origins.keys()]) if (k.startsWith(`${prefix}/`)) origins.delete(k);
+        for (const [k, o] of sub.origins) origins.set(`${prefix}${k}`, o);
+        chain.push(...sub.chain.filter((l) => !chain.includes(l)));
+      });
+    }
+    return { config: merged, chain, origins, issue: null };
+  } catch (e) {
+    if (!(e instanceof ExtendsError)) throw e;
+    return {
+      config,
+      chain: [],
+      origins: new Map(),
+      issue: { level: "error", code: e.code, path: via, message: e.message, suggestion: e.suggestion },
+    };
+  }
+}
+
+/**
+ * Origin of the value at `pointer`, or of its closest traced ancestor.
+ * @param {Map<string, FieldOrigin>} origins
+ * @param {string} pointer
+ * @returns {FieldOrigin | null}
+ */
+export function originOf(origins, pointer) {
+  if (!pointer.startsWith("/")) return null;
+  for (let p = pointer; p; p = p.slice(0, p.lastIndexOf("/"))) {
+    const hit = origins.get(p);
+    if (hit) return hit;
+  }
+  return null;
+}
+
+/**
+ * Provenance trail for build-config.resolved.json.
+ * @param {string[]} chain
+ * @param {Map<string, FieldOrigin>} origins
+ * @param {string} [prefix] only fields under this pointer, re-based (a project's slice, listing the presets it used)
+ */
+export function provenanceTrail(chain, origins, prefix = "") {
+  /** @type {Record<string, string>} */
+  const fields = {};
+  for (const k of [...origins.keys()].sort()) {
+    if (prefix && !k.startsWith(`${prefix}/`)) continue;
+    fields[k.slice(prefix.length)] = /** @type {FieldOrigin} */ (origins.get(k)).source;
+  }
+  const used = new Set(Object.values(fields));
+  return { extends: prefix ? chain.filter((label) => used.has(label)) : chain, fields };
+}
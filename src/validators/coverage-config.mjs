@@ -0,0 +1,106 @@
+/**
+ * Coverage thresholds (`coverage:` in build.yml, schema v2).
+ *
+ *   thresholds   minimum line/branch percentages for the whole project
+ *   paths        the same per glob (artifact manifest syntax, relative to the
+ *                project working directory), checked on the matching files only
+ *   enforcement  fail (default) | warn: what a missed threshold does to the verdict
+ *   reports      coverage report globs; default: the tool's coverageReports in
+ *                runtime-matrix.yml (resolve-runtime coverage_report_paths)
+ *
+ * export-build-evidence reads the reports (lcov, Cobertura, JaCoCo, Go
+ * coverprofile) and applies the thresholds; this module only validates and
+ * resolves the block.
+ */
+
+/** Metrics a threshold can set. */
+export const COVERAGE_METRICS = /** @type {const} */ (["lines", "branches"]);
+
+/**
+ * @typedef {{ lines?: number, branches?: number }} CoverageThreshold
+ * @typedef {{ thresholds: CoverageThreshold, paths: ({ path: string } & CoverageThreshold)[], enforcement: "fail" | "warn", reports: string[] }} ResolvedCoverage
+ * @typedef {import("./validate-build-config.mjs").ValidationIssue} ValidationIssue
+ */
+
+/**
+ * @param {any} raw
+ * @returns {CoverageThreshold}
+ */
+function threshold(raw) {
+  return Object.fromEntries(COVERAGE_METRICS.filter((m) => typeof raw?.[m] === "number").map((m) => [m, raw[m]]));
+}
+
+/**
+ * The project's coverage block with defaults applied; null when build.yml has none.
+ * @param {any} rawCoverage
+ * @returns {ResolvedCoverage | null}
+ */
+export function resolveCoverage(rawCoverage) {
+  if (!rawCoverage || typeof rawCoverage !== "object" || Array.isArray(rawCoverage)) return null;
+  const paths = rawCoverage.paths && typeof rawCoverage.paths === "object" ? rawCoverage.paths : {};
+  return {
+    thresholds: threshold(rawCoverage.thresholds),
+    paths: Object.entries(paths).map(([path, t]) => ({ path, ...threshold(t) })),
+    enforcement: rawCoverage.enforcement === "warn" ? "warn" : "fail",
+    reports: Array.isArray(rawCoverage.reports) ? rawCoverage.reports.map(String) : [],
+  };
+}
+
+/**
+ * Thresholds that cannot be checked as written.
+ * @param {any} raw project config
+ * @param {string} basePath "" or "/projects/<i>"
+ * @returns {ValidationIssue[]}
+ */
+export function checkCoverage(raw, basePath) {
+  /** @type {ValidationIssue[]} */
+  const issues = [];
+  const coverage = resolveCoverage(raw?.coverage);
+  if (!coverage) return issues;
+
+  const targets = [coverage.thresholds, ...coverage.paths];
+  if (!targets.some((t) => COVERAGE_METRICS.some((m) => m in t))) {
+    issues.push({
+      level: "warning",
+      code: "COVERAGE_NO_THRESHOLDS",
+      path: `${basePath}/coverage`,
+      message: `coverage declares no line or branch threshold; coverage is recorded but never enforced`,
+      suggestion: `Add coverage.thresholds.lines (and/or branches), or coverage.paths entries.`,
+    });
+  }
+
+  if (raw?.steps?.test === false) {
+    issues.push({
+      level: "warning",
+      code: "COVERAGE_WITHOUT_TESTS",
+      path: `${basePath}/steps/test`,
+      message: `coverage thresholds are set but the test step is off, so there will be no report to check`,
+      suggestion: `Turn steps.test on, or remove coverage.`,
+    });
+  }
+
+  for (const { path } of coverage.paths) {
+    if (path.startsWith("/") || path.split("/").includes("..")) {
+      issues.push({
+        level: "error",
+        code: "COVERAGE_PATH_OUTSIDE_PROJECT",
+        path: `${basePath}/coverage/paths/${path.replace(/~/g, "~0").replace(/\//g, "~1")}`,
+        message: `coverage.paths "${path}" points outside the project working directory`,
+        suggestion: `Use a glob relative to the project's workingDirectory (e.g. "src/core/**").`,
+      });
+    }
+  }
+
+  // Go coverprofiles count statements per block; they carry no branch data.
+  if (raw?.stack === "go" && targets.some((t) => "branches" in t)) {
+    issues.push({
+      level: "warning",
+      code: "COVERAGE_BRANCHES_UNSUPPORTED",
+      path: `${basePath}/coverage`,
+      message: `Go coverprofiles have no branch data, so a branches threshold is always missed`,
+      suggestion: `Use lines thresholds only for Go (they apply to statements).`,
+    });
+  }
+
+  return issues;
+}
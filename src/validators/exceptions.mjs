@@ -0,0 +1,109 @@
+/**
+ * Runtime-matrix exception registry (`stacks[].exceptions`).
+ *
+ * An exception lets one repo use a version or tool the matrix would otherwise
+ * block. It never widens the matrix for anyone else, and it stops applying the
+ * day after `expires`.
+ *
+ * Rule format (runtime-matrix.yml):
+ *   exceptions:
+ *     enabled: true
+ *     rules:
+ *       - id: "EXC-NODE-001"
+ *         scope:
+ *           repo: "BrikByte-Studios/legacy-api"   # required, owner/name
+ *           version: "16.x"                       # optional, matrix-style version pattern
+ *           tool: "bun"                           # optional, tool.kind
+ *         approvedBy: "@platform-lead"
+ *         issue: "https://github.com/BrikByte-Studios/platform/issues/42"
+ *         expires: "2026-06-30"                   # inclusive, YYYY-MM-DD
+ *         reason: "Migration to Node 20 tracked in the issue"   # optional
+ *
+ * Every scope field that is set must match the config. A rule only unblocks the
+ * dimension(s) it names: a `version`-only rule never allows a blocked tool.
+ * Malformed rules (missing approver/issue/expiry, bad date, no version/tool) grant nothing.
+ */
+
+import { versionCompatible } from "../runtime-matrix/version-match.mjs";
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @typedef {object} ExceptionRule
+ * @property {string} id
+ * @property {{ repo: string, version?: string, tool?: string }} scope
+ * @property {string} approvedBy
+ * @property {string} issue
+ * @property {string} expires
+ * @property {string} [reason]
+ *
+ * @typedef {object} AppliedException
+ * @property {string} id
+ * @property {string} stack
+ * @property {string | null} project  monorepo project name (null for single-project configs)
+ * @property {"version" | "tool"} allows
+ * @property {string} value            the otherwise-blocked version/tool
+ * @property {ExceptionRule["scope"]} scope
+ * @property {string} approvedBy
+ * @property {string} issue
+ * @property {string} expires
+ */
+
+function nonEmpty(v) {
+  return typeof v === "string" && v.trim().length > 0;
+}
+
+/**
+ * @param {any} rule
+ * @returns {rule is ExceptionRule}
+ */
+export function isWellFormedRule(rule) {
+  const scope = rule?.scope;
+  return (
+    nonEmpty(rule?.id) &&
+    nonEmpty(scope?.repo) &&
+    (nonEmpty(scope?.version) || nonEmpty(scope?.tool)) &&
+    nonEmpty(rule?.approvedBy) &&
+    nonEmpty(rule?.issue) &&
+    typeof rule?.expires === "string" &&
+    DATE_RE.test(rule.expires) &&
+    !Number.isNaN(Date.parse(rule.expires))
+  );
+}
+
+/**
+ * @param {any} matrixStack runtime-matrix stack entry
+ * @returns {ExceptionRule[]} well-formed rules, or [] when the registry is disabled
+ */
+export function exceptionRules(matrixStack) {
+  const reg = matrixStack?.exceptions;
+  if (reg?.enabled !== true || !Array.isArray(reg.rules)) return [];
+  return reg.rules.filter(isWellFormedRule);
+}
+
+/**
+ * Find the exception covering a blocked version or tool.
+ *
+ * Unexpired rules win; an expired match is still returned (expired: true) so the
+ * caller can point at it in the error instead of failing silently.
+ *
+ * @param {any} matrixStack
+ * @param {"version" | "tool"} blocked which dimension the matrix rejected
+ * @param {{ repo: string | null, version: string, tool: string, today: string }} ctx
+ * @returns {{ rule: ExceptionRule, expired: boolean } | null}
+ */
+export function findException(matrixStack, blocked, { repo, version, tool, today }) {
+  if (!repo) return null;
+
+  const candidates = exceptionRules(matrixStack).filter((r) => {
+    if (!nonEmpty(r.scope[blocked])) return false;
+    if (r.scope.repo.toLowerCase() !== repo.toLowerCase()) return false;
+    if (nonEmpty(r.scope.version) && !versionCompatible(version, [r.scope.version])) return false;
+    if (nonEmpty(r.scope.tool) && r.scope.tool !== tool) return false;
+    return true;
+  });
+
+  const active = candidates.find((r) => r.expires >= today);
+  if (active) return { rule: active, expired: false };
+  return candidates.length ? { rule: candidates[0], expired: true } : null;
+}
@@ -0,0 +1,98 @@
+/**
+ * Policy packs — branch/event-scoped enforcement for validate-build-config.
+ *
+ * Packs live in runtime-matrix.yml under `policy.packs` and are tried in order;
+ * the first whose `match` fits the run's ref (GITHUB_REF) and event
+ * (GITHUB_EVENT_NAME) wins. A pack can only tighten what the caller asked for:
+ *   - strict: true             warnings fail even when the caller did not ask for strict
+ *   - allowUnsafeCommands: false  the allow_unsafe_commands escape hatch is ignored
+ *   - allowExperimental: false    stacks with supportStatus "experimental" are errors
+ *   - requiredFlags: [runTests]   the resolved flag must be true (steps.test / flags.runTests),
+ *                                 and the workflow's run_tests input must not switch it off
+ *   - missingArtifacts: fail      an artifact glob that matches no file fails the build
+ *                                 (export-build-evidence; "warn" only annotates it)
+ *
+ * With no matching pack (or no packs at all) the built-in default applies,
+ * which enforces nothing beyond the caller's own inputs.
+ */
+
+/**
+ * @typedef {object} PolicyPack
+ * @property {string} name
+ * @property {boolean} strict
+ * @property {boolean} allowExperimental
+ * @property {boolean} allowUnsafeCommands
+ * @property {("runLint" | "runTests")[]} requiredFlags
+ * @property {"warn" | "fail"} missingArtifacts
+ *
+ * @typedef {PolicyPack & { context: { ref: string | null, event: string | null } }} SelectedPolicy
+ */
+
+/**
+ * Resolved flag -> build.yml keys, per schema generation (see build-config-migrations.mjs),
+ * and the build-*.yml workflow input that also gates the stage.
+ */
+export const POLICY_FLAGS = {
+  runLint: { v1: "/flags/runLint", latest: "/steps/lint", input: "run_lint" },
+  runTests: { v1: "/flags/runTests", latest: "/steps/test", input: "run_tests" },
+};
+
+/** @type {PolicyPack} */
+export const DEFAULT_POLICY_PACK = Object.freeze({
+  name: "default",
+  strict: false,
+  allowExperimental: true,
+  allowUnsafeCommands: true,
+  requiredFlags: [],
+  missingArtifacts: "warn",
+});
+
+/**
+ * `*` matches any run of characters (including "/"), everything else is literal.
+ * @param {string} pattern
+ * @param {string} value
+ */
+function globMatch(pattern, value) {
+  const re = new RegExp(`^${pattern.split("*").map((s) => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*")}$`);
+  return re.test(value);
+}
+
+/**
+ * @param {any} match pack `match` block
+ * @param {string | null} ref
+ * @param {string | null} event
+ */
+function packMatches(match, ref, event) {
+  const refs = Array.isArray(match?.refs) ? match.refs.map(String) : null;
+  const events = Array.isArray(match?.events) ? match.events.map(String) : null;
+  if (refs && !(ref && refs.some((p) => globMatch(p, ref)))) return false;
+  if (events && !(event && events.includes(event))) return false;
+  return true;
+}
+
+/**
+ * @param {any} raw pack entry from the matrix
+ * @returns {PolicyPack}
+ */
+function normalizePack(raw) {
+  return {
+    name: String(raw?.name || "unnamed"),
+    strict: raw?.strict === true,
+    allowExperimental: raw?.allowExperimental !== false,
+    allowUnsafeCommands: raw?.allowUnsafeCommands !== false,
+    requiredFlags: (Array.isArray(raw?.requiredFlags) ? raw.requiredFlags : []).filter((f) => f in POLICY_FLAGS),
+    missingArtifacts: raw?.missingArtifacts === "fail" ? "fail" : "warn",
+  };
+}
+
+/**
+ * Pick the policy pack for a run.
+ * @param {any} matrix parsed runtime matrix
+ * @param {{ ref?: string | null, event?: string | null }} [context]
+ * @returns {SelectedPolicy}
+ */
+export function selectPolicyPack(matrix, { ref = null, event = null } = {}) {
+  const packs = Array.isArray(matrix?.policy?.packs) ? matrix.policy.packs : [];
+  const hit = packs.find((p) => packMatches(p?.match, ref, event));
+  return { ...(hit ? normalizePack(hit) : { ...DEFAULT_POLICY_PACK, requiredFlags: [] }), context: { ref, event } };
+}
@@ -0,0 +1,72 @@
+/**
+ * Versioned build.yml schemas.
+ *
+ * One JSON schema per `schemaVersion`, all under schemas/. Older versions stay
+ * valid input (frozen as shipped); the engine validates a file against the
+ * schema it declares and then upgrades it in memory to the latest shape (see
+ * src/migrate/build-config-migrations.mjs), so rules only know one shape.
+ *
+ * Adding a version: add the schema file here and a migration step from the
+ * previous version.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+
+/** schemaVersion -> file under schemas/ */
+export const BUILD_SCHEMA_FILES = {
+  1: "build.schema.json",
+  2: "build.v2.schema.json",
+};
+
+export const SUPPORTED_SCHEMA_VERSIONS = Object.keys(BUILD_SCHEMA_FILES).map(Number);
+export const LATEST_SCHEMA_VERSION = Math.max(...SUPPORTED_SCHEMA_VERSIONS);
+
+/**
+ * @typedef {{ version: number, path: string, data: any }} LoadedSchema
+ * @typedef {{ latest: number, versions: Record<number, LoadedSchema> }} SchemaRegistry
+ */
+
+/**
+ * @param {string} repoRoot brik-pipe-actions repo root
+ * @returns {SchemaRegistry}
+ */
+export function loadBuildSchemas(repoRoot) {
+  /** @type {Record<number, LoadedSchema>} */
+  const versions = {};
+  for (const version of SUPPORTED_SCHEMA_VERSIONS) {
+    const p = path.join(repoRoot, "schemas", BUILD_SCHEMA_FILES[version]);
+    if (!fs.existsSync(p)) throw new Error(`${BUILD_SCHEMA_FILES[version]} not found at: ${p}`);
+    versions[version] = { version, path: p, data: JSON.parse(fs.readFileSync(p, "utf8")) };
+  }
+  return { latest: LATEST_SCHEMA_VERSION, versions };
+}
+
+/**
+ * Schema for a declared schemaVersion. Unknown or missing versions get the
+ * latest schema, whose own `schemaVersion` rule then reports the problem.
+ * @param {SchemaRegistry} schemas
+ * @param {unknown} version
+ * @returns {LoadedSchema}
+ */
+export function schemaFor(schemas, version) {
+  return (typeof version === "number" && schemas.versions[version]) || schemas.versions[schemas.latest];
+}
+
+/**
+ * Schema whose `stack` enum also accepts every stack the runtime matrix defines
+ * (stack plugins, see src/runtime-matrix/stack-plugins.mjs). The published
+ * schema files only list the built-in stacks. Returns the input when nothing is added.
+ * @param {any} schema schema document
+ * @param {string[]} stackNames
+ */
+export function withMatrixStacks(schema, stackNames) {
+  const known = schema?.properties?.stack?.enum;
+  if (!Array.isArray(known)) return schema;
+  const extra = stackNames.filter((n) => !known.includes(n));
+  if (extra.length === 0) return schema;
+  return {
+    ...schema,
+    properties: { ...schema.properties, stack: { ...schema.properties.stack, enum: [...known, ...extra] } },
+  };
+}
@@ -0,0 +1,81 @@
+/**
+ * Custom stages (`stages:` in build.yml, schema v2).
+ *
+ * A stage is an extra shell step bound to a named slot of the canonical
+ * sequence, so typecheck/codegen/e2e/migration-check steps never reorder the
+ * built-in ones:
+ *
+ *   pre-install → install → lint? → test? → post-test → pre-build → build → post-build
+ *
+ * Within a slot, stages run in declaration order. Stage names become evidence
+ * log names (logs/stages/<name>.log), so they follow the project name rules and
+ * may not reuse a built-in stage name.
+ */
+
+import { resolveEnv } from "./build-env.mjs";
+
+/** Hook slots, in execution order (the build-*.yml step ids are `hooks-<slot>`). */
+export const STAGE_SLOTS = /** @type {const} */ (["pre-install", "post-test", "pre-build", "post-build"]);
+
+/** Built-in stages and evidence steps a custom stage cannot be named after. */
+export const RESERVED_STAGE_NAMES = new Set(["install", "lint", "test", "build", "evidence", "verdict"]);
+
+/**
+ * @typedef {typeof STAGE_SLOTS[number]} StageSlot
+ * @typedef {{ name: string, slot: StageSlot, run: string, continueOnError: boolean, env: Record<string, string> }} ResolvedStage
+ * @typedef {import("./validate-build-config.mjs").ValidationIssue} ValidationIssue
+ */
+
+/**
+ * Resolved stages for one project, in declaration order (empty when none are declared).
+ * @param {any} rawStages build.yml `stages` value
+ * @returns {ResolvedStage[]}
+ */
+export function resolveStages(rawStages) {
+  if (!Array.isArray(rawStages)) return [];
+  return rawStages.map((s) => ({
+    name: String(s?.name ?? ""),
+    slot: /** @type {StageSlot} */ (String(s?.slot ?? "")),
+    run: String(s?.run ?? "").trim(),
+    continueOnError: Boolean(s?.continueOnError ?? false),
+    env: resolveEnv(s?.env),
+  }));
+}
+
+/**
+ * Name rules the schema cannot express: unique within the project, no built-in names.
+ * @param {any} rawStages
+ * @param {string} basePath "" or "/projects/<i>"
+ * @returns {ValidationIssue[]}
+ */
+export function checkStageNames(rawStages, basePath) {
+  /** @type {ValidationIssue[]} */
+  const issues = [];
+  if (!Array.isArray(rawStages)) return issues;
+
+  const seen = new Set();
+  rawStages.forEach((s, i) => {
+    const name = typeof s?.name === "string" ? s.name : "";
+    if (!name) return;
+    if (RESERVED_STAGE_NAMES.has(name)) {
+      issues.push({
+        level: "error",
+        code: "STAGE_NAME_RESERVED",
+        path: `${basePath}/stages/${i}/name`,
+        message: `Stage name "${name}" is reserved for the built-in stage`,
+        suggestion: `Use commands.${name} to change the built-in stage, or pick another name (e.g. "${name}-extra").`,
+      });
+    } else if (seen.has(name)) {
+      issues.push({
+        level: "error",
+        code: "STAGE_NAME_DUPLICATE",
+        path: `${basePath}/stages/${i}/name`,
+        message: `Stage name "${name}" is used more than once`,
+        suggestion: `Give every stage a unique name (it is used as the evidence log name).`,
+      });
+    }
+    seen.add(name);
+  });
+
+  return issues;
+}
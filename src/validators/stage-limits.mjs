@@ -0,0 +1,120 @@
+/**
+ * Per-stage timeouts and retries (`timeouts:` / `retries:` in build.yml, schema v2).
+ *
+ * Both maps are keyed by stage name: a built-in stage (install, lint, test,
+ * build) or a custom stage declared in `stages:`. Stages build.yml does not
+ * list get the org default from runtime-matrix.yml `policy.limits`, and no
+ * value may exceed the org maximum there.
+ *
+ * Resolved values are complete (every stage has a timeout and a retry count),
+ * so the build workflows can use them as-is for `timeout-minutes:` and the
+ * stage runner's attempt count.
+ */
+
+/** Built-in stages, in execution order. */
+export const BUILTIN_STAGES = /** @type {const} */ (["install", "lint", "test", "build"]);
+
+/**
+ * @typedef {{ default: number, max: number }} Limit
+ * @typedef {{ stageTimeoutMinutes: Limit, stageRetries: Limit }} StageLimits
+ * @typedef {{ timeouts: Record<string, number>, retries: Record<string, number> }} ResolvedStageLimits
+ * @typedef {import("./validate-build-config.mjs").ValidationIssue} ValidationIssue
+ */
+
+/** Used when the matrix has no `policy.limits` (GitHub's own step limit is 360 minutes). */
+export const DEFAULT_STAGE_LIMITS = Object.freeze({
+  stageTimeoutMinutes: Object.freeze({ default: 60, max: 360 }),
+  stageRetries: Object.freeze({ default: 0, max: 3 }),
+});
+
+/**
+ * @param {any} raw
+ * @param {Limit} fallback
+ * @returns {Limit}
+ */
+function readLimit(raw, fallback) {
+  const int = (v, d) => (Number.isInteger(v) && v >= 0 ? v : d);
+  const max = int(raw?.max, fallback.max);
+  return { default: Math.min(int(raw?.default, fallback.default), max), max };
+}
+
+/**
+ * Org limits from the matrix (`policy.limits`), falling back to DEFAULT_STAGE_LIMITS per field.
+ * @param {any} matrix parsed runtime-matrix.yml
+ * @returns {StageLimits}
+ */
+export function readStageLimits(matrix) {
+  const raw = matrix?.policy?.limits;
+  return {
+    stageTimeoutMinutes: readLimit(raw?.stageTimeoutMinutes, DEFAULT_STAGE_LIMITS.stageTimeoutMinutes),
+    stageRetries: readLimit(raw?.stageRetries, DEFAULT_STAGE_LIMITS.stageRetries),
+  };
+}
+
+/**
+ * Stage names a project can target: the built-ins plus its custom stages.
+ * @param {any} raw project config
+ */
+function stageNames(raw) {
+  const custom = Array.isArray(raw?.stages) ? raw.stages.map((s) => s?.name).filter((n) => typeof n === "string" && n) : [];
+  return [...BUILTIN_STAGES, ...custom];
+}
+
+/**
+ * Timeout and retry count for every stage of a project.
+ * @param {any} raw project config
+ * @param {StageLimits} limits
+ * @returns {ResolvedStageLimits}
+ */
+export function resolveStageLimits(raw, limits) {
+  const pick = (map, stage, d) => (Number.isInteger(map?.[stage]) ? map[stage] : d);
+  /** @type {ResolvedStageLimits} */
+  const out = { timeouts: {}, retries: {} };
+  for (const stage of stageNames(raw)) {
+    out.timeouts[stage] = pick(raw?.timeouts, stage, limits.stageTimeoutMinutes.default);
+    out.retries[stage] = pick(raw?.retries, stage, limits.stageRetries.default);
+  }
+  return out;
+}
+
+/**
+ * Unknown stage keys and values above the org maximums.
+ * @param {any} raw project config
+ * @param {string} basePath "" or "/projects/<i>"
+ * @param {StageLimits} limits
+ * @returns {ValidationIssue[]}
+ */
+export function checkStageLimits(raw, basePath, limits) {
+  /** @type {ValidationIssue[]} */
+  const issues = [];
+  const known = new Set(stageNames(raw));
+
+  const rules = [
+    { key: "timeouts", limit: limits.stageTimeoutMinutes, code: "STAGE_TIMEOUT_OVER_LIMIT", unit: "minutes" },
+    { key: "retries", limit: limits.stageRetries, code: "STAGE_RETRIES_OVER_LIMIT", unit: "retries" },
+  ];
+  for (const { key, limit, code, unit } of rules) {
+    const map = raw?.[key];
+    if (!map || typeof map !== "object" || Array.isArray(map)) continue;
+    for (const [stage, value] of Object.entries(map)) {
+      if (!known.has(stage)) {
+        issues.push({
+          level: "error",
+          code: "STAGE_LIMIT_UNKNOWN_STAGE",
+          path: `${basePath}/${key}/${stage}`,
+          message: `${key}.${stage} targets no stage (known: ${[...known].join(", ")})`,
+          suggestion: `Use a built-in stage name or the name of an entry in stages:.`,
+        });
+      } else if (Number.isInteger(value) && value > limit.max) {
+        issues.push({
+          level: "error",
+          code,
+          path: `${basePath}/${key}/${stage}`,
+          message: `${key}.${stage} is ${value} ${unit}; the org maximum is ${limit.max}`,
+          suggestion: `Lower it to ${limit.max} or less (runtime-matrix.yml policy.limits), or make the stage faster/less flaky.`,
+        });
+      }
+    }
+  }
+  return issues;
+}
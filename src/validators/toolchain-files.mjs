@@ -0,0 +1,134 @@
+/**
+ * Cross-file rules: does the declared (or defaulted) tool.kind match the
+ * manifests and lockfiles that are actually in the working directory?
+ *
+ *   TOOL_MANIFEST_MISSING           error    no manifest the tool can install from (poetry without pyproject.toml)
+ *   TOOL_LOCKFILE_MISMATCH          error    only another tool's lockfile exists (pnpm declared, package-lock.json found)
+ *   TOOL_PACKAGE_MANAGER_MISMATCH   error    package.json#packageManager names a different tool (corepack refuses it)
+ *   TOOL_LOCKFILE_MISSING           warning  the tool uses a lockfile but none is committed
+ *   TOOL_LOCKFILE_MULTIPLE          warning  the tool's lockfile plus another tool's lockfile
+ *   WORKING_DIRECTORY_NOT_FOUND     error    workingDirectory does not exist (other file rules are skipped)
+ *
+ * The files per tool come from runtime-matrix.yml (toolchain.tools.<kind>.manifests
+ * / lockfiles). Only top-level files of the working directory are looked at;
+ * nothing is parsed except package.json#packageManager.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { toolFiles } from "../runtime-matrix/toolchain.mjs";
+
+/**
+ * Files from `patterns` that exist (first match for "*.ext" patterns).
+ * @param {string[]} entries directory listing
+ * @param {string[]} patterns
+ */
+function present(entries, patterns) {
+  return patterns.flatMap((p) => {
+    if (!p.startsWith("*.")) return entries.includes(p) ? [p] : [];
+    const hit = entries.find((e) => e.endsWith(p.slice(1)));
+    return hit ? [hit] : [];
+  });
+}
+
+/** @param {string} dir */
+function packageManagerField(dir) {
+  try {
+    const pkg = JSON.parse(fs.readFileSync(path.join(dir, "package.json"), "utf8"));
+    return typeof pkg?.packageManager === "string" ? pkg.packageManager.split("@")[0] : "";
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * @param {{ stack: string, workingDirectory: string, tool: { kind: string } }} resolved resolved project config
+ * @param {string} projectDir repo (or project) root the config belongs to
+ * @param {string} basePath JSON-pointer prefix for issue paths ("" or "/projects/<i>")
+ * @param {any} matrixStack runtime-matrix entry for resolved.stack
+ * @returns {import("./validate-build-config.mjs").ValidationIssue[]}
+ */
+export function checkToolchainFiles(resolved, projectDir, basePath, matrixStack) {
+  const tool = resolved?.tool?.kind;
+  const byTool = toolFiles(matrixStack);
+  if (!byTool[tool]) return []; // unknown tool: TOOL_NOT_ALLOWED already covers it
+
+  const workingDirectory = resolved.workingDirectory || ".";
+  const dir = path.resolve(projectDir, workingDirectory);
+  let entries;
+  try {
+    entries = fs.readdirSync(dir);
+  } catch {
+    return [
+      {
+        level: "error",
+        code: "WORKING_DIRECTORY_NOT_FOUND",
+        path: `${basePath}/workingDirectory`,
+        message: `workingDirectory "${workingDirectory}" does not exist`,
+        suggestion: `Set workingDirectory relative to the repo root (the directory that contains .brik/).`,
+      },
+    ];
+  }
+
+  /** @type {import("./validate-build-config.mjs").ValidationIssue[]} */
+  const issues = [];
+  const where = workingDirectory === "." ? "the repo root" : `"${workingDirectory}"`;
+  const { manifests, lockfiles } = byTool[tool];
+
+  if (manifests.length > 0 && present(entries, manifests).length === 0) {
+    issues.push({
+      level: "error",
+      code: "TOOL_MANIFEST_MISSING",
+      path: `${basePath}/tool/kind`,
+      message: `tool.kind "${tool}" needs ${manifests.join(" or ")} in ${where}, none found`,
+      suggestion: `Add the manifest, fix workingDirectory, or set tool.kind to the tool this project uses.`,
+    });
+  }
+
+  const pm = resolved.stack === "node" && entries.includes("package.json") ? packageManagerField(dir) : "";
+  if (pm && byTool[pm] && pm !== tool) {
+    issues.push({
+      level: "error",
+      code: "TOOL_PACKAGE_MANAGER_MISMATCH",
+      path: `${basePath}/tool/kind`,
+      message: `tool.kind is "${tool}" but package.json#packageManager is "${pm}"`,
+      suggestion: `Set tool.kind: ${pm}, or update packageManager in package.json.`,
+    });
+  }
+
+  if (lockfiles.length === 0) return issues;
+
+  const own = present(entries, lockfiles);
+  const others = Object.entries(byTool)
+    .filter(([kind]) => kind !== tool)
+    .flatMap(([kind, files]) => present(entries, files.lockfiles).map((f) => ({ kind, file: f })));
+  const othersText = others.map((o) => `${o.file} (${o.kind})`).join(", ");
+
+  if (own.length === 0 && others.length > 0) {
+    issues.push({
+      level: "error",
+      code: "TOOL_LOCKFILE_MISMATCH",
+      path: `${basePath}/tool/kind`,
+      message: `tool.kind is "${tool}" but ${where} only has ${othersText}`,
+      suggestion: `Set tool.kind: ${others[0].kind}, or commit ${lockfiles[0]} and remove ${others.map((o) => o.file).join(", ")}.`,
+    });
+  } else if (own.length === 0) {
+    issues.push({
+      level: "warning",
+      code: "TOOL_LOCKFILE_MISSING",
+      path: `${basePath}/tool/kind`,
+      message: `tool.kind "${tool}" expects ${lockfiles.join(" or ")} in ${where}, none found`,
+      suggestion: `Commit the lockfile so installs are reproducible.`,
+    });
+  } else if (others.length > 0) {
+    issues.push({
+      level: "warning",
+      code: "TOOL_LOCKFILE_MULTIPLE",
+      path: `${basePath}/tool/kind`,
+      message: `${where} has ${own.join(", ")} for "${tool}" and also ${othersText}`,
+      suggestion: `Remove the lockfile(s) the build does not use.`,
+    });
+  }
+
+  return issues;
+}
@@ -0,0 +1,406 @@
+/**
+ * Unsafe command analysis for build.yml commands.
+ *
+ * Commands are tokenized like a POSIX shell would split them (quotes, escapes,
+ * operators, redirections, `$(…)` / backtick / `<(…)` substitutions), then
+ * checked command by command, so `echo "exit 0"` is just an echo while
+ * `npm test ||true` is still caught. Substitutions and `bash -c '…'` scripts are
+ * analyzed recursively.
+ *
+ * Categories (one issue code each, see the engine):
+ *   failure-masking  `|| true`, `|| :`, `|| echo …`, `; exit 0`, trailing `; true`, `set +e`, `set +o errexit`
+ *                    (an `||` branch that still ends in `exit 1` / `false` is fine: `|| { echo failed; exit 1; }`)
+ *   remote-exec      a download piped or substituted into an interpreter (`curl … | sh`, `bash <(curl …)`)
+ *   destructive      `rm -r` of / or $HOME, `--no-preserve-root`, mkfs, `dd of=/dev/…`
+ *
+ * This is a linter, not a shell: no expansion happens, and anything it cannot
+ * parse is simply not flagged.
+ */
+
+/**
+ * @typedef {{ type: "word", value: string, raw: string, quoted: boolean, subs: string[] }} WordToken
+ * @typedef {{ type: "op", value: string }} OpToken
+ * @typedef {WordToken | OpToken} Token
+ * @typedef {"failure-masking" | "remote-exec" | "destructive"} UnsafeCategory
+ * @typedef {{ category: UnsafeCategory, pattern: string }} UnsafeFinding
+ */
+
+// Longest first, so `||` wins over `|` and `&>>` over `&>`.
+const OPERATORS = ["&>>", ";;", "||", "&&", "|&", ">>", "<<", ">&", "<&", "&>", ">|", "|", "&", ";", "(", ")", ">", "<"];
+const REDIRECTS = new Set([">>", "<<", ">&", "<&", "&>", "&>>", ">|", ">", "<"]);
+const LIST_SEPARATORS = new Set([";", ";;", "&", "&&", "||"]);
+
+const WRAPPERS = new Set(["sudo", "env", "command", "exec", "time", "nohup", "nice", "{", "if", "then", "else", "elif", "do", "while", "until"]);
+// Wrapper options whose value is the next word (`sudo -u root`, `env -u HOME`).
+const WRAPPER_OPTION_VALUES = new Map([
+  ["sudo", new Set(["-u", "-g", "-h", "-p", "-C", "-D", "-r", "-t", "-U", "-T", "--user", "--group", "--host", "--prompt", "--close-from", "--chdir", "--role", "--type", "--other-user", "--command-timeout"])],
+  ["env", new Set(["-u", "-C", "--unset", "--chdir"])],
+  ["exec", new Set(["-a"])],
+  ["time", new Set(["-f", "-o", "--format", "--output"])],
+  ["nice", new Set(["-n", "--adjustment"])],
+]);
+const SHELLS = new Set(["sh", "bash", "zsh", "dash", "ksh", "fish"]);
+const ALWAYS_SUCCEEDS = new Set(["true", ":", "echo", "printf"]);
+const FETCHERS = new Set(["curl", "wget", "iwr", "invoke-webrequest", "invoke-restmethod", "irm"]);
+const INTERPRETERS = new Set([
+  "sh", "bash", "zsh", "dash", "ksh", "fish", "python", "python3", "node", "perl", "ruby", "php", "pwsh", "powershell", "iex", "eval", "source", ".",
+]);
+const ROOTISH_TARGETS = new Set(["/", "/*", "~", "~/", "~/*", "$HOME", "${HOME}", "$HOME/", "${HOME}/", "$HOME/*", "${HOME}/*"]);
+
+/**
+ * Read a balanced `open…close` region starting right after `open`; quotes
+ * inside are skipped so `$(echo ")")` stays intact.
+ * @param {string} src
+ * @param {number} i index just past the opening bracket
+ * @param {string} open
+ * @param {string} close
+ * @returns {number} index of the matching close (or src.length)
+ */
+function skipBalanced(src, i, open, close) {
+  let depth = 1;
+  while (i < src.length) {
+    const c = src[i];
+    if (c === "\\") i += 2;
+    else if (c === "'") i = src.indexOf("'", i + 1) === -1 ? src.length : src.indexOf("'", i + 1) + 1;
+    else if (c === '"') {
+      i++;
+      while (i < src.length && src[i] !== '"') i += src[i] === "\\" ? 2 : 1;
+      i++;
+    } else {
+      if (c === open) depth++;
+      else if (c === close && --depth === 0) return i;
+      i++;
+    }
+  }
+  return src.length;
+}
+
+/**
+ * Split a command line into words and operators. Newlines become `;`.
+ * @param {string} src
+ * @returns {Token[]}
+ */
+export function tokenizeShell(src) {
+  /** @type {Token[]} */
+  const tokens = [];
+  /** @type {WordToken | null} */
+  let word = null;
+  const cur = () => (word ??= { type: "word", value: "", raw: "", quoted: false, subs: [] });
+  const endWord = () => {
+    if (word) tokens.push(word);
+    word = null;
+  };
+  /** `$(…)`, backticks and `<(…)` keep their text in the word and are also analyzed on their own. */
+  const substitution = (start, innerStart, innerEnd, end) => {
+    const w = cur();
+    w.subs.push(src.slice(innerStart, innerEnd));
+    w.value += src.slice(start, end);
+    w.raw += src.slice(start, end);
+    return end;
+  };
+
+  let i = 0;
+  while (i < src.length) {
+    const c = src[i];
+
+    if (c === " " || c === "\t") {
+      endWord();
+      i++;
+    } else if (c === "\n") {
+      endWord();
+      tokens.push({ type: "op", value: ";" });
+      i++;
+    } else if (c === "#" && !word) {
+      while (i < src.length && src[i] !== "\n") i++;
+    } else if (c === "\\") {
+      if (src[i + 1] === "\n") {
+        i += 2; // line continuation
+      } else {
+        const w = cur();
+        w.value += src[i + 1] ?? "";
+        w.raw += src.slice(i, i + 2);
+        w.quoted = true;
+        i += 2;
+      }
+    } else if (c === "'") {
+      const end = src.indexOf("'", i + 1);
+      const stop = end === -1 ? src.length : end;
+      const w = cur();
+      w.value += src.slice(i + 1, stop);
+      w.raw += src.slice(i, stop + 1);
+      w.quoted = true;
+      i = stop + 1;
+    } else if (c === '"') {
+      const w = cur();
+      w.quoted = true;
+      const start = i;
+      i++;
+      while (i < src.length && src[i] !== '"') {
+        if (src[i] === "\\" && i + 1 < src.length) {
+          w.value += '"\\$`\n'.includes(src[i + 1]) ? src[i + 1] : src.slice(i, i + 2);
+          i += 2;
+        } else if (src[i] === "$" && src[i + 1] === "(") {
+          const close = skipBalanced(src, i + 2, "(", ")");
+          w.subs.push(src.slice(i + 2, close));
+          w.value += src.slice(i, close + 1);
+          i = close + 1;
+        } else if (src[i] === "`") {
+          const close = src.indexOf("`", i + 1) === -1 ? src.length : src.indexOf("`", i + 1);
+          w.subs.push(src.slice(i + 1, close));
+          w.value += src.slice(i, close + 1);
+          i = close + 1;
+        } else {
+          w.value += src[i++];
+        }
+      }
+      i++;
+      w.raw += src.slice(start, i);
+    } else if (c === "$" && src[i + 1] === "(") {
+      const close = skipBalanced(src, i + 2, "(", ")");
+      i = substitution(i, i + 2, close, close + 1);
+    } else if (c === "$" && src[i + 1] === "{") {
+      const close = skipBalanced(src, i + 2, "{", "}");
+      const w = cur();
+      w.value += src.slice(i, close + 1);
+      w.raw += src.slice(i, close + 1);
+      i = close + 1;
+    } else if (c === "`") {
+      const close = src.indexOf("`", i + 1) === -1 ? src.length : src.indexOf("`", i + 1);
+      i = substitution(i, i + 1, close, close + 1);
+    } else if ((c === "<" || c === ">") && src[i + 1] === "(" && !word) {
+      const close = skipBalanced(src, i + 2, "(", ")");
+      i = substitution(i, i + 2, close, close + 1);
+      endWord();
+    } else {
+      const op = OPERATORS.find((o) => src.startsWith(o, i));
+      if (!op) {
+        const w = cur();
+        w.value += c;
+        w.raw += c;
+        i++;
+        continue;
+      }
+      // `2>&1`, `2>/dev/null`: a bare number right before a redirect is its fd, not a word.
+      if (REDIRECTS.has(op) && word && !word.quoted && /^\d+$/.test(word.raw)) word = null;
+      endWord();
+      tokens.push({ type: "op", value: op });
+      i += op.length;
+    }
+  }
+  endWord();
+  return tokens;
+}
+
+/**
+ * @typedef {{ words: WordToken[] }} SimpleCommand
+ * @typedef {{ pipeline: SimpleCommand[], before: string | null, depth: number }} ListItem
+ *   `before`: operator joining it to the previous item; `depth`: `( … )` / `{ … }` nesting at that operator
+ */
+
+/**
+ * Group tokens into and-or lists of pipelines. Redirect targets are dropped;
+ * a subshell or `{ … }` group is analyzed like its contents, only its nesting is kept.
+ * @param {Token[]} tokens
+ * @returns {ListItem[]}
+ */
+function parseList(tokens) {
+  /** @type {ListItem[]} */
+  const items = [];
+  /** @type {SimpleCommand[]} */
+  let pipeline = [];
+  /** @type {WordToken[]} */
+  let words = [];
+  let before = null;
+  let depth = 0;
+  let beforeDepth = 0;
+  let skipNext = false;
+
+  const endCommand = () => {
+    if (words.length > 0) pipeline.push({ words });
+    words = [];
+  };
+  const endPipeline = (op) => {
+    endCommand();
+    if (pipeline.length > 0) items.push({ pipeline, before, depth: beforeDepth });
+    pipeline = [];
+    before = op;
+    beforeDepth = depth;
+  };
+
+  for (const t of tokens) {
+    if (t.type === "word") {
+      if (skipNext) {
+        skipNext = false;
+        continue;
+      }
+      if (words.length === 0 && !t.quoted && t.value === "{") depth++;
+      if (words.length === 0 && !t.quoted && t.value === "}") depth--;
+      words.push(t);
+    } else if (t.value === "(" || t.value === ")") {
+      depth += t.value === "(" ? 1 : -1;
+    } else if (REDIRECTS.has(t.value)) {
+      skipNext = true;
+    } else if (t.value === "|" || t.value === "|&") {
+      endCommand();
+    } else if (LIST_SEPARATORS.has(t.value)) {
+      endPipeline(t.value);
+    }
+  }
+  endPipeline(null);
+  return items;
+}
+
+/**
+ * Command words without leading assignments and wrappers (`sudo`, `env`, `if`, …).
+ * @param {WordToken[]} words
+ */
+function effectiveWords(words) {
+  let i = 0;
+  while (i < words.length) {
+    const w = words[i];
+    if (!w.quoted && /^[A-Za-z_][A-Za-z0-9_]*=/.test(w.value)) i++;
+    else if (!w.quoted && WRAPPERS.has(w.value)) {
+      const takesValue = WRAPPER_OPTION_VALUES.get(w.value);
+      i++;
+      // sudo -E, env -i, …; an option's value goes with it (sudo -u root).
+      while (i < words.length && words[i].value.startsWith("-")) {
+        const option = words[i++].value;
+        if (option === "--") break;
+        if (takesValue?.has(option)) i++;
+      }
+    } else break;
+  }
+  return words.slice(i);
+}
+
+/** @param {WordToken[]} words */
+function nameOf(words) {
+  const w = words[0];
+  if (!w || w.quoted) return w?.value ?? "";
+  return w.value.split("/").pop()?.toLowerCase() ?? "";
+}
+
+/** @param {WordToken[]} words */
+function render(words) {
+  return words.map((w) => w.raw).join(" ");
+}
+
+/** @param {WordToken[]} words */
+function isExitZero(words) {
+  return nameOf(words) === "exit" && words[1]?.value === "0";
+}
+
+/** @param {WordToken[]} words */
+function alwaysFails(words) {
+  const name = nameOf(words);
+  return name === "false" || (name === "exit" && words[1] !== undefined && words[1].value !== "0");
+}
+
+/**
+ * Whether the `||` branch starting at items[start] still ends in failure: a
+ * later `exit <non-zero>` / `false` inside it, as in `|| { echo failed; exit 1; }`
+ * or `|| (echo failed; exit 1)`. The branch is the group that follows `||`
+ * plus anything chained on with `&&`.
+ * @param {ListItem[]} items
+ * @param {number} start
+ */
+function branchFails(items, start) {
+  const { depth } = items[start];
+  for (const item of items.slice(start + 1)) {
+    if (item.depth <= depth && item.before !== "&&") break;
+    const lastCmd = item.pipeline[item.pipeline.length - 1];
+    if (alwaysFails(effectiveWords(lastCmd.words))) return true;
+  }
+  return false;
+}
+
+/**
+ * The script of `bash -c '…'`, `sh -ec "…"`, or null.
+ * @param {WordToken[]} words
+ */
+function inlineScript(words) {
+  if (!SHELLS.has(nameOf(words))) return null;
+  const flag = words.findIndex((w, i) => i > 0 && !w.quoted && /^-[a-zA-Z]*c[a-zA-Z]*$/.test(w.value));
+  return flag === -1 ? null : (words[flag + 1]?.value ?? null);
+}
+
+/**
+ * `set +e`, `set +eux`, `set +o errexit`.
+ * @param {WordToken[]} words
+ */
+function disablesErrexit(words) {
+  if (nameOf(words) !== "set") return false;
+  return words.slice(1).some((w, i, args) => (/^\+[a-z]*e[a-z]*$/.test(w.value) && !w.value.includes("o")) || (w.value === "+o" && args[i + 1]?.value === "errexit"));
+}
+
+/**
+ * @param {WordToken[]} words
+ * @returns {string | null} matched pattern
+ */
+function destructivePattern(words) {
+  const name = nameOf(words);
+  const args = words.slice(1);
+  if (name === "rm") {
+    const recursive = args.some((a) => a.value === "--recursive" || /^-[a-zA-Z]*[rR][a-zA-Z]*$/.test(a.value));
+    if (args.some((a) => a.value === "--no-preserve-root")) return render(words);
+    if (recursive && args.some((a) => ROOTISH_TARGETS.has(a.value))) return render(words);
+  }
+  if (name === "mkfs" || name.startsWith("mkfs.")) return render(words);
+  if (name === "dd" && args.some((a) => /^of=\/dev\//.test(a.value))) return render(words);
+  return null;
+}
+
+/**
+ * Analyze one command string (a build.yml `commands.*` value).
+ * @param {string} command
+ * @returns {UnsafeFinding[]}
+ */
+export function analyzeShellCommand(command) {
+  /** @type {UnsafeFinding[]} */
+  const findings = [];
+  const add = (category, pattern) => {
+    if (!findings.some((f) => f.category === category && f.pattern === pattern)) findings.push({ category, pattern });
+  };
+
+  const items = parseList(tokenizeShell(command));
+  items.forEach((item, idx) => {
+    const last = idx === items.length - 1;
+    const cmds = item.pipeline.map((c) => effectiveWords(c.words)).filter((w) => w.length > 0);
+    const first = cmds[0];
+
+    if (first && item.before === "||" && (ALWAYS_SUCCEEDS.has(nameOf(first)) || isExitZero(first)) && !branchFails(items, idx)) {
+      add("failure-masking", `|| ${render(first)}`);
+    }
+    if (first && idx > 0 && (item.before === ";" || item.before === "&")) {
+      if (isExitZero(first)) add("failure-masking", `; ${render(first)}`);
+      else if (last && cmds.length === 1 && (nameOf(first) === "true" || nameOf(first) === ":")) add("failure-masking", `; ${render(first)}`);
+    }
+
+    cmds.forEach((words, pos) => {
+      if (disablesErrexit(words)) add("failure-masking", render(words));
+
+      const name = nameOf(words);
+      if (INTERPRETERS.has(name)) {
+        const fetcher = cmds.slice(0, pos).find((w) => FETCHERS.has(nameOf(w)));
+        if (fetcher) add("remote-exec", `${nameOf(fetcher)} … | ${render(words)}`);
+        const fetchedBySub = words.some((w) =>
+          w.subs.some((sub) => parseList(tokenizeShell(sub)).some((it) => it.pipeline.some((c) => FETCHERS.has(nameOf(effectiveWords(c.words))))))
+        );
+        if (fetchedBySub) add("remote-exec", render(words));
+      }
+
+      const destructive = destructivePattern(words);
+      if (destructive) add("destructive", destructive);
+
+      const script = inlineScript(words);
+      if (script !== null) for (const f of analyzeShellCommand(script)) add(f.category, f.pattern);
+    });
+
+    // Substitutions run too, including those in assignments (`X=$(…) cmd`).
+    for (const sub of item.pipeline.flatMap((c) => c.words.flatMap((w) => w.subs))) {
+      for (const f of analyzeShellCommand(sub)) add(f.category, f.pattern);
+    }
+  });
+
+  return findings;
+}
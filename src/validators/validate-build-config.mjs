@@ -1,84 +1,835 @@
 /**
- * Validate .brik/build.yml using runtime-matrix.yml as the allowlist.
+ * BrikByteOS — build config validation engine (shared core)
  *
- * Enforces:
- * - runtime is supported (node/python/java/dotnet/go)
- * - version aligns with matrix supportedVersions
- * - tool selections are allowed (package manager/build tool)
- * - (future) overrides only allowed when exceptions enabled + approved
+ * One engine for `.brik/build.yml`, called by:
+ *   - the validate-build-config action (CI)
+ *   - local tooling (CLI)
+ *   - regression scripts
+ * so a config can never pass in one place and fail in another.
+ *
+ * Validates against:
+ *   1) JSON Schema for the file's schemaVersion (shape + basic types; see schema-registry.mjs)
+ *   2) Runtime matrix constraints (supported stack/tools/versions; see toolchain.mjs for
+ *      the tool kinds and the default commands/artifacts injected on resolution)
+ *   3) Cross-field rules (tool allowed for stack, command/flag coherence, etc.)
+ *
+ * A version/tool the matrix blocks is still allowed when the stack's exception
+ * registry has an approved, unexpired rule for this repo (see exceptions.mjs);
+ * every exception used is returned in `exceptions` for the evidence report.
+ * Version lifecycle (runtime-matrix.yml `lifecycle`) warns inside the grace
+ * window and fails once a version is past its removal date.
+ *
+ * Presets named in `extends:` are merged first (see config-extends.mjs); the
+ * schema and rules see the merged file, and each resolved config carries a
+ * provenance trail of which file set every field.
+ *
+ * A policy pack (see policy-packs.mjs), picked by the caller from the run's
+ * ref/event, can tighten strict mode and unsafe-command tolerance, block
+ * experimental stacks and require flags such as runTests.
+ *
+ * Commands are parsed as shell (see unsafe-commands.mjs) to find failure
+ * masking, remote script execution and destructive deletes. Custom `stages:`
+ * (see stage-hooks.mjs) get the same command checks as the built-in ones.
+ * `env:` maps (see build-env.mjs) are recorded in the resolved config, so they
+ * must never hold a secret. Per-stage `timeouts:`/`retries:` (see stage-limits.mjs)
+ * are capped by the matrix `policy.limits` and resolved for every stage.
+ * `coverage:` thresholds (see coverage-config.mjs) are resolved here and
+ * enforced by export-build-evidence.
+ *
+ * Older schema versions are upgraded in memory to the latest shape after the
+ * schema check, so the rules below only read the latest field names.
+ *
+ * Pure by design: no evidence writing, no process/env access. Callers load the
+ * schemas + matrix (see loadValidationInputs) and decide what to do with the result.
  */
 
-import fs from "node:fs";
 import path from "node:path";
 import yaml from "js-yaml";
-import { loadRuntimeMatrix } from "../runtime-matrix/load-runtime-matrix.mjs";
+import Ajv from "ajv";
+import addFormats from "ajv-formats";
+import { findMatrixStack, loadRuntimeMatrix, matrixStackNames } from "../runtime-matrix/load-runtime-matrix.mjs";
+import { allowedToolKinds, defaultToolKind, toolDefaults } from "../runtime-matrix/toolchain.mjs";
+import { checkToolchainFiles } from "./toolchain-files.mjs";
+import { yamlLocator } from "./yaml-positions.mjs";
+import {
+  normalizeRuntimeVersion,
+  parseVersionConstraint,
+  versionCompatible,
+} from "../runtime-matrix/version-match.mjs";
+import { describeLifecycle, versionLifecycle } from "../runtime-matrix/lifecycle.mjs";
+import { findException } from "./exceptions.mjs";
+import { loadBuildSchemas, schemaFor, withMatrixStacks } from "./schema-registry.mjs";
+import { upgradeConfig } from "../migrate/build-config-migrations.mjs";
+import { originOf, presetsDirFor, provenanceTrail, resolveExtends } from "./config-extends.mjs";
+import { DEFAULT_POLICY_PACK, POLICY_FLAGS } from "./policy-packs.mjs";
+import { analyzeShellCommand } from "./unsafe-commands.mjs";
+import { checkStageNames, resolveStages } from "./stage-hooks.mjs";
+import { checkBuildEnv, resolveEnv, resolveStageEnv } from "./build-env.mjs";
+import { checkStageLimits, DEFAULT_STAGE_LIMITS, readStageLimits, resolveStageLimits } from "./stage-limits.mjs";
+import { checkCoverage, resolveCoverage } from "./coverage-config.mjs";
 
-const BUILD_CONFIG_PATH = path.join(process.cwd(), ".brik", "build.yml");
+/**
+ * @typedef {string} Stack  runtime-matrix stack name: built-in (node, python, java, dotnet, go) or a stacks/<name> plugin
+ * @typedef {import("./exceptions.mjs").AppliedException} AppliedException
+ * @typedef {import("./policy-packs.mjs").SelectedPolicy & { ignoredInputs: string[] }} AppliedPolicy
+ *
+ * @typedef {import("../runtime-matrix/lifecycle.mjs").VersionLifecycle & {
+ *   project: string | null, stack: string, version: string
+ * }} RuntimeLifecycle
+ *
+ * @typedef {object} ValidationIssue
+ * @property {"error" | "warning"} level
+ * @property {string} code
+ * @property {string} path
+ * @property {string} message
+ * @property {string} [suggestion]
+ * @property {number} [line]    1-based position in build.yml (absent when the issue has no place in the file)
+ * @property {number} [column]
+ *
+ * @typedef {object} ProjectRef
+ * @property {string} name
+ * @property {Stack | null} stack
+ * @property {string} workingDirectory
+ *
+ * @typedef {object} ValidationResult
+ * @property {boolean} ok
+ * @property {boolean} strict    effective strict mode (caller or policy pack)
+ * @property {AppliedPolicy | null} policy  policy pack in force (null only for results built without the engine)
+ * @property {number | null} schemaVersion
+ * @property {Stack | null} stack
+ * @property {ProjectRef[] | null} projects
+ * @property {ValidationIssue[]} issues
+ * @property {AppliedException[]} exceptions matrix exceptions that allowed an otherwise-blocked version/tool
+ * @property {RuntimeLifecycle[]} lifecycle  lifecycle state of each resolved runtime version
+ * @property {any} config    parsed build.yml with `extends` presets merged (null when unparseable)
+ * @property {any} resolved  resolved config (defaults injected, plus its `provenance` trail)
+ * @property {{ total: number, schema: number, rules: number }} timingsMs
+ */
 
-function readBuildConfig() {
-  if (!fs.existsSync(BUILD_CONFIG_PATH)) {
-    throw new Error(`.brik/build.yml not found at ${BUILD_CONFIG_PATH}`);
-  }
-  return yaml.load(fs.readFileSync(BUILD_CONFIG_PATH, "utf-8"));
+const PROJECT_NAME_RE = /^[a-z0-9][a-z0-9._-]*$/;
+
+function nowMs() {
+  return Date.now();
 }
 
-function findStack(matrix, runtimeName) {
-  return (matrix.stacks ?? []).find((s) => s?.runtime?.name === runtimeName);
+/**
+ * Schemas (every supported schemaVersion) + runtime matrix, loaded once per run.
+ * @param {string} repoRoot brik-pipe-actions repo root
+ */
+export function loadValidationInputs(repoRoot) {
+  return { schemas: loadBuildSchemas(repoRoot), matrix: loadRuntimeMatrix(repoRoot), presetsDir: presetsDirFor(repoRoot) };
 }
 
-function versionCompatible(requested, supportedList) {
-  if (!requested) return false;
-  const prefix = requested.replace(/\.x$/, "");
-  return supportedList.some((v) => v === requested || (prefix && v.startsWith(prefix)));
+/** analyzeShellCommand category -> issue code + fix hint. */
+const UNSAFE_COMMAND_RULES = {
+  "failure-masking": {
+    code: "UNSAFE_COMMAND_FAILURE_MASKED",
+    what: "hides failures",
+    suggestion: "Remove the pattern and let the step fail; disable the step via steps.* (v1: flags.*) instead of masking it.",
+  },
+  "remote-exec": {
+    code: "UNSAFE_COMMAND_REMOTE_EXEC",
+    what: "pipes a downloaded script into a shell",
+    suggestion: "Download to a file and verify a pinned checksum before running it, or install through the stack's package manager.",
+  },
+  destructive: {
+    code: "UNSAFE_COMMAND_DESTRUCTIVE",
+    what: "deletes or overwrites outside the workspace",
+    suggestion: "Limit deletes to paths inside the workspace (e.g. rm -rf ./dist).",
+  },
+};
+
+/**
+ * Version enforcement:
+ * - If matrix specifies supportedVersions, the config version (or range) MUST fit
+ *   entirely inside one of them (see version-match.mjs).
+ * - Otherwise, accept the version (matrix still supplies defaults).
+ * @returns {{ ok: boolean, hint?: string }}
+ */
+function isVersionAllowed(matrixStack, version) {
+  const sv = matrixStack?.supportedVersions;
+  /** @type {string[]} */
+  const allowed = Array.isArray(sv) ? sv : sv?.versions ?? [];
+  if (!Array.isArray(allowed) || allowed.length === 0) return { ok: true };
+
+  const ok = versionCompatible(version, allowed);
+  return {
+    ok,
+    hint: ok ? undefined : `Allowed versions: ${allowed.join(", ")}`,
+  };
 }
 
-export function validateBuildConfig() {
-  const matrix = loadRuntimeMatrix();
-  const cfg = readBuildConfig();
+/**
+ * Resolved `stages`, `timeouts` and `retries`; each custom stage also carries its own
+ * timeoutMinutes/retries so the stage runner needs nothing else.
+ * @param {any} raw project config
+ * @param {import("./stage-limits.mjs").StageLimits} limits
+ */
+function withStageLimits(raw, limits) {
+  const { timeouts, retries } = resolveStageLimits(raw, limits);
+  const stages = resolveStages(raw?.stages).map((s) => ({ ...s, timeoutMinutes: timeouts[s.name], retries: retries[s.name] }));
+  return { stages, timeouts, retries };
+}
 
-  const errors = [];
+/**
+ * Build resolved config that workflows can rely on later.
+ */
+function resolveConfig(raw, matrix) {
+  const stack = /** @type {Stack} */ (raw.stack);
+  const matrixStack = findMatrixStack(matrix, stack);
+  if (!matrixStack) throw new Error(`runtime "${stack}" not found in matrix.stacks`);
 
-  // Example build.yml shape:
-  // runtime:
-  //   name: node
-  //   version: 20.x
-  // toolchain:
-  //   packageManager: pnpm
-  //   buildTool: pnpm
-  const runtimeName = cfg?.runtime?.name;
-  const runtimeVersion = cfg?.runtime?.version;
+  const workingDirectory = raw.workingDirectory || ".";
+  const requestedVersion = raw?.runtime?.version || String(matrixStack.defaultVersion || "");
+  // Same string resolve-runtime hands to setup-* (falls back to the raw value if unparseable).
+  const runtimeVersion = normalizeRuntimeVersion(stack, requestedVersion) ?? requestedVersion;
+  const toolKind = raw?.tool?.kind || defaultToolKind(matrixStack);
 
-  if (!runtimeName) errors.push(`runtime.name is required`);
-  const stack = findStack(matrix, runtimeName);
+  // Resolved output keeps the v1 `flags` names: it is the contract the build workflows read.
+  const flags = {
+    runLint: Boolean(raw?.steps?.lint ?? false),
+    runTests: Boolean(raw?.steps?.test ?? true),
+  };
 
-  if (!stack) {
-    errors.push(`runtime.name "${runtimeName}" is not supported by runtime-matrix`);
-  } else {
-    const supported = stack?.supportedVersions?.versions ?? [];
-    if (runtimeVersion && !versionCompatible(runtimeVersion, supported)) {
-      errors.push(
-        `[${runtimeName}] runtime.version "${runtimeVersion}" not compatible with supportedVersions: ${supported.join(", ")}`
-      );
+  // A kind only allowed through an exception has no matrix defaults: build.yml must spell its commands out.
+  const defaults = toolDefaults(matrixStack, toolKind) ?? { install: "", lint: "", test: "", build: "", artifacts: [], testReports: [], coverageReports: [] };
+
+  const commands = {
+    install: (raw?.commands?.install || defaults.install || "").trim(),
+    lint: (raw?.commands?.lint || defaults.lint || "").trim(),
+    test: (raw?.commands?.test || defaults.test || "").trim(),
+    build: (raw?.commands?.build || defaults.build || "").trim(),
+  };
+
+  const artifacts = {
+    paths:
+      Array.isArray(raw?.artifacts?.paths) && raw.artifacts.paths.length > 0
+        ? raw.artifacts.paths
+        : defaults.artifacts,
+  };
+
+  return {
+    schemaVersion: raw.schemaVersion,
+    stack,
+    workingDirectory,
+    runtime: { version: runtimeVersion },
+    tool: { kind: toolKind },
+    flags,
+    commands,
+    env: resolveEnv(raw?.env),
+    stageEnv: resolveStageEnv(raw?.stageEnv),
+    ...withStageLimits(raw, readStageLimits(matrix)),
+    artifacts,
+    coverage: resolveCoverage(raw?.coverage),
+  };
+}
+
+/**
+ * Monorepo layout rules: root-level single-project fields are not allowed
+ * next to `projects:`, and project names must be unique (they become
+ * evidence folder names).
+ * @returns {ValidationIssue[]}
+ */
+function checkProjectsLayout(raw, projects) {
+  /** @type {ValidationIssue[]} */
+  const issues = [];
+
+  const rootOnly = ["stack", "workingDirectory", "runtime", "tool", "commands", "env", "stageEnv", "stages", "timeouts", "retries", "steps", "flags", "artifacts", "coverage"].filter(
+    (k) => raw?.[k] !== undefined
+  );
+  if (rootOnly.length > 0) {
+    issues.push({
+      level: "error",
+      code: "PROJECTS_MIXED_WITH_ROOT_CONFIG",
+      path: "/projects",
+      message: `Root-level ${rootOnly.join(", ")} cannot be combined with projects (they would be ignored)`,
+      suggestion: `Move these fields into each entry under projects.`,
+    });
+  }
+
+  const seen = new Set();
+  projects.forEach((p, i) => {
+    const name = String(p?.name || "");
+    if (!name) return;
+    if (seen.has(name)) {
+      issues.push({
+        level: "error",
+        code: "PROJECT_NAME_DUPLICATE",
+        path: `/projects/${i}/name`,
+        message: `Project name "${name}" is used more than once`,
+        suggestion: `Give every project a unique name (it is used as the evidence folder name).`,
+      });
+    }
+    seen.add(name);
+  });
+
+  return issues;
+}
+
+/**
+ * Cross-field rules + resolution for a single project.
+ * `basePath` prefixes issue paths ("" for single-project configs, "/projects/<i>" otherwise).
+ * @param {{ allowUnsafe: boolean, repo: string | null, today: string, projectDir: string | null, project: string | null, policy: import("./policy-packs.mjs").SelectedPolicy, workflowFlags: { runLint?: boolean | null, runTests?: boolean | null } | null, v1: boolean }} ctx
+ * @returns {{ issues: ValidationIssue[], resolved: any, exceptions: AppliedException[], lifecycle: RuntimeLifecycle | null }}
+ */
+function validateProject(raw, basePath, matrix, ctx) {
+  /** @type {ValidationIssue[]} */
+  const issues = [];
+  /** @type {AppliedException[]} */
+  const exceptions = [];
+  /** @type {RuntimeLifecycle | null} */
+  let lifecycle = null;
+
+  // If schema failed, we still attempt to produce a resolved config “best effort” for evidence.
+  const stack = /** @type {Stack | undefined} */ (raw?.stack);
+
+  // Cross-field rules only if stack is known enough
+  const matrixStack = stack ? findMatrixStack(matrix, stack) : null;
+  if (stack && matrixStack) {
+    if (matrixStack.supportStatus === "planned") {
+      issues.push({
+        level: "error",
+        code: "STACK_PLANNED",
+        path: `${basePath}/stack`,
+        message: `Stack "${stack}" is "planned" in the runtime matrix and cannot be used yet`,
+        suggestion: `Pick a supported stack or wait for the matrix to mark "${stack}" as supported.`,
+      });
+    }
+    if (matrixStack.supportStatus === "experimental" && !ctx.policy.allowExperimental) {
+      issues.push({
+        level: "error",
+        code: "POLICY_EXPERIMENTAL_STACK",
+        path: `${basePath}/stack`,
+        message: `Stack "${stack}" is experimental and policy pack "${ctx.policy.name}" does not allow experimental stacks`,
+        suggestion: `Build this stack from a branch or event whose policy pack allows experimental stacks.`,
+      });
+    }
+
+    const tool = String(raw?.tool?.kind || defaultToolKind(matrixStack));
+    const runtimeVersion = String(raw?.runtime?.version || matrixStack.defaultVersion || "");
+    const exceptionCtx = { repo: ctx.repo, version: runtimeVersion, tool, today: ctx.today };
+
+    /**
+     * Blocked by the matrix: an approved, unexpired exception turns the error into
+     * a recorded exception; otherwise the error stands (pointing at an expired one if any).
+     * @param {"version" | "tool"} dimension
+     * @param {ValidationIssue} issue
+     */
+    const blockUnlessExcepted = (dimension, issue) => {
+      const hit = findException(matrixStack, dimension, exceptionCtx);
+      if (hit && !hit.expired) {
+        const { id, scope, approvedBy, issue: link, expires } = hit.rule;
+        exceptions.push({
+          id,
+          stack,
+          project: ctx.project,
+          allows: dimension,
+          value: dimension === "tool" ? tool : runtimeVersion,
+          scope,
+          approvedBy,
+          issue: link,
+          expires,
+        });
+        return;
+      }
+      if (hit?.expired) {
+        issue.suggestion = `Exception ${hit.rule.id} expired on ${hit.rule.expires} (${hit.rule.issue}). ${issue.suggestion ?? ""}`.trim();
+      }
+      issues.push(issue);
+    };
+
+    // Tool allowlist by stack (runtime-matrix.yml toolchain.tools)
+    const allowedTools = allowedToolKinds(matrixStack);
+
+    if (!tool || !allowedTools.includes(tool)) {
+      const issue = {
+        level: /** @type {const} */ ("error"),
+        code: "TOOL_NOT_ALLOWED",
+        path: `${basePath}/tool/kind`,
+        message: `Tool "${tool || "(missing)"}" is not allowed for stack "${stack}"`,
+        suggestion: `Choose one of: ${allowedTools.join(", ")}`,
+      };
+      if (tool) blockUnlessExcepted("tool", issue);
+      else issues.push(issue);
+    }
+
+    // Runtime version allowed by matrix (if matrix provides allowlist)
+    if (!runtimeVersion) {
+      issues.push({
+        level: "error",
+        code: "RUNTIME_VERSION_MISSING",
+        path: `${basePath}/runtime/version`,
+        message: `Runtime version could not be resolved (missing in config and matrix defaultVersion)`,
+        suggestion: `Set runtime.version in .brik/build.yml OR fix docs/pipelines/runtime-matrix.yml defaultVersion.`,
+      });
+    } else if (!parseVersionConstraint(runtimeVersion)) {
+      issues.push({
+        level: "error",
+        code: "RUNTIME_VERSION_INVALID",
+        path: `${basePath}/runtime/version`,
+        message: `Runtime version "${runtimeVersion}" is not a recognised version or range`,
+        suggestion: `Use e.g. "20", "20.x", "20.11.1", "^20.10", "~3.12.1", "8.0.1xx" or "17.0.9+9".`,
+      });
+    } else {
+      const allowed = isVersionAllowed(matrixStack, runtimeVersion);
+      if (!allowed.ok) {
+        blockUnlessExcepted("version", {
+          level: "error",
+          code: "RUNTIME_VERSION_NOT_ALLOWED",
+          path: `${basePath}/runtime/version`,
+          message: `Runtime version "${runtimeVersion}" is not allowed for stack "${stack}"`,
+          suggestion: allowed.hint,
+        });
+      }
+
+      // Lifecycle: warn in the grace window, fail once removed (an approved exception still applies).
+      const lc = versionLifecycle(matrixStack, runtimeVersion, ctx.today);
+      lifecycle = { project: ctx.project, stack, version: runtimeVersion, ...lc };
+      const versionExcepted = exceptions.some((e) => e.allows === "version");
+      if (allowed.ok && lc.state === "removed") {
+        blockUnlessExcepted("version", {
+          level: "error",
+          code: "RUNTIME_VERSION_REMOVED",
+          path: `${basePath}/runtime/version`,
+          message: `${describeLifecycle(stack, runtimeVersion, lc)} and can no longer be used`,
+          suggestion: `Upgrade to a supported ${stack} version (see runtime-matrix.yml lifecycle).`,
+        });
+      } else if (lc.state === "deprecated" && !versionExcepted) {
+        issues.push({
+          level: "warning",
+          code: "RUNTIME_VERSION_DEPRECATED",
+          path: `${basePath}/runtime/version`,
+          message: describeLifecycle(stack, runtimeVersion, lc),
+          suggestion: lc.removal
+            ? `Upgrade before ${lc.removal}; builds fail after that date.`
+            : `Plan the upgrade; a removal date is set at the next matrix review.`,
+        });
+      }
+    }
+
+    // Flags + commands coherence
+    const runTests = Boolean(raw?.steps?.test ?? true);
+    const runLint = Boolean(raw?.steps?.lint ?? false);
+
+    const cmdTest = String(raw?.commands?.test || "").trim();
+    const cmdLint = String(raw?.commands?.lint || "").trim();
+
+    if (runTests === false && cmdTest) {
+      issues.push({
+        level: "warning",
+        code: "TEST_CMD_IGNORED",
+        path: `${basePath}/commands/test`,
+        message: `Tests are disabled but commands.test is set (it will be ignored)`,
+        suggestion: `Remove commands.test or enable tests (steps.test: true; v1: flags.runTests: true).`,
+      });
+    }
+    if (runLint === false && cmdLint) {
+      issues.push({
+        level: "warning",
+        code: "LINT_CMD_IGNORED",
+        path: `${basePath}/commands/lint`,
+        message: `Lint is disabled but commands.lint is set (it will be ignored)`,
+        suggestion: `Remove commands.lint or enable lint (steps.lint: true; v1: flags.runLint: true).`,
+      });
     }
 
-    const pm = cfg?.toolchain?.packageManager ?? stack?.toolchain?.packageManagers?.default;
-    const bt = cfg?.toolchain?.buildTool ?? stack?.toolchain?.buildTools?.default;
+    // Build command must exist after resolution (v1: required)
+    // We enforce “build exists” at the resolved level to avoid false negatives.
+    // (Resolution occurs below and injects defaults.)
+    // Unsafe command patterns (shell-aware; quoted text and comments never match)
+    if (!ctx.allowUnsafe) {
+      const checked = ["install", "lint", "test", "build"].map((stage) => ({
+        cmd: raw?.commands?.[stage],
+        path: `${basePath}/commands/${stage}`,
+        label: `commands.${stage}`,
+      }));
+      if (Array.isArray(raw?.stages)) {
+        raw.stages.forEach((s, i) => {
+          checked.push({ cmd: s?.run, path: `${basePath}/stages/${i}/run`, label: `stages.${s?.name || i}.run` });
+        });
+      }
+      for (const { cmd, path: at, label } of checked) {
+        if (!cmd) continue;
+        for (const finding of analyzeShellCommand(String(cmd))) {
+          const rule = UNSAFE_COMMAND_RULES[finding.category];
+          issues.push({
+            level: "error",
+            code: rule.code,
+            path: at,
+            message: `${label} ${rule.what} ("${finding.pattern}" in: ${String(cmd).trim()})`,
+            suggestion: rule.suggestion,
+          });
+        }
+      }
+    }
+
+    issues.push(...checkStageNames(raw?.stages, basePath));
+  }
 
-    const pmAllowed = stack?.toolchain?.packageManagers?.allowed ?? [];
-    const btAllowed = stack?.toolchain?.buildTools?.allowed ?? [];
+  issues.push(...checkBuildEnv(raw, basePath));
+  issues.push(...checkStageLimits(raw, basePath, readStageLimits(matrix)));
+  issues.push(...checkCoverage(raw, basePath));
 
-    if (pm && !pmAllowed.includes(pm)) {
-      errors.push(`[${runtimeName}] toolchain.packageManager "${pm}" not allowed. Allowed: ${pmAllowed.join(", ")}`);
+  const resolved = (() => {
+    try {
+      if (!stack) return { note: "could not resolve (stack missing)", raw };
+      return resolveConfig(raw, matrix);
+    } catch (e) {
+      return { note: "resolution failed", error: String(e?.message || e), raw };
     }
-    if (bt && !btAllowed.includes(bt)) {
-      errors.push(`[${runtimeName}] toolchain.buildTool "${bt}" not allowed. Allowed: ${btAllowed.join(", ")}`);
+  })();
+
+  // Enforce "build command exists" after resolution (if stack present)
+  if (stack && resolved?.commands) {
+    const b = String(resolved.commands.build || "").trim();
+    if (!b) {
+      issues.push({
+        level: "error",
+        code: "BUILD_COMMAND_MISSING",
+        path: `${basePath}/commands/build`,
+        message: `Build command resolved to empty (build is mandatory in v1 contract)`,
+        suggestion: `Set commands.build OR ensure stack defaults provide build command.`,
+      });
     }
+  }
 
-    // Optional enforcement: planned stacks cannot be used
-    if (stack.supportStatus === "planned") {
-      errors.push(`[${runtimeName}] runtime is "planned" and cannot be used yet`);
+  // Flags the policy pack insists on (checked on the resolved value, so defaults count).
+  // The build workflows combine them with their run_lint/run_tests inputs: lint runs
+  // if either asks for it, tests only if both allow them.
+  for (const flag of ctx.policy.requiredFlags) {
+    if (!resolved?.flags) continue;
+    const input = ctx.workflowFlags?.[flag];
+    const configured = resolved.flags[flag] === true;
+    if (flag === "runLint" ? configured || input === true : configured && input !== false) continue;
+    const key = ctx.v1 ? POLICY_FLAGS[flag].v1 : POLICY_FLAGS[flag].latest;
+    if (!configured) {
+      issues.push({
+        level: "error",
+        code: "POLICY_FLAG_REQUIRED",
+        path: `${basePath}${key}`,
+        message: `Policy pack "${ctx.policy.name}" requires ${key.slice(1).replace("/", ".")} to be true`,
+        suggestion: `Remove the override (it defaults to true for tests) or set it to true.`,
+      });
+    } else {
+      issues.push({
+        level: "error",
+        code: "POLICY_FLAG_REQUIRED",
+        path: `${basePath}${key}`,
+        message: `Policy pack "${ctx.policy.name}" requires the workflow input ${POLICY_FLAGS[flag].input} to stay true, but the calling workflow sets it to false`,
+        suggestion: `Drop ${POLICY_FLAGS[flag].input}: false from the calling workflow (the stage cannot be skipped under this pack).`,
+      });
     }
   }
 
-  return { ok: errors.length === 0, errors };
+  // Declared tool vs manifests/lockfiles on disk (only when the caller knows where the project is)
+  if (ctx.projectDir && stack && resolved?.tool) {
+    issues.push(...checkToolchainFiles(resolved, ctx.projectDir, basePath, matrixStack));
+  }
+
+  return { issues, resolved, exceptions, lifecycle };
+}
+
+/**
+ * @param {any[]} errors AJV errors
+ * @param {import("./yaml-positions.mjs").Locator} locate
+ * @returns {ValidationIssue[]}
+ */
+function formatAjvErrors(errors, locate) {
+  return (errors || []).map((e) => {
+    const pathStr = e.instancePath || "(root)";
+    const expected = e.message || "invalid value";
+    const suggestion = e.keyword === "enum" ? "Choose one of the allowed values." : undefined;
+    // Unknown keys are reported on their parent; point the position at the key itself.
+    const at = e.keyword === "additionalProperties" ? `${e.instancePath}/${e.params.additionalProperty}` : pathStr;
+
+    return {
+      level: /** @type {const} */ ("error"),
+      code: `SCHEMA_${String(e.keyword || "INVALID").toUpperCase()}`,
+      path: pathStr,
+      message: expected,
+      suggestion,
+      ...locate(at),
+    };
+  });
+}
+
+export function isSafeProjectName(name) {
+  return typeof name === "string" && PROJECT_NAME_RE.test(name);
+}
+
+/**
+ * Matrix entries for the build-*.yml fan-out.
+ *
+ * Only explicit config values are forwarded (empty string = "not set"), so the
+ * workflow keeps its own input -> build.yml -> matrix default precedence, and
+ * runs the commands that were validated here. Single-project configs yield one
+ * entry with an empty name, which keeps evidence at .audit/PIPE-BUILD exactly
+ * as before.
+ * @param {any} config parsed build.yml (or `{ stack }` when the file is missing)
+ * @param {string} [stackFilter]
+ * @param {import("./stage-limits.mjs").StageLimits} [limits] org limits (readStageLimits(matrix)), for the resolved timeouts/retries
+ */
+export function buildProjectMatrix(config, stackFilter = "", limits = DEFAULT_STAGE_LIMITS) {
+  const entry = (p, name, workingDirectory) => ({
+    name,
+    stack: String(p?.stack || ""),
+    workingDirectory,
+    runtimeVersion: String(p?.runtime?.version || ""),
+    tool: String(p?.tool?.kind || ""),
+    commands: {
+      install: String(p?.commands?.install || ""),
+      lint: String(p?.commands?.lint || ""),
+      test: String(p?.commands?.test || ""),
+      build: String(p?.commands?.build || ""),
+    },
+    // Same defaults as resolveConfig; v1 files still carry `flags`.
+    flags: {
+      runLint: Boolean(p?.steps?.lint ?? p?.flags?.runLint ?? false),
+      runTests: Boolean(p?.steps?.test ?? p?.flags?.runTests ?? true),
+    },
+    env: resolveEnv(p?.env),
+    stageEnv: resolveStageEnv(p?.stageEnv),
+    ...withStageLimits(p, limits),
+    coverage: resolveCoverage(p?.coverage),
+  });
+
+  const projects = Array.isArray(config?.projects) ? config.projects : null;
+  // A single-project config is its own project; its directory is the workflow's working_directory input.
+  const entries = projects
+    ? projects.filter((p) => isSafeProjectName(p?.name)).map((p) => entry(p, p.name, String(p?.workingDirectory || ".")))
+    : [entry(config, "", ".")];
+
+  return stackFilter ? entries.filter((e) => e.stack === stackFilter) : entries;
+}
+
+/**
+ * A build-<stack>.yml workflow given a config with nothing for its stack would
+ * build nothing and pass. Adds a STACK_MISMATCH error to `result` (and fails
+ * it) when neither the single-project stack nor any project matches
+ * `stackFilter`. No-op without a filter or a config.
+ * @param {ValidationResult} result
+ * @param {string} stackFilter
+ * @returns {ValidationResult} the same result
+ */
+export function checkStackFilter(result, stackFilter) {
+  if (!stackFilter || !result.config || buildProjectMatrix(result.config, stackFilter).length > 0) return result;
+  const projects = Array.isArray(result.config.projects) ? result.config.projects : null;
+  const declared = projects ? [...new Set(projects.map((p) => p?.stack).filter(Boolean))] : [result.config.stack].filter(Boolean);
+  // Nothing declared at all is already a schema error.
+  if (declared.length === 0) return result;
+  result.issues.push({
+    level: "error",
+    code: "STACK_MISMATCH",
+    path: projects ? "/projects" : "/stack",
+    message: `This workflow builds "${stackFilter}" but the config declares ${declared.map((s) => `"${s}"`).join(", ")}`,
+    suggestion: projects
+      ? `Add a ${stackFilter} project under projects, or call the build-<stack>.yml workflow of the declared stacks.`
+      : `Set stack: ${stackFilter}, or call build-${declared[0]}.yml instead.`,
+  });
+  result.ok = false;
+  return result;
+}
+
+/**
+ * Result for a config file that does not exist (CONFIG_NOT_FOUND).
+ * @param {string} configPath path as given by the caller
+ * @param {{ strict?: boolean, policy?: import("./policy-packs.mjs").SelectedPolicy | null }} [options]
+ * @returns {ValidationResult}
+ */
+export function missingConfigResult(configPath, { strict = false, policy = null } = {}) {
+  return {
+    ok: false,
+    strict: strict || Boolean(policy?.strict),
+    policy: policy ? { ...policy, ignoredInputs: [] } : null,
+    schemaVersion: null,
+    stack: null,
+    projects: null,
+    issues: [
+      {
+        level: "error",
+        code: "CONFIG_NOT_FOUND",
+        path: configPath,
+        message: `.brik/build.yml not found`,
+        suggestion: `Create ${configPath} using docs/pipelines/build-config.md templates.`,
+      },
+    ],
+    exceptions: [],
+    lifecycle: [],
+    config: null,
+    resolved: null,
+    timingsMs: { total: 0, schema: 0, rules: 0 },
+  };
+}
+
+/**
+ * Validate build.yml source text.
+ *
+ * @param {object} input
+ * @param {string} input.source raw YAML text of .brik/build.yml
+ * @param {import("./schema-registry.mjs").SchemaRegistry} input.schemas build.yml schemas by version (see loadBuildSchemas)
+ * @param {{ data: any }} input.matrix runtime matrix (see loadRuntimeMatrix)
+ * @param {boolean} [input.strict] treat warnings as errors
+ * @param {boolean} [input.allowUnsafe] skip unsafe command checks
+ * @param {string | null} [input.repo] owner/name of the repo being validated (scopes matrix exceptions)
+ * @param {string} [input.today] YYYY-MM-DD used for exception expiry (defaults to the current UTC date)
+ * @param {string | null} [input.projectDir] directory the config belongs to; enables the manifest/lockfile rules
+ * @param {string | null} [input.configFile] absolute path of build.yml; local `extends` paths resolve against it
+ * @param {string | null} [input.presetsDir] named (`brik:<name>`) presets, see loadValidationInputs
+ * @param {import("./policy-packs.mjs").SelectedPolicy | null} [input.policy] policy pack for this run (see selectPolicyPack); none enforces nothing extra
+ * @param {{ runLint?: boolean | null, runTests?: boolean | null } | null} [input.workflowFlags] the calling workflow's run_lint/run_tests inputs, checked against the pack's requiredFlags (null: not a workflow run)
+ * @returns {ValidationResult}
+ */
+export function validateBuildConfig({
+  source,
+  schemas,
+  matrix,
+  strict = false,
+  allowUnsafe = false,
+  repo = null,
+  today = new Date().toISOString().slice(0, 10),
+  projectDir = null,
+  configFile = null,
+  presetsDir = null,
+  policy = null,
+  workflowFlags = null,
+}) {
+  const t0 = nowMs();
+
+  const pack = policy ?? { ...DEFAULT_POLICY_PACK, context: { ref: null, event: null } };
+  /** @type {AppliedPolicy} */
+  const appliedPolicy = { ...pack, ignoredInputs: allowUnsafe && !pack.allowUnsafeCommands ? ["allowUnsafeCommands"] : [] };
+  const effectiveStrict = strict || pack.strict;
+  const effectiveAllowUnsafe = allowUnsafe && pack.allowUnsafeCommands;
+
+  /** @type {ValidationIssue[]} */
+  const issues = [];
+
+  let rawConfig = null;
+  try {
+    rawConfig = yaml.load(source);
+  } catch (e) {
+    issues.push({
+      level: "error",
+      code: "CONFIG_PARSE_ERROR",
+      path: "(root)",
+      message: `build.yml is not valid YAML: ${String(e?.message || e).split("\n")[0]}`,
+      suggestion: `Fix the YAML syntax (indentation, quoting) and re-run validation.`,
+      ...(e?.mark ? { line: e.mark.line + 1, column: e.mark.column + 1 } : {}),
+    });
+  }
+  const locate = issues.length === 0 ? yamlLocator(source) : () => null;
+
+  // Only versions whose schema knows `extends` get presets; older files fail the schema check instead.
+  const configLabel =
+    configFile && projectDir ? path.relative(projectDir, configFile).split(path.sep).join("/") : ".brik/build.yml";
+  let merged = rawConfig;
+  let presetChain = /** @type {string[]} */ ([]);
+  let origins = /** @type {Map<string, import("./config-extends.mjs").FieldOrigin>} */ (new Map());
+  if (issues.length === 0 && schemaFor(schemas, rawConfig?.schemaVersion).data.properties?.extends) {
+    const ext = resolveExtends(rawConfig, { configFile, configLabel, repoDir: projectDir, presetsDir });
+    if (ext.issue) issues.push(ext.issue);
+    ({ config: merged, chain: presetChain, origins } = ext);
+  }
+
+  const schemaStart = nowMs();
+
+  // AJV schema validation
+  const ajv = new Ajv({ allErrors: true, strict: false, allowUnionTypes: true });
+  addFormats(ajv);
+
+  // The schema's stack enum lists the built-in stacks; plugin stacks come from the matrix.
+  const validate = ajv.compile(withMatrixStacks(schemaFor(schemas, rawConfig?.schemaVersion).data, matrixStackNames(matrix.data)));
+  if (issues.length === 0 && !validate(merged)) issues.push(...formatAjvErrors(validate.errors || [], locate));
+
+  const schemaMs = nowMs() - schemaStart;
+
+  const rulesStart = nowMs();
+
+  // Rules read the latest schema shape. None of them report a path under a renamed
+  // key, so issue paths (and line/column) still match the file as written.
+  const config = upgradeConfig(merged);
+  const rawProjects = Array.isArray(config?.projects) ? config.projects : null;
+
+  let resolved;
+  /** @type {ProjectRef[] | null} */
+  let projectRefs = null;
+  /** @type {AppliedException[]} */
+  const exceptions = [];
+  /** @type {RuntimeLifecycle[]} */
+  const lifecycle = [];
+
+  const projectCtx = { allowUnsafe: effectiveAllowUnsafe, repo, today, projectDir, policy: pack, workflowFlags, v1: rawConfig?.schemaVersion === 1 };
+
+  if (rawProjects) {
+    issues.push(...checkProjectsLayout(merged, rawProjects));
+
+    projectRefs = [];
+    const resolvedProjects = [];
+    rawProjects.forEach((p, i) => {
+      const out = validateProject(p, `/projects/${i}`, matrix.data, {
+        ...projectCtx,
+        project: p?.name ? String(p.name) : null,
+      });
+      issues.push(...out.issues);
+      exceptions.push(...out.exceptions);
+      if (out.lifecycle) lifecycle.push(out.lifecycle);
+      resolvedProjects.push({
+        name: p?.name ?? null,
+        ...out.resolved,
+        provenance: provenanceTrail(presetChain, origins, `/projects/${i}`),
+      });
+      projectRefs.push({
+        name: String(p?.name || `project-${i}`),
+        stack: p?.stack || null,
+        workingDirectory: String(p?.workingDirectory || "."),
+      });
+    });
+
+    resolved = { schemaVersion: config?.schemaVersion, projects: resolvedProjects, provenance: provenanceTrail(presetChain, origins) };
+  } else {
+    const out = validateProject(config, "", matrix.data, { ...projectCtx, project: null });
+    issues.push(...out.issues);
+    exceptions.push(...out.exceptions);
+    if (out.lifecycle) lifecycle.push(out.lifecycle);
+    resolved = { ...out.resolved, provenance: provenanceTrail(presetChain, origins) };
+  }
+
+  // Rule issues carry only a JSON pointer; place them in the file. A value that
+  // came from a preset is not in build.yml, so point at the `extends` that pulled it in.
+  for (const issue of issues) {
+    const origin = originOf(origins, issue.path);
+    if (origin?.via) {
+      issue.message = `${issue.message} (set by preset ${origin.source})`;
+      Object.assign(issue, locate(origin.via));
+    } else if (issue.line === undefined) {
+      Object.assign(issue, locate(issue.path));
+    }
+  }
+
+  const rulesMs = nowMs() - rulesStart;
+
+  // Strict mode (caller or policy pack): warnings become errors
+  /** @type {ValidationIssue[]} */
+  const finalIssues = effectiveStrict
+    ? issues.map((i) =>
+        i.level === "warning"
+          ? { ...i, level: /** @type {const} */ ("error"), code: `STRICT_${i.code}` }
+          : i
+      )
+    : issues;
+
+  return {
+    ok: finalIssues.every((i) => i.level !== "error"),
+    strict: effectiveStrict,
+    policy: appliedPolicy,
+    schemaVersion: typeof rawConfig?.schemaVersion === "number" ? rawConfig.schemaVersion : null,
+    stack: merged?.stack || null,
+    projects: projectRefs,
+    issues: finalIssues,
+    exceptions,
+    lifecycle,
+    config: merged ?? null,
+    resolved,
+    timingsMs: { total: nowMs() - t0, schema: schemaMs, rules: rulesMs },
+  };
 }
@@ -0,0 +1,200 @@
+/**
+ * Validation evidence writer (shared by the validate-build-config action and CLI).
+ *
+ * Layout (evidenceDir is typically .audit/PIPE-BUILD/validation):
+ *   build-config.raw.yml
+ *   build-config.inferred.yml                    (detection mode only: starter config)
+ *   build-config.resolved.json
+ *   validation-report.json
+ *   validation-summary.md
+ *   projects/<name>/build-config.resolved.json   (monorepo mode only)
+ *   manifest.json                                (validate-build-config action only, written
+ *                                                 last: the folder is an evidence bundle)
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { isSafeProjectName } from "./validate-build-config.mjs";
+import { LATEST_SCHEMA_VERSION } from "./schema-registry.mjs";
+
+/**
+ * @typedef {import("./validate-build-config.mjs").ValidationResult} ValidationResult
+ *
+ * @typedef {object} ValidationReport
+ * @property {"brikbyte.audit.validation-report.v1"} schema
+ * @property {boolean} ok
+ * @property {boolean} strict
+ * @property {import("./validate-build-config.mjs").AppliedPolicy | null} policy  policy pack picked for the run's ref/event
+ * @property {number | null} schemaVersion
+ * @property {string | null} stack
+ * @property {import("./validate-build-config.mjs").ProjectRef[] | null} projects
+ * @property {{ configPath: string, schemaPath: string, runtimeMatrixPath: string, evidenceDir: string }} files
+ * @property {import("./validate-build-config.mjs").ValidationIssue[]} issues
+ * @property {import("./exceptions.mjs").AppliedException[]} exceptionsApplied
+ * @property {import("./validate-build-config.mjs").RuntimeLifecycle[]} runtimeLifecycle
+ * @property {"file" | "detected" | "missing"} configSource
+ * @property {import("../detect/detect-build-config.mjs").InferredReport | null} inferred  detection provenance
+ * @property {{ total: number, schema: number, rules: number, io: number }} timingsMs
+ */
+
+function ensureDir(p) {
+  fs.mkdirSync(p, { recursive: true });
+}
+
+function writeFile(p, content) {
+  ensureDir(path.dirname(p));
+  fs.writeFileSync(p, content, "utf8");
+}
+
+/**
+ * @param {ValidationResult} result
+ * @param {ValidationReport["files"]} files
+ * @param {{ ioMs?: number, totalMs?: number }} [timing] caller-side timings (io + wall clock)
+ * @param {{ configSource?: ValidationReport["configSource"], inferred?: ValidationReport["inferred"] }} [origin]
+ * @returns {ValidationReport}
+ */
+export function makeValidationReport(result, files, { ioMs = 0, totalMs } = {}, { configSource = "file", inferred = null } = {}) {
+  return {
+    schema: "brikbyte.audit.validation-report.v1",
+    ok: result.ok,
+    strict: result.strict,
+    policy: result.policy,
+    schemaVersion: result.schemaVersion,
+    stack: result.stack,
+    projects: result.projects,
+    files,
+    issues: result.issues,
+    exceptionsApplied: result.exceptions,
+    runtimeLifecycle: result.lifecycle,
+    configSource,
+    inferred,
+    timingsMs: {
+      total: totalMs ?? result.timingsMs.total + ioMs,
+      schema: result.timingsMs.schema,
+      rules: result.timingsMs.rules,
+      io: ioMs,
+    },
+  };
+}
+
+/**
+ * @param {ValidationReport} report
+ */
+export function makeSummaryMd(report) {
+  const lines = [];
+  lines.push(`# Build Config Validation`);
+  lines.push(`- Result: **${report.ok ? "PASS" : "FAIL"}**`);
+  lines.push(`- Strict: **${report.strict ? "true" : "false"}**`);
+  if (report.policy) {
+    const { name, context, ignoredInputs } = report.policy;
+    const picked = [context.ref && `ref \`${context.ref}\``, context.event && `event \`${context.event}\``].filter(Boolean).join(", ");
+    lines.push(`- Policy pack: **${name}**${picked ? ` (${picked})` : ""}`);
+    if (ignoredInputs.length > 0) lines.push(`  - Ignored by this pack: ${ignoredInputs.map((i) => `\`${i}\``).join(", ")}`);
+  }
+  lines.push(`- Stack: **${report.stack ?? "unknown"}**`);
+  const outdated =
+    typeof report.schemaVersion === "number" && report.schemaVersion < LATEST_SCHEMA_VERSION
+      ? ` (latest is ${LATEST_SCHEMA_VERSION}; upgrade with \`brik-pipe migrate\`)`
+      : "";
+  lines.push(`- SchemaVersion: **${report.schemaVersion ?? "unknown"}**${outdated}`);
+  lines.push(`- Config source: **${report.configSource}**`);
+  lines.push(``);
+  if (report.inferred) {
+    lines.push(`## Inferred config`);
+    for (const f of report.inferred.fields) lines.push(`- \`${f.field}\` = \`${f.value}\` (from \`${f.source}\`)`);
+    if (report.inferred.fields.length === 0) lines.push(`- Nothing inferred`);
+    if (report.inferred.candidates.length > 1) {
+      lines.push(`- Candidates: ${report.inferred.candidates.map((c) => `${c.stack} (${c.markers.join(", ")})`).join("; ")}`);
+    }
+    if (report.configSource === "detected") {
+      lines.push(`- Starter config: \`build-config.inferred.yml\` (copy it to .brik/build.yml to make it explicit)`);
+    }
+    lines.push(``);
+  }
+  if (report.projects) {
+    lines.push(`## Projects`);
+    for (const p of report.projects) {
+      lines.push(`- \`${p.name}\` (${p.stack ?? "unknown"}) at \`${p.workingDirectory}\``);
+    }
+    lines.push(``);
+  }
+  lines.push(`## Files`);
+  lines.push(`- Config: \`${report.files.configPath}\``);
+  lines.push(`- Schema: \`${report.files.schemaPath}\``);
+  lines.push(`- Runtime matrix: \`${report.files.runtimeMatrixPath}\``);
+  lines.push(`- Evidence dir: \`${report.files.evidenceDir}\``);
+  lines.push(``);
+  lines.push(`## Issues`);
+  if (report.issues.length === 0) {
+    lines.push(`- None ✅`);
+  } else {
+    for (const issue of report.issues) {
+      const where = issue.line ? ` (line ${issue.line}, col ${issue.column ?? 1})` : "";
+      lines.push(`- **${issue.level.toUpperCase()}** \`${issue.code}\` at \`${issue.path}\`${where}: ${issue.message}`);
+      if (issue.suggestion) lines.push(`  - Suggestion: ${issue.suggestion}`);
+    }
+  }
+  lines.push(``);
+  if (report.runtimeLifecycle.length > 0) {
+    lines.push(`## Runtime lifecycle`);
+    for (const lc of report.runtimeLifecycle) {
+      const where = lc.project ? ` (project \`${lc.project}\`)` : "";
+      const dates = [lc.eol && `EOL ${lc.eol}`, lc.removal && `removal after ${lc.removal}`].filter(Boolean).join(", ");
+      lines.push(`- ${lc.stack} \`${lc.version}\`${where}: **${lc.state}**${dates ? ` — ${dates}` : ""}`);
+    }
+    lines.push(``);
+  }
+  if (report.exceptionsApplied.length > 0) {
+    lines.push(`## Exceptions applied`);
+    for (const e of report.exceptionsApplied) {
+      const where = e.project ? ` (project \`${e.project}\`)` : "";
+      lines.push(`- \`${e.id}\` allows ${e.allows} \`${e.value}\` for ${e.stack}${where}: approved by ${e.approvedBy}, expires ${e.expires}, ${e.issue}`);
+    }
+    lines.push(``);
+  }
+  lines.push(`## Timing (ms)`);
+  lines.push(`- total: ${report.timingsMs.total}`);
+  lines.push(`- schema: ${report.timingsMs.schema}`);
+  lines.push(`- rules: ${report.timingsMs.rules}`);
+  lines.push(`- io: ${report.timingsMs.io}`);
+  lines.push(``);
+  return lines.join("\n");
+}
+
+/**
+ * Write the evidence set. The raw YAML is copied verbatim when provided;
+ * the resolved config is only written when validation got that far.
+ *
+ * @param {string} evidenceDir
+ * @param {{ report: ValidationReport, result: ValidationResult, rawYaml?: string | null, inferredYaml?: string | null }} input
+ * @returns {{ reportPath: string, summaryPath: string, resolvedPath: string | null }}
+ */
+export function writeValidationEvidence(evidenceDir, { report, result, rawYaml = null, inferredYaml = null }) {
+  ensureDir(evidenceDir);
+
+  if (rawYaml !== null) writeFile(path.join(evidenceDir, "build-config.raw.yml"), rawYaml);
+  if (inferredYaml !== null) writeFile(path.join(evidenceDir, "build-config.inferred.yml"), inferredYaml);
+
+  // The resolved config is evidence too; its "schema" names the evidence schema, not the build.yml one.
+  const resolvedJson = (config) => JSON.stringify({ schema: "brikbyte.audit.build-config-resolved.v1", ...config }, null, 2);
+  let resolvedPath = null;
+  if (result.resolved !== null) {
+    resolvedPath = path.join(evidenceDir, "build-config.resolved.json");
+    writeFile(resolvedPath, resolvedJson(result.resolved));
+
+    for (const rp of result.resolved?.projects ?? []) {
+      if (!isSafeProjectName(rp?.name)) continue;
+      writeFile(
+        path.join(evidenceDir, "projects", rp.name, "build-config.resolved.json"),
+        resolvedJson(rp)
+      );
+    }
+  }
+
+  const reportPath = path.join(evidenceDir, "validation-report.json");
+  const summaryPath = path.join(evidenceDir, "validation-summary.md");
+  writeFile(reportPath, JSON.stringify(report, null, 2));
+  writeFile(summaryPath, makeSummaryMd(report));
+
+  return { reportPath, summaryPath, resolvedPath };
+}
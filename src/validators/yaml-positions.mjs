@@ -0,0 +1,68 @@
+/**
+ * JSON pointer -> line/column in the build.yml source.
+ *
+ * The rules run on the js-yaml object; this re-parses the same text with the
+ * `yaml` package (which keeps node ranges) only to place issues in the file.
+ * Positions are 1-based, as in GitHub annotations and SARIF regions.
+ */
+
+import { isMap, isScalar, isSeq, LineCounter, parseDocument } from "yaml";
+
+/**
+ * @typedef {{ line: number, column: number }} SourcePosition
+ * @typedef {(pointer: string) => SourcePosition | null} Locator
+ */
+
+/** @param {string} segment */
+function unescapePointer(segment) {
+  return segment.replace(/~1/g, "/").replace(/~0/g, "~");
+}
+
+/**
+ * Build a locator for one source text. A pointer that does not exist in the
+ * file (e.g. a defaulted `/tool/kind`) resolves to its deepest existing
+ * ancestor; map entries point at their key, sequence entries at the item.
+ * @param {string} source
+ * @returns {Locator}
+ */
+export function yamlLocator(source) {
+  const lineCounter = new LineCounter();
+  let doc;
+  try {
+    doc = parseDocument(source, { lineCounter });
+  } catch {
+    return () => null;
+  }
+
+  /** @param {number} offset */
+  const position = (offset) => {
+    const { line, col } = lineCounter.linePos(offset);
+    return { line, column: col };
+  };
+
+  return (pointer) => {
+    if (pointer !== "(root)" && pointer !== "" && !pointer.startsWith("/")) return null;
+
+    /** @type {any} */
+    let node = doc.contents;
+    let offset = node?.range?.[0] ?? 0;
+    const segments = pointer.startsWith("/") ? pointer.slice(1).split("/").map(unescapePointer) : [];
+
+    for (const segment of segments) {
+      if (isMap(node)) {
+        const pair = node.items.find((p) => String(isScalar(p.key) ? p.key.value : p.key) === segment);
+        if (!pair) break;
+        offset = /** @type {any} */ (pair.key)?.range?.[0] ?? offset;
+        node = pair.value;
+      } else if (isSeq(node)) {
+        const item = /** @type {any} */ (node.items[Number(segment)]);
+        if (!item) break;
+        offset = item.range?.[0] ?? offset;
+        node = item;
+      } else {
+        break;
+      }
+    }
+    return position(offset);
+  };
+}